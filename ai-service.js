@@ -401,13 +401,20 @@ AVAILABLE COMMANDS:
 ${context.availableCommands.map(c => `- ${c.usage} (aliases: ${c.aliases.join(', ')}): ${c.description}`).join('\n')}
 
 ELEMENT TYPES:
-- gauge: Shows numeric values with min/max (good for power, temperature)
+- gauge: Bar relative to min/max with optional warning/critical thresholds (good for power, temperature, CPU, battery)
 - switch: Interactive on/off toggle
 - button: Clickable action trigger  
 - indicator: Status light (on/off, alive/dead)
 - text: String value display
 - number: Simple numeric display
 - sparkline: Mini chart for trends
+- chart: Multi-line chart of recent values (height 3-8 lines)
+- bars: One horizontal bar per state, e.g. power per room (bars = list of state IDs)
+- log: Text box with the latest values of a state, e.g. messages (height in lines)
+- blind: Roller shutter/blind with position bar and open/close/stop (stateId = level.blind position, controls = button.open/close/stop IDs)
+- thermostat: Actual temperature, setpoint, mode and valve in one line (stateId = value.temperature, bindings = setpoint/mode/valve IDs)
+- dropdown: Enumerated states (common.states), shows labels like Heat/Cool instead of 1/2 and lets the user pick a value
+- computed: Value calculated from several states with an expression, e.g. grid power "house - pv" or "count(window1, window2)" (inputs = name -> state ID, expression)
 
 SPECIAL CAPABILITIES:
 ${context.hasIoBrokerAccess ? 
@@ -451,6 +458,14 @@ RENAME OPERATIONS:
 - /rename -o "Old Name" -n "New Name" -g "Group"        (rename element in group)
 - /rename -o "Old Name" -n "New Name" -g               (search all groups)
 
+FORMAT ELEMENTS:
+- /edit -e "Element" -d 2 -a                          (2 decimals, scale W → kW → MW)
+- /edit -e "Window" -b "Open,Closed"                  (labels for true/false)
+- /edit -e "Mode" -b "0=Off,1=Heat"                   (labels for values)
+- /edit -e "Runtime" -f duration:s                    (also datetime, date, time)
+- /edit -e "Outdoor" -l de-DE                          (locale decimal separator)
+- /edit -e "Grid" -c "value > 3000 => warning; value < 10 => error"   (color rules, first match wins, theme colors)
+
 THEME MANAGEMENT:
 - /theme -l                                            (list themes)
 - /theme -s "theme-name"                              (switch theme)
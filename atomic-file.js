@@ -0,0 +1,50 @@
+/**
+ * Crash-safe file writes shared by the config manager and the state cache
+ */
+
+import fs from 'fs/promises';
+
+// A timer save and a final save on exit can overlap within the same millisecond
+let tempFileCounter = 0;
+
+/**
+ * Write through a temporary file and rename it, so a crash never leaves a half-written file.
+ * The replaced file keeps its permissions, e.g. a settings.json made private with chmod 600
+ * @param {string} filePath - File to replace
+ * @param {string} data - New content
+ * @param {Object} [options]
+ * @param {number} [options.mode] - Permissions for the file, instead of those of the existing file
+ */
+export async function writeFileAtomic(filePath, data, { mode } = {}) {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.${++tempFileCounter}.tmp`;
+    const fileMode = mode ?? await getFileMode(filePath);
+
+    try {
+        const handle = await fs.open(tempPath, 'w', fileMode ?? 0o666);
+        try {
+            // open() applies the umask, set the exact permissions of the replaced file
+            if (fileMode !== undefined) {
+                await handle.chmod(fileMode);
+            }
+            await handle.writeFile(data);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+async function getFileMode(filePath) {
+    try {
+        return (await fs.stat(filePath)).mode & 0o777;
+    } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw error;
+    }
+}
+
+export default writeFileAtomic;
@@ -0,0 +1,96 @@
+/**
+ * Declarative color rules for dashboard elements
+ *
+ * Rules are saved with the element ("colorRules" in the dashboard file) and checked
+ * in order - the first rule whose condition matches colors the value:
+ *   [
+ *     { "when": "value > 3000", "color": "warning" },
+ *     { "when": "value < 10", "color": "error" },
+ *     { "when": "value == 'offline'", "color": "error" },
+ *     { "when": "value == true", "color": "inactive" }
+ *   ]
+ *
+ * Conditions use the expression language of computed elements with the single
+ * variable "value". Colors are names of theme colors (THEMES) and follow theme changes.
+ */
+
+import { compileExpression } from './expression-evaluator.js';
+import { COLOR_SCHEMES } from './colors.js';
+
+// Theme color names usable in rules (borderStyle is not a color)
+export const RULE_COLORS = Object.keys(COLOR_SCHEMES.default).filter(name => name !== 'borderStyle');
+
+/**
+ * Validate color rules
+ * @param {Array<Object>} rules - Rules from the dashboard file or /edit
+ * @returns {Array<Object>|null} Rules as { when, color }, null if there are none
+ * @throws {Error} If a condition is invalid or a color is not a theme color
+ */
+export function normalizeColorRules(rules) {
+    if (rules === null || rules === undefined) return null;
+    if (!Array.isArray(rules)) {
+        throw new Error('Color rules must be a list of { when, color }');
+    }
+
+    const normalized = rules.map((rule, index) => {
+        if (!rule || typeof rule.when !== 'string' || typeof rule.color !== 'string') {
+            throw new Error(`Color rule ${index + 1} needs "when" and "color"`);
+        }
+        if (!RULE_COLORS.includes(rule.color)) {
+            throw new Error(`Color rule ${index + 1}: unknown color "${rule.color}" (use ${RULE_COLORS.join(', ')})`);
+        }
+
+        let compiled;
+        try {
+            compiled = compileExpression(rule.when);
+        } catch (error) {
+            throw new Error(`Color rule ${index + 1}: ${error.message}`);
+        }
+
+        const unknown = compiled.variables.find(name => name !== 'value');
+        if (unknown) {
+            throw new Error(`Color rule ${index + 1}: unknown variable "${unknown}" (only "value" is available)`);
+        }
+
+        return { when: rule.when, color: rule.color };
+    });
+
+    return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * Parse the /edit shorthand "value > 3000 => warning; value < 10 => error"
+ * @param {string} text - Rules separated by ";"
+ * @returns {Array<Object>} Rules as { when, color } (not yet validated)
+ */
+export function parseColorRules(text) {
+    return text.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+        const separator = part.lastIndexOf('=>');
+        if (separator < 0) {
+            throw new Error(`Color rule "${part}" must look like "<condition> => <color>"`);
+        }
+        return { when: part.substring(0, separator).trim(), color: part.substring(separator + 2).trim() };
+    });
+}
+
+/**
+ * Compile rules once for repeated matching
+ * @param {Array<Object>} rules - Normalized rules
+ * @returns {Function} (value) => theme color name of the first matching rule or null
+ */
+export function compileColorRules(rules) {
+    const compiled = (rules || []).map(rule => ({ color: rule.color, condition: compileExpression(rule.when) }));
+
+    return (value) => {
+        if (value === null || value === undefined) return null;
+
+        for (const { color, condition } of compiled) {
+            try {
+                if (condition.evaluate({ value })) return color;
+            } catch (error) {
+                // Conditions that cannot be evaluated for this value do not match
+            }
+        }
+        return null;
+    };
+}
@@ -437,7 +437,8 @@ export function colorizeGauge(value, options = {}) {
 }
 
 // Color power values (special handling for positive/negative)
-export function colorizePower(value, unit = 'W') {
+// text replaces the default "1234.5W" display (e.g. formatted as "1.2kW")
+export function colorizePower(value, unit = 'W', text = null) {
     if (typeof value !== 'number') {
         return colorize(`${value}${unit}`, THEMES.neutral);
     }
@@ -454,6 +455,10 @@ export function colorizePower(value, unit = 'W') {
         color = THEMES.neutral;
     }
     
+    if (text !== null) {
+        return colorize(text, color);
+    }
+    
     const formattedValue = value.toFixed(1);
     const coloredValue = colorize(formattedValue, color);
     const coloredUnit = colorize(unit, THEMES.unit);
@@ -1,4 +1,12 @@
 import { BaseCommand } from './base-command.js';
+import { hasEnumStates, BlindElement, ThermostatElement } from '../dashboard-elements.js';
+import { compileExpression } from '../expression-evaluator.js';
+
+// Element types bound to several states of a channel, with their state discovery
+const COMPOUND_TYPES = {
+    thermostat: ThermostatElement,
+    blind: BlindElement
+};
 
 export class AddCommand extends BaseCommand {
     constructor(dashboard) {
@@ -6,13 +14,20 @@ export class AddCommand extends BaseCommand {
         
         // Define available element types and their display names
         this.elementTypes = {
-            'gauge': 'Gauge (shows numeric value with min/max)',
-            'number': 'Number (simple numeric display)',
+            'gauge': 'Gauge (bar relative to min/max with thresholds)',
+            'number': 'Number (setpoint input with [-]/[+] if writable)',
             'switch': 'Switch (on/off toggle)',
             'indicator': 'Indicator (status light)',
             'button': 'Button (clickable action)',
             'text': 'Text (string value display)',
-            'sparkline': 'Sparkline (mini chart)'
+            'sparkline': 'Sparkline (mini chart)',
+            'dropdown': 'Dropdown (enumerated states, shows labels)',
+            'blind': 'Blind (shutter position with open/close/stop, -s may be the channel)',
+            'thermostat': 'Thermostat (actual/setpoint/mode/valve of a heating device)',
+            'chart': 'Chart (multi-line chart of recent values, -l 3-8 lines)',
+            'bars': 'Bars (one bar per state, -s id1,id2,...)',
+            'log': 'Log (text box with the latest values, -l lines)',
+            'computed': 'Computed (expression over several states, -s name=id,... -e <expression>)'
         };
     }
 
@@ -29,18 +44,22 @@ export class AddCommand extends BaseCommand {
     }
 
     get usage() {
-        return '/add [-g <group>] [-n <name>] [-s <stateId>] [-i <index>] [-t <type>] [-c]';
+        return '/add [-g <group>] [-n <name>] [-s <stateId>] [-i <index>] [-t <type>] [-w <warning>] [-x <critical>] [-l <lines>] [-e <expression>] [-c]';
     }
 
     get flagSchema() {
         return {
-            knownFlags: ['g', 'n', 's', 'i', 't', 'h', 'c'],
+            knownFlags: ['g', 'n', 's', 'i', 't', 'w', 'x', 'l', 'e', 'h', 'c'],
             flags: {
                 g: { type: 'string', description: 'Group name (for elements) or new group name (with -c)' },
                 n: { type: 'string', description: 'Element name/caption' },
                 s: { type: 'string', description: 'ioBroker state ID to monitor' },
                 i: { type: 'number', description: 'Index position where to insert element' },
                 t: { type: 'string', enum: Object.keys(this.elementTypes), description: 'Element type (auto-detected if omitted)' },
+                w: { type: 'number', description: 'Warning threshold for gauges' },
+                x: { type: 'number', description: 'Critical threshold for gauges (below warning = low values are critical)' },
+                l: { type: 'number', description: 'Height in lines for chart and log elements' },
+                e: { type: 'string', description: 'Expression of a computed element (implies -t computed)' },
                 h: { type: 'boolean', description: 'Show help' },
                 c: { type: 'boolean', description: 'Create a new group instead of adding element' }
             }
@@ -52,8 +71,15 @@ export class AddCommand extends BaseCommand {
             '/add -c -g "Solar System"',
             '/add -g Solar -n "PV Power" -s javascript.0.solar.produktion',
             '/add -g Temperatures -n "Outdoor" -s modbus.2.temp -t gauge',
+            '/add -g System -n "CPU" -s system.host.cpu -t gauge -w 70 -x 90',
             '/add -g System -n "Pump" -s system.adapter.pump.0.enabled -t switch',
-            '/add -g Controls -n "Restart" -s system.adapter.restart -t button -i 0'
+            '/add -g Shutters -n "Living Room" -s hm-rpc.0.LEQ0123456.1',
+            '/add -g Heating -n "Bathroom" -s hm-rpc.0.LEQ0654321.1.ACTUAL_TEMPERATURE',
+            '/add -g Controls -n "Restart" -s system.adapter.restart -t button -i 0',
+            '/add -g Energy -n "Consumption" -s shelly.0.total.power -t chart -l 6',
+            '/add -g Energy -n "Rooms" -s shelly.0.kitchen.power,shelly.0.office.power -t bars',
+            '/add -g Energy -n "Grid" -s "house=meter.0.power,pv=pv.0.power" -e "house - pv"',
+            '/add -g Security -n "Windows open" -s window.0.kitchen,window.0.bath -e "count(kitchen, bath)"'
         ];
     }
 
@@ -110,6 +136,8 @@ export class AddCommand extends BaseCommand {
         const stateId = parsedArgs.getFlag('s');
         const requestedType = parsedArgs.getFlag('t', null);
         const insertIndex = parsedArgs.getFlag('i', undefined);
+        const expression = parsedArgs.getFlag('e', null);
+        const isComputed = requestedType === 'computed' || (!requestedType && expression !== null);
 
         // Validate element type if provided
         if (requestedType && !this.elementTypes[requestedType]) {
@@ -118,6 +146,11 @@ export class AddCommand extends BaseCommand {
             return;
         }
 
+        if (isComputed && !expression) {
+            this.error('Computed elements require an expression (-e)');
+            return;
+        }
+
         try {
             // Find the group
             const groups = this.tools.listGroups();
@@ -133,11 +166,13 @@ export class AddCommand extends BaseCommand {
             }
 
             // Get object metadata to infer element type
-            let finalElementType = requestedType || 'number'; // Default fallback
+            let finalElementType = isComputed ? 'computed' : (requestedType || 'number'); // Default fallback
             let objData = null;
             
             try {
-                if (this.dashboard.client && this.dashboard.client.isConnected()) {
+                if (isComputed) {
+                    // -s lists the inputs, there is no single object to inspect
+                } else if (this.dashboard.client && this.dashboard.client.isConnected()) {
                     objData = await this.dashboard.client.getObject(stateId);
                     if (objData && objData.common) {
                         const inferredType = this.inferElementType(objData.common, finalElementType);
@@ -165,6 +200,18 @@ export class AddCommand extends BaseCommand {
                 }
             }
 
+            // Blinds and thermostats bind several states found in the channel
+            let compound = null;
+            if (objData && this.shouldDiscoverStates(objData, finalElementType, requestedType)) {
+                compound = await this.discoverCompoundStates(stateId, objData, requestedType);
+                if (compound) {
+                    finalElementType = compound.type;
+                } else if (this.isChannelObject(objData)) {
+                    this.error(`No blind or thermostat states found in ${stateId}`);
+                    return;
+                }
+            }
+
             // Create element configuration
             const elementConfig = {
                 id: `${finalElementType}_${Date.now()}`,
@@ -177,35 +224,76 @@ export class AddCommand extends BaseCommand {
             // Add type-specific defaults using metadata if available
             this.addTypeSpecificConfig(elementConfig, objData ? objData.common : null);
 
+            if (compound) {
+                Object.assign(elementConfig, compound.config);
+                const bound = compound.config.controls || compound.config.bindings;
+                const found = Object.entries(bound).map(([name, id]) => `${name}=${id}`).join(', ');
+                this.info(`[AUTO] ${finalElementType} states: ${compound.config.stateId || 'none'}${found ? `, ${found}` : ''}`);
+            }
+
+            // One bar per comma separated state ID
+            if (finalElementType === 'bars') {
+                elementConfig.bars = stateId.split(',').map(id => ({ stateId: id.trim() })).filter(bar => bar.stateId);
+                delete elementConfig.stateId;
+            }
+
+            // Named inputs and the expression evaluated over them
+            if (finalElementType === 'computed') {
+                const computed = this.parseComputedInputs(stateId, expression);
+                if (computed.error) {
+                    this.error(computed.error);
+                    return;
+                }
+                Object.assign(elementConfig, computed.config);
+                delete elementConfig.stateId;
+            } else if (expression !== null) {
+                this.warning(`Expression (-e) only applies to computed elements - ignored for ${finalElementType}`);
+            }
+
+            // Height of multi-line elements
+            if (parsedArgs.hasFlag('l')) {
+                if (['chart', 'log'].includes(finalElementType)) {
+                    elementConfig.height = parsedArgs.getFlag('l');
+                } else {
+                    this.warning(`Height (-l) only applies to chart and log elements - ignored for ${finalElementType}`);
+                }
+            }
+
+            // Gauge thresholds
+            if (parsedArgs.hasFlag('w') || parsedArgs.hasFlag('x')) {
+                if (finalElementType === 'gauge') {
+                    elementConfig.thresholds = {
+                        warning: parsedArgs.getFlag('w', undefined),
+                        critical: parsedArgs.getFlag('x', undefined)
+                    };
+                } else {
+                    this.warning(`Thresholds (-w/-x) only apply to gauges - ignored for ${finalElementType}`);
+                }
+            }
+
             // Add the element with optional index
             const result = await this.tools.addElement(group.id, elementConfig, insertIndex);
 
             if (result.success) {
                 const indexInfo = insertIndex !== undefined ? ` at position ${insertIndex}` : '';
                 this.success(`Added ${finalElementType} "${elementName}" to group "${group.title}"${indexInfo}`);
-                this.info(`[MONITORING] Monitoring: ${stateId}`);
+                this.info(`[MONITORING] Monitoring: ${result.element?.getStateIds ? result.element.getStateIds().join(', ') : stateId}`);
                 
-                // Immediately connect the new element to get current state
-                if (this.dashboard.client && this.dashboard.client.isConnected() && result.element) {
+                // Register the new element with the state dispatcher right away - also while
+                // offline or reconnecting, the resync after connecting fills in its value
+                if (this.dashboard.client && result.element) {
                     if (typeof result.element.connect === 'function') {
                         result.element.connect(this.dashboard.client);
                         
-                        // Listen for value changes to trigger re-render
+                        // Re-render on value changes, report rejected setpoints
                         if (typeof result.element.on === 'function') {
-                            result.element.on('valueChanged', () => {
-                                this.dashboard.debouncedRender();
-                            });
+                            this.dashboard.attachElementListeners(result.element);
                         }
                         
-                        // Refresh current state from ioBroker
-                        try {
-                            const state = await this.dashboard.client.getState(result.element.stateId);
-                            if (state) {
-                                result.element.updateValue(state.val, Date.now());
-                                this.info(`[SYNC] Got current value: ${state.val}`);
-                            }
-                        } catch (error) {
-                            this.warning(`Could not get current state for ${result.element.stateId}: ${error.message}`);
+                        if (this.dashboard.client.isConnected()) {
+                            await this.syncElement(result.element);
+                        } else {
+                            this.info('[OFFLINE] The value appears once ioBroker is connected');
                         }
                     } else {
                         this.error(`Element missing connect method. Type: ${typeof result.element}, Constructor: ${result.element.constructor?.name || 'unknown'}`);
@@ -226,6 +314,91 @@ export class AddCommand extends BaseCommand {
         }
     }
 
+    isChannelObject(objData) {
+        return objData?.type === 'channel' || objData?.type === 'device';
+    }
+
+    // Channels, blind positions and temperatures may belong to a compound element
+    shouldDiscoverStates(objData, inferredType, requestedType) {
+        if (requestedType) {
+            return !!COMPOUND_TYPES[requestedType];
+        }
+        const role = objData.common?.role || '';
+        return this.isChannelObject(objData) || inferredType === 'blind' || /^(level|value|sensor)\.temperature/.test(role);
+    }
+
+    // Look up the sibling states of a blind or thermostat. stateId may be the channel itself or one of its states.
+    // Returns { type, config } or null
+    async discoverCompoundStates(stateId, objData, requestedType = null) {
+        const channelId = this.isChannelObject(objData) ? stateId : stateId.split('.').slice(0, -1).join('.');
+
+        let children;
+        try {
+            children = await this.dashboard.client.getChildObjects(channelId);
+        } catch (error) {
+            this.warning(`Could not read the states of ${channelId}: ${error.message}`);
+            return null;
+        }
+        if (!this.isChannelObject(objData)) {
+            children[stateId] = objData;
+        }
+
+        const types = requestedType ? [requestedType] : Object.keys(COMPOUND_TYPES);
+        for (const type of types) {
+            const config = COMPOUND_TYPES[type].discoverStates(children, stateId);
+            if (config) {
+                return { type, config };
+            }
+        }
+        return null;
+    }
+
+    // Parse "house=meter.0.power,pv=pv.0.power" into named inputs. Inputs without a name
+    // are named after the last part of their state ID. Returns { config } or { error }
+    parseComputedInputs(spec, expression) {
+        const inputs = {};
+
+        for (const entry of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+            const separator = entry.indexOf('=');
+            const id = separator >= 0 ? entry.substring(separator + 1).trim() : entry;
+            const name = separator >= 0
+                ? entry.substring(0, separator).trim()
+                : id.split('.').pop().replace(/[^A-Za-z0-9_]/g, '_').replace(/^(\d)/, '_$1');
+
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) || !id) {
+                return { error: `Invalid input "${entry}" - use name=stateId` };
+            }
+            if (inputs[name]) {
+                return { error: `Duplicate input name "${name}" - use name=stateId to rename it` };
+            }
+            inputs[name] = id;
+        }
+
+        if (Object.keys(inputs).length === 0) {
+            return { error: 'Computed elements require at least one input state (-s)' };
+        }
+
+        let compiled;
+        try {
+            compiled = compileExpression(expression);
+        } catch (error) {
+            return { error: `Invalid expression: ${error.message}` };
+        }
+
+        const unknown = compiled.variables.filter(name => !inputs[name]);
+        if (unknown.length > 0) {
+            return { error: `Unknown variable "${unknown[0]}" in expression (inputs: ${Object.keys(inputs).join(', ')})` };
+        }
+
+        return {
+            config: {
+                inputs,
+                expression,
+                interactive: false
+            }
+        };
+    }
+
     inferElementType(common, requestedType) {
         if (!common) return requestedType;
 
@@ -235,12 +408,24 @@ export class AddCommand extends BaseCommand {
 
         // Role-based inference (more specific)
         if (role) {
+            if (/^(level\.)?(blind|shutter|curtain)/.test(role)) {
+                return 'blind';
+            }
             if (role.includes('switch') || role.includes('button.')) {
                 return write ? 'switch' : 'indicator';
             }
             if (role.includes('indicator') || role.includes('sensor.') || role === 'state') {
                 return 'indicator';
             }
+        }
+
+        // Enumerated states (e.g. 0=off/1=heat/2=cool) show labels instead of raw values.
+        // Booleans often label false/true as off/on - they stay switches and indicators
+        if ((type === 'number' || type === 'string') && hasEnumStates(common)) {
+            return 'dropdown';
+        }
+
+        if (role) {
             if (role.includes('level.') || role.includes('value.power') || role.includes('value.')) {
                 return type === 'number' ? 'gauge' : 'number';
             }
@@ -281,6 +466,13 @@ export class AddCommand extends BaseCommand {
                 break;
             case 'number':
                 config.unit = common ? (common.unit || '') : '';
+                if (common) {
+                    // Writable numbers become setpoint inputs using the object's range and step
+                    config.interactive = common.write !== false;
+                    if (common.min !== undefined) config.min = common.min;
+                    if (common.max !== undefined) config.max = common.max;
+                    if (common.step !== undefined) config.step = common.step;
+                }
                 break;
             case 'switch':
                 config.interactive = common ? (common.write !== false) : true;
@@ -298,6 +490,18 @@ export class AddCommand extends BaseCommand {
             case 'sparkline':
                 // Sparklines show historical data
                 break;
+            case 'thermostat':
+                config.unit = common?.unit || '°C';
+                break;
+            case 'blind':
+                config.unit = common?.unit || '%';
+                config.interactive = common ? (common.write !== false) : true;
+                break;
+            case 'dropdown':
+                config.states = common ? common.states : {};
+                config.valueType = common ? common.type : undefined;
+                config.interactive = common ? (common.write !== false) : true;
+                break;
         }
     }
 
@@ -310,6 +514,10 @@ export class AddCommand extends BaseCommand {
         this.info('Optional flags:');
         this.info('  -t <type>    - Element type (auto-detected if omitted)');
         this.info('  -i <index>   - Insert position in group');
+        this.info('  -w <value>   - Gauge warning threshold');
+        this.info('  -x <value>   - Gauge critical threshold');
+        this.info('  -l <lines>   - Height of chart/log elements');
+        this.info('  -e <expr>    - Expression of a computed element, -s lists its inputs as name=stateId');
         this.info('');
         this.showAvailableTypes();
     }
@@ -331,6 +539,38 @@ export class AddCommand extends BaseCommand {
             });
         }
     }
+
+    // Fetch the current values and history of a freshly added element
+    async syncElement(element) {
+        const client = this.dashboard.client;
+
+        if (element.stateId) {
+            try {
+                const state = await client.getState(element.stateId);
+                if (state) {
+                    element.updateValue(state.val, Date.now());
+                    this.info(`[SYNC] Got current value: ${state.val}`);
+                }
+            } catch (error) {
+                this.warning(`Could not get current state for ${element.stateId}: ${error.message}`);
+            }
+        }
+
+        // Secondary states of compound elements (thermostats, bar charts)
+        const otherIds = element.getStateIds().filter(id => id !== element.stateId);
+        if (otherIds.length > 0) {
+            try {
+                await client.refreshElementStates(otherIds);
+            } catch (error) {
+                this.warning(`Could not get current states for ${element.caption}: ${error.message}`);
+            }
+        }
+
+        // Seed sparklines with logged values
+        if (typeof element.loadHistory === 'function') {
+            this.dashboard.loadElementHistory([element]);
+        }
+    }
 }
 
 export default AddCommand;
\ No newline at end of file
@@ -0,0 +1,150 @@
+import { BaseCommand } from './base-command.js';
+
+export class CacheCommand extends BaseCommand {
+    constructor(dashboard) {
+        super(dashboard);
+    }
+
+    get name() {
+        return 'cache';
+    }
+
+    get aliases() {
+        return [];
+    }
+
+    get description() {
+        return 'Inspect or clear the object metadata and state value cache';
+    }
+
+    get usage() {
+        return '/cache [-l <objects|states>] [-i <stateId>] [-c [objects|states]]';
+    }
+
+    get flagSchema() {
+        return {
+            knownFlags: ['l', 'i', 'c', 'h'],
+            flags: {
+                l: { description: 'List cached objects or states (default: states)' },
+                i: { type: 'string', description: 'Show cached object and state for an ID' },
+                c: { description: 'Clear objects, states or everything (default: everything)' },
+                h: { type: 'boolean', description: 'Show help' }
+            }
+        };
+    }
+
+    get examples() {
+        return [
+            '/cache                           # Show cache statistics',
+            '/cache -l objects                # List cached object metadata',
+            '/cache -i javascript.0.solar.produktion',
+            '/cache -c                        # Clear the whole cache',
+            '/cache -c states                 # Clear only last-known values'
+        ];
+    }
+
+    async run(parsedArgs) {
+        const cache = this.dashboard.cache;
+        if (!cache) {
+            this.error('Cache not available');
+            return;
+        }
+
+        if (parsedArgs.hasFlag('c')) {
+            await this.clearCache(cache, parsedArgs.getFlag('c'));
+            return;
+        }
+
+        if (parsedArgs.hasFlag('i')) {
+            this.inspectEntry(cache, parsedArgs.getFlag('i'));
+            return;
+        }
+
+        if (parsedArgs.hasFlag('l')) {
+            this.listEntries(cache, parsedArgs.getFlag('l'));
+            return;
+        }
+
+        await this.showStats(cache);
+    }
+
+    async showStats(cache) {
+        const stats = await cache.getStats();
+
+        this.info('[CACHE] Cache Status:');
+        this.info(`  Directory: ${stats.cacheDir}`);
+        this.info(`  Objects: ${stats.objects} (${stats.expiredObjects} expired, TTL ${this.formatAge(stats.objectTtl)})`);
+        this.info(`  States: ${stats.states} (${stats.expiredStates} expired, TTL ${this.formatAge(stats.stateTtl)})`);
+        this.info(`  Size on disk: ${(stats.sizeOnDisk / 1024).toFixed(1)} KB`);
+    }
+
+    listEntries(cache, type) {
+        const listType = typeof type === 'string' && type ? type : 'states';
+        if (!['objects', 'states'].includes(listType)) {
+            this.error(`Invalid cache type: ${listType} (use objects or states)`);
+            return;
+        }
+
+        const entries = cache.list(listType);
+        if (entries.length === 0) {
+            this.info(`No cached ${listType}`);
+            return;
+        }
+
+        this.info(`[CACHE] Cached ${listType}:`);
+        entries.forEach(entry => {
+            const detail = listType === 'states'
+                ? `val=${JSON.stringify(entry.data?.val)}`
+                : `${entry.data?.common?.type || '?'}/${entry.data?.common?.role || '?'}`;
+            const expired = entry.expired ? ' [expired]' : '';
+            this.info(`  ${entry.id}: ${detail} (${this.formatAge(entry.age)} old)${expired}`);
+        });
+        this.info(`Total: ${entries.length} ${listType}`);
+    }
+
+    inspectEntry(cache, id) {
+        const object = cache.list('objects').find(entry => entry.id === id);
+        const state = cache.list('states').find(entry => entry.id === id);
+
+        if (!object && !state) {
+            this.warning(`Nothing cached for ${id}`);
+            return;
+        }
+
+        this.info(`[CACHE] ${id}:`);
+        if (object) {
+            const common = object.data?.common || {};
+            this.info(`  Object: type=${common.type}, role=${common.role}, unit=${common.unit || ''}, write=${common.write} (${this.formatAge(object.age)} old)`);
+        }
+        if (state) {
+            this.info(`  State: val=${JSON.stringify(state.data?.val)}, ack=${state.data?.ack} (${this.formatAge(state.age)} old)`);
+        }
+    }
+
+    async clearCache(cache, type) {
+        const clearType = typeof type === 'string' && type ? type : 'all';
+        if (!['all', 'objects', 'states'].includes(clearType)) {
+            this.error(`Invalid cache type: ${clearType} (use objects, states or omit for all)`);
+            return;
+        }
+
+        try {
+            await cache.clear(clearType);
+            this.success(clearType === 'all' ? 'Cache cleared' : `Cleared cached ${clearType}`);
+        } catch (error) {
+            this.error(`Failed to clear cache: ${error.message}`);
+        }
+    }
+
+    // Format milliseconds as a short human readable age
+    formatAge(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return `${Math.floor(ms / 1000)}s`;
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 48) return `${hours}h`;
+        return `${Math.floor(hours / 24)}d`;
+    }
+}
+
+export default CacheCommand;
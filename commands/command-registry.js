@@ -13,6 +13,12 @@ import ThemeCommand from './theme-command.js';
 import MoveCommand from './move-command.js';
 import HotkeyCommand from './hotkey-command.js';
 import { SetCommand } from './set-command.js';
+import CacheCommand from './cache-command.js';
+import EditCommand from './edit-command.js';
+import RestoreCommand from './restore-command.js';
+import ReloadCommand from './reload-command.js';
+import TemplateCommand from './template-command.js';
+import GenerateCommand from './generate-command.js';
 
 export class CommandRegistry {
     constructor(dashboard) {
@@ -31,6 +37,8 @@ export class CommandRegistry {
         this.register(new MoveCommand(this.dashboard));
         this.register(new HotkeyCommand(this.dashboard));
         this.register(new SetCommand(this.dashboard));
+        this.register(new CacheCommand(this.dashboard));
+        this.register(new EditCommand(this.dashboard));
         
         // Register remaining commands
         this.register(new LsCommand(this.dashboard));
@@ -38,6 +46,10 @@ export class CommandRegistry {
         this.register(new StatusCommand(this.dashboard));
         this.register(new LoadCommand(this.dashboard));
         this.register(new SaveCommand(this.dashboard));
+        this.register(new RestoreCommand(this.dashboard));
+        this.register(new ReloadCommand(this.dashboard));
+        this.register(new TemplateCommand(this.dashboard));
+        this.register(new GenerateCommand(this.dashboard));
         this.register(new HelpCommand(this.dashboard));
         this.register(new RenameCommand(this.dashboard));
         this.register(new ClearChatCommand(this.dashboard));
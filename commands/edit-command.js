@@ -0,0 +1,230 @@
+import { BaseCommand } from './base-command.js';
+import { FORMAT_STYLES, DURATION_UNITS } from '../value-formatter.js';
+import { parseColorRules, RULE_COLORS } from '../color-rules.js';
+
+export class EditCommand extends BaseCommand {
+    get name() {
+        return 'edit';
+    }
+
+    get aliases() {
+        return ['e', 'format'];
+    }
+
+    get description() {
+        return 'Change how an element formats and colors its value (decimals, unit scaling, labels, dates, durations, locale, color rules)';
+    }
+
+    get usage() {
+        return '/edit -e <element> [-g <group>] [-d <decimals>] [-a] [-b <labels>] [-f <style>] [-l <locale>] [-u <unit>] [-c <rules>] [-r]';
+    }
+
+    get flagSchema() {
+        return {
+            knownFlags: ['e', 'g', 'd', 'a', 'b', 'f', 'l', 'u', 'c', 'r', 'h'],
+            flags: {
+                e: { type: 'any', required: true, description: 'Element name or number to edit' },
+                g: { type: 'string', description: 'Group of the element (searches all groups if omitted)' },
+                d: { type: 'number', description: 'Decimals (0-10)' },
+                a: { type: 'boolean', description: 'Scale units automatically (W → kW → MW, Wh → kWh), -a false turns it off' },
+                b: { type: 'string', description: 'Value labels: "Open,Closed" for true/false or "0=Off,1=Heat,2=Cool"' },
+                f: { type: 'string', description: `Display style: ${FORMAT_STYLES.join(', ')} (duration:<${Object.keys(DURATION_UNITS).join('|')}>, default s)` },
+                l: { type: 'string', description: 'Locale for decimal separators and dates, e.g. de-DE (-l none resets)' },
+                u: { type: 'string', description: 'Unit shown after the value' },
+                c: { type: 'string', description: `Color rules "<condition> => <color>; ..." checked in order (colors: ${RULE_COLORS.join(', ')}), -c none removes them` },
+                r: { type: 'boolean', description: 'Remove all formatting and color rules' },
+                h: { type: 'boolean', description: 'Show help' }
+            }
+        };
+    }
+
+    get examples() {
+        return [
+            '/edit -e "PV Power" -a -d 2',
+            '/edit -e Window -b "Open,Closed"',
+            '/edit -e Mode -g Heating -b "0=Off,1=Heat,2=Cool"',
+            '/edit -e "Last Motion" -f datetime -l de-DE',
+            '/edit -e Runtime -f duration:min',
+            '/edit -e "Outdoor" -d 1 -l de-DE',
+            '/edit -e "Grid" -c "value > 3000 => warning; value < 0 => charging"',
+            '/edit -e "Adapter" -c "value == \'offline\' => error"',
+            '/edit -e "PV Power"  # Show current formatting',
+            '/edit -e "PV Power" -r'
+        ];
+    }
+
+    async run(parsedArgs) {
+        const elementName = String(parsedArgs.getFlag('e'));
+        const groupName = parsedArgs.hasFlag('g') ? String(parsedArgs.getFlag('g')) : null;
+
+        const target = this.findElement(elementName, groupName);
+        if (!target) return;
+
+        const { group, element } = target;
+        const changes = ['d', 'a', 'b', 'f', 'l', 'u', 'c', 'r'].some(flag => parsedArgs.hasFlag(flag));
+
+        if (!changes) {
+            this.showFormat(element);
+            return;
+        }
+
+        const update = {};
+        try {
+            if (['d', 'a', 'b', 'f', 'l', 'r'].some(flag => parsedArgs.hasFlag(flag))) {
+                update.format = this.buildFormat(element, parsedArgs);
+            }
+            if (parsedArgs.hasFlag('r')) {
+                update.colorRules = null;
+            } else if (parsedArgs.hasFlag('c')) {
+                const rules = String(parsedArgs.getFlag('c'));
+                update.colorRules = rules === 'none' ? null : parseColorRules(rules);
+            }
+        } catch (error) {
+            this.error(error.message);
+            return;
+        }
+
+        if (parsedArgs.hasFlag('u')) {
+            update.unit = String(parsedArgs.getFlag('u'));
+        }
+        const result = await this.tools.formatElement(group.id, element.id, update);
+
+        if (result.success) {
+            this.success(`[FORMAT] "${element.caption}": ${this.describeFormat(result.format)}`);
+            if (result.colorRules) {
+                this.info(`  Colors: ${this.describeColorRules(result.colorRules)}`);
+            }
+            this.forceRerender();
+        } else {
+            this.error(`Failed to edit element: ${result.error}`);
+        }
+    }
+
+    // Current rules with the changes from the flags applied
+    buildFormat(element, parsedArgs) {
+        if (parsedArgs.hasFlag('r')) {
+            return null;
+        }
+
+        const format = element.format && typeof element.format === 'object' ? { ...element.format } : {};
+
+        if (parsedArgs.hasFlag('d')) {
+            format.decimals = parsedArgs.getFlag('d');
+        }
+        if (parsedArgs.hasFlag('a')) {
+            format.scale = parsedArgs.getFlag('a') !== false;
+        }
+        if (parsedArgs.hasFlag('b')) {
+            format.labels = this.parseLabels(String(parsedArgs.getFlag('b')));
+        }
+        if (parsedArgs.hasFlag('f')) {
+            const [style, durationUnit] = String(parsedArgs.getFlag('f')).split(':');
+            format.style = style;
+            delete format.durationUnit;
+            if (durationUnit) {
+                format.durationUnit = durationUnit;
+            }
+        }
+        if (parsedArgs.hasFlag('l')) {
+            const locale = String(parsedArgs.getFlag('l'));
+            format.locale = locale === 'none' ? undefined : locale;
+        }
+
+        return format;
+    }
+
+    // "Open,Closed" labels true/false, "0=Off,1=On" labels each value
+    parseLabels(text) {
+        const entries = text.split(',').map(entry => entry.trim()).filter(Boolean);
+
+        if (entries.length > 0 && entries.every(entry => entry.includes('='))) {
+            return Object.fromEntries(entries.map(entry => {
+                const separator = entry.indexOf('=');
+                return [entry.substring(0, separator).trim(), entry.substring(separator + 1).trim()];
+            }));
+        }
+
+        if (entries.length === 2) {
+            return { true: entries[0], false: entries[1] };
+        }
+
+        throw new Error('Labels must be "<true label>,<false label>" or "value=label,..."');
+    }
+
+    describeFormat(format) {
+        if (!format) return 'default formatting';
+        if (typeof format === 'function') return 'custom formatting function';
+
+        const parts = [];
+        if (format.decimals !== undefined) parts.push(`${format.decimals} decimals`);
+        if (format.scale) parts.push('auto unit scaling');
+        if (format.labels) parts.push(`labels ${Object.entries(format.labels).map(([value, label]) => `${value}=${label}`).join(', ')}`);
+        if (format.style) parts.push(format.style === 'duration' ? `duration in ${format.durationUnit || 's'}` : format.style);
+        if (format.locale) parts.push(`locale ${format.locale}`);
+        return parts.join(', ');
+    }
+
+    describeColorRules(rules) {
+        return rules.map(rule => `${rule.when} => ${rule.color}`).join('; ');
+    }
+
+    showFormat(element) {
+        this.info(`Formatting of "${element.caption}" (${element.type}${element.unit ? `, unit ${element.unit}` : ''}): ${this.describeFormat(element.format)}`);
+        if (element.colorRules) {
+            this.info(`  Colors: ${this.describeColorRules(element.colorRules)}`);
+        }
+        if (element.value !== null && element.value !== undefined) {
+            this.info(`  Current value: ${element.formatValue()}`);
+        }
+    }
+
+    // Element by name (or 1-based number) in one or all groups
+    findElement(elementName, groupName) {
+        const groups = this.tools.listGroups();
+        const candidates = groupName
+            ? groups.filter(g => g.title.toLowerCase().includes(groupName.toLowerCase()) || g.id === groupName)
+            : groups;
+
+        if (groupName && candidates.length === 0) {
+            this.error(`Group not found: "${groupName}"`);
+            return null;
+        }
+
+        const matches = [];
+        for (const group of candidates) {
+            const elementNumber = parseInt(elementName);
+            const element = group.elements.find(e => e.caption.toLowerCase() === elementName.toLowerCase()) ||
+                group.elements.find(e => e.caption.toLowerCase().includes(elementName.toLowerCase())) ||
+                (groupName && !isNaN(elementNumber) ? group.elements[elementNumber - 1] : null);
+            if (element) {
+                matches.push({ group, id: element.id });
+            }
+        }
+
+        if (matches.length === 0) {
+            this.error(`Element not found: "${elementName}"`);
+            return null;
+        }
+
+        if (matches.length > 1) {
+            this.warning(`Multiple elements found with name "${elementName}":`);
+            matches.forEach((match, index) => {
+                this.info(`  ${index + 1}. in group "${match.group.title}"`);
+            });
+            this.info('Please specify the group with: /edit -e "name" -g "group" ...');
+            return null;
+        }
+
+        const { group, id } = matches[0];
+        const element = this.tools.layoutEngine.getGroup(group.id).elements.find(e => e.id === id);
+        return { group, element };
+    }
+
+    forceRerender() {
+        this.dashboard.renderer.initialized = false;
+        this.dashboard.renderer.elementPositions.clear();
+        this.render();
+    }
+}
+
+export default EditCommand;
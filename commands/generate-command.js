@@ -0,0 +1,170 @@
+import { BaseCommand } from './base-command.js';
+import { DashboardGenerator, parseRolePatterns } from '../dashboard-generator.js';
+
+// Elements and excluded states listed per preview before "... and N more"
+const PREVIEW_LIMIT = 10;
+
+export class GenerateCommand extends BaseCommand {
+    get name() {
+        return 'generate';
+    }
+
+    get aliases() {
+        return ['gen'];
+    }
+
+    get description() {
+        return 'Generate a dashboard from the rooms and functions defined in ioBroker';
+    }
+
+    get usage() {
+        return '/generate [-r <rooms>] [-f <functions>] [-b <room|function>] [-i <roles>] [-x <roles>] [-s <filename>] [-l]';
+    }
+
+    get flagSchema() {
+        return {
+            knownFlags: ['r', 'f', 'b', 'i', 'x', 's', 'l', 'h'],
+            flags: {
+                r: { type: 'string', description: 'Only these rooms (comma separated, enum ID or name)' },
+                f: { type: 'string', description: 'Only these functions (comma separated, enum ID or name)' },
+                b: { type: 'string', description: 'Group by "room" or "function" (default: function for -r, else room)' },
+                i: { type: 'string', description: 'Use only states with these roles, * as wildcard (e.g. "switch*,value.temperature")' },
+                x: { type: 'string', description: 'Leave out states with these roles, * as wildcard' },
+                s: { type: 'string', description: 'Write the previewed dashboard to this new file' },
+                l: { type: 'boolean', description: 'List rooms and functions' },
+                h: { type: 'boolean', description: 'Show help' }
+            }
+        };
+    }
+
+    get examples() {
+        return [
+            '/generate                         # Preview a dashboard with one group per room',
+            '/generate -f light                # Preview the lights, grouped by room',
+            '/generate -r living_room          # Preview one room, grouped by function',
+            '/generate -f heating -x "value.valve*"',
+            '/generate -f light -s "lights"    # Write the previewed dashboard to lights.json',
+            '/generate -l                      # List rooms and functions'
+        ];
+    }
+
+    async run(parsedArgs) {
+        const client = this.dashboard.client;
+        if (!client || !client.isConnected()) {
+            this.error('Not connected to ioBroker - /generate reads rooms and functions from ioBroker');
+            return;
+        }
+
+        const generator = new DashboardGenerator(client);
+
+        if (parsedArgs.hasFlag('l')) {
+            await this.listEnums(generator);
+            return;
+        }
+
+        const options = {
+            rooms: this.parseList(parsedArgs.getFlag('r')),
+            functions: this.parseList(parsedArgs.getFlag('f')),
+            groupBy: parsedArgs.hasFlag('b') ? String(parsedArgs.getFlag('b')).toLowerCase() : undefined,
+            include: parseRolePatterns(parsedArgs.getFlag('i')),
+            exclude: parseRolePatterns(parsedArgs.getFlag('x'))
+        };
+
+        this.info('[GENERATE] Reading rooms and functions from ioBroker...');
+
+        let result;
+        try {
+            result = await generator.generate(options);
+        } catch (error) {
+            this.error(`Generate failed: ${error.message}`);
+            return;
+        }
+
+        this.showPreview(result);
+
+        const elementCount = result.config.groups.reduce((total, group) => total + group.elements.length, 0);
+        if (elementCount === 0) {
+            this.warning('No states matched - check the rooms, functions and role filters (-i/-x)');
+            return;
+        }
+
+        if (!parsedArgs.hasFlag('s')) {
+            this.info('');
+            this.info('Nothing written yet - add -s "<filename>" to write this dashboard to a new file');
+            return;
+        }
+
+        // Names without extension keep an existing .yaml/.yml file, new files default to .json
+        const configManager = this.dashboard.configManager;
+        const filename = await configManager.resolveDashboardFile(String(parsedArgs.getFlag('s')));
+        const created = await configManager.createConfigFile(filename, result.config);
+
+        if (!created.success) {
+            this.error(`Write failed: ${created.error}`);
+            return;
+        }
+
+        this.success(`Wrote ${created.filename} with ${result.config.groups.length} groups and ${elementCount} elements`);
+        this.info(`Open it with: /load -f "${created.filename}"`);
+    }
+
+    parseList(value) {
+        if (typeof value !== 'string') return [];
+        return value.split(',').map(part => part.trim()).filter(Boolean);
+    }
+
+    showPreview(result) {
+        const { config, analyzed, excluded } = result;
+        const elementCount = config.groups.reduce((total, group) => total + group.elements.length, 0);
+
+        this.info(`[PREVIEW] ${config.name}: ${config.groups.length} groups, ${elementCount} elements (grouped by ${result.groupBy})`);
+        this.info(`[FILTER] ${analyzed} states analyzed, ${excluded.length} excluded`);
+
+        config.groups.forEach(group => {
+            this.info('');
+            this.info(`  [GROUP] ${group.title}:`);
+            group.elements.slice(0, PREVIEW_LIMIT).forEach(element => {
+                this.info(`    - ${element.caption} (${element.type}) - ${element.stateId}`);
+            });
+            if (group.elements.length > PREVIEW_LIMIT) {
+                this.info(`    ... and ${group.elements.length - PREVIEW_LIMIT} more`);
+            }
+        });
+
+        if (excluded.length > 0) {
+            this.info('');
+            this.info('Excluded states:');
+            excluded.slice(0, PREVIEW_LIMIT).forEach(exclusion => {
+                this.info(`  - ${exclusion.stateId}: ${exclusion.reason}`);
+            });
+            if (excluded.length > PREVIEW_LIMIT) {
+                this.info(`  ... and ${excluded.length - PREVIEW_LIMIT} more`);
+            }
+        }
+    }
+
+    async listEnums(generator) {
+        let enums;
+        try {
+            enums = await generator.loadEnums();
+        } catch (error) {
+            this.error(`Error reading enums: ${error.message}`);
+            return;
+        }
+
+        for (const [label, list] of [['ROOMS', enums.rooms], ['FUNCTIONS', enums.functions]]) {
+            this.info(`[${label}]`);
+            if (list.length === 0) {
+                this.info('  none defined in ioBroker');
+            }
+            list.forEach(entry => {
+                this.info(`  ${entry.key} - ${entry.name} (${entry.members.length} members)`);
+            });
+            this.info('');
+        }
+
+        this.info('Preview with: /generate -r <room> or /generate -f <function>');
+    }
+}
+
+export default GenerateCommand;
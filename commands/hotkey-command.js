@@ -39,6 +39,7 @@ export class HotkeyCommand extends BaseCommand {
             '/hotkey -l',
             '/hotkey -n 1 -f solar-dashboard.json',
             '/hotkey -n 3 -f system-status.json',
+            '/hotkey -n 4 -f kitchen.yaml',
             '/hotkey -c 1'
         ];
     }
@@ -120,6 +121,9 @@ export class HotkeyCommand extends BaseCommand {
                 return;
             }
             this.info(`Using currently open dashboard: ${filename}`);
+        } else {
+            // Names without extension pick an existing .json, .yaml or .yml file
+            filename = await this.dashboard.configManager.resolveDashboardFile(filename);
         }
 
         // Check if dashboard file exists
@@ -32,7 +32,8 @@ export class LoadCommand extends BaseCommand {
     get examples() {
         return [
             '/load                     # Load default configuration',
-            '/load -f "dashboard1"     # Load dashboard1.json',
+            '/load -f "dashboard1"     # Load dashboard1.json (or .yaml/.yml)',
+            '/load -f "kitchen.yaml"   # Load a YAML dashboard',
             '/load -f "backup.json"    # Load specific configuration',
             '/load -l                  # List available configurations',
             '/load -d "dashboard1"     # Set dashboard1.json as default'
@@ -56,12 +57,10 @@ export class LoadCommand extends BaseCommand {
         // Handle load file flag or default load
         let filename = parsedArgs.getFlag('f') || null; // null for default
         
-        // Auto-append .json extension if not present
-        if (filename && !filename.endsWith('.json')) {
-            filename = filename + '.json';
-        }
-        
         try {
+            // Names without extension pick an existing .json, .yaml or .yml file
+            filename = await this.dashboard.configManager.resolveDashboardFile(filename);
+            
             // Load the configuration directly through config manager
             const result = await this.dashboard.configManager.load(filename);
             
@@ -125,9 +124,7 @@ export class LoadCommand extends BaseCommand {
 
     async setDefaultConfiguration(filename) {
         try {
-            if (!filename.endsWith('.json')) {
-                filename = filename + '.json';
-            }
+            filename = await this.dashboard.configManager.resolveDashboardFile(filename);
 
             // Check if file exists first
             const result = await this.dashboard.configManager.listConfigs();
@@ -140,7 +137,7 @@ export class LoadCommand extends BaseCommand {
             if (!exists) {
                 this.error(`Configuration file not found: ${filename}`);
                 this.info('Available configurations:');
-                configs.forEach(c => this.info(`  - ${c.filename}`));
+                result.configs.forEach(c => this.info(`  - ${c.filename}`));
                 return;
             }
 
@@ -23,7 +23,7 @@ export class LsCommand extends BaseCommand {
             flags: {
                 g: { type: 'boolean', description: 'List groups' },
                 e: { type: 'string', description: 'List elements in specified group (or all if no group given)' },
-                c: { type: 'boolean', description: 'List saved configurations' },
+                c: { type: 'boolean', description: 'List saved configurations and the library groups they include' },
                 h: { type: 'boolean', description: 'Show help' }
             }
         };
@@ -34,7 +34,7 @@ export class LsCommand extends BaseCommand {
             '/ls -g                    # List all groups',
             '/ls -e                   # List all elements',
             '/ls -e "Solar System"    # List elements in specific group',
-            '/ls -c                   # List saved configurations',
+            '/ls -c                   # List saved configurations and shared library groups',
             '/ls -g -e                # List both groups and elements'
         ];
     }
@@ -99,7 +99,8 @@ export class LsCommand extends BaseCommand {
             
             groups.forEach((group, index) => {
                 const elementText = group.elements.length === 1 ? 'element' : 'elements';
-                this.info(`  ${index + 1}. ${group.title} (${group.elements.length} ${elementText})`);
+                const library = group.include ? ` [library: ${group.include}]` : '';
+                this.info(`  ${index + 1}. ${group.title} (${group.elements.length} ${elementText})${library}`);
             });
             
             this.info('');
@@ -202,15 +203,48 @@ export class LsCommand extends BaseCommand {
                     this.info(`     Updated: ${new Date(config.updated).toLocaleString()}`);
                 }
                 this.info(`     Groups: ${config.groupCount}, Elements: ${config.elementCount}`);
+                if (config.includes?.length > 0) {
+                    this.info(`     Library groups: ${config.includes.join(', ')}`);
+                }
             });
             
             this.info('');
             this.info(`Total: ${configs.length} configurations`);
             this.info('Load with: /load -f "filename"');
+            
+            await this.listLibraryGroups();
         } catch (error) {
             this.error(`Error listing configurations: ${error.message}`);
         }
     }
+
+    async listLibraryGroups() {
+        const result = await this.dashboard.configManager.listLibraryGroups();
+        
+        if (!result.success) {
+            this.error(`Error listing library groups: ${result.error}`);
+            return;
+        }
+        
+        if (result.groups.length === 0) {
+            return;
+        }
+        
+        this.info('');
+        this.info('[LIBRARY] Shared Groups:');
+        this.info('');
+        
+        result.groups.forEach((group, index) => {
+            const content = group.error
+                ? `unreadable: ${group.error}`
+                : `${group.title}, ${group.elementCount} ${group.elementCount === 1 ? 'element' : 'elements'}`;
+            this.info(`  ${index + 1}. ${group.filename} (${content})`);
+            this.info(`     Used by: ${group.usedBy.length > 0 ? group.usedBy.join(', ') : 'no dashboard'}`);
+        });
+        
+        this.info('');
+        this.info('Include in a dashboard with: { "include": "groups/<name>" }');
+    }
 }
 
 export default LsCommand;
\ No newline at end of file
@@ -0,0 +1,92 @@
+import { BaseCommand } from './base-command.js';
+
+export class ReloadCommand extends BaseCommand {
+    get name() {
+        return 'reload';
+    }
+
+    get aliases() {
+        return ['rl'];
+    }
+
+    get description() {
+        return 'Reload the dashboard from disk or settle a conflict with outside edits';
+    }
+
+    get usage() {
+        return '/reload [-k <disk|mine>]';
+    }
+
+    get flagSchema() {
+        return {
+            knownFlags: ['k', 'h'],
+            flags: {
+                k: { type: 'string', description: 'Version to keep: "disk" loads the file, "mine" overwrites it with the dashboard on screen' },
+                h: { type: 'boolean', description: 'Show help' }
+            }
+        };
+    }
+
+    get examples() {
+        return [
+            '/reload                   # Reload the current dashboard from disk',
+            '/reload -k disk           # Discard unsaved changes and load the edited file',
+            '/reload -k mine           # Keep unsaved changes and overwrite the edited file'
+        ];
+    }
+
+    async run(parsedArgs) {
+        const configManager = this.dashboard.configManager;
+        const keep = parsedArgs.hasFlag('k') ? String(parsedArgs.getFlag('k')).toLowerCase() : null;
+
+        if (keep && !['disk', 'mine'].includes(keep)) {
+            this.error(`Unknown choice "${keep}" - use -k disk or -k mine`);
+            return;
+        }
+
+        let result;
+        if (configManager.conflict) {
+            if (!keep) {
+                this.showConflict(configManager.conflict.filename);
+                return;
+            }
+            result = await configManager.resolveConflict(keep === 'mine' ? 'memory' : 'disk');
+        } else {
+            if (keep === 'mine') {
+                this.info('No conflict - nothing to overwrite');
+                return;
+            }
+            if (configManager.isDirty && keep !== 'disk') {
+                this.warning('Unsaved changes would be lost - use /reload -k disk to discard them');
+                return;
+            }
+            result = await configManager.load(configManager.currentLayout);
+        }
+
+        if (!result.success) {
+            this.error(`Reload failed: ${result.error}`);
+            return;
+        }
+
+        if (keep === 'mine') {
+            this.success(`Kept your changes and saved ${result.filename} (the edited file is kept as a backup, see /restore)`);
+            return;
+        }
+
+        await this.dashboard.connectElementsToClient();
+
+        // Force a complete re-render by resetting the renderer
+        this.dashboard.renderer.initialized = false;
+        this.dashboard.renderer.elementPositions.clear();
+        this.render();
+        this.success(`Reloaded ${result.filename} from disk`);
+    }
+
+    showConflict(filename) {
+        this.warning(`[CONFLICT] ${filename} was changed outside the app while the dashboard has unsaved changes`);
+        this.info('  /reload -k disk   # Discard your changes and load the edited file');
+        this.info('  /reload -k mine   # Keep your changes and overwrite the edited file');
+    }
+}
+
+export default ReloadCommand;
@@ -0,0 +1,105 @@
+import { BaseCommand } from './base-command.js';
+
+export class RestoreCommand extends BaseCommand {
+    get name() {
+        return 'restore';
+    }
+
+    get aliases() {
+        return ['rs'];
+    }
+
+    get description() {
+        return 'List and restore previous versions of a dashboard file';
+    }
+
+    get usage() {
+        return '/restore [-f <filename>] [-v <version>]';
+    }
+
+    get flagSchema() {
+        return {
+            knownFlags: ['f', 'v', 'h'],
+            flags: {
+                f: { type: 'string', description: 'Dashboard file (default: current dashboard)' },
+                v: { type: 'number', description: 'Version to restore, 1 is the newest backup (lists versions if omitted)' },
+                h: { type: 'boolean', description: 'Show help' }
+            }
+        };
+    }
+
+    get examples() {
+        return [
+            '/restore                  # List backups of the current dashboard',
+            '/restore -f "kitchen"     # List backups of kitchen.json',
+            '/restore -v 1             # Restore the newest backup of the current dashboard',
+            '/restore -f "kitchen" -v 3'
+        ];
+    }
+
+    async run(parsedArgs) {
+        let filename = parsedArgs.getFlag('f') || null; // null for current config
+
+        // Names without extension pick an existing .json, .yaml or .yml file
+        filename = await this.dashboard.configManager.resolveDashboardFile(filename);
+
+        if (!parsedArgs.hasFlag('v')) {
+            await this.listBackups(filename);
+            return;
+        }
+
+        const version = parsedArgs.getFlag('v');
+        if (!Number.isInteger(version) || version < 1) {
+            this.error('Version must be a whole number from 1 (newest backup)');
+            return;
+        }
+
+        const configManager = this.dashboard.configManager;
+        const result = await configManager.restoreBackup(filename, version);
+
+        if (!result.success) {
+            this.error(`Restore failed: ${result.error}`);
+            return;
+        }
+
+        if (result.reloaded) {
+            await this.dashboard.connectElementsToClient();
+
+            // Force a complete re-render by resetting the renderer
+            this.dashboard.renderer.initialized = false;
+            this.dashboard.renderer.elementPositions.clear();
+            this.render();
+        }
+
+        this.success(`Restored ${result.filename} from ${result.date.toLocaleString()}`);
+        this.info('The replaced version was kept as the newest backup');
+    }
+
+    async listBackups(filename) {
+        const result = await this.dashboard.configManager.listBackups(filename);
+
+        if (!result.success) {
+            this.error(`Error listing backups: ${result.error}`);
+            return;
+        }
+
+        if (result.backups.length === 0) {
+            this.warning(`No backups found for ${result.filename}`);
+            this.info('Backups are created automatically when a dashboard is saved');
+            return;
+        }
+
+        this.info(`[BACKUPS] Previous versions of ${result.filename}:`);
+        result.backups.forEach(backup => {
+            const content = backup.invalid
+                ? 'unreadable'
+                : `${backup.groupCount} groups, ${backup.elementCount} elements`;
+            const migration = backup.migratedFrom ? `, before upgrade from v${backup.migratedFrom}` : '';
+            this.info(`  ${backup.version}. ${backup.date.toLocaleString()} (${content}${migration})`);
+        });
+        this.info('');
+        this.info(`Restore with: /restore -f "${result.filename}" -v <version>`);
+    }
+}
+
+export default RestoreCommand;
@@ -33,6 +33,7 @@ export class SaveCommand extends BaseCommand {
             '/save                     # Save to current configuration',
             '/save -f "dashboard1"     # Save as dashboard1.json',
             '/save -f "backup.json"    # Save to specific file',
+            '/save -f "kitchen.yaml"   # Save as YAML',
             '/save -d                  # Save as default configuration',
             '/save -f "new" -d         # Save as new.json and set as default'
         ];
@@ -42,12 +43,10 @@ export class SaveCommand extends BaseCommand {
         let filename = parsedArgs.getFlag('f') || null; // null for current config
         const setDefault = parsedArgs.hasFlag('d');
         
-        // Auto-append .json extension if not present
-        if (filename && !filename.endsWith('.json')) {
-            filename = filename + '.json';
-        }
-        
         try {
+            // Names without extension keep an existing .yaml/.yml file, new files default to .json
+            filename = await this.dashboard.configManager.resolveDashboardFile(filename);
+            
             const result = await this.tools.saveLayout(filename);
             
             if (result.success) {
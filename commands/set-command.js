@@ -80,7 +80,7 @@ export class SetCommand extends BaseCommand {
             'Layout': ['layout.columns', 'layout.padding', 'layout.rowSpacing', 'layout.showBorders', 'layout.responsive', 'layout.minGroupWidth'],
             'Theme': ['theme.name'],
             'Dashboard': ['dashboard.auto_save', 'dashboard.config_dir', 'dashboard.default_layout'],
-            'ioBroker': ['iobroker.url', 'iobroker.namespace'],
+            'ioBroker': ['iobroker.url', 'iobroker.namespace', 'iobroker.user', 'iobroker.password', 'iobroker.token'],
             'MCP': ['mcp.server_url']
         };
 
@@ -89,7 +89,7 @@ export class SetCommand extends BaseCommand {
             for (const key of keys) {
                 if (this.dashboard.settings.has(key)) {
                     const value = this.dashboard.settings.get(key);
-                    this.info(`  ${key} = ${JSON.stringify(value)}`);
+                    this.info(`  ${key} = ${this.formatValue(key, value)}`);
                 }
             }
             this.info('');
@@ -103,7 +103,16 @@ export class SetCommand extends BaseCommand {
         }
 
         const value = this.dashboard.settings.get(key);
-        this.info(`${key} = ${JSON.stringify(value)}`);
+        this.info(`${key} = ${this.formatValue(key, value)}`);
+    }
+
+    // Format a setting for display, hiding secrets
+    formatValue(key, value) {
+        const secretKeys = ['iobroker.password', 'iobroker.token'];
+        if (secretKeys.includes(key) && value) {
+            return '"********"';
+        }
+        return JSON.stringify(value);
     }
 
     async setConfigValue(key, value) {
@@ -117,7 +126,7 @@ export class SetCommand extends BaseCommand {
             // Apply side effects
             await this.applySideEffects(key, validatedValue);
             
-            this.success(`Set ${key} = ${JSON.stringify(validatedValue)}`);
+            this.success(`Set ${key} = ${this.formatValue(key, validatedValue)}`);
             
         } catch (error) {
             this.error(error.message);
@@ -227,6 +236,22 @@ export class SetCommand extends BaseCommand {
             }
         }
         
+        // Credentials are picked up on the next (re)connect
+        if (['iobroker.user', 'iobroker.password', 'iobroker.token'].includes(key)) {
+            if (this.dashboard.client && this.dashboard.getIoBrokerAuth) {
+                this.dashboard.client.config.auth = this.dashboard.getIoBrokerAuth();
+                
+                if (this.dashboard.client.isConnected()) {
+                    this.info('ioBroker credentials will be used on the next connect');
+                } else {
+                    // Offline (e.g. login was rejected at startup) - retry right away
+                    this.info('Reconnecting to ioBroker with new credentials...');
+                    this.dashboard.client.connect()
+                        .catch(error => this.warning(`Connection failed: ${error.message}`));
+                }
+            }
+        }
+        
         // Theme changes apply immediately (handled by theme system)
         if (key === 'theme.name') {
             // Theme changes are handled by the theme command system
@@ -253,5 +278,7 @@ export class SetCommand extends BaseCommand {
         this.info('  layout.padding        Space between columns (0-5)');
         this.info('  layout.rowSpacing     Space between rows (0-5)');
         this.info('  theme.name            Color theme (default, dark, light, etc.)');
+        this.info('  iobroker.user         Login user for secured socketio/web adapters');
+        this.info('  iobroker.password     Login password (hidden in listings)');
     }
 }
\ No newline at end of file
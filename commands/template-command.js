@@ -0,0 +1,165 @@
+import { BaseCommand } from './base-command.js';
+import { getTemplateVariables } from '../dashboard-templates.js';
+
+export class TemplateCommand extends BaseCommand {
+    get name() {
+        return 'template';
+    }
+
+    get aliases() {
+        return ['tpl'];
+    }
+
+    get description() {
+        return 'Create groups from a dashboard template with variables';
+    }
+
+    get usage() {
+        return '/template [-l] [-n <template>] [-v <name=value,...>] [-f <filename>]';
+    }
+
+    get flagSchema() {
+        return {
+            knownFlags: ['l', 'n', 'v', 'f', 'h'],
+            flags: {
+                l: { type: 'boolean', description: 'List available templates' },
+                n: { type: 'string', description: 'Template to apply' },
+                v: { type: 'string', description: 'Template variables as name=value pairs, separated by commas' },
+                f: { type: 'string', description: 'Create a new dashboard file instead of adding to the current dashboard' },
+                h: { type: 'boolean', description: 'Show help' }
+            }
+        };
+    }
+
+    get examples() {
+        return [
+            '/template -l                                              # List templates and their variables',
+            '/template -n temperature                                  # Show the variables of a template',
+            '/template -n temperature -v "room=Kitchen,device=zigbee.0.kitchen_climate"',
+            '/template -n system -v "adapter=admin.0,name=Admin"       # Add an alive indicator to System Status',
+            '/template -n solar -f "energy"                            # Create energy.json from the solar template'
+        ];
+    }
+
+    async run(parsedArgs) {
+        if (parsedArgs.hasFlag('l') || !parsedArgs.hasFlag('n')) {
+            await this.listTemplates();
+            return;
+        }
+
+        const configManager = this.dashboard.configManager;
+        const name = String(parsedArgs.getFlag('n'));
+
+        const values = this.parseVariables(parsedArgs.getFlag('v'));
+        if (values.error) {
+            this.error(values.error);
+            return;
+        }
+
+        let template;
+        try {
+            template = await configManager.getTemplate(name);
+        } catch (error) {
+            this.error(error.message);
+            return;
+        }
+
+        // Without variables, show what a template with required variables needs
+        const required = getTemplateVariables(template).filter(variable => variable.required);
+        if (!parsedArgs.hasFlag('v') && required.length > 0) {
+            this.showTemplate(template);
+            return;
+        }
+
+        let filename = null;
+        if (parsedArgs.hasFlag('f')) {
+            // Names without extension keep an existing .yaml/.yml file, new files default to .json
+            filename = await configManager.resolveDashboardFile(String(parsedArgs.getFlag('f')));
+        }
+
+        const result = await configManager.applyTemplate(name, values.values, { filename });
+        if (!result.success) {
+            this.error(`Template failed: ${result.error}`);
+            return;
+        }
+
+        const elementCount = result.groups.reduce((total, group) => total + group.elements.length, 0);
+        const groups = result.groups.map(group => group.title).join(', ');
+
+        if (filename) {
+            this.success(`Created ${result.filename} from template ${name} (${groups}, ${elementCount} elements)`);
+            this.info(`Open it with: /load -f "${result.filename}"`);
+            return;
+        }
+
+        await this.dashboard.connectElementsToClient();
+        this.render();
+        this.success(`Added template ${name}: ${groups} (${elementCount} elements)`);
+    }
+
+    // "room=Kitchen,device=zigbee.0.kitchen" -> { room: 'Kitchen', device: 'zigbee.0.kitchen' }
+    parseVariables(spec) {
+        const values = {};
+        if (spec === null || spec === undefined || spec === true) {
+            return { values };
+        }
+
+        for (const entry of String(spec).split(',').map(part => part.trim()).filter(Boolean)) {
+            const separator = entry.indexOf('=');
+            const name = separator > 0 ? entry.substring(0, separator).trim() : '';
+
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                return { error: `Invalid variable "${entry}" - use name=value` };
+            }
+            values[name] = entry.substring(separator + 1).trim();
+        }
+
+        return { values };
+    }
+
+    async listTemplates() {
+        const result = await this.dashboard.configManager.listTemplates();
+
+        if (!result.success) {
+            this.error(`Error listing templates: ${result.error}`);
+            return;
+        }
+
+        this.info('[TEMPLATES] Available Templates:');
+        this.info('');
+
+        result.templates.forEach((template, index) => {
+            const source = template.builtIn ? 'built-in' : template.filename;
+            if (template.error) {
+                this.info(`  ${index + 1}. ${template.name} (${source}, unreadable: ${template.error})`);
+                return;
+            }
+            this.info(`  ${index + 1}. ${template.name} (${source}) - ${template.description}`);
+            const variables = getTemplateVariables(template)
+                .map(variable => (variable.required ? variable.name : `${variable.name}=${variable.default}`));
+            if (variables.length > 0) {
+                this.info(`     Variables: ${variables.join(', ')}`);
+            }
+        });
+
+        this.info('');
+        this.info('Apply with: /template -n <template> -v "name=value,..." [-f <new file>]');
+    }
+
+    showTemplate(template) {
+        this.info(`[TEMPLATE] ${template.name}: ${template.description}`);
+        getTemplateVariables(template).forEach(variable => {
+            const value = variable.required ? 'required' : `default: ${variable.default}`;
+            this.info(`  ${variable.name} (${value}) ${variable.description}`);
+        });
+
+        const example = getTemplateVariables(template)
+            .filter(variable => variable.required)
+            .map(variable => `${variable.name}=...`)
+            .join(',');
+        this.info('');
+        this.info(`Apply with: /template -n ${template.name} -v "${example}"`);
+    }
+}
+
+export default TemplateCommand;
@@ -1,8 +1,13 @@
 import fs from 'fs/promises';
+import { watch } from 'fs';
 import path from 'path';
 import os from 'os';
 import { EventEmitter } from 'events';
 import { createElement } from './dashboard-elements.js';
+import { DASHBOARD_SCHEMA_VERSION, migrateDashboard, validateDashboard, validateGroup, isGroupInclude, isKnownElementType, formatValidationErrors } from './dashboard-schema.js';
+import { BUILT_IN_TEMPLATES, normalizeTemplate, instantiateTemplate } from './dashboard-templates.js';
+import { DASHBOARD_EXTENSIONS, isDashboardFile, isYamlFile, getDashboardExtension, getDashboardName, parseDashboard, stringifyDashboard } from './dashboard-format.js';
+import { writeFileAtomic } from './atomic-file.js';
 
 // User data directory in user space
 const USER_DATA_DIR = path.join(os.homedir(), '.iobroker-dashboard-cli');
@@ -15,9 +20,15 @@ class ConfigManager extends EventEmitter {
             configDir: options.configDir || path.join(USER_DATA_DIR, 'dashboard-configs'),
             defaultConfig: options.defaultConfig || 'default.json',
             settingsFile: options.settingsFile || path.join(USER_DATA_DIR, 'settings.json'),
+            backupDir: options.backupDir || path.join(USER_DATA_DIR, 'dashboard-backups'),
+            groupLibraryDir: options.groupLibraryDir || 'groups', // shared groups, relative to configDir
+            templatesDir: options.templatesDir || path.join(USER_DATA_DIR, 'templates'),
+            maxBackups: options.maxBackups || 10, // backups kept per dashboard
+            backupInterval: options.backupInterval ?? 5 * 60 * 1000, // 5 minutes between automatic backups
             userDataDir: USER_DATA_DIR,
             autoSave: options.autoSave !== false, // default true
             autoSaveDelay: options.autoSaveDelay || 5000, // 5 seconds
+            watchDebounce: options.watchDebounce ?? 300, // editors write files in several steps
             ...options
         };
         
@@ -25,6 +36,18 @@ class ConfigManager extends EventEmitter {
         this.layoutEngine = null;
         this.autoSaveTimeout = null;
         this.isDirty = false;
+        
+        // Outside edits: content of the active dashboard and settings.json as last read or written
+        this.lastKnownContent = null;
+        this.lastSettingsContent = null;
+        this.conflict = null;
+        this.watchers = [];
+        this.libraryWatchers = []; // only used without recursive fs.watch support
+        this.recursiveWatch = null;
+        
+        // Library groups included by the active dashboard: include -> { filename, definition, content, snapshot }
+        this.includedGroups = new Map();
+        this.watchTimers = new Map();
     }
 
     // Initialize config manager with layout engine
@@ -64,7 +87,7 @@ class ConfigManager extends EventEmitter {
         }
         
         this.autoSaveTimeout = setTimeout(async () => {
-            if (this.isDirty) {
+            if (this.isDirty && !this.conflict) {
                 await this.save();
             }
         }, this.config.autoSaveDelay);
@@ -76,23 +99,13 @@ class ConfigManager extends EventEmitter {
             throw new Error('Layout engine not initialized');
         }
         
-        const groups = this.layoutEngine.groups.map(group => ({
-            id: group.id,
-            title: group.title,
-            elements: group.elements.map(element => ({
-                id: element.id,
-                type: element.type,
-                caption: element.caption,
-                stateId: element.stateId,
-                unit: element.unit || '',
-                min: element.min,
-                max: element.max,
-                interactive: element.interactive !== false
-            }))
-        }));
+        // Included groups are saved as a reference, their content goes to the library file
+        const groups = this.layoutEngine.groups.map(group => (
+            group.include ? { include: group.include } : this.createGroupConfig(group)
+        ));
         
         return {
-            version: '1.0.0',
+            version: DASHBOARD_SCHEMA_VERSION,
             name: 'Dashboard Configuration',
             created: new Date().toISOString(),
             updated: new Date().toISOString(),
@@ -106,8 +119,16 @@ class ConfigManager extends EventEmitter {
         };
     }
 
-    // Save current configuration
-    async save(filename = null) {
+    createGroupConfig(group) {
+        return {
+            id: group.id,
+            title: group.title,
+            elements: [...group.elements.map(element => element.toJSON()), ...(group.skippedElements || [])]
+        };
+    }
+
+    // Save current configuration, overwrite replaces outside edits of the active dashboard
+    async save(filename = null, { overwrite = false } = {}) {
         const configFile = filename || this.currentLayout || this.config.defaultConfig;
         const configPath = path.join(this.config.configDir, configFile);
         
@@ -115,10 +136,24 @@ class ConfigManager extends EventEmitter {
             const config = this.createConfig();
             config.updated = new Date().toISOString();
             
-            await fs.writeFile(configPath, JSON.stringify(config, null, 2));
+            // Never overwrite outside edits of the active dashboard unless the user chose to keep the in-memory version
+            if (!overwrite && configFile === this.currentLayout &&
+                (this.conflict?.filename === configFile || await this.hasExternalChange(configFile))) {
+                this.reportConflict(configFile);
+                return { success: false, conflict: true, error: `${configFile} was changed outside the app - use /reload to choose which version to keep` };
+            }
+            
+            // A failed backup must not prevent saving
+            await this.createBackup(configFile, { force: overwrite }).catch(error => this.emit('error', error));
+            await this.saveIncludedGroups({ force: overwrite });
+            const previous = isYamlFile(configFile) ? await this.readFileIfExists(configPath) : null;
+            const data = stringifyDashboard(config, configFile, previous);
+            await writeFileAtomic(configPath, data);
             
             this.isDirty = false;
             this.currentLayout = configFile;
+            this.lastKnownContent = data;
+            this.conflict = null;
             
             this.emit('saved', { filename: configFile, path: configPath });
             
@@ -136,105 +171,377 @@ class ConfigManager extends EventEmitter {
         
         try {
             const data = await fs.readFile(configPath, 'utf8');
-            const config = JSON.parse(data);
+            const migration = this.prepareConfig(parseDashboard(data, configFile));
+            const config = migration.config;
             
-            // Validate config structure
-            if (!this.validateConfig(config)) {
-                throw new Error('Invalid configuration format');
+            // Keep the original file before writing the upgraded version
+            let backupPath = null;
+            let content = data;
+            if (migration.migrated) {
+                backupPath = await this.writeBackup(configFile, data, migration.from);
+                content = stringifyDashboard(config, configFile, data);
+                await writeFileAtomic(configPath, content);
+                this.emit('migrated', { filename: configFile, from: migration.from, to: migration.to, applied: migration.applied, backup: backupPath });
             }
             
             // Apply configuration to layout engine
             if (this.layoutEngine) {
-                await this.applyConfig(config);
+                await this.applyConfig(config, migration.warnings);
             }
             
             this.currentLayout = configFile;
             this.isDirty = false;
+            this.lastKnownContent = content;
+            this.conflict = null;
             
             // Update last used dashboard in settings
             await this.updateLastUsedDashboard(configFile);
             
             this.emit('loaded', { filename: configFile, config });
             
-            return { success: true, config, filename: configFile };
+            const result = { success: true, config, filename: configFile };
+            if (migration.migrated) {
+                result.migration = { from: migration.from, to: migration.to, applied: migration.applied, backup: backupPath };
+            }
+            return result;
         } catch (error) {
             this.emit('error', error);
             return { success: false, error: error.message };
         }
     }
 
-    // Apply configuration to layout engine
-    async applyConfig(config) {
+    // Apply configuration to layout engine, warnings from prepareConfig are reported once the dashboard is built
+    async applyConfig(config, warnings = []) {
         if (!this.layoutEngine) return;
         
+        // Resolve library includes first, so a missing library file leaves the dashboard untouched
+        const includedGroups = new Map();
+        const groupConfigs = [];
+        warnings = [...warnings];
+        for (const groupConfig of config.groups || []) {
+            if (isGroupInclude(groupConfig)) {
+                const included = includedGroups.get(groupConfig.include) || await this.loadIncludedGroup(groupConfig.include);
+                if (!includedGroups.has(groupConfig.include)) {
+                    warnings.push(...included.warnings);
+                }
+                includedGroups.set(groupConfig.include, included);
+                groupConfigs.push({ ...included.definition, include: groupConfig.include });
+            } else {
+                groupConfigs.push(groupConfig);
+            }
+        }
+        this.includedGroups = includedGroups;
+        if (this.recursiveWatch === false) {
+            this.watchLibraryDirectories();
+        }
+        
         // Update layout settings
         if (config.layout) {
             Object.assign(this.layoutEngine.config, config.layout);
         }
         
+        // Detach elements being replaced from the ioBroker client
+        for (const group of this.layoutEngine.groups) {
+            for (const element of group.elements) {
+                if (element.disconnect && typeof element.disconnect === 'function') {
+                    element.disconnect();
+                }
+            }
+        }
+        
         // Clear existing groups
         this.layoutEngine.groups = [];
         
         // Add groups from config
-        if (config.groups) {
-            for (const groupConfig of config.groups) {
-                // Create group with proper DashboardElement instances
-                const group = {
-                    id: groupConfig.id,
-                    title: groupConfig.title,
-                    elements: groupConfig.elements.map(elementConfig => createElement(elementConfig))
-                };
-                this.layoutEngine.addGroup(group);
+        for (const groupConfig of groupConfigs) {
+            // Create group with proper DashboardElement instances
+            const group = {
+                id: groupConfig.id,
+                title: groupConfig.title,
+                elements: groupConfig.elements.filter(isKnownElementType).map(elementConfig => createElement(elementConfig))
+            };
+            // Elements of unknown types are kept as written, so saving does not delete them from the file
+            const skippedElements = groupConfig.elements.filter(elementConfig => !isKnownElementType(elementConfig));
+            if (skippedElements.length > 0) {
+                group.skippedElements = skippedElements;
             }
+            if (groupConfig.include) {
+                group.include = groupConfig.include;
+                // Remember the group as loaded, so saving only writes library files that were edited
+                includedGroups.get(groupConfig.include).snapshot = JSON.stringify(this.createGroupConfig(group));
+            }
+            this.layoutEngine.addGroup(group);
         }
         
         // Recalculate layout
         this.layoutEngine.calculateLayout();
+        
+        if (warnings.length > 0) {
+            this.emit('elements-skipped', { warnings });
+        }
     }
 
-    // Validate configuration structure
-    validateConfig(config) {
-        if (!config.version || !config.groups) {
-            return false;
+    // Read and validate a group from the library, include is relative to configDir
+    async loadIncludedGroup(include) {
+        const filename = await this.resolveDashboardFile(include);
+        const content = await this.readFileIfExists(this.resolveIncludePath(include, filename));
+        if (content === null) {
+            throw new Error(`Included group "${include}" not found (${filename})`);
+        }
+        
+        let definition;
+        try {
+            definition = parseDashboard(content, filename);
+        } catch (error) {
+            throw new Error(`Included group "${include}" could not be read: ${error.message}`);
+        }
+        
+        const warnings = [];
+        const errors = validateGroup(definition, filename, warnings);
+        if (errors.length > 0) {
+            throw new Error(formatValidationErrors(errors));
         }
         
-        // Validate groups structure
-        for (const group of config.groups) {
-            if (!group.id || !Array.isArray(group.elements)) {
-                return false;
+        return { filename, definition, content, warnings };
+    }
+
+    // Library files are read and written, so their paths must stay inside configDir
+    resolveIncludePath(include, filename) {
+        const configDir = path.resolve(this.config.configDir);
+        const filePath = path.resolve(configDir, filename);
+        const relative = path.relative(configDir, filePath);
+        
+        if (path.isAbsolute(include) || !relative || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+            throw new Error(`Included group "${include}" must be a path inside the dashboard directory`);
+        }
+        return filePath;
+    }
+
+    // Write edits of included groups back to their library files
+    async saveIncludedGroups({ force = false } = {}) {
+        for (const group of this.layoutEngine.groups.filter(group => group.include)) {
+            const groupConfig = this.createGroupConfig(group);
+            const snapshot = JSON.stringify(groupConfig);
+            
+            // Unedited groups leave hand-written files and files shared with other dashboards alone
+            const loaded = this.includedGroups.get(group.include);
+            if (loaded && loaded.snapshot === snapshot) continue;
+            
+            const included = loaded || { filename: await this.resolveDashboardFile(group.include), definition: {} };
+            const filePath = this.resolveIncludePath(group.include, included.filename);
+            const previous = await this.readFileIfExists(filePath);
+            
+            // Keep fields of the library file the dashboard does not know, e.g. a description
+            const definition = { ...included.definition, ...groupConfig };
+            const data = stringifyDashboard(definition, included.filename, isYamlFile(included.filename) ? previous : null);
+            
+            if (data !== previous) {
+                await this.createBackup(included.filename, { force }).catch(error => this.emit('error', error));
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await writeFileAtomic(filePath, data);
             }
             
-            // Validate elements
-            for (const element of group.elements) {
-                if (!element.id || !element.type || !element.caption) {
-                    return false;
+            this.includedGroups.set(group.include, { filename: included.filename, definition, content: data, snapshot });
+        }
+    }
+
+    // Validate configuration structure, returns the problems with their path in the file
+    validateConfig(config, warnings = []) {
+        return validateDashboard(config, warnings);
+    }
+
+    // Upgrade a parsed dashboard file to the current schema version and validate it,
+    // warnings lists elements applyConfig skips, e.g. unknown types
+    prepareConfig(config) {
+        const migration = migrateDashboard(config);
+        
+        const warnings = [];
+        const errors = this.validateConfig(migration.config, warnings);
+        if (errors.length > 0) {
+            throw new Error(formatValidationErrors(errors));
+        }
+        
+        return { ...migration, warnings };
+    }
+
+    // Backups of a dashboard are named <name>.<timestamp>.<ext>, before a migration <name>.v<version>.<timestamp>.<ext>
+    getBackupPattern(configFile) {
+        const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const name = escape(getDashboardName(path.basename(configFile)));
+        const extension = escape(getDashboardExtension(configFile) || '.json');
+        return new RegExp(`^${name}\\.(?:v([\\d.]+)\\.)?(\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}-\\d{3}Z)${extension}$`);
+    }
+
+    // Library groups are backed up in the same subdirectory as in configDir, e.g. dashboard-backups/groups/
+    getBackupDir(configFile) {
+        return path.join(this.config.backupDir, path.dirname(configFile));
+    }
+
+    // Store file content as the newest backup of a dashboard and drop the oldest ones
+    async writeBackup(configFile, data, version = null) {
+        await fs.mkdir(this.config.backupDir, { recursive: true });
+        
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const label = version ? `.v${version}` : '';
+        const extension = getDashboardExtension(configFile) || '.json';
+        const backupDir = this.getBackupDir(configFile);
+        await fs.mkdir(backupDir, { recursive: true });
+        const backupPath = path.join(backupDir, `${getDashboardName(path.basename(configFile))}${label}.${timestamp}${extension}`);
+        
+        await writeFileAtomic(backupPath, data);
+        await this.pruneBackups(configFile);
+        return backupPath;
+    }
+
+    // Back up the file on disk before it is overwritten, at most once per backupInterval unless forced
+    async createBackup(configFile, { force = false } = {}) {
+        const configPath = path.join(this.config.configDir, configFile);
+        
+        let data;
+        try {
+            data = await fs.readFile(configPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        
+        const [newest] = await this.findBackups(configFile);
+        if (newest) {
+            if (!force && Date.now() - newest.date.getTime() < this.config.backupInterval) {
+                return null;
+            }
+            if (await fs.readFile(newest.path, 'utf8') === data) {
+                return null;
+            }
+        }
+        
+        return this.writeBackup(configFile, data);
+    }
+
+    // Backup files of a dashboard, newest first
+    async findBackups(configFile) {
+        const backupDir = this.getBackupDir(configFile);
+        let files;
+        try {
+            files = await fs.readdir(backupDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        
+        const pattern = this.getBackupPattern(configFile);
+        return files
+            .map(file => ({ file, match: pattern.exec(file) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => ({
+                file,
+                path: path.join(backupDir, file),
+                migratedFrom: match[1] || null,
+                date: new Date(match[2].replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z'))
+            }))
+            .sort((a, b) => b.date - a.date);
+    }
+
+    // Keep only the newest maxBackups backups of a dashboard
+    async pruneBackups(configFile) {
+        const backups = await this.findBackups(configFile);
+        for (const backup of backups.slice(this.config.maxBackups)) {
+            await fs.unlink(backup.path).catch(() => {});
+        }
+    }
+
+    // List backups of a dashboard with their content summary, version 1 is the newest
+    async listBackups(configFile = null) {
+        const filename = configFile || this.currentLayout || this.config.defaultConfig;
+        
+        try {
+            const backups = await this.findBackups(filename);
+            
+            for (const [index, backup] of backups.entries()) {
+                backup.version = index + 1;
+                try {
+                    const config = parseDashboard(await fs.readFile(backup.path, 'utf8'), backup.file);
+                    backup.groupCount = config.groups?.length || 0;
+                    backup.elementCount = config.groups?.reduce((total, group) => total + (group.elements?.length || 0), 0) || 0;
+                } catch (error) {
+                    backup.invalid = true;
                 }
             }
+            
+            return { success: true, filename, backups };
+        } catch (error) {
+            return { success: false, error: error.message };
         }
+    }
+
+    // Replace a dashboard with one of its backups (1 = newest) and reload it if it is the active one
+    async restoreBackup(configFile = null, version = 1) {
+        const filename = configFile || this.currentLayout || this.config.defaultConfig;
+        const configPath = path.join(this.config.configDir, filename);
         
-        return true;
+        try {
+            const backups = await this.findBackups(filename);
+            const backup = backups[version - 1];
+            if (!backup) {
+                throw new Error(backups.length === 0
+                    ? `No backups found for ${filename}`
+                    : `Version ${version} not found, ${filename} has ${backups.length} backup${backups.length === 1 ? '' : 's'}`);
+            }
+            
+            const data = await fs.readFile(backup.path, 'utf8');
+            if (this.isLibraryFile(filename)) {
+                const errors = validateGroup(parseDashboard(data, filename), filename);
+                if (errors.length > 0) {
+                    throw new Error(formatValidationErrors(errors));
+                }
+            } else {
+                this.prepareConfig(parseDashboard(data, filename));
+            }
+            
+            // The replaced version stays restorable
+            await this.createBackup(filename, { force: true });
+            await writeFileAtomic(configPath, data);
+            
+            let reloaded = false;
+            if ((filename === this.currentLayout || this.isIncludedFile(filename)) && this.layoutEngine) {
+                const result = await this.load(this.currentLayout);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+                reloaded = true;
+            }
+            
+            this.emit('restored', { filename, backup: backup.path, date: backup.date, reloaded });
+            
+            return { success: true, filename, backup: backup.path, date: backup.date, reloaded };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
     }
 
     // List available configurations
     async listConfigs() {
         try {
             const files = await fs.readdir(this.config.configDir);
-            const jsonFiles = files.filter(file => file.endsWith('.json'));
+            const dashboardFiles = files.filter(isDashboardFile);
             
             const configs = [];
-            for (const file of jsonFiles) {
+            for (const file of dashboardFiles) {
                 try {
                     const configPath = path.join(this.config.configDir, file);
                     const data = await fs.readFile(configPath, 'utf8');
-                    const config = JSON.parse(data);
+                    const config = parseDashboard(data, file);
+                    const groups = Array.isArray(config.groups) ? config.groups : [];
                     
                     configs.push({
                         filename: file,
                         name: config.name || file,
+                        format: isYamlFile(file) ? 'yaml' : 'json',
                         created: config.created,
                         updated: config.updated,
-                        groupCount: config.groups?.length || 0,
-                        elementCount: config.groups?.reduce((total, group) => total + group.elements.length, 0) || 0
+                        groupCount: groups.length,
+                        elementCount: groups.reduce((total, group) => total + (group?.elements?.length || 0), 0),
+                        includes: groups.filter(isGroupInclude).map(group => group.include)
                     });
                 } catch (error) {
                     // Skip invalid files
@@ -248,11 +555,193 @@ class ConfigManager extends EventEmitter {
         }
     }
 
+    // Groups in the library directory and the includes of saved dashboards, with the dashboards using each one
+    async listLibraryGroups() {
+        try {
+            const result = await this.listConfigs();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            const groups = new Map();
+            const addGroup = (filename, include) => {
+                if (!groups.has(filename)) {
+                    groups.set(filename, { include, filename, usedBy: [] });
+                }
+                return groups.get(filename);
+            };
+            
+            const libraryDir = path.join(this.config.configDir, this.config.groupLibraryDir);
+            let files = [];
+            try {
+                files = (await fs.readdir(libraryDir)).filter(isDashboardFile);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            for (const file of files) {
+                const filename = path.posix.join(this.config.groupLibraryDir.split(path.sep).join('/'), file);
+                addGroup(filename, getDashboardName(filename));
+            }
+            
+            for (const config of result.configs) {
+                for (const include of config.includes) {
+                    const group = addGroup(await this.resolveDashboardFile(include), include);
+                    if (!group.usedBy.includes(config.filename)) {
+                        group.usedBy.push(config.filename);
+                    }
+                }
+            }
+            
+            for (const group of groups.values()) {
+                try {
+                    const { definition } = await this.loadIncludedGroup(group.filename);
+                    group.title = definition.title || definition.id;
+                    group.elementCount = definition.elements.length;
+                } catch (error) {
+                    group.error = error.message;
+                }
+            }
+            
+            return { success: true, groups: [...groups.values()].sort((a, b) => a.filename.localeCompare(b.filename)) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Write a new dashboard file, never replacing an existing one
+    async createConfigFile(filename, config) {
+        const configPath = path.join(this.config.configDir, filename);
+        
+        try {
+            this.prepareConfig(config);
+            
+            if (await this.readFileIfExists(configPath) !== null) {
+                throw new Error(`${filename} already exists - choose another file name`);
+            }
+            
+            await fs.mkdir(path.dirname(configPath), { recursive: true });
+            await writeFileAtomic(configPath, stringifyDashboard(config, filename));
+            
+            this.emit('created', { filename, config });
+            
+            return { success: true, filename, path: configPath };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Built-in templates and the template files in templatesDir, files override built-ins of the same name
+    async listTemplates() {
+        const templates = new Map();
+        
+        for (const [name, template] of Object.entries(BUILT_IN_TEMPLATES)) {
+            templates.set(name, { ...normalizeTemplate(template, name), builtIn: true });
+        }
+        
+        let files = [];
+        try {
+            files = (await fs.readdir(this.config.templatesDir)).filter(isDashboardFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                return { success: false, error: error.message };
+            }
+        }
+        
+        for (const file of files) {
+            const name = getDashboardName(file);
+            try {
+                const data = await fs.readFile(path.join(this.config.templatesDir, file), 'utf8');
+                templates.set(name, { ...normalizeTemplate(parseDashboard(data, file), name), builtIn: false, filename: file });
+            } catch (error) {
+                templates.set(name, { name, builtIn: false, filename: file, error: error.message });
+            }
+        }
+        
+        return { success: true, templates: [...templates.values()].sort((a, b) => a.name.localeCompare(b.name)) };
+    }
+
+    async getTemplate(name) {
+        const result = await this.listTemplates();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        const template = result.templates.find(candidate => candidate.name === name);
+        if (!template) {
+            throw new Error(`Template "${name}" not found (available: ${result.templates.map(candidate => candidate.name).join(', ')})`);
+        }
+        if (template.error) {
+            throw new Error(`Template "${name}" could not be read: ${template.error}`);
+        }
+        return template;
+    }
+
+    // Add the groups of a template to the current dashboard, or write them to a new dashboard file
+    async applyTemplate(name, values = {}, { filename = null } = {}) {
+        try {
+            const template = await this.getTemplate(name);
+            const groupConfigs = instantiateTemplate(template, values);
+            
+            if (filename) {
+                const config = {
+                    version: DASHBOARD_SCHEMA_VERSION,
+                    name: template.description || `Dashboard from template ${name}`,
+                    created: new Date().toISOString(),
+                    updated: new Date().toISOString(),
+                    groups: groupConfigs
+                };
+                const created = await this.createConfigFile(filename, config);
+                if (!created.success) {
+                    throw new Error(created.error);
+                }
+                
+                this.emit('template-applied', { template: name, filename });
+                
+                return { success: true, template: name, filename, groups: groupConfigs };
+            }
+            
+            if (!this.layoutEngine) {
+                throw new Error('Layout engine not initialized');
+            }
+            
+            // Groups with an id already on the dashboard receive the template elements
+            for (const groupConfig of groupConfigs) {
+                const elements = groupConfig.elements.map(elementConfig => createElement(elementConfig));
+                const existing = this.layoutEngine.getGroup(groupConfig.id);
+                
+                if (existing) {
+                    for (const element of elements) {
+                        element.id = this.uniqueId(element.id, existing.elements.map(candidate => candidate.id));
+                        this.layoutEngine.addElementToGroup(existing.id, element);
+                    }
+                } else {
+                    this.layoutEngine.addGroup({ id: groupConfig.id, title: groupConfig.title, elements });
+                }
+            }
+            
+            this.emit('template-applied', { template: name, filename: null });
+            
+            return { success: true, template: name, groups: groupConfigs };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    uniqueId(id, taken) {
+        let candidate = id;
+        for (let suffix = 2; taken.includes(candidate); suffix++) {
+            candidate = `${id}-${suffix}`;
+        }
+        return candidate;
+    }
+
     // Delete configuration
     async deleteConfig(filename) {
         const configPath = path.join(this.config.configDir, filename);
         
         try {
+            // Deleted dashboards can be brought back with /restore
+            await this.createBackup(filename, { force: true });
             await fs.unlink(configPath);
             
             this.emit('deleted', { filename });
@@ -273,21 +762,18 @@ class ConfigManager extends EventEmitter {
         }
     }
 
-    // Import configuration from JSON string
-    async importConfig(jsonString, filename = null) {
+    // Import configuration from a JSON or YAML string (YAML is a superset of JSON)
+    async importConfig(text, filename = null) {
         try {
-            const config = JSON.parse(jsonString);
-            
-            if (!this.validateConfig(config)) {
-                throw new Error('Invalid configuration format');
-            }
+            const { config, warnings } = this.prepareConfig(parseDashboard(text, 'import.yaml'));
             
             if (filename) {
                 // Save imported config
-                const configFile = filename.endsWith('.json') ? filename : `${filename}.json`;
+                const configFile = isDashboardFile(filename) ? filename : `${filename}.json`;
                 const configPath = path.join(this.config.configDir, configFile);
                 
-                await fs.writeFile(configPath, JSON.stringify(config, null, 2));
+                await this.createBackup(configFile, { force: true });
+                await writeFileAtomic(configPath, stringifyDashboard(config, configFile));
                 
                 this.emit('imported', { filename: configFile, config });
                 
@@ -295,7 +781,7 @@ class ConfigManager extends EventEmitter {
             } else {
                 // Apply directly without saving
                 if (this.layoutEngine) {
-                    await this.applyConfig(config);
+                    await this.applyConfig(config, warnings);
                 }
                 
                 return { success: true, config };
@@ -339,7 +825,10 @@ class ConfigManager extends EventEmitter {
         
         try {
             settings.updated = new Date().toISOString();
-            await fs.writeFile(settingsPath, JSON.stringify(settings, null, 2));
+            const data = JSON.stringify(settings, null, 2);
+            // Holds ioBroker credentials - never readable by other users
+            await writeFileAtomic(settingsPath, data, { mode: 0o600 });
+            this.lastSettingsContent = data;
             return { success: true };
         } catch (error) {
             return { success: false, error: error.message };
@@ -359,8 +848,234 @@ class ConfigManager extends EventEmitter {
         await this.saveSettings(settings);
     }
 
+    // Watch the dashboard directory and settings.json for edits made outside the app
+    startWatching() {
+        this.stopWatching();
+        
+        const settingsFile = path.basename(this.config.settingsFile);
+        
+        // Recursive, so edits of library groups in subdirectories are noticed too
+        const recursiveWatcher = this.watchDirectory(this.config.configDir, (filename) => {
+            this.onConfigDirChange(filename);
+        }, { recursive: true, quiet: true });
+        
+        this.recursiveWatch = recursiveWatcher !== null;
+        if (recursiveWatcher) {
+            this.watchers.push(recursiveWatcher);
+        } else {
+            // No recursive fs.watch on this Node version or platform - watch the library directories one by one
+            const watcher = this.watchDirectory(this.config.configDir, (filename) => {
+                this.onConfigDirChange(filename);
+            });
+            if (watcher) this.watchers.push(watcher);
+            this.watchLibraryDirectories();
+        }
+        
+        const settingsWatcher = this.watchDirectory(path.dirname(this.config.settingsFile), (filename) => {
+            if (!filename || filename === settingsFile) {
+                this.debounceWatch('settings', () => this.checkSettingsChange());
+            }
+        });
+        if (settingsWatcher) this.watchers.push(settingsWatcher);
+    }
+
+    onConfigDirChange(filename) {
+        if (this.currentLayout && (!filename || filename === this.currentLayout || this.isIncludedFile(filename))) {
+            this.debounceWatch('dashboard', () => this.checkDashboardChange());
+        }
+    }
+
+    // Without recursive watching: the library directory and the directories of the active dashboard's includes
+    watchLibraryDirectories() {
+        for (const watcher of this.libraryWatchers) {
+            watcher.close();
+        }
+        this.libraryWatchers = [];
+        
+        const directories = new Set([path.normalize(this.config.groupLibraryDir)]);
+        for (const included of this.includedGroups.values()) {
+            directories.add(path.dirname(path.normalize(included.filename)));
+        }
+        directories.delete('.');
+        
+        for (const directory of directories) {
+            // A library directory created later is picked up with the next dashboard load
+            const watcher = this.watchDirectory(path.join(this.config.configDir, directory), (filename) => {
+                this.onConfigDirChange(filename ? path.join(directory, filename) : null);
+            }, { quiet: !this.isIncludedDirectory(directory) });
+            if (watcher) this.libraryWatchers.push(watcher);
+        }
+    }
+
+    isIncludedDirectory(directory) {
+        return [...this.includedGroups.values()].some(included => path.dirname(path.normalize(included.filename)) === directory);
+    }
+
+    // Watch a directory instead of single files, atomic saves replace the file.
+    // Returns the watcher, or null if the directory cannot be watched ('watch-failed' unless quiet)
+    watchDirectory(directory, onChange, { recursive = false, quiet = false } = {}) {
+        try {
+            const watcher = watch(directory, { recursive }, (eventType, filename) => {
+                onChange(filename ? filename.toString() : null);
+            });
+            watcher.on('error', error => this.emit('watch-failed', { directory, error }));
+            return watcher;
+        } catch (error) {
+            if (!quiet) {
+                this.emit('watch-failed', { directory, error });
+            }
+            return null;
+        }
+    }
+
+    debounceWatch(key, callback) {
+        clearTimeout(this.watchTimers.get(key));
+        this.watchTimers.set(key, setTimeout(() => {
+            this.watchTimers.delete(key);
+            callback().catch(error => {
+                const filename = key === 'settings' ? path.basename(this.config.settingsFile) : this.currentLayout;
+                this.emit('reload-failed', { filename, error: error.message });
+            });
+        }, this.config.watchDebounce));
+    }
+
+    stopWatching() {
+        for (const watcher of [...this.watchers, ...this.libraryWatchers]) {
+            watcher.close();
+        }
+        this.watchers = [];
+        this.libraryWatchers = [];
+        this.recursiveWatch = null;
+        
+        for (const timer of this.watchTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.watchTimers.clear();
+    }
+
+    // Dashboard file for a name given without extension: an existing .json, .yaml or .yml file, else .json
+    async resolveDashboardFile(name) {
+        if (!name || isDashboardFile(name)) return name;
+        
+        for (const extension of DASHBOARD_EXTENSIONS) {
+            if (await this.readFileIfExists(path.join(this.config.configDir, name + extension)) !== null) {
+                return name + extension;
+            }
+        }
+        return `${name}.json`;
+    }
+
+    async readFileIfExists(filePath) {
+        try {
+            return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Library files are stored in subdirectories of configDir
+    isLibraryFile(filename) {
+        return path.dirname(path.normalize(filename)) !== '.';
+    }
+
+    // Whether a file (relative to configDir) is a library group included by the active dashboard
+    isIncludedFile(filename) {
+        const normalized = path.normalize(filename);
+        return [...this.includedGroups.values()].some(included => path.normalize(included.filename) === normalized);
+    }
+
+    // Whether the active dashboard or one of its library groups on disk differs from what was last loaded or saved
+    async hasExternalChange(configFile) {
+        if (this.lastKnownContent === null) return false;
+        
+        // A deleted dashboard or library group is written again
+        const data = await this.readFileIfExists(path.join(this.config.configDir, configFile)).catch(() => null);
+        if (data !== null && data !== this.lastKnownContent) return true;
+        
+        if (configFile !== this.currentLayout) return false;
+        
+        for (const included of this.includedGroups.values()) {
+            const content = await this.readFileIfExists(path.join(this.config.configDir, included.filename)).catch(() => null);
+            if (content !== null && content !== included.content) return true;
+        }
+        return false;
+    }
+
+    // Reload the active dashboard after an outside edit, or report a conflict with unsaved changes
+    async checkDashboardChange() {
+        const filename = this.currentLayout;
+        if (!filename || !await this.hasExternalChange(filename)) return;
+        
+        if (this.isDirty) {
+            this.reportConflict(filename);
+            return;
+        }
+        
+        const result = await this.load(filename);
+        this.emit('external-reload', { filename, success: result.success, error: result.error });
+    }
+
+    // Stop auto-saving until the user decides which version to keep
+    reportConflict(filename) {
+        if (this.autoSaveTimeout) {
+            clearTimeout(this.autoSaveTimeout);
+            this.autoSaveTimeout = null;
+        }
+        
+        if (this.conflict?.filename === filename) return;
+        
+        this.conflict = { filename, detected: new Date().toISOString() };
+        this.emit('conflict', { filename });
+    }
+
+    // Settle a conflict: 'disk' loads the edited file, 'memory' overwrites it with the dashboard on screen
+    async resolveConflict(keep) {
+        if (!this.conflict) {
+            return { success: false, error: 'No conflict to resolve' };
+        }
+        
+        const { filename } = this.conflict;
+        
+        if (keep === 'disk') {
+            return this.load(filename);
+        }
+        if (keep === 'memory') {
+            return this.save(filename, { overwrite: true });
+        }
+        
+        return { success: false, error: `Unknown choice "${keep}" - keep "disk" or "memory"` };
+    }
+
+    // Report settings.json edits made outside the app
+    async checkSettingsChange() {
+        let data;
+        try {
+            data = await fs.readFile(this.config.settingsFile, 'utf8');
+        } catch (error) {
+            return;
+        }
+        
+        if (data === this.lastSettingsContent) return;
+        
+        let settings;
+        try {
+            settings = JSON.parse(data);
+        } catch (error) {
+            // Report each broken version once, the settings in use stay active
+            this.lastSettingsContent = data;
+            this.emit('reload-failed', { filename: path.basename(this.config.settingsFile), error: `not valid JSON: ${error.message}` });
+            return;
+        }
+        
+        this.lastSettingsContent = data;
+        this.emit('settings-changed', { settings });
+    }
+
     // Clean up
     destroy() {
+        this.stopWatching();
+        
         if (this.autoSaveTimeout) {
             clearTimeout(this.autoSaveTimeout);
         }
@@ -1,5 +1,8 @@
 import { EventEmitter } from 'events';
 import { colorize, colorizeIndicator, colorizeSwitch, colorizePower, colorizeSystemState, THEMES } from './colors.js';
+import { compileExpression } from './expression-evaluator.js';
+import { normalizeFormat, formatWithRules } from './value-formatter.js';
+import { normalizeColorRules, compileColorRules } from './color-rules.js';
 
 class DashboardElement extends EventEmitter {
     constructor(config) {
@@ -13,47 +16,116 @@ class DashboardElement extends EventEmitter {
         this.lastUpdate = null;
         this.interactive = config.interactive !== false; // default true
         this.unit = config.unit || '';
-        this.format = config.format || null; // number formatting function
+        this.format = DashboardElement.loadFormat(config.format); // formatting function or declarative rules
+        this.colorRules = DashboardElement.loadColorRules(config.colorRules); // [{ when, color }], first match wins
+        this.colorRuleMatcher = compileColorRules(this.colorRules);
         this.min = config.min;
         this.max = config.max;
         
         // State management
         this.connected = false;
         this.iobrokerClient = null;
+        this.stale = false; // true while the value may be outdated (connection lost)
+    }
+
+    // Functions are kept as they are, rules from the dashboard file are validated.
+    // Invalid rules are dropped so a bad format never breaks loading the dashboard
+    static loadFormat(format) {
+        if (typeof format === 'function') return format;
+
+        try {
+            return normalizeFormat(format);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Replace the formatting rules (/edit). Throws for invalid rules
+    setFormat(format) {
+        this.format = normalizeFormat(format);
+        this.emit('valueChanged', { element: this, oldValue: this.value, newValue: this.value, timestamp: Date.now() });
+    }
+
+    // Declarative rules applied to a value, null if none apply (function formats are handled by the caller)
+    applyFormatRules(value, decimals) {
+        if (!this.format || typeof this.format === 'function') return null;
+        return formatWithRules(value, this.format, { unit: this.unit, decimals });
+    }
+
+    static loadColorRules(rules) {
+        try {
+            return normalizeColorRules(rules);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Replace the color rules (/edit). Throws for invalid rules
+    setColorRules(rules) {
+        this.colorRules = normalizeColorRules(rules);
+        this.colorRuleMatcher = compileColorRules(this.colorRules);
+        this.emit('valueChanged', { element: this, oldValue: this.value, newValue: this.value, timestamp: Date.now() });
+    }
+
+    // Theme color of the first matching color rule, null if none matches
+    getRuleColor(value = this.value) {
+        const name = this.colorRuleMatcher(value);
+        return name ? THEMES[name] : null;
+    }
+
+    // Color of a value display: the matching rule's color or the element's default
+    getValueColor(defaultColor, value = this.value) {
+        return this.getRuleColor(value) || defaultColor;
+    }
+
+    // Recolor text that is already colored (power values, system states) when a rule matches
+    applyColorRules(text, value = this.value) {
+        const color = this.getRuleColor(value);
+        return color ? colorize(text.replace(/\x1b\[[0-9;]*m/g, ''), color) : text;
     }
 
     // Connect to ioBroker client
     connect(iobrokerClient) {
+        if (this.iobrokerClient && this.iobrokerClient !== iobrokerClient) {
+            this.disconnect();
+        }
+        
         this.iobrokerClient = iobrokerClient;
         this.connected = true;
         
         // Subscribe to state changes for this element
-        if (this.stateId) {
+        if (this.getStateIds().length > 0) {
             this.subscribeToState();
         }
     }
 
-    // Subscribe to state changes
-    subscribeToState() {
-        if (!this.iobrokerClient || !this.stateId) return;
+    // Detach from ioBroker client (element removed or dashboard replaced)
+    disconnect() {
+        if (this.iobrokerClient && this.getStateIds().length > 0) {
+            this.iobrokerClient.unregisterElement(this);
+        }
         
-        // Listen for state changes
-        this.iobrokerClient.on('stateChange', (data) => {
-            if (data.id === this.stateId) {
-                this.updateValue(data.state?.val, data.timestamp);
-            }
-        });
+        this.iobrokerClient = null;
+        this.connected = false;
+    }
+
+    // Subscribe to state changes via the client's central dispatcher.
+    // Initial values are fetched in one batch by the caller (see IoBrokerClient.refreshElementStates)
+    subscribeToState() {
+        if (!this.iobrokerClient || this.getStateIds().length === 0) return;
         
-        // Get initial state value
-        this.iobrokerClient.getState(this.stateId)
-            .then(state => {
-                if (state) {
-                    this.updateValue(state.val, Date.now());
-                }
-            })
-            .catch(error => {
-                console.error(`Failed to get initial state for ${this.stateId}:`, error.message);
-            });
+        this.iobrokerClient.registerElement(this);
+    }
+
+    // All state IDs the element is bound to. Compound elements (thermostats) add their
+    // secondary states and receive them through updateState()
+    getStateIds() {
+        return this.stateId ? [this.stateId] : [];
+    }
+
+    // Called by the dispatcher for every bound state
+    updateState(id, state, timestamp = Date.now()) {
+        this.updateValue(state?.val, timestamp, state);
     }
 
     // Update element value
@@ -72,6 +144,14 @@ class DashboardElement extends EventEmitter {
         }
     }
 
+    // Mark value as outdated (e.g. while disconnected from ioBroker)
+    setStale(stale) {
+        if (this.stale === stale) return;
+        
+        this.stale = stale;
+        this.emit('staleChanged', { element: this, stale });
+    }
+
     // Format value for display
     formatValue() {
         if (this.value === null || this.value === undefined) {
@@ -83,9 +163,17 @@ class DashboardElement extends EventEmitter {
             return this.format(this.value);
         }
         
+        // Declarative rules from the dashboard file (gauge-like types default to 1 decimal)
+        const formatted = this.applyFormatRules(this.value, ['gauge', 'sparkline', 'chart'].includes(this.type) ? 1 : undefined);
+        if (formatted !== null) {
+            return formatted;
+        }
+        
         // Default formatting by type
         switch (this.type) {
             case 'gauge':
+            case 'sparkline':
+            case 'chart':
                 if (typeof this.value === 'number') {
                     return this.value.toFixed(1) + this.unit;
                 }
@@ -114,13 +202,13 @@ class DashboardElement extends EventEmitter {
         switch (this.type) {
             case 'gauge':
                 leftText = colorize(this.caption, THEMES.caption);
-                rightText = this.renderGaugeValue();
+                rightText = this.applyColorRules(this.renderGaugeValue());
                 break;
                 
             case 'switch':
                 const switchDisplay = colorizeSwitch(this.value);
                 leftText = colorize(this.caption, THEMES.caption);
-                rightText = `${colorize(this.formatValue(), this.value ? THEMES.active : THEMES.inactive)} ${switchDisplay}`;
+                rightText = `${colorize(this.formatValue(), this.getValueColor(this.value ? THEMES.active : THEMES.inactive))} ${switchDisplay}`;
                 break;
                 
             case 'button':
@@ -131,27 +219,42 @@ class DashboardElement extends EventEmitter {
             case 'indicator':
                 const indicator = colorizeIndicator(this.value);
                 leftText = colorize(this.caption, THEMES.caption);
-                rightText = `${this.renderIndicatorValue()} ${indicator}`;
+                rightText = `${this.applyColorRules(this.renderIndicatorValue())} ${indicator}`;
                 break;
                 
             case 'text':
                 leftText = colorize(this.caption, THEMES.caption);
-                rightText = colorizeSystemState(this.formatValue());
-                break;
-                
-            case 'sparkline':
-                leftText = colorize(this.caption, THEMES.caption);
-                rightText = colorize(this.generateSparkline(), THEMES.value);
+                rightText = this.applyColorRules(colorizeSystemState(this.formatValue()));
                 break;
                 
             default:
                 leftText = colorize(this.caption, THEMES.caption);
-                rightText = colorize(this.formatValue(), THEMES.value);
+                rightText = colorize(this.formatValue(), this.getValueColor(THEMES.value));
+        }
+        
+        if (this.stale) {
+            rightText = this.renderStale(rightText);
         }
         
         return this.alignText(leftText, rightText, availableWidth);
     }
 
+    // Lines the element occupies in its group. Multi-line elements (charts, log boxes)
+    // override this together with renderLines()
+    getHeight() {
+        return 1;
+    }
+
+    renderLines(maxWidth) {
+        return [this.render(maxWidth)];
+    }
+
+    // Dim an outdated value and prefix it with the stale marker
+    renderStale(text) {
+        const plainText = text.replace(/\x1b\[[0-9;]*m/g, '');
+        return colorize('~', THEMES.warning) + colorize(plainText, THEMES.inactive);
+    }
+
     // Render gauge value with appropriate coloring
     renderGaugeValue() {
         if (this.value === null || this.value === undefined) {
@@ -160,7 +263,7 @@ class DashboardElement extends EventEmitter {
         
         // Special handling for power values
         if (this.unit === 'W' || this.stateId?.includes('power') || this.stateId?.includes('Power')) {
-            return colorizePower(this.value, this.unit);
+            return colorizePower(this.value, this.unit, this.format ? this.formatValue() : null);
         }
         
         // Default gauge coloring
@@ -211,21 +314,6 @@ class DashboardElement extends EventEmitter {
         return leftText + ' '.repeat(spaces) + rightText;
     }
 
-    // Generate simple sparkline representation
-    generateSparkline() {
-        // Placeholder sparkline - in real implementation, this would use historical data
-        const chars = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
-        const length = 8;
-        let sparkline = '';
-        
-        for (let i = 0; i < length; i++) {
-            const randomIndex = Math.floor(Math.random() * chars.length);
-            sparkline += chars[randomIndex];
-        }
-        
-        return sparkline;
-    }
-
     // Toggle switch (for interactive elements)
     async toggle() {
         if (!this.interactive || this.type !== 'switch' || !this.iobrokerClient) {
@@ -266,8 +354,38 @@ class DashboardElement extends EventEmitter {
         }
     }
 
-    // Get element configuration for saving
-    getConfig() {
+    // Interactive element protocol - elements opt in to Tab navigation by returning true.
+    // Buttons and switches are handled here, other types override these methods
+    isInteractive() {
+        return this.interactive && (this.type === 'button' || this.type === 'switch');
+    }
+
+    // Handle a key while the element is selected ('Space', 'ArrowUp', '+', ...).
+    // Returns true if the key was consumed (for buttons/switches: if the action succeeded)
+    async handleKey(key) {
+        if (key !== 'Space' || !this.isInteractive()) return false;
+
+        return this.type === 'button' ? this.trigger() : this.toggle();
+    }
+
+    // Short key help shown in the prompt while selected
+    getKeyHint() {
+        return 'Space:activate';
+    }
+
+    // Elements that draw their own selection markers return true,
+    // others are highlighted as a whole line by the renderer
+    get showsSelection() {
+        return false;
+    }
+
+    setSelected(selected) {
+        this.selected = selected;
+    }
+
+    // Element configuration as saved in the dashboard file. Subclasses add their own
+    // properties, fromJSON() restores an element from it
+    toJSON() {
         return {
             id: this.id,
             type: this.type,
@@ -276,10 +394,20 @@ class DashboardElement extends EventEmitter {
             unit: this.unit,
             min: this.min,
             max: this.max,
-            interactive: this.interactive
+            interactive: this.interactive,
+            ...(this.format && typeof this.format === 'object' ? { format: { ...this.format } } : {}),
+            ...(this.colorRules ? { colorRules: this.colorRules.map(rule => ({ ...rule })) } : {})
         };
     }
 
+    static fromJSON(config) {
+        return new this(config);
+    }
+
+    getConfig() {
+        return this.toJSON();
+    }
+
     // Check if element is connected and has recent data
     isHealthy() {
         if (!this.connected || !this.stateId) return false;
@@ -337,13 +465,25 @@ export class VisualSliderElement extends DashboardElement {
     // Set new value and update ioBroker if interactive
     setValue(newValue) {
         const clampedValue = Math.max(this.min, Math.min(this.max, newValue));
+        const previousValue = this.value;
         this.updateValue(clampedValue);
         
         // Send to ioBroker if interactive and connected
         if (this.interactive && this.iobrokerClient && this.stateId) {
-            this.iobrokerClient.setState(this.stateId, clampedValue)
-                .catch(error => this.emit('error', error));
+            return this.iobrokerClient.setState(this.stateId, clampedValue)
+                .catch(error => {
+                    // Roll back the optimistic value unless a newer value arrived meanwhile
+                    if (this.value === clampedValue) {
+                        this.updateValue(previousValue);
+                    }
+                    this.emit('commandFailed', {
+                        element: this,
+                        value: `${clampedValue}${this.unit || ''}`,
+                        error: error.message || String(error)
+                    });
+                });
         }
+        return Promise.resolve();
     }
 
     // Handle keyboard input for slider control
@@ -372,6 +512,29 @@ export class VisualSliderElement extends DashboardElement {
         }
     }
 
+    isInteractive() {
+        return this.interactive;
+    }
+
+    // Route navigation keys to handleKeyPress, +/- work like up/down
+    async handleKey(key) {
+        const name = { '+': 'ArrowUp', '-': 'ArrowDown' }[key] || key;
+        if (!['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'Home', 'End'].includes(name)) {
+            return false;
+        }
+
+        this.handleKeyPress(name);
+        return true;
+    }
+
+    getKeyHint() {
+        return '←→/+-:adjust PgUp/PgDn Home/End';
+    }
+
+    get showsSelection() {
+        return true;
+    }
+
     // Set selection state for visual highlighting
     setSelected(selected) {
         this.selected = selected;
@@ -382,6 +545,12 @@ export class VisualSliderElement extends DashboardElement {
         this.connectionState = connected;
     }
 
+    // Sliders show OFFLINE instead of a stale marker
+    setStale(stale) {
+        super.setStale(stale);
+        this.setConnectionState(!stale);
+    }
+
     // Generate visual slider bar
     generateSliderBar(barLength) {
         if (this.value === null || this.value === undefined || !this.connectionState) {
@@ -428,7 +597,7 @@ export class VisualSliderElement extends DashboardElement {
         // Generate components
         const captionText = colorize(this.caption, this.selected ? THEMES.active : THEMES.caption);
         const sliderBar = this.generateSliderBar(sliderBarLength);
-        const valueText = colorize(formattedValue, THEMES.value);
+        const valueText = colorize(formattedValue, this.getValueColor(THEMES.value));
 
         // Apply theme colors to slider bar
         const coloredSliderBar = sliderBar
@@ -438,17 +607,1633 @@ export class VisualSliderElement extends DashboardElement {
         // Combine all parts
         return `${captionText} ${coloredSliderBar} ${valueText}`;
     }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            step: this.step
+        };
+    }
 }
 
-// Factory function to create elements
-export function createElement(config) {
-    // Create specialized elements based on type
-    switch (config.type) {
-        case 'slider':
-            return new VisualSliderElement(config);
-        default:
-            return new DashboardElement(config);
+// Visual Gauge Element - Read-only bar relative to min/max with warning/critical thresholds
+export class VisualGaugeElement extends DashboardElement {
+    constructor(config) {
+        super({
+            ...config,
+            type: 'gauge'
+        });
+
+        // Thresholds are absolute values in the state's unit. A critical threshold
+        // below the warning threshold flags low values instead (e.g. battery level)
+        this.thresholds = VisualGaugeElement.normalizeThresholds(config.thresholds);
+        this.barLength = Number.isInteger(config.barLength) && config.barLength > 0 ? config.barLength : 10;
+    }
+
+    static normalizeThresholds(thresholds) {
+        if (!thresholds) return null;
+
+        const normalized = {};
+        ['warning', 'critical'].forEach(level => {
+            const value = Number(thresholds[level]);
+            if (thresholds[level] !== undefined && thresholds[level] !== null && Number.isFinite(value)) {
+                normalized[level] = value;
+            }
+        });
+
+        return Object.keys(normalized).length > 0 ? normalized : null;
+    }
+
+    hasRange() {
+        return typeof this.min === 'number' && typeof this.max === 'number' && this.max > this.min;
+    }
+
+    // 'below' or 'above' when the value is outside min/max, otherwise null
+    getRangeViolation() {
+        if (typeof this.value !== 'number' || !this.hasRange()) return null;
+        if (this.value < this.min) return 'below';
+        if (this.value > this.max) return 'above';
+        return null;
+    }
+
+    // 'normal', 'warning' or 'critical' based on the configured thresholds
+    getLevel() {
+        if (typeof this.value !== 'number' || !this.thresholds) return 'normal';
+
+        const { warning, critical } = this.thresholds;
+        const lowIsBad = warning !== undefined && critical !== undefined && critical < warning;
+        const exceeds = (threshold) => lowIsBad ? this.value <= threshold : this.value >= threshold;
+
+        if (critical !== undefined && exceeds(critical)) return 'critical';
+        if (warning !== undefined && exceeds(warning)) return 'warning';
+        return 'normal';
+    }
+
+    // Color rules take precedence over thresholds
+    getLevelColor() {
+        const ruleColor = this.getRuleColor();
+        if (ruleColor) return ruleColor;
+
+        switch (this.getLevel()) {
+            case 'critical':
+                return THEMES.error;
+            case 'warning':
+                return THEMES.warning;
+            default:
+                return this.getRangeViolation() ? THEMES.warning : THEMES.positive;
+        }
+    }
+
+    // Fraction (0-1) of the bar to fill, clamped to the range
+    getFillRatio() {
+        if (typeof this.value !== 'number' || !this.hasRange()) return 0;
+        return Math.max(0, Math.min(1, (this.value - this.min) / (this.max - this.min)));
+    }
+
+    // Generate bar with out-of-range markers at the ends
+    generateGaugeBar(barLength = this.barLength) {
+        const filledLength = Math.round(this.getFillRatio() * barLength);
+        const chars = [...'█'.repeat(filledLength) + '░'.repeat(barLength - filledLength)];
+
+        const violation = this.getRangeViolation();
+        if (violation === 'below') chars[0] = '◂';
+        if (violation === 'above') chars[barLength - 1] = '▸';
+
+        return chars.join('');
+    }
+
+    render(maxWidth) {
+        // Without a usable range fall back to the plain number display
+        if (!this.hasRange() || this.value === null || this.value === undefined || typeof this.value !== 'number') {
+            return super.render(maxWidth);
+        }
+
+        const availableWidth = Math.max(5, maxWidth - 2);
+        const leftText = colorize(this.caption, THEMES.caption);
+        const color = this.getLevelColor();
+
+        const bar = this.generateGaugeBar()
+            .replace(/[█◂▸]/g, char => colorize(char, color))
+            .replace(/░/g, colorize('░', THEMES.inactive));
+        let rightText = `${bar} ${colorize(this.formatValue(), color)}`;
+
+        if (this.stale) {
+            rightText = this.renderStale(rightText);
+        }
+
+        return this.alignText(leftText, rightText, availableWidth);
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            ...(this.thresholds ? { thresholds: { ...this.thresholds } } : {}),
+            barLength: this.barLength
+        };
+    }
+}
+
+// Number Input Element - Setpoint control ([-] value [+]) for thermostats, timers etc.
+// Changes are sent with ack=false and stay pending until the device confirms with ack=true
+export class NumberInputElement extends DashboardElement {
+    constructor(config) {
+        super({
+            ...config,
+            type: 'number'
+        });
+
+        this.step = config.step;
+        this.decimals = config.decimals;
+        this.confirmTimeout = config.confirmTimeout ?? 5000;
+
+        this.selected = false;
+        this.selectedPart = 'value'; // 'dec', 'value' or 'inc'
+        this.pending = false;
+        this.pendingValue = null;
+        this.pendingTimer = null;
+        this.confirmed = false; // briefly true after the device confirmed a change
+        this.error = null; // briefly set after a failed or unconfirmed change
+        this.clearTimers = {};
+    }
+
+    getStep() {
+        return typeof this.step === 'number' && this.step > 0 ? this.step : 1;
+    }
+
+    getDecimals() {
+        if (Number.isInteger(this.decimals)) return this.decimals;
+
+        const stepText = String(this.getStep());
+        return stepText.includes('.') ? stepText.split('.')[1].length : 0;
+    }
+
+    formatNumber(value) {
+        if (value === null || value === undefined || value === '') return '---';
+
+        const formatted = this.applyFormatRules(value, this.getDecimals());
+        if (formatted !== null) return formatted;
+
+        const number = Number(value);
+        if (!Number.isFinite(number)) return String(value);
+        return number.toFixed(this.getDecimals()) + this.unit;
+    }
+
+    // Clamp to min/max and align to the step grid (avoids 0.1 + 0.2 artifacts)
+    normalizeValue(value) {
+        let number = Number(value);
+        if (!Number.isFinite(number)) return null;
+
+        const step = this.getStep();
+        const base = typeof this.min === 'number' ? this.min : 0;
+        number = base + Math.round((number - base) / step) * step;
+
+        if (typeof this.min === 'number') number = Math.max(this.min, number);
+        if (typeof this.max === 'number') number = Math.min(this.max, number);
+
+        return parseFloat(number.toFixed(this.getDecimals()));
+    }
+
+    // Value further changes are based on (the pending one while waiting for confirmation)
+    getCurrentValue() {
+        const value = this.pending ? this.pendingValue : this.value;
+        return Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : (this.min ?? 0);
+    }
+
+    increment() {
+        return this.setValue(this.getCurrentValue() + this.getStep());
+    }
+
+    decrement() {
+        return this.setValue(this.getCurrentValue() - this.getStep());
+    }
+
+    // Send a new setpoint to ioBroker and wait for the device to confirm it
+    async setValue(newValue) {
+        if (!this.interactive || !this.iobrokerClient || !this.stateId) {
+            return false;
+        }
+
+        const value = this.normalizeValue(newValue);
+        if (value === null || value === this.getCurrentValue()) {
+            return false; // Invalid or already at min/max
+        }
+
+        this.error = null;
+        this.confirmed = false;
+        this.pending = true;
+        this.pendingValue = value;
+        this.startPendingTimer();
+        this.emitChange();
+
+        try {
+            await this.iobrokerClient.setState(this.stateId, value);
+            return true;
+        } catch (error) {
+            this.rollback(error.message || String(error));
+            return false;
+        }
+    }
+
+    startPendingTimer() {
+        if (this.pendingTimer) {
+            clearTimeout(this.pendingTimer);
+        }
+
+        this.pendingTimer = setTimeout(() => {
+            this.pendingTimer = null;
+            if (this.pending) {
+                this.rollback('No confirmation from device');
+            }
+        }, this.confirmTimeout);
+    }
+
+    // Drop the pending value and show the last confirmed one again
+    rollback(message) {
+        if (this.pendingTimer) {
+            clearTimeout(this.pendingTimer);
+            this.pendingTimer = null;
+        }
+
+        const pendingValue = this.pendingValue;
+        this.pending = false;
+        this.pendingValue = null;
+        this.error = message;
+        this.scheduleClear('error', 3000);
+
+        this.emit('commandFailed', { element: this, value: pendingValue, error: message });
+        this.emitChange();
+    }
+
+    updateValue(newValue, timestamp = Date.now(), state = null) {
+        if (this.pending) {
+            // Our own command (or another unconfirmed write) - keep waiting for ack=true
+            if (state && state.ack === false) return;
+
+            if (this.isPendingValue(newValue)) {
+                clearTimeout(this.pendingTimer);
+                this.pendingTimer = null;
+                this.pending = false;
+                this.pendingValue = null;
+                this.error = null;
+                this.confirmed = true;
+                this.scheduleClear('confirmed', 2000);
+            } else {
+                // The device clamped or rejected the setpoint - show what it actually uses
+                this.rollback(`device reports ${this.formatNumber(newValue)}`);
+            }
+        }
+
+        super.updateValue(newValue, timestamp);
+    }
+
+    // Whether an acknowledged value is the one we sent, within the display precision
+    isPendingValue(value) {
+        const number = Number(value);
+        return Number.isFinite(number) && Math.abs(number - this.pendingValue) < Math.pow(10, -this.getDecimals()) / 2;
+    }
+
+    // Reset a transient visual state (confirmed/error) after a delay
+    scheduleClear(field, delay) {
+        clearTimeout(this.clearTimers[field]);
+
+        this.clearTimers[field] = setTimeout(() => {
+            delete this.clearTimers[field];
+            this[field] = field === 'error' ? null : false;
+            this.emitChange();
+        }, delay);
+    }
+
+    // Ask the dashboard to redraw without a new state value
+    emitChange() {
+        this.emit('valueChanged', { element: this, oldValue: this.value, newValue: this.value, timestamp: Date.now() });
+    }
+
+    setSelected(selected) {
+        if (this.selected === selected) return;
+
+        this.selected = selected;
+        if (!selected) {
+            this.selectedPart = 'value';
+        }
+    }
+
+    // Arrow keys: up/down change the value, left/right move between [-], value and [+]
+    handleKeyPress(key) {
+        const parts = ['dec', 'value', 'inc'];
+        const index = parts.indexOf(this.selectedPart);
+
+        switch (key) {
+            case 'ArrowUp':
+                this.increment();
+                return true;
+            case 'ArrowDown':
+                this.decrement();
+                return true;
+            case 'ArrowLeft':
+                this.selectedPart = parts[Math.max(0, index - 1)];
+                this.emitChange();
+                return true;
+            case 'ArrowRight':
+                this.selectedPart = parts[Math.min(parts.length - 1, index + 1)];
+                this.emitChange();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    isInteractive() {
+        return this.interactive;
+    }
+
+    async handleKey(key) {
+        switch (key) {
+            case '+':
+                return this.handleKeyPress('ArrowUp');
+            case '-':
+                return this.handleKeyPress('ArrowDown');
+            case 'Space':
+                await this.activate();
+                return true;
+            default:
+                return this.handleKeyPress(key);
+        }
+    }
+
+    getKeyHint() {
+        return '↑↓:change ←→:move Space:press';
     }
+
+    get showsSelection() {
+        return true;
+    }
+
+    // Space on [-] or [+]
+    async activate() {
+        if (this.selectedPart === 'dec') return this.decrement();
+        if (this.selectedPart === 'inc') return this.increment();
+        return false;
+    }
+
+    renderValueText() {
+        if (this.error) {
+            return colorize('!!', THEMES.error);
+        }
+        if (this.pending) {
+            return colorize(`${this.formatNumber(this.pendingValue)}⋯`, THEMES.warning);
+        }
+        if (this.value === null || this.value === undefined) {
+            return colorize(this.formatNumber(this.value), THEMES.inactive);
+        }
+        if (this.confirmed) {
+            return colorize(`${this.formatNumber(this.value)}✓`, THEMES.positive);
+        }
+        return colorize(this.formatNumber(this.value), this.getValueColor(THEMES.value));
+    }
+
+    render(maxWidth) {
+        // Read-only numbers are plain displays
+        if (!this.interactive) {
+            return super.render(maxWidth);
+        }
+
+        const availableWidth = Math.max(5, maxWidth - 2);
+        const leftText = colorize(this.caption, this.selected ? THEMES.active : THEMES.caption);
+
+        const decorate = (part, text) => this.selected && this.selectedPart === part
+            ? `${colorize('▶', THEMES.active)}${text}${colorize('◀', THEMES.active)}`
+            : text;
+        const dec = decorate('dec', colorize('[-]', THEMES.active));
+        const value = decorate('value', this.renderValueText());
+        const inc = decorate('inc', colorize('[+]', THEMES.active));
+
+        let rightText = `${dec} ${value} ${inc}`;
+        if (this.stale) {
+            rightText = this.renderStale(rightText);
+        }
+
+        return this.alignText(leftText, rightText, availableWidth);
+    }
+
+    formatValue() {
+        if (this.value === null || this.value === undefined) {
+            return super.formatValue();
+        }
+        return this.formatNumber(this.value);
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            step: this.step,
+            decimals: this.decimals,
+            confirmTimeout: this.confirmTimeout
+        };
+    }
+}
+
+// Dropdown Element - Enumerated states (common.states), shows the label for the raw value.
+// Space opens the picker, arrows choose, Space sets the value, Escape cancels
+export class DropdownElement extends DashboardElement {
+    constructor(config) {
+        super({
+            ...config,
+            type: 'dropdown'
+        });
+
+        this.states = config.states || {};
+        this.valueType = config.valueType; // common.type of the state (number, string, boolean)
+
+        this.selected = false;
+        this.open = false;
+        this.candidateIndex = 0;
+    }
+
+    // common.states comes as { "0": "off" }, "0:off;1:heat" or ["off", "heat"]
+    static parseStates(states) {
+        if (!states) return [];
+
+        if (typeof states === 'string') {
+            return states.split(';')
+                .map(entry => entry.trim())
+                .filter(Boolean)
+                .map(entry => {
+                    const separator = entry.indexOf(':');
+                    return separator === -1
+                        ? { key: entry, label: entry }
+                        : { key: entry.slice(0, separator).trim(), label: entry.slice(separator + 1).trim() };
+                });
+        }
+
+        if (Array.isArray(states)) {
+            return states.map((label, index) => ({ key: String(index), label: String(label) }));
+        }
+
+        return Object.entries(states).map(([key, label]) => ({ key, label: String(label) }));
+    }
+
+    getOptions() {
+        return DropdownElement.parseStates(this.states);
+    }
+
+    getOptionIndex(value) {
+        return this.getOptions().findIndex(option => option.key === String(value));
+    }
+
+    getLabel(value) {
+        const option = this.getOptions()[this.getOptionIndex(value)];
+        return option ? option.label : String(value);
+    }
+
+    // Convert an option key back to the state's value type
+    toStateValue(key) {
+        switch (this.valueType) {
+            case 'number':
+                return Number(key);
+            case 'boolean':
+                return key === 'true';
+            case 'string':
+                return key;
+            default:
+                return /^-?\d+(\.\d+)?$/.test(key) ? Number(key) : key;
+        }
+    }
+
+    isInteractive() {
+        return this.interactive && this.getOptions().length > 0;
+    }
+
+    async handleKey(key) {
+        const options = this.getOptions();
+        if (options.length === 0) return false;
+
+        if (!this.open) {
+            if (key !== 'Space') return false;
+
+            this.open = true;
+            this.candidateIndex = Math.max(0, this.getOptionIndex(this.value));
+            return true;
+        }
+
+        switch (key) {
+            case 'ArrowUp':
+            case 'ArrowLeft':
+            case '-':
+                this.candidateIndex = (this.candidateIndex - 1 + options.length) % options.length;
+                return true;
+            case 'ArrowDown':
+            case 'ArrowRight':
+            case '+':
+                this.candidateIndex = (this.candidateIndex + 1) % options.length;
+                return true;
+            case 'Space':
+                this.open = false;
+                await this.selectOption(options[this.candidateIndex]);
+                return true;
+            case 'Escape':
+                this.open = false;
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    async selectOption(option) {
+        if (!option || !this.iobrokerClient || !this.stateId || option.key === String(this.value)) {
+            return false;
+        }
+
+        const value = this.toStateValue(option.key);
+        try {
+            await this.iobrokerClient.setState(this.stateId, value);
+            return true;
+        } catch (error) {
+            this.emit('commandFailed', { element: this, value: option.label, error: error.message || String(error) });
+            return false;
+        }
+    }
+
+    getKeyHint() {
+        return this.open ? '←→:choose Space:set Esc:cancel' : 'Space:choose';
+    }
+
+    get showsSelection() {
+        return true;
+    }
+
+    setSelected(selected) {
+        this.selected = selected;
+        if (!selected) {
+            this.open = false;
+        }
+    }
+
+    formatValue() {
+        if (this.value === null || this.value === undefined) {
+            return 'N/A';
+        }
+        return this.getLabel(this.value);
+    }
+
+    render(maxWidth) {
+        const availableWidth = Math.max(5, maxWidth - 2);
+        const leftText = colorize(this.caption, this.selected ? THEMES.active : THEMES.caption);
+        let rightText;
+
+        if (this.open) {
+            const options = this.getOptions();
+            const candidate = options[this.candidateIndex];
+            rightText = `${colorize('◀', THEMES.active)} ${colorize(candidate.label, THEMES.selectedText)} ${colorize('▶', THEMES.active)}` +
+                colorize(` ${this.candidateIndex + 1}/${options.length}`, THEMES.inactive);
+        } else {
+            const isSet = this.value !== null && this.value !== undefined;
+            rightText = colorize(this.formatValue(), isSet ? this.getValueColor(THEMES.value) : THEMES.inactive);
+            if (this.selected) {
+                rightText += colorize(' ▾', THEMES.active);
+            }
+        }
+
+        if (this.stale) {
+            rightText = this.renderStale(rightText);
+        }
+
+        return this.alignText(leftText, rightText, availableWidth);
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            states: this.states,
+            valueType: this.valueType
+        };
+    }
+}
+
+// Blind Element - Roller shutter bound to a position state (level.blind) and the
+// button.open/close/stop siblings of its channel. Position 100 = fully open
+export class BlindElement extends DashboardElement {
+    constructor(config) {
+        super({
+            ...config,
+            type: 'blind'
+        });
+
+        this.min = typeof config.min === 'number' ? config.min : 0;
+        this.max = typeof config.max === 'number' ? config.max : 100;
+        this.unit = config.unit || '%';
+        this.controls = BlindElement.normalizeControls(config.controls);
+        this.step = config.step || 10;
+        this.barLength = Number.isInteger(config.barLength) && config.barLength > 0 ? config.barLength : 10;
+        this.travelTimeout = config.travelTimeout || 60000; // forget the movement if the position never arrives
+
+        this.selected = false;
+        this.motion = null; // 'opening' or 'closing' after a command, until the target is reached
+        this.target = null;
+        this.motionTimer = null;
+    }
+
+    static normalizeControls(controls) {
+        const normalized = {};
+        ['open', 'close', 'stop'].forEach(name => {
+            if (controls && typeof controls[name] === 'string' && controls[name]) {
+                normalized[name] = controls[name];
+            }
+        });
+        return normalized;
+    }
+
+    // Find position and open/close/stop states among the objects of a channel.
+    // preferredId wins if several states look like a position
+    static discoverStates(objects, preferredId = null) {
+        const entries = Object.entries(objects || {}).filter(([, obj]) => obj && obj.common);
+        const findByRole = (pattern) => {
+            const matches = entries.filter(([, obj]) => pattern.test(obj.common.role || ''));
+            return matches.find(([id]) => id === preferredId) || matches[0];
+        };
+
+        const position = findByRole(/^level\.(blind|curtain|shutter)/) || findByRole(/^value\.(blind|curtain|shutter)/);
+        const controls = {};
+        ['open', 'close', 'stop'].forEach(name => {
+            const match = findByRole(new RegExp(`^button\\.${name}\\b`));
+            if (match) controls[name] = match[0];
+        });
+
+        if (!position && !controls.open && !controls.close) {
+            return null;
+        }
+
+        const common = position ? position[1].common : {};
+        return {
+            stateId: position ? position[0] : null,
+            controls,
+            unit: common.unit || '%',
+            ...(common.min !== undefined ? { min: common.min } : {}),
+            ...(common.max !== undefined ? { max: common.max } : {}),
+            interactive: position ? common.write !== false || Object.keys(controls).length > 0 : true
+        };
+    }
+
+    isInteractive() {
+        return this.interactive;
+    }
+
+    get showsSelection() {
+        return true;
+    }
+
+    setSelected(selected) {
+        this.selected = selected;
+    }
+
+    updateValue(newValue, timestamp = Date.now(), state = null) {
+        super.updateValue(newValue, timestamp);
+
+        if (this.motion && typeof newValue === 'number' && Math.abs(newValue - this.target) < 1) {
+            this.endMotion();
+        }
+    }
+
+    async open() {
+        if (this.controls.open) {
+            return this.sendCommand(this.controls.open, true, 'open', this.max);
+        }
+        return this.setPosition(this.max);
+    }
+
+    async close() {
+        if (this.controls.close) {
+            return this.sendCommand(this.controls.close, true, 'close', this.min);
+        }
+        return this.setPosition(this.min);
+    }
+
+    async stop() {
+        if (!this.controls.stop) return false;
+
+        const sent = await this.sendCommand(this.controls.stop, true, 'stop', null);
+        if (sent) {
+            this.endMotion();
+        }
+        return sent;
+    }
+
+    async setPosition(position) {
+        if (!this.stateId) return false;
+
+        const target = Math.max(this.min, Math.min(this.max, Math.round(position)));
+        return this.sendCommand(this.stateId, target, `${target}${this.unit}`, target);
+    }
+
+    async sendCommand(id, value, label, target) {
+        if (!this.iobrokerClient) return false;
+
+        try {
+            await this.iobrokerClient.setState(id, value);
+        } catch (error) {
+            this.emit('commandFailed', { element: this, value: label, error: error.message || String(error) });
+            return false;
+        }
+
+        if (target !== null && typeof this.value === 'number' && Math.abs(this.value - target) >= 1) {
+            this.startMotion(target > this.value ? 'opening' : 'closing', target);
+        }
+        return true;
+    }
+
+    startMotion(motion, target) {
+        this.motion = motion;
+        this.target = target;
+
+        clearTimeout(this.motionTimer);
+        this.motionTimer = setTimeout(() => this.endMotion(), this.travelTimeout);
+        this.emitChange();
+    }
+
+    endMotion() {
+        clearTimeout(this.motionTimer);
+        this.motionTimer = null;
+        if (!this.motion) return;
+
+        this.motion = null;
+        this.target = null;
+        this.emitChange();
+    }
+
+    emitChange() {
+        this.emit('valueChanged', { element: this, oldValue: this.value, newValue: this.value, timestamp: Date.now() });
+    }
+
+    async handleKey(key) {
+        const current = typeof this.value === 'number' ? this.value : this.min;
+
+        switch (key) {
+            case 'ArrowUp':
+            case 'Home':
+                return this.open();
+            case 'ArrowDown':
+            case 'End':
+                return this.close();
+            case 'Space':
+                return this.stop();
+            case 'ArrowRight':
+            case 'PageUp':
+            case '+':
+                return this.setPosition(current + this.step);
+            case 'ArrowLeft':
+            case 'PageDown':
+            case '-':
+                return this.setPosition(current - this.step);
+            default:
+                // 0-9 jump to 0%-90% of the range
+                if (/^[0-9]$/.test(key)) {
+                    return this.setPosition(this.min + (this.max - this.min) * Number(key) / 10);
+                }
+                return false;
+        }
+    }
+
+    getKeyHint() {
+        return this.controls.stop ? '↑↓:open/close Space:stop ←→/0-9:position' : '↑↓:open/close ←→/0-9:position';
+    }
+
+    // Fraction (0-1) of the bar to fill, 1 = fully open
+    getFillRatio() {
+        if (typeof this.value !== 'number' || this.max <= this.min) return 0;
+        return Math.max(0, Math.min(1, (this.value - this.min) / (this.max - this.min)));
+    }
+
+    formatValue() {
+        if (typeof this.value !== 'number') {
+            return this.value === null || this.value === undefined ? 'N/A' : String(this.value);
+        }
+        return `${Math.round(this.value)}${this.unit}`;
+    }
+
+    render(maxWidth) {
+        const availableWidth = Math.max(5, maxWidth - 2);
+        const leftText = colorize(this.caption, this.selected ? THEMES.active : THEMES.caption);
+
+        const filledLength = Math.round(this.getFillRatio() * this.barLength);
+        const bar = colorize('█'.repeat(filledLength), THEMES.value) +
+            colorize('░'.repeat(this.barLength - filledLength), THEMES.inactive);
+        const motion = this.motion === 'opening' ? '▲' : this.motion === 'closing' ? '▼' : ' ';
+
+        let rightText = `${colorize(motion, THEMES.warning)} ${bar} ${colorize(this.formatValue().padStart(4), this.getValueColor(THEMES.value))}`;
+
+        if (this.stale) {
+            rightText = this.renderStale(rightText);
+        }
+
+        return this.alignText(leftText, rightText, availableWidth);
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            controls: { ...this.controls },
+            step: this.step,
+            barLength: this.barLength,
+            travelTimeout: this.travelTimeout
+        };
+    }
+}
+
+// Thermostat Element - Actual temperature (stateId) plus the setpoint, mode and valve states
+// of the same device. The setpoint behaves like a NumberInputElement (pending until ack=true)
+export class ThermostatElement extends DashboardElement {
+    constructor(config) {
+        super({
+            ...config,
+            type: 'thermostat'
+        });
+
+        this.unit = config.unit || '°C';
+        this.bindings = ThermostatElement.normalizeBindings(config.bindings);
+        this.modeStates = config.modeStates || null; // common.states of the mode state
+
+        this.setpoint = new NumberInputElement({
+            caption: this.caption,
+            stateId: this.bindings.setpoint,
+            unit: this.unit,
+            min: config.min,
+            max: config.max,
+            step: config.step ?? 0.5,
+            decimals: config.decimals,
+            format: this.format,
+            interactive: this.interactive
+        });
+        this.setpoint.on('valueChanged', () => this.emitChange());
+        this.setpoint.on('commandFailed', ({ value, error }) => {
+            this.emit('commandFailed', { element: this, value: this.setpoint.formatNumber(value), error });
+        });
+
+        this.mode = null;
+        this.valve = null;
+        this.selected = false;
+    }
+
+    static normalizeBindings(bindings) {
+        const normalized = {};
+        ['setpoint', 'mode', 'valve'].forEach(name => {
+            if (bindings && typeof bindings[name] === 'string' && bindings[name]) {
+                normalized[name] = bindings[name];
+            }
+        });
+        return normalized;
+    }
+
+    // Find actual temperature, setpoint, mode and valve among the objects of a device.
+    // Returns null without a setpoint (a plain temperature sensor)
+    static discoverStates(objects, preferredId = null) {
+        const entries = Object.entries(objects || {}).filter(([, obj]) => obj && obj.common);
+        const findByRole = (pattern) => {
+            const matches = entries.filter(([, obj]) => pattern.test(obj.common.role || ''));
+            return matches.find(([id]) => id === preferredId) || matches[0];
+        };
+
+        const setpoint = findByRole(/^level\.temperature/);
+        if (!setpoint) return null;
+
+        const actual = findByRole(/^(value|sensor)\.temperature/);
+        const mode = findByRole(/^(level|switch|value)\.mode/) || findByRole(/^switch\.heating/);
+        const valve = findByRole(/^(value|level)\.valve/);
+        const common = setpoint[1].common;
+
+        return {
+            stateId: actual ? actual[0] : setpoint[0],
+            bindings: {
+                setpoint: setpoint[0],
+                ...(mode ? { mode: mode[0] } : {}),
+                ...(valve ? { valve: valve[0] } : {})
+            },
+            unit: common.unit || '°C',
+            ...(common.min !== undefined ? { min: common.min } : {}),
+            ...(common.max !== undefined ? { max: common.max } : {}),
+            ...(common.step !== undefined ? { step: common.step } : {}),
+            ...(mode && mode[1].common.states ? { modeStates: mode[1].common.states } : {}),
+            interactive: common.write !== false
+        };
+    }
+
+    connect(iobrokerClient) {
+        super.connect(iobrokerClient);
+        // The setpoint only writes; its values arrive through updateState()
+        this.setpoint.iobrokerClient = iobrokerClient;
+    }
+
+    disconnect() {
+        super.disconnect();
+        this.setpoint.iobrokerClient = null;
+    }
+
+    getStateIds() {
+        return [...new Set([this.stateId, ...Object.values(this.bindings)].filter(Boolean))];
+    }
+
+    updateState(id, state, timestamp = Date.now()) {
+        const val = state?.val;
+
+        if (id === this.bindings.setpoint) {
+            this.setpoint.updateValue(val, timestamp, state);
+        }
+        if (id === this.bindings.mode && this.mode !== val) {
+            this.mode = val;
+            this.emitChange();
+        }
+        if (id === this.bindings.valve && this.valve !== val) {
+            this.valve = val;
+            this.emitChange();
+        }
+        if (id === this.stateId) {
+            this.updateValue(val, timestamp, state);
+        }
+    }
+
+    emitChange() {
+        this.emit('valueChanged', { element: this, oldValue: this.value, newValue: this.value, timestamp: Date.now() });
+    }
+
+    isInteractive() {
+        return this.interactive && !!this.bindings.setpoint;
+    }
+
+    get showsSelection() {
+        return true;
+    }
+
+    setSelected(selected) {
+        this.selected = selected;
+    }
+
+    async handleKey(key) {
+        switch (key) {
+            case 'ArrowUp':
+            case '+':
+                this.setpoint.increment();
+                return true;
+            case 'ArrowDown':
+            case '-':
+                this.setpoint.decrement();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    getKeyHint() {
+        return '↑↓:setpoint';
+    }
+
+    getModeLabel() {
+        if (this.mode === null || this.mode === undefined) return null;
+        if (typeof this.mode === 'boolean') return this.mode ? 'Heat' : 'Off';
+
+        const option = DropdownElement.parseStates(this.modeStates).find(entry => entry.key === String(this.mode));
+        return option ? option.label : String(this.mode);
+    }
+
+    formatValue() {
+        return this.setpoint.formatNumber(this.value);
+    }
+
+    // Actual temperature and setpoint share the formatting rules
+    setFormat(format) {
+        super.setFormat(format);
+        this.setpoint.format = this.format;
+    }
+
+    render(maxWidth) {
+        const availableWidth = Math.max(5, maxWidth - 2);
+        const leftText = colorize(this.caption, this.selected ? THEMES.active : THEMES.caption);
+
+        const actual = this.value === null || this.value === undefined
+            ? colorize('---', THEMES.inactive)
+            : colorize(this.formatValue(), this.getValueColor(THEMES.value));
+        let target = this.setpoint.renderValueText();
+        if (this.selected) {
+            target = `${colorize('▶', THEMES.active)}${target}${colorize('◀', THEMES.active)}`;
+        }
+
+        const parts = [`${actual} ${colorize('→', THEMES.inactive)} ${target}`];
+        const modeLabel = this.getModeLabel();
+        if (modeLabel) {
+            parts.push(colorize(modeLabel, THEMES.active));
+        }
+        if (typeof this.valve === 'number') {
+            parts.push(colorize(`${Math.round(this.valve)}%`, this.valve > 0 ? THEMES.warning : THEMES.inactive));
+        }
+
+        let rightText = parts.join(' ');
+        if (this.stale) {
+            rightText = this.renderStale(rightText);
+        }
+
+        return this.alignText(leftText, rightText, availableWidth);
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            min: this.setpoint.min,
+            max: this.setpoint.max,
+            bindings: { ...this.bindings },
+            ...(this.modeStates ? { modeStates: this.modeStates } : {}),
+            step: this.setpoint.step,
+            decimals: this.setpoint.decimals
+        };
+    }
+}
+
+// True if an object's common section defines enumerated values (common.states)
+export function hasEnumStates(common) {
+    return !!common && DropdownElement.parseStates(common.states).length > 0;
+}
+
+const SPARKLINE_CHARS =['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+const SPARKLINE_AGGREGATES = ['avg', 'min', 'max', 'last'];
+const MAX_HISTORY_POINTS = 2000;
+
+// Parse a duration like '30m', '1h', '7d' (plain numbers are milliseconds)
+export function parseDuration(value) {
+    if (typeof value === 'number') return value;
+
+    const match = /^(\d+(?:\.\d+)?)\s*(s|m|h|d)$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseFloat(match[1]) * units[match[2]];
+}
+
+// Sparkline Element - Mini chart of the values within a rolling time window.
+// Keeps an in-memory buffer of live values, seeded from a history adapter when available
+export class SparklineElement extends DashboardElement {
+    constructor(config) {
+        super({
+            ...config,
+            type: 'sparkline'
+        });
+
+        const history = config.history || {};
+        this.history = {
+            window: parseDuration(history.window) ? history.window : '1h',
+            aggregate: SPARKLINE_AGGREGATES.includes(history.aggregate) ? history.aggregate : 'avg',
+            width: Number.isInteger(history.width) && history.width > 0 ? history.width : 12
+        };
+        if (history.instance) {
+            this.history.instance = history.instance;
+        }
+
+        this.points = []; // [{ ts, val }] sorted by ts
+        this.historyLoaded = false;
+    }
+
+    get windowMs() {
+        return parseDuration(this.history.window);
+    }
+
+    // Record live values in the rolling buffer
+    updateValue(newValue, timestamp = Date.now()) {
+        super.updateValue(newValue, timestamp);
+        this.addPoint(newValue, timestamp);
+    }
+
+    addPoint(value, ts) {
+        const val = typeof value === 'boolean' ? (value ? 1 : 0) : Number(value);
+        if (value === null || value === undefined || value === '' || !Number.isFinite(val)) return;
+
+        const timestamp = ts || Date.now();
+        const last = this.points[this.points.length - 1];
+
+        if (!last || last.ts <= timestamp) {
+            // Same value re-delivered (e.g. resync) - nothing new to draw
+            if (last && last.ts === timestamp && last.val === val) return;
+            this.points.push({ ts: timestamp, val });
+        } else {
+            const index = this.points.findIndex(point => point.ts > timestamp);
+            this.points.splice(index, 0, { ts: timestamp, val });
+        }
+
+        this.trimPoints();
+    }
+
+    // Drop values outside the window, keeping the last one before it
+    // so the chart starts with the value that was current at the window start
+    trimPoints(now = Date.now()) {
+        const start = now - this.windowMs;
+        let firstInside = this.points.findIndex(point => point.ts >= start);
+        if (firstInside === -1) firstInside = this.points.length;
+
+        if (firstInside > 1) {
+            this.points.splice(0, firstInside - 1);
+        }
+        if (this.points.length > MAX_HISTORY_POINTS) {
+            this.points.splice(0, this.points.length - MAX_HISTORY_POINTS);
+        }
+    }
+
+    // Seed the buffer from the history adapter (merged with values received meanwhile)
+    async loadHistory() {
+        if (!this.iobrokerClient || !this.stateId || typeof this.iobrokerClient.getHistory !== 'function') {
+            return false;
+        }
+
+        const end = Date.now();
+        const options = {
+            start: end - this.windowMs,
+            end,
+            aggregate: 'none',
+            ignoreNull: true,
+            count: MAX_HISTORY_POINTS,
+            ack: true
+        };
+        if (this.history.instance) {
+            options.instance = this.history.instance;
+        }
+
+        const result = await this.iobrokerClient.getHistory(this.stateId, options);
+        result.forEach(entry => this.addPoint(entry.val, entry.ts));
+        this.historyLoaded = true;
+
+        this.emit('historyLoaded', { element: this, count: result.length });
+        return true;
+    }
+
+    // Aggregate the buffer into one value per column (null before the first known value)
+    getSeries(now = Date.now(), width = this.history.width) {
+        const windowMs = this.windowMs;
+        const start = now - windowMs;
+        const bucketSize = windowMs / width;
+        const buckets = Array.from({ length: width }, () => []);
+        let carried = null;
+
+        for (const point of this.points) {
+            if (point.ts < start) {
+                carried = point.val;
+                continue;
+            }
+            const index = Math.min(width - 1, Math.floor((point.ts - start) / bucketSize));
+            buckets[index].push(point.val);
+        }
+
+        return buckets.map(values => {
+            if (values.length === 0) {
+                // States keep their value until changed
+                return carried;
+            }
+
+            let value;
+            switch (this.history.aggregate) {
+                case 'min':
+                    value = Math.min(...values);
+                    break;
+                case 'max':
+                    value = Math.max(...values);
+                    break;
+                case 'last':
+                    value = values[values.length - 1];
+                    break;
+                default:
+                    value = values.reduce((sum, val) => sum + val, 0) / values.length;
+            }
+            carried = values[values.length - 1];
+            return value;
+        });
+    }
+
+    // Scale the series to block characters
+    generateSparkline(now = Date.now()) {
+        const series = this.getSeries(now);
+        const known = series.filter(value => value !== null);
+        if (known.length === 0) return '';
+
+        const min = Math.min(...known);
+        const max = Math.max(...known);
+        const range = max - min;
+
+        return series.map(value => {
+            if (value === null) return ' ';
+            if (range === 0) return SPARKLINE_CHARS[3];
+            const index = Math.round(((value - min) / range) * (SPARKLINE_CHARS.length - 1));
+            return SPARKLINE_CHARS[index];
+        }).join('');
+    }
+
+    render(maxWidth) {
+        const availableWidth = Math.max(5, maxWidth - 2);
+        const leftText = colorize(this.caption, THEMES.caption);
+        const sparkline = this.generateSparkline();
+
+        let rightText = sparkline
+            ? `${colorize(sparkline, THEMES.value)} ${colorize(this.formatValue(), this.getValueColor(THEMES.value))}`
+            : colorize(this.formatValue(), this.value === null || this.value === undefined ? THEMES.inactive : THEMES.value);
+
+        if (this.stale) {
+            rightText = this.renderStale(rightText);
+        }
+
+        return this.alignText(leftText, rightText, availableWidth);
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            history: { ...this.history }
+        };
+    }
+}
+
+const MAX_LOG_ENTRIES = 100;
+
+function clampHeight(height, fallback, min, max) {
+    return Math.max(min, Math.min(max, Number.isInteger(height) ? height : fallback));
+}
+
+// Short axis label (no unit, the value line shows it)
+function formatAxisValue(value) {
+    return Math.abs(value) >= 100 ? String(Math.round(value)) : String(parseFloat(value.toFixed(1)));
+}
+
+// Chart Element - Multi-line block chart of the same buffer/history as sparklines.
+// First line shows caption and value, the remaining lines the chart with min/max labels
+export class ChartElement extends SparklineElement {
+    constructor(config) {
+        super(config);
+        this.type = 'chart';
+        this.height = clampHeight(config.height, 4, 3, 8);
+    }
+
+    getHeight() {
+        return this.height;
+    }
+
+    // Rows of block characters, 8 levels per row, top row first
+    generateChart(width, rows, now = Date.now()) {
+        const series = this.getSeries(now, width);
+        const known = series.filter(value => value !== null);
+        if (known.length === 0) return null;
+
+        const min = Math.min(...known);
+        const max = Math.max(...known);
+        const range = max - min;
+        const levels = rows * 8;
+
+        const columns = series.map(value => {
+            if (value === null) return 0;
+            if (range === 0) return levels / 2;
+            return Math.round(((value - min) / range) * (levels - 1)) + 1;
+        });
+
+        const lines = [];
+        for (let row = 0; row < rows; row++) {
+            const base = (rows - 1 - row) * 8;
+            lines.push(columns.map(level => {
+                const fill = level - base;
+                if (fill >= 8) return '█';
+                if (fill <= 0) return ' ';
+                return SPARKLINE_CHARS[fill - 1];
+            }).join(''));
+        }
+
+        return { lines, min, max };
+    }
+
+    render(maxWidth) {
+        const availableWidth = Math.max(5, maxWidth - 2);
+        const isSet = this.value !== null && this.value !== undefined;
+        let rightText = colorize(this.formatValue(), isSet ? this.getValueColor(THEMES.value) : THEMES.inactive);
+
+        if (this.stale) {
+            rightText = this.renderStale(rightText);
+        }
+
+        return this.alignText(colorize(this.caption, THEMES.caption), rightText, availableWidth);
+    }
+
+    renderLines(maxWidth) {
+        const availableWidth = Math.max(5, maxWidth - 2);
+        const rows = this.height - 1;
+        const lines = [this.render(maxWidth)];
+
+        // Reserve room for the axis labels of the current range
+        const range = this.generateChart(1, 1);
+        const labelWidth = range ? Math.max(formatAxisValue(range.min).length, formatAxisValue(range.max).length) : 0;
+        const chart = this.generateChart(Math.max(1, availableWidth - labelWidth - 1), rows);
+
+        if (!chart) {
+            lines.push(colorize('no data', THEMES.inactive));
+            return lines;
+        }
+
+        const color = this.stale ? THEMES.inactive : THEMES.value;
+        chart.lines.forEach((line, row) => {
+            let label = '';
+            if (row === 0) label = formatAxisValue(chart.max);
+            if (row === rows - 1) label = formatAxisValue(chart.min);
+            lines.push(`${colorize(line, color)} ${colorize(label.padStart(labelWidth), THEMES.inactive)}`);
+        });
+
+        return lines;
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            height: this.height
+        };
+    }
+}
+
+// Log Element - Text box with the latest values of a state (newest at the bottom),
+// e.g. messages, notifications or multi-line text
+export class LogElement extends DashboardElement {
+    constructor(config) {
+        super({
+            ...config,
+            type: 'log'
+        });
+
+        this.height = clampHeight(config.height, 5, 2, 20);
+        this.entries = []; // [{ ts, text }]
+    }
+
+    getHeight() {
+        return this.height;
+    }
+
+    updateValue(newValue, timestamp = Date.now(), state = null) {
+        super.updateValue(newValue, timestamp);
+        this.addEntry(newValue, state?.ts || timestamp);
+    }
+
+    addEntry(value, ts) {
+        if (value === null || value === undefined || value === '') return;
+
+        const text = String(value);
+        const last = this.entries[this.entries.length - 1];
+        // Same state re-delivered (resync) - already logged
+        if (last && last.ts === ts && last.text === text) return;
+
+        this.entries.push({ ts, text });
+        if (this.entries.length > MAX_LOG_ENTRIES) {
+            this.entries.splice(0, this.entries.length - MAX_LOG_ENTRIES);
+        }
+    }
+
+    formatTime(ts) {
+        const date = new Date(ts);
+        return [date.getHours(), date.getMinutes(), date.getSeconds()]
+            .map(part => String(part).padStart(2, '0'))
+            .join(':');
+    }
+
+    render(maxWidth) {
+        const availableWidth = Math.max(5, maxWidth - 2);
+        let rightText = colorize(`${this.entries.length} entries`, THEMES.inactive);
+
+        if (this.stale) {
+            rightText = this.renderStale(rightText);
+        }
+
+        return this.alignText(colorize(this.caption, THEMES.caption), rightText, availableWidth);
+    }
+
+    renderLines(maxWidth) {
+        const availableWidth = Math.max(5, maxWidth - 2);
+        const rows = this.height - 1;
+
+        // Multi-line values take one row per line, only the time of the first is shown
+        const textLines = this.entries.flatMap(entry => entry.text.split('\n').map((line, index) => ({
+            time: index === 0 ? this.formatTime(entry.ts) : '',
+            line,
+            value: entry.text
+        })));
+
+        const lines = textLines.slice(-rows).map(({ time, line, value }) => {
+            const text = line.length > availableWidth - 9 ? line.substring(0, Math.max(0, availableWidth - 12)) + '...' : line;
+            return `${colorize(time.padEnd(8), THEMES.inactive)} ${colorize(text, this.stale ? THEMES.inactive : this.getValueColor(THEMES.value, value))}`;
+        });
+
+        return [this.render(maxWidth), ...lines];
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            height: this.height
+        };
+    }
+}
+
+// Bar Chart Element - One horizontal bar per state (e.g. power per room), scaled to max
+// or to the largest value. Bound to several states like thermostats
+export class BarChartElement extends DashboardElement {
+    constructor(config) {
+        super({
+            ...config,
+            type: 'bars'
+        });
+
+        this.min = typeof config.min === 'number' ? config.min : 0;
+        this.bars = (config.bars || [])
+            .filter(bar => bar && bar.stateId)
+            .map(bar => ({ stateId: bar.stateId, caption: bar.caption || bar.stateId.split('.').pop() }));
+        this.barValues = new Map(); // stateId -> value
+    }
+
+    getHeight() {
+        return this.bars.length + 1;
+    }
+
+    getStateIds() {
+        return [...new Set(this.bars.map(bar => bar.stateId))];
+    }
+
+    updateState(id, state, timestamp = Date.now()) {
+        const val = state?.val;
+        if (this.barValues.get(id) === val) return;
+
+        this.barValues.set(id, val);
+        this.lastUpdate = timestamp;
+        this.emit('valueChanged', { element: this, oldValue: null, newValue: val, timestamp });
+    }
+
+    // Upper end of the bars: configured max or the largest value
+    getScaleMax() {
+        if (typeof this.max === 'number') return this.max;
+
+        const values = Array.from(this.barValues.values()).filter(value => typeof value === 'number');
+        return values.length > 0 ? Math.max(...values) : 0;
+    }
+
+    formatBarValue(value) {
+        if (typeof value !== 'number') return 'N/A';
+
+        const formatted = this.applyFormatRules(value);
+        if (formatted !== null) return formatted;
+        return `${formatAxisValue(value)}${this.unit}`;
+    }
+
+    render(maxWidth) {
+        const availableWidth = Math.max(5, maxWidth - 2);
+        let rightText = '';
+
+        if (this.stale) {
+            rightText = this.renderStale(colorize('offline', THEMES.inactive));
+        }
+
+        return this.alignText(colorize(this.caption, THEMES.caption), rightText, availableWidth);
+    }
+
+    renderLines(maxWidth) {
+        const availableWidth = Math.max(5, maxWidth - 2);
+        const scaleMax = this.getScaleMax();
+        const labelWidth = Math.min(Math.floor(availableWidth / 3), Math.max(0, ...this.bars.map(bar => bar.caption.length)));
+        const valueWidth = Math.max(0, ...this.bars.map(bar => this.formatBarValue(this.barValues.get(bar.stateId)).length));
+        const barLength = Math.max(1, availableWidth - labelWidth - valueWidth - 2);
+
+        const lines = this.bars.map(bar => {
+            const value = this.barValues.get(bar.stateId);
+            const ratio = typeof value === 'number' && scaleMax > this.min
+                ? Math.max(0, Math.min(1, (value - this.min) / (scaleMax - this.min)))
+                : 0;
+            const filled = Math.round(ratio * barLength);
+            const label = bar.caption.length > labelWidth ? bar.caption.substring(0, labelWidth) : bar.caption.padEnd(labelWidth);
+
+            const color = this.getValueColor(THEMES.value, value);
+
+            return `${colorize(label, THEMES.caption)} ` +
+                `${colorize('█'.repeat(filled), this.stale ? THEMES.inactive : color)}${colorize('░'.repeat(barLength - filled), THEMES.inactive)} ` +
+                colorize(this.formatBarValue(value).padStart(valueWidth), typeof value === 'number' ? color : THEMES.inactive);
+        });
+
+        return [this.render(maxWidth), ...lines];
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            bars: this.bars.map(bar => ({ ...bar }))
+        };
+    }
+}
+
+// Computed Element - Virtual value calculated from several states with a safe expression,
+// e.g. inputs { house: 'meter.0.power', pv: 'pv.0.power' } and expression 'house - pv'.
+// Re-evaluated whenever one of the inputs changes
+export class ComputedElement extends DashboardElement {
+    constructor(config) {
+        super({
+            ...config,
+            type: 'computed',
+            interactive: false
+        });
+
+        this.inputs = { ...(config.inputs || {}) }; // variable name -> stateId
+        this.expression = config.expression || '';
+        this.decimals = typeof config.decimals === 'number' ? config.decimals : 1;
+        this.inputValues = {}; // variable name -> value
+        this.value = null; // no result until all inputs are known
+        this.error = null;
+
+        try {
+            this.compiled = compileExpression(this.expression);
+            const unknown = this.compiled.variables.filter(name => !this.inputs[name]);
+            if (unknown.length > 0) {
+                throw new Error(`Unknown variable "${unknown[0]}"`);
+            }
+        } catch (error) {
+            this.compiled = null;
+            this.error = error.message;
+        }
+    }
+
+    getStateIds() {
+        return [...new Set(Object.values(this.inputs))];
+    }
+
+    updateState(id, state, timestamp = Date.now()) {
+        Object.entries(this.inputs)
+            .filter(([, stateId]) => stateId === id)
+            .forEach(([name]) => { this.inputValues[name] = state?.val; });
+
+        this.updateValue(this.evaluate(), timestamp);
+    }
+
+    // Result of the expression, null while an input has no value yet
+    evaluate() {
+        if (!this.compiled) return null;
+
+        try {
+            return this.compiled.evaluate(this.inputValues);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    formatValue() {
+        if (this.value === null || this.value === undefined) {
+            return 'N/A';
+        }
+
+        const formatted = this.applyFormatRules(this.value, this.decimals);
+        if (formatted !== null) {
+            return formatted;
+        }
+
+        if (typeof this.value === 'boolean') {
+            return this.value ? 'YES' : 'NO';
+        }
+
+        if (typeof this.value === 'number') {
+            return this.value.toFixed(this.decimals) + this.unit;
+        }
+
+        return this.value.toString() + this.unit;
+    }
+
+    render(maxWidth) {
+        if (!this.error) {
+            return super.render(maxWidth);
+        }
+
+        const availableWidth = Math.max(5, maxWidth - 2);
+        return this.alignText(colorize(this.caption, THEMES.caption), colorize('ERR', THEMES.error), availableWidth);
+    }
+
+    isHealthy() {
+        return this.connected && !this.error && this.lastUpdate > Date.now() - (5 * 60 * 1000);
+    }
+
+    toJSON() {
+        const { stateId, ...config } = super.toJSON();
+        return {
+            ...config,
+            inputs: { ...this.inputs },
+            expression: this.expression,
+            decimals: this.decimals
+        };
+    }
+}
+
+// Element classes by config type, other types are plain DashboardElements
+export const ELEMENT_CLASSES = {
+    slider: VisualSliderElement,
+    gauge: VisualGaugeElement,
+    number: NumberInputElement,
+    dropdown: DropdownElement,
+    blind: BlindElement,
+    thermostat: ThermostatElement,
+    chart: ChartElement,
+    log: LogElement,
+    bars: BarChartElement,
+    sparkline: SparklineElement,
+    computed: ComputedElement
+};
+
+// Factory function to create elements from their saved configuration
+export function createElement(config) {
+    const ElementClass = ELEMENT_CLASSES[config.type] || DashboardElement;
+    return ElementClass.fromJSON(config);
 }
 
 // Helper function to create multiple elements
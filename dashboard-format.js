@@ -0,0 +1,139 @@
+/**
+ * Dashboard file formats
+ *
+ * Dashboards are stored as JSON (.json) or YAML (.yaml/.yml), chosen by the file
+ * extension. When a YAML dashboard is saved again, the existing document is updated
+ * in place so comments and formatting of unchanged parts are kept; groups and
+ * elements are matched by id, so their comments move along when they are reordered.
+ */
+
+import YAML, { isMap, isSeq, isScalar } from 'yaml';
+
+export const DASHBOARD_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const YAML_OPTIONS = { lineWidth: 0 };
+
+/**
+ * Extension of a dashboard file name
+ * @param {string} filename - File name
+ * @returns {string|null} '.json', '.yaml' or '.yml', null for other files
+ */
+export function getDashboardExtension(filename) {
+    const lower = String(filename).toLowerCase();
+    return DASHBOARD_EXTENSIONS.find(extension => lower.endsWith(extension)) || null;
+}
+
+/**
+ * Check whether a file is a dashboard file
+ * @param {string} filename - File name
+ * @returns {boolean} True for .json, .yaml and .yml files
+ */
+export function isDashboardFile(filename) {
+    return getDashboardExtension(filename) !== null;
+}
+
+/**
+ * Check whether a dashboard file is stored as YAML
+ * @param {string} filename - File name
+ * @returns {boolean} True for .yaml and .yml files
+ */
+export function isYamlFile(filename) {
+    const extension = getDashboardExtension(filename);
+    return extension === '.yaml' || extension === '.yml';
+}
+
+/**
+ * File name without its dashboard extension
+ * @param {string} filename - File name
+ * @returns {string} Name, e.g. "kitchen" for "kitchen.yaml"
+ */
+export function getDashboardName(filename) {
+    const extension = getDashboardExtension(filename);
+    return extension ? filename.slice(0, -extension.length) : filename;
+}
+
+/**
+ * Parse a dashboard file
+ * @param {string} text - File content
+ * @param {string} filename - File name, selects the format
+ * @returns {Object} Parsed dashboard
+ * @throws {Error} If the content is not valid JSON/YAML
+ */
+export function parseDashboard(text, filename) {
+    return isYamlFile(filename) ? YAML.parse(text) : JSON.parse(text);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function keyOf(pair) {
+    return isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+}
+
+// Update a YAML node to a new value, reusing existing nodes so their comments survive
+function updateNode(document, node, value) {
+    if (isObject(value) && isMap(node)) {
+        const keys = Object.keys(value);
+        node.items = node.items.filter(pair => keys.includes(keyOf(pair)));
+
+        for (const key of keys) {
+            const pair = node.items.find(item => keyOf(item) === key);
+            if (pair) {
+                pair.value = updateNode(document, pair.value, value[key]);
+            } else {
+                node.items.push(document.createPair(key, value[key]));
+            }
+        }
+        return node;
+    }
+
+    if (Array.isArray(value) && isSeq(node)) {
+        const remaining = [...node.items];
+        node.items = value.map((item, index) => {
+            const existing = isObject(item) && item.id !== undefined
+                ? remaining.find(candidate => isMap(candidate) && candidate.get('id') === item.id)
+                : remaining[index];
+            return existing ? updateNode(document, existing, item) : document.createNode(item);
+        });
+        return node;
+    }
+
+    if (isScalar(node) && !isObject(value) && !Array.isArray(value)) {
+        node.value = value;
+        return node;
+    }
+
+    const created = document.createNode(value);
+    if (node && node.commentBefore) created.commentBefore = node.commentBefore;
+    if (node && node.comment) created.comment = node.comment;
+    return created;
+}
+
+/**
+ * Serialize a dashboard for its file format
+ * @param {Object} config - Dashboard configuration
+ * @param {string} filename - File name, selects the format
+ * @param {string} [previousText] - Current YAML file content whose comments should be kept
+ * @returns {string} File content
+ */
+export function stringifyDashboard(config, filename, previousText = null) {
+    if (!isYamlFile(filename)) {
+        return JSON.stringify(config, null, 2);
+    }
+
+    // Drop undefined fields like JSON does
+    const value = JSON.parse(JSON.stringify(config));
+
+    if (previousText) {
+        const document = YAML.parseDocument(previousText);
+        if (document.errors.length === 0 && isMap(document.contents)) {
+            document.contents = updateNode(document, document.contents, value);
+            return document.toString(YAML_OPTIONS);
+        }
+    }
+
+    return YAML.stringify(value, YAML_OPTIONS);
+}
+
+export default parseDashboard;
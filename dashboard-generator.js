@@ -0,0 +1,414 @@
+/**
+ * Dashboard generation from ioBroker enums
+ *
+ * Rooms (enum.rooms.*) and functions (enum.functions.*) list the states, channels and
+ * devices that belong to them. The generator turns them into one group per room or per
+ * function and picks an element type for each state from its role, type and write flag.
+ *
+ * Only states with a role that makes sense on a dashboard are used by default, e.g.
+ * boolean switches and numeric values; role filters (include/exclude, "*" as wildcard)
+ * change the selection. Of several dimmer states of one device only the percentage
+ * one (max 100) is kept.
+ */
+
+import { hasEnumStates } from './dashboard-elements.js';
+import { DASHBOARD_SCHEMA_VERSION, validateDashboard, formatValidationErrors } from './dashboard-schema.js';
+
+// Roles shown without filters, with the value type they need
+export const DEFAULT_ROLES = [
+    { role: 'switch', type: 'boolean' },
+    { role: 'switch.*', type: 'boolean' },
+    { role: 'button', type: 'boolean' },
+    { role: 'button.*', type: 'boolean' },
+    { role: 'sensor' },
+    { role: 'sensor.*', type: 'boolean' },
+    { role: 'level.dimmer' },
+    { role: 'level.temperature', type: 'number' },
+    { role: 'value', type: 'number' },
+    { role: 'value.*', type: 'number' }
+];
+
+// Caption suffixes for the last part of a state ID, added to the device name
+const STATE_SUFFIXES = {
+    on: '',
+    state: '',
+    switch: '',
+    level: ' Level',
+    dimmer: ' Dimmer',
+    brightness: ' Brightness',
+    temperature: ' Temperature',
+    humidity: ' Humidity',
+    power: ' Power',
+    energy: ' Energy',
+    voltage: ' Voltage',
+    current: ' Current',
+    position: ' Position',
+    tilt: ' Tilt'
+};
+
+const DIMMER_STATES = ['level', 'brightness', 'dimmer', 'bri', 'dim'];
+
+/**
+ * Readable name of an object, common.name may be a text or translations
+ * @param {string|Object} name - common.name
+ * @param {string} [fallback=''] - Used if there is no name
+ * @returns {string} Name, English translation preferred
+ */
+export function getObjectName(name, fallback = '') {
+    if (typeof name === 'string' && name.trim()) return name.trim();
+    if (name && typeof name === 'object') {
+        const text = name.en || Object.values(name).find(value => typeof value === 'string' && value.trim());
+        if (text) return text.trim();
+    }
+    return fallback;
+}
+
+/**
+ * Title for an ID part, e.g. "living_room" -> "Living Room"
+ * @param {string} id - Last part of an object ID
+ * @returns {string} Title
+ */
+export function toTitle(id) {
+    return String(id).replace(/[_-]+/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Parse role filters given as a comma separated list
+ * @param {string} spec - e.g. "switch*, value.temperature"
+ * @returns {Array<string>} Role patterns
+ */
+export function parseRolePatterns(spec) {
+    if (typeof spec !== 'string') return [];
+    return spec.split(',').map(pattern => pattern.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Check a role against a pattern, "*" matches any text
+ * @param {string} role - common.role
+ * @param {string} pattern - e.g. "switch", "value.*" or "*temperature"
+ * @returns {boolean} True if the role matches
+ */
+export function matchesRole(role, pattern) {
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+    return regex.test(role || '');
+}
+
+/**
+ * Decide whether a state is shown on a generated dashboard
+ * @param {Object} object - State object with common.role/type
+ * @param {Object} [filters] - { include, exclude } role patterns
+ * @returns {string|null} Why the state is left out, null if it is used
+ */
+export function getExclusionReason(object, { include = [], exclude = [] } = {}) {
+    const common = object?.common || {};
+    const role = common.role || '';
+
+    if (exclude.some(pattern => matchesRole(role, pattern))) {
+        return `role ${role || '(none)'} excluded by filter`;
+    }
+
+    // Explicitly included roles are used whatever their type
+    if (include.length > 0) {
+        return include.some(pattern => matchesRole(role, pattern)) ? null : `role ${role || '(none)'} not in include filter`;
+    }
+
+    if (!role) {
+        return 'no role';
+    }
+
+    const rule = DEFAULT_ROLES.find(candidate => matchesRole(role, candidate.role));
+    if (!rule) {
+        return `role ${role} is not shown by default (include it with a role filter)`;
+    }
+    if (rule.type && common.type !== rule.type) {
+        return `role ${role} with type ${common.type || '(none)'}, expected ${rule.type}`;
+    }
+    return null;
+}
+
+/**
+ * Element type for a state object
+ * @param {Object} common - common part of the state object
+ * @returns {string} Element type
+ */
+export function inferElementType(common = {}) {
+    const role = common.role || '';
+    const type = common.type;
+    const write = common.write !== false;
+
+    if (/^button/.test(role) && type === 'boolean') {
+        return write ? 'button' : 'indicator';
+    }
+    if (/^(switch|indicator|sensor)/.test(role) && type === 'boolean') {
+        return write && role.startsWith('switch') ? 'switch' : 'indicator';
+    }
+
+    // Booleans often label false/true as off/on - only numbers and strings become dropdowns
+    if ((type === 'number' || type === 'string') && hasEnumStates(common)) {
+        return 'dropdown';
+    }
+    if (role === 'level.temperature') {
+        return 'number';
+    }
+    if (role.startsWith('level.') && type === 'number') {
+        return write ? 'slider' : 'gauge';
+    }
+
+    if (type === 'boolean') {
+        return write ? 'switch' : 'indicator';
+    }
+    if (type === 'number') {
+        return write && role.startsWith('level') ? 'number' : 'gauge';
+    }
+    return 'text';
+}
+
+/**
+ * Element configuration for a state
+ * @param {string} stateId - State ID
+ * @param {Object} object - State object
+ * @param {string} [deviceName] - Name of the channel/device the state belongs to
+ * @returns {Object} Element configuration for the dashboard file
+ */
+export function createElementConfig(stateId, object, deviceName = '') {
+    const common = object?.common || {};
+    const type = inferElementType(common);
+    const write = common.write !== false;
+
+    const parts = stateId.split('.');
+    const last = parts[parts.length - 1];
+    const name = getObjectName(common.name);
+    const suffix = STATE_SUFFIXES[last.toLowerCase()] ?? ` ${toTitle(last)}`;
+
+    // State names are often just the last ID part ("LEVEL"), the device name says more
+    let caption = name;
+    if (!name || name.toLowerCase() === last.toLowerCase()) {
+        caption = `${deviceName || toTitle(parts[parts.length - 2] || last)}${suffix}`;
+    }
+
+    const config = { id: stateId, type, caption, stateId };
+    if (common.unit) config.unit = common.unit;
+
+    switch (type) {
+        case 'switch':
+        case 'button':
+        case 'dropdown':
+            config.interactive = write;
+            break;
+        case 'indicator':
+            config.interactive = false;
+            break;
+        case 'slider':
+            config.min = typeof common.min === 'number' ? common.min : 0;
+            config.max = typeof common.max === 'number' ? common.max : 100;
+            config.interactive = write;
+            break;
+        case 'gauge':
+            if (typeof common.min === 'number') config.min = common.min;
+            if (typeof common.max === 'number') config.max = common.max;
+            break;
+        case 'number':
+            if (typeof common.min === 'number') config.min = common.min;
+            if (typeof common.max === 'number') config.max = common.max;
+            if (typeof common.step === 'number') config.step = common.step;
+            config.interactive = write;
+            break;
+    }
+
+    if (type === 'dropdown') {
+        config.states = common.states;
+    }
+
+    return config;
+}
+
+// Of several dimmer states of one device keep the percentage one (max 100), else the raw one (max 255)
+function selectDimmers(states) {
+    const devices = new Map();
+    const selected = [];
+    const excluded = [];
+
+    for (const state of states) {
+        if (state.object.common?.role !== 'level.dimmer') {
+            selected.push(state);
+            continue;
+        }
+        const parts = state.stateId.split('.');
+        const deviceId = DIMMER_STATES.includes(parts[parts.length - 1].toLowerCase())
+            ? parts.slice(0, -1).join('.')
+            : state.stateId;
+        if (!devices.has(deviceId)) devices.set(deviceId, []);
+        devices.get(deviceId).push(state);
+    }
+
+    for (const dimmers of devices.values()) {
+        const best = dimmers.find(dimmer => dimmer.object.common?.max === 100)
+            || dimmers.find(dimmer => dimmer.object.common?.max === 255)
+            || dimmers[0];
+        selected.push(best);
+        dimmers.filter(dimmer => dimmer !== best)
+            .forEach(dimmer => excluded.push({ stateId: dimmer.stateId, reason: `dimmer of the same device, ${best.stateId} is used` }));
+    }
+
+    return { selected, excluded };
+}
+
+function belongsTo(stateId, members) {
+    return members.some(member => stateId === member || stateId.startsWith(`${member}.`));
+}
+
+export class DashboardGenerator {
+    constructor(client) {
+        this.client = client;
+        this.objects = new Map();
+    }
+
+    /**
+     * Rooms and functions defined in ioBroker
+     * @returns {Promise<Object>} { rooms, functions } as lists of { id, key, name, members }
+     */
+    async loadEnums() {
+        const load = async (category) => {
+            const enums = await this.client.getEnums(category);
+            return Object.entries(enums)
+                .map(([id, object]) => {
+                    const key = id.substring(`enum.${category}.`.length);
+                    return {
+                        id,
+                        key,
+                        name: getObjectName(object.common?.name, toTitle(key)),
+                        members: Array.isArray(object.common?.members) ? object.common.members : []
+                    };
+                })
+                // Sub-enums such as enum.rooms.floor1.kitchen are listed on their own
+                .sort((a, b) => a.name.localeCompare(b.name));
+        };
+
+        return { rooms: await load('rooms'), functions: await load('functions') };
+    }
+
+    // Enums matching the given names: ID part or name, case-insensitive, "light" also finds "lighting"
+    selectEnums(enums, queries, category) {
+        if (queries.length === 0) return enums;
+
+        return queries.flatMap(query => {
+            const text = query.toLowerCase();
+            const exact = enums.filter(candidate => candidate.key.toLowerCase() === text || candidate.name.toLowerCase() === text);
+            const matches = exact.length > 0
+                ? exact
+                : enums.filter(candidate => candidate.key.toLowerCase().startsWith(text) || candidate.name.toLowerCase().startsWith(text));
+            if (matches.length === 0) {
+                throw new Error(`No ${category} found for "${query}" (available: ${enums.map(candidate => candidate.key).join(', ') || 'none'})`);
+            }
+            return matches;
+        }).filter((candidate, index, list) => list.indexOf(candidate) === index);
+    }
+
+    // State objects of enum members; channels and devices contribute the states below them
+    async resolveMembers(members) {
+        const states = [];
+
+        for (const member of members) {
+            let object = this.objects.get(member);
+            if (object === undefined) {
+                object = await this.client.getObject(member).catch(() => null);
+                this.objects.set(member, object);
+            }
+            if (!object) continue;
+
+            if (object.type === 'state') {
+                states.push({ stateId: member, object, deviceName: '' });
+                continue;
+            }
+
+            const deviceName = getObjectName(object.common?.name);
+            const children = await this.client.getChildObjects(member);
+            for (const [stateId, child] of Object.entries(children)) {
+                this.objects.set(stateId, child);
+                states.push({ stateId, object: child, deviceName });
+            }
+        }
+
+        return states;
+    }
+
+    /**
+     * Generate a dashboard with one group per room or function
+     * @param {Object} [options]
+     * @param {string} [options.groupBy] - 'room' or 'function', default: function for a room selection, else room
+     * @param {Array<string>} [options.rooms] - Only states of these rooms
+     * @param {Array<string>} [options.functions] - Only states of these functions
+     * @param {Array<string>} [options.include] - Role patterns to use instead of the default roles
+     * @param {Array<string>} [options.exclude] - Role patterns to leave out
+     * @param {string} [options.name] - Dashboard name
+     * @returns {Promise<Object>} { config, analyzed, excluded: [{ stateId, reason }] }
+     * @throws {Error} If a room or function is unknown or ioBroker cannot be queried
+     */
+    async generate(options = {}) {
+        const rooms = options.rooms || [];
+        const functions = options.functions || [];
+        const groupBy = options.groupBy || (rooms.length > 0 && functions.length === 0 ? 'function' : 'room');
+        if (!['room', 'function'].includes(groupBy)) {
+            throw new Error(`Unknown grouping "${groupBy}" - group by room or function`);
+        }
+
+        const enums = await this.loadEnums();
+        const selectedRooms = this.selectEnums(enums.rooms, rooms, 'room');
+        const selectedFunctions = this.selectEnums(enums.functions, functions, 'function');
+
+        const groupEnums = groupBy === 'room' ? selectedRooms : selectedFunctions;
+        const filterEnums = groupBy === 'room' ? (functions.length > 0 ? selectedFunctions : null) : (rooms.length > 0 ? selectedRooms : null);
+        const filterMembers = filterEnums ? filterEnums.flatMap(candidate => candidate.members) : null;
+
+        const groups = [];
+        const analyzed = new Set();
+        const excluded = new Map();
+
+        for (const groupEnum of groupEnums) {
+            const states = (await this.resolveMembers(groupEnum.members))
+                .filter(state => !filterMembers || belongsTo(state.stateId, filterMembers));
+
+            const usable = [];
+            for (const state of states) {
+                analyzed.add(state.stateId);
+                const reason = getExclusionReason(state.object, options);
+                if (reason) {
+                    excluded.set(state.stateId, reason);
+                } else {
+                    usable.push(state);
+                }
+            }
+
+            const dimmers = selectDimmers(usable);
+            dimmers.excluded.forEach(({ stateId, reason }) => excluded.set(stateId, reason));
+
+            const elements = dimmers.selected.map(state => createElementConfig(state.stateId, state.object, state.deviceName));
+            if (elements.length > 0) {
+                groups.push({ id: groupEnum.key, title: groupEnum.name, elements });
+            }
+        }
+
+        const title = groupEnums.length === 1 ? groupEnums[0].name : (groupBy === 'room' ? 'Home' : 'Functions');
+        const config = {
+            version: DASHBOARD_SCHEMA_VERSION,
+            name: options.name || `${title} Dashboard`,
+            created: new Date().toISOString(),
+            updated: new Date().toISOString(),
+            groups
+        };
+
+        const errors = validateDashboard(config);
+        if (errors.length > 0) {
+            throw new Error(formatValidationErrors(errors));
+        }
+
+        return {
+            config,
+            groupBy,
+            analyzed: analyzed.size,
+            excluded: [...excluded.entries()].map(([stateId, reason]) => ({ stateId, reason }))
+        };
+    }
+}
+
+export default DashboardGenerator;
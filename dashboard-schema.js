@@ -0,0 +1,368 @@
+/**
+ * Dashboard file schema, validation and migrations
+ *
+ * Every dashboard file carries the schema version it was written with. Files from
+ * older versions are upgraded step by step through MIGRATIONS when they are loaded
+ * or imported; validation reports each problem with its path in the file:
+ *   groups[1] "Heating" > elements[3] "Valve" > min: must be a number, got "abc"
+ *
+ * A group entry can also reference a shared group definition from the group library,
+ * { "include": "groups/system-status" }, resolved relative to the dashboard directory.
+ */
+
+import { ELEMENT_CLASSES } from './dashboard-elements.js';
+import { normalizeFormat } from './value-formatter.js';
+import { normalizeColorRules } from './color-rules.js';
+import { compileExpression } from './expression-evaluator.js';
+
+export const DASHBOARD_SCHEMA_VERSION = '1.1.0';
+
+// Element types without their own class, rendered by DashboardElement
+const BASIC_ELEMENT_TYPES = ['text', 'switch', 'indicator', 'button'];
+
+export const ELEMENT_TYPES = [...BASIC_ELEMENT_TYPES, ...Object.keys(ELEMENT_CLASSES)];
+
+// Field types of the dashboard file; null is accepted for every optional field
+export const DASHBOARD_SCHEMA = {
+    root: {
+        required: ['version', 'groups'],
+        fields: {
+            version: 'string',
+            name: 'string',
+            created: 'string',
+            updated: 'string',
+            layout: 'object',
+            groups: 'array'
+        }
+    },
+    layout: {
+        required: [],
+        fields: {
+            groupWidth: 'number',
+            groupPaddingX: 'number',
+            groupPaddingY: 'number',
+            showBorders: 'boolean'
+        }
+    },
+    group: {
+        required: ['id', 'elements'],
+        fields: {
+            id: 'string',
+            title: 'string',
+            elements: 'array'
+        }
+    },
+    include: {
+        required: ['include'],
+        fields: {
+            include: 'string'
+        }
+    },
+    element: {
+        required: ['id', 'type', 'caption'],
+        fields: {
+            id: 'string',
+            type: 'string',
+            caption: 'string',
+            stateId: 'string',
+            unit: 'string',
+            min: 'number',
+            max: 'number',
+            step: 'number',
+            decimals: 'number',
+            interactive: 'boolean',
+            format: 'object',
+            colorRules: 'array',
+            thresholds: 'object',
+            barLength: 'number',
+            confirmTimeout: 'number',
+            states: ['object', 'array', 'string'],
+            valueType: 'string',
+            controls: 'object',
+            travelTimeout: 'number',
+            bindings: 'object',
+            modeStates: ['object', 'array', 'string'],
+            history: 'object',
+            height: 'number',
+            bars: 'array',
+            inputs: 'object',
+            expression: 'string'
+        }
+    }
+};
+
+/**
+ * Migrations from each schema version to the next, applied in order.
+ * A migration receives a copy of the file and returns the upgraded file.
+ */
+export const MIGRATIONS = [
+    {
+        from: '1.0.0',
+        to: '1.1.0',
+        description: 'Group titles default to the group id, numbers saved as text become numbers',
+        migrate(config) {
+            const numericFields = Object.entries(DASHBOARD_SCHEMA.element.fields)
+                .filter(([, type]) => type === 'number')
+                .map(([field]) => field);
+
+            const migrateElement = (element) => {
+                const migrated = { ...element };
+                for (const field of numericFields) {
+                    if (typeof migrated[field] === 'string' && migrated[field].trim() !== '' && !isNaN(migrated[field])) {
+                        migrated[field] = Number(migrated[field]);
+                    }
+                }
+                return migrated;
+            };
+
+            const migrateGroup = (group) => ({
+                ...group,
+                title: group.title || group.id,
+                elements: Array.isArray(group.elements)
+                    ? group.elements.map(element => element && typeof element === 'object' ? migrateElement(element) : element)
+                    : group.elements
+            });
+
+            return {
+                ...config,
+                groups: Array.isArray(config.groups)
+                    ? config.groups.map(group => group && typeof group === 'object' ? migrateGroup(group) : group)
+                    : config.groups
+            };
+        }
+    }
+];
+
+/**
+ * Compare two "major.minor.patch" versions
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a is older, 0 if equal, positive if a is newer
+ */
+export function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+
+    for (let i = 0; i < 3; i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Upgrade a dashboard file to the current schema version
+ * @param {Object} config - Parsed dashboard file
+ * @returns {Object} { config, migrated, from, to, applied } - applied lists the migration descriptions
+ * @throws {Error} If the file was written by a newer version or no migration path exists
+ */
+export function migrateDashboard(config) {
+    if (!config || typeOf(config) !== 'object') {
+        throw new Error(`Dashboard file must contain an object, got ${describeValue(config)}`);
+    }
+
+    const from = typeof config.version === 'string' ? config.version : '1.0.0';
+
+    if (compareVersions(from, DASHBOARD_SCHEMA_VERSION) > 0) {
+        throw new Error(`Dashboard file version ${from} is newer than supported version ${DASHBOARD_SCHEMA_VERSION} - please update the application`);
+    }
+
+    let migrated = { ...config, version: from };
+    const applied = [];
+
+    while (compareVersions(migrated.version, DASHBOARD_SCHEMA_VERSION) < 0) {
+        const migration = MIGRATIONS.find(candidate => candidate.from === migrated.version);
+        if (!migration) {
+            throw new Error(`No migration from dashboard file version ${migrated.version} to ${DASHBOARD_SCHEMA_VERSION}`);
+        }
+        migrated = { ...migration.migrate(migrated), version: migration.to };
+        applied.push(`${migration.from} → ${migration.to}: ${migration.description}`);
+    }
+
+    return { config: migrated, migrated: applied.length > 0, from, to: migrated.version, applied };
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function describeValue(value) {
+    const text = JSON.stringify(value);
+    return text && text.length > 40 ? `${text.substring(0, 37)}...` : text;
+}
+
+// Check required fields and field types of one object against a schema section
+function checkFields(object, section, path, errors) {
+    for (const field of section.required) {
+        if (object[field] === undefined || object[field] === null || object[field] === '') {
+            errors.push(`${path}${field}: is required`);
+        }
+    }
+
+    for (const [field, expected] of Object.entries(section.fields)) {
+        const value = object[field];
+        if (value === undefined || value === null) continue;
+
+        const types = Array.isArray(expected) ? expected : [expected];
+        if (!types.includes(typeOf(value)) || (typeof value === 'number' && !Number.isFinite(value))) {
+            errors.push(`${path}${field}: must be ${types.map(type => `a${/^[aeiou]/.test(type) ? 'n' : ''} ${type}`).join(' or ')}, got ${describeValue(value)}`);
+        }
+    }
+}
+
+function label(object, field) {
+    return object && typeof object[field] === 'string' && object[field] ? ` "${object[field]}"` : '';
+}
+
+function validateElement(element, elementPath, errors, warnings) {
+    if (!element || typeOf(element) !== 'object') {
+        errors.push(`${elementPath}: must be an object, got ${describeValue(element)}`);
+        return;
+    }
+
+    const path = `${elementPath} > `;
+    const count = errors.length;
+    checkFields(element, DASHBOARD_SCHEMA.element, path, errors);
+    if (errors.length > count) return;
+
+    // A typo or a type from a newer version only costs this element, the rest of the file loads
+    if (!isKnownElementType(element)) {
+        warnings.push(`${path}type: unknown element type "${element.type}" (use ${ELEMENT_TYPES.join(', ')}), element skipped`);
+        return;
+    }
+
+    try {
+        normalizeFormat(element.format);
+    } catch (error) {
+        errors.push(`${path}format: ${error.message}`);
+    }
+
+    try {
+        normalizeColorRules(element.colorRules);
+    } catch (error) {
+        errors.push(`${path}colorRules: ${error.message}`);
+    }
+
+    if (element.type === 'computed') {
+        const inputs = element.inputs || {};
+        try {
+            const unknown = compileExpression(element.expression).variables.find(name => !Object.prototype.hasOwnProperty.call(inputs, name));
+            if (unknown) {
+                errors.push(`${path}expression: unknown variable "${unknown}" (inputs: ${Object.keys(inputs).join(', ') || 'none'})`);
+            }
+        } catch (error) {
+            errors.push(`${path}expression: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Check whether an element config has a type this version can render
+ * @param {Object} element - Element config of a dashboard file
+ * @returns {boolean} True if the type is one of ELEMENT_TYPES
+ */
+export function isKnownElementType(element) {
+    return Boolean(element) && ELEMENT_TYPES.includes(element.type);
+}
+
+/**
+ * Check whether a group entry references a library group
+ * @param {Object} group - Group entry of a dashboard file
+ * @returns {boolean} True for { include: "..." } entries
+ */
+export function isGroupInclude(group) {
+    return Boolean(group) && typeOf(group) === 'object' && group.include !== undefined;
+}
+
+function validateInclude(group, path, errors) {
+    const count = errors.length;
+    checkFields(group, DASHBOARD_SCHEMA.include, path, errors);
+    if (errors.length > count) return;
+
+    const segments = group.include.split(/[\\/]/);
+    if (/^([\\/]|[a-zA-Z]:)/.test(group.include) || segments.includes('..')) {
+        errors.push(`${path}include: must be a path inside the dashboard directory, got ${describeValue(group.include)}`);
+    }
+
+    // Fields next to include would be lost on save, the library file holds the group
+    for (const [field, value] of Object.entries(group)) {
+        if (field !== 'include' && value !== undefined && value !== null) {
+            errors.push(`${path}${field}: not allowed next to include, edit the library group instead`);
+        }
+    }
+}
+
+/**
+ * Validate one group definition, e.g. a group library file
+ * @param {Object} group - Group with id, title and elements
+ * @param {string} [groupPath='group'] - Location used in the messages
+ * @param {Array<string>} [warnings=[]] - Receives elements that are skipped on load, e.g. unknown types
+ * @returns {Array<string>} Problems as "<path>: <message>", empty if the group is valid
+ */
+export function validateGroup(group, groupPath = 'group', warnings = []) {
+    const errors = [];
+
+    if (!group || typeOf(group) !== 'object') {
+        return [`${groupPath}: must be an object, got ${describeValue(group)}`];
+    }
+
+    checkFields(group, DASHBOARD_SCHEMA.group, `${groupPath} > `, errors);
+
+    if (Array.isArray(group.elements)) {
+        group.elements.forEach((element, elementIndex) => {
+            validateElement(element, `${groupPath} > elements[${elementIndex}]${label(element, 'caption')}`, errors, warnings);
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a dashboard file against the schema
+ * @param {Object} config - Parsed (and migrated) dashboard file
+ * @param {Array<string>} [warnings=[]] - Receives elements that are skipped on load, e.g. unknown types
+ * @returns {Array<string>} Problems as "<path>: <message>", empty if the file is valid
+ */
+export function validateDashboard(config, warnings = []) {
+    const errors = [];
+
+    if (!config || typeOf(config) !== 'object') {
+        return [`Dashboard file must contain an object, got ${describeValue(config)}`];
+    }
+
+    checkFields(config, DASHBOARD_SCHEMA.root, '', errors);
+
+    if (typeOf(config.layout) === 'object') {
+        checkFields(config.layout, DASHBOARD_SCHEMA.layout, 'layout > ', errors);
+    }
+
+    if (!Array.isArray(config.groups)) {
+        return errors;
+    }
+
+    config.groups.forEach((group, groupIndex) => {
+        if (isGroupInclude(group)) {
+            validateInclude(group, `groups[${groupIndex}] > `, errors);
+            return;
+        }
+
+        errors.push(...validateGroup(group, `groups[${groupIndex}]${label(group, 'title')}`, warnings));
+    });
+
+    return errors;
+}
+
+/**
+ * Summarize validation problems for an error message
+ * @param {Array<string>} errors - Problems from validateDashboard
+ * @param {number} [limit=5] - Problems listed before "and N more"
+ * @returns {string} Message naming each problem with its path
+ */
+export function formatValidationErrors(errors, limit = 5) {
+    const listed = errors.slice(0, limit).join('; ');
+    const more = errors.length > limit ? `; and ${errors.length - limit} more` : '';
+    return `Invalid configuration (${errors.length} problem${errors.length === 1 ? '' : 's'}): ${listed}${more}`;
+}
+
+export default validateDashboard;
@@ -0,0 +1,195 @@
+/**
+ * Parameterized dashboard templates
+ *
+ * A template holds groups like a dashboard file, with ${name} placeholders in any text
+ * field. Instantiating it with variables turns one layout into as many rooms or devices
+ * as needed:
+ *   { "description": "...", "variables": { "room": { "description": "Room name" } },
+ *     "groups": [{ "id": "climate-${room}", "title": "${room}", "elements": [...] }] }
+ *
+ * Variables with a default are optional. Numeric fields such as "max": "${max}" become
+ * numbers after substitution.
+ */
+
+import { DASHBOARD_SCHEMA, validateGroup, formatValidationErrors } from './dashboard-schema.js';
+
+const PLACEHOLDER = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+const NUMBER_FIELDS = Object.entries(DASHBOARD_SCHEMA.element.fields)
+    .filter(([, type]) => type === 'number')
+    .map(([field]) => field);
+
+// Built-in layouts, also used for the dashboard created on first start
+export const BUILT_IN_TEMPLATES = {
+    solar: {
+        description: 'PV power and battery of a solar installation',
+        variables: {
+            prefix: { description: 'State ID prefix of the solar values', default: 'javascript.0.solar' }
+        },
+        groups: [{
+            id: 'solar',
+            title: 'Solar System',
+            elements: [
+                { id: 'pv-power', type: 'gauge', caption: 'PV Power', stateId: '${prefix}.produktion', unit: 'W' },
+                { id: 'battery', type: 'gauge', caption: 'Battery', stateId: '${prefix}.batterie', unit: 'W' }
+            ]
+        }]
+    },
+    system: {
+        description: 'Alive indicator of an adapter instance in the System Status group',
+        variables: {
+            adapter: { description: 'Adapter instance', default: 'web.0' },
+            name: { description: 'Caption of the indicator', default: 'Web Adapter' }
+        },
+        groups: [{
+            id: 'system-status',
+            title: 'System Status',
+            elements: [
+                { id: '${adapter}-alive', type: 'indicator', caption: '${name}', stateId: 'system.adapter.${adapter}.alive' }
+            ]
+        }]
+    },
+    temperature: {
+        description: 'Temperature, humidity and setpoint of one room',
+        variables: {
+            room: { description: 'Room name, used as group title' },
+            device: { description: 'State ID prefix of the climate device, e.g. zigbee.0.living_room.climate_sensor' }
+        },
+        groups: [{
+            id: 'climate-${room}',
+            title: '${room}',
+            elements: [
+                { id: 'temperature', type: 'gauge', caption: 'Temperature', stateId: '${device}.temperature', unit: '°C' },
+                { id: 'humidity', type: 'gauge', caption: 'Humidity', stateId: '${device}.humidity', unit: '%' },
+                { id: 'setpoint', type: 'number', caption: 'Setpoint', stateId: '${device}.setpoint', unit: '°C', min: 5, max: 30, step: 0.5 }
+            ]
+        }]
+    }
+};
+
+function collectPlaceholders(value, names) {
+    if (typeof value === 'string') {
+        for (const match of value.matchAll(PLACEHOLDER)) {
+            names.add(match[1]);
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectPlaceholders(item, names));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collectPlaceholders(item, names));
+    }
+    return names;
+}
+
+/**
+ * Check the structure of a template
+ * @param {Object} template - Built-in template or parsed template file
+ * @param {string} name - Template name used in messages
+ * @returns {Object} Template as { name, description, variables, groups }
+ * @throws {Error} If the template has no groups or malformed variables
+ */
+export function normalizeTemplate(template, name) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        throw new Error(`Template "${name}" must contain an object`);
+    }
+    if (!Array.isArray(template.groups) || template.groups.length === 0) {
+        throw new Error(`Template "${name}" needs a list of groups`);
+    }
+
+    const declared = template.variables || {};
+    if (typeof declared !== 'object' || Array.isArray(declared)) {
+        throw new Error(`Template "${name}": variables must be an object of { description, default }`);
+    }
+
+    // Placeholders without a declaration are required variables
+    const variables = {};
+    for (const variable of collectPlaceholders(template.groups, new Set(Object.keys(declared)))) {
+        const definition = declared[variable];
+        variables[variable] = definition && typeof definition === 'object'
+            ? { description: definition.description || '', default: definition.default ?? null }
+            : { description: typeof definition === 'string' ? definition : '', default: null };
+    }
+
+    return {
+        name,
+        description: typeof template.description === 'string' ? template.description : '',
+        variables,
+        groups: template.groups
+    };
+}
+
+/**
+ * Variables of a template with their defaults
+ * @param {Object} template - Template from normalizeTemplate
+ * @returns {Array<Object>} Variables as { name, description, default, required }
+ */
+export function getTemplateVariables(template) {
+    return Object.entries(template.variables).map(([name, variable]) => ({
+        name,
+        description: variable.description,
+        default: variable.default,
+        required: variable.default === null
+    }));
+}
+
+function substitute(value, values) {
+    if (typeof value === 'string') {
+        return value.replace(PLACEHOLDER, (placeholder, name) => String(values[name]));
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => substitute(item, values));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, values)]));
+    }
+    return value;
+}
+
+/**
+ * Create the groups of a template for the given variables
+ * @param {Object} template - Template from normalizeTemplate
+ * @param {Object} [values={}] - Variable values, defaults fill in the rest
+ * @returns {Array<Object>} Validated groups with id, title and elements
+ * @throws {Error} If a required variable is missing, a variable is unknown or the result is invalid
+ */
+export function instantiateTemplate(template, values = {}) {
+    const names = Object.keys(template.variables);
+
+    const unknown = Object.keys(values).find(name => !names.includes(name));
+    if (unknown) {
+        throw new Error(`Unknown variable "${unknown}" (template ${template.name} uses: ${names.join(', ') || 'none'})`);
+    }
+
+    const resolved = {};
+    for (const name of names) {
+        const value = values[name] ?? template.variables[name].default;
+        if (value === null || value === undefined || value === '') {
+            const required = getTemplateVariables(template).filter(variable => variable.required).map(variable => variable.name);
+            throw new Error(`Missing variable "${name}" (template ${template.name} needs: ${required.join(', ')})`);
+        }
+        resolved[name] = value;
+    }
+
+    const groups = substitute(template.groups, resolved);
+
+    for (const group of groups) {
+        for (const element of Array.isArray(group?.elements) ? group.elements : []) {
+            for (const field of NUMBER_FIELDS) {
+                if (typeof element?.[field] === 'string' && element[field].trim() !== '' && !isNaN(Number(element[field]))) {
+                    element[field] = Number(element[field]);
+                }
+            }
+        }
+    }
+
+    // Template elements are added to the dashboard right away, so an unknown type stays an error here
+    const warnings = [];
+    const errors = groups.flatMap((group, index) => validateGroup(group, `template ${template.name} > groups[${index}]`, warnings));
+    errors.push(...warnings);
+    if (errors.length > 0) {
+        throw new Error(formatValidationErrors(errors));
+    }
+
+    return groups;
+}
+
+export default instantiateTemplate;
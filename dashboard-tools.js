@@ -1,5 +1,7 @@
 import { EventEmitter } from 'events';
 import { createElement } from './dashboard-elements.js';
+import { normalizeFormat } from './value-formatter.js';
+import { normalizeColorRules } from './color-rules.js';
 
 class DashboardTools extends EventEmitter {
     constructor(layoutEngine, configManager) {
@@ -233,6 +235,47 @@ class DashboardTools extends EventEmitter {
         }
     }
 
+    // Change the display of an element: { format, colorRules, unit } - omitted fields stay as they are
+    async formatElement(groupId, elementId, changes) {
+        try {
+            const group = this.layoutEngine.getGroup(groupId);
+            if (!group) {
+                throw new Error(`Group ${groupId} not found`);
+            }
+            
+            const element = group.elements.find(e => e.id === elementId);
+            if (!element) {
+                throw new Error(`Element ${elementId} not found in group ${groupId}`);
+            }
+            
+            // Validate both rule sets before changing anything
+            if (changes.format !== undefined) {
+                normalizeFormat(changes.format);
+            }
+            if (changes.colorRules !== undefined) {
+                normalizeColorRules(changes.colorRules);
+            }
+            
+            if (changes.unit !== undefined) {
+                element.unit = changes.unit;
+            }
+            if (changes.format !== undefined) {
+                element.setFormat(changes.format);
+            }
+            if (changes.colorRules !== undefined) {
+                element.setColorRules(changes.colorRules);
+            }
+            
+            this.layoutEngine.calculateLayout();
+            
+            this.emit('elementFormatted', { groupId, elementId, format: element.format, colorRules: element.colorRules });
+            
+            return { success: true, format: element.format, colorRules: element.colorRules, element };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     async moveElement(elementId, fromGroupId, toGroupId, position = -1) {
         try {
             const success = this.layoutEngine.moveElement(elementId, fromGroupId, toGroupId, position);
@@ -315,6 +358,7 @@ class DashboardTools extends EventEmitter {
         return this.layoutEngine.groups.map(group => ({
             id: group.id,
             title: group.title,
+            include: group.include || null,
             elementCount: group.elements.length,
             elements: group.elements.map(el => ({
                 id: el.id,
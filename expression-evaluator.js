@@ -0,0 +1,346 @@
+/**
+ * Safe expression evaluator for computed dashboard elements
+ *
+ * Evaluates expressions like:
+ *   house - pv - battery
+ *   sum(kitchen, office, bath) / 1000
+ *   window1 || window2 || window3
+ *   max(temp1, temp2) > 25 ? 1 : 0
+ *   value == 'offline'
+ *
+ * Supported:
+ * - Numbers, 'strings' or "strings", true/false, variables (letters, digits, _)
+ * - Arithmetic: + - * / %, unary - and !
+ * - Comparisons: < <= > >= == !=
+ * - Logic: && || and the conditional operator a ? b : c
+ * - Functions: min, max, sum, avg, abs, round(x, digits), any, all, count
+ *
+ * Expressions are parsed into a small syntax tree and interpreted - nothing is
+ * passed to eval/Function and there is no access to properties or globals.
+ */
+
+const FUNCTIONS = {
+    min: (...args) => Math.min(...args.map(toNumber)),
+    max: (...args) => Math.max(...args.map(toNumber)),
+    sum: (...args) => args.reduce((total, value) => total + toNumber(value), 0),
+    avg: (...args) => args.length === 0 ? null : args.reduce((total, value) => total + toNumber(value), 0) / args.length,
+    abs: (value) => Math.abs(toNumber(value)),
+    round: (value, digits = 0) => {
+        const factor = Math.pow(10, toNumber(digits));
+        return Math.round(toNumber(value) * factor) / factor;
+    },
+    any: (...args) => args.some(Boolean),
+    all: (...args) => args.length > 0 && args.every(Boolean),
+    count: (...args) => args.filter(Boolean).length
+};
+
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+
+// Binary operators by precedence, lowest first
+const BINARY_LEVELS = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+function toNumber(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return Number(value);
+}
+
+/**
+ * Create an error pointing at the position in the expression
+ * @param {string} message - Description of the problem
+ * @param {number} position - Character offset in the expression
+ * @returns {Error} Error with code EXPRESSION_ERROR
+ */
+function expressionError(message, position) {
+    const error = new Error(position !== undefined ? `${message} at position ${position + 1}` : message);
+    error.code = 'EXPRESSION_ERROR';
+    error.position = position;
+    return error;
+}
+
+/**
+ * Split an expression into number, string, identifier and operator tokens
+ * @param {string} source - Expression text
+ * @returns {Array<Object>} Tokens with type, value and position
+ */
+export function tokenizeExpression(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+            i += number[0].length;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            const end = source.indexOf(char, i + 1);
+            if (end < 0) {
+                throw expressionError('Unterminated string', i);
+            }
+            tokens.push({ type: 'string', value: source.substring(i + 1, end), position: i });
+            i = end + 1;
+            continue;
+        }
+
+        const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+        if (identifier) {
+            tokens.push({ type: 'identifier', value: identifier[0], position: i });
+            i += identifier[0].length;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => source.startsWith(op, i));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator, position: i });
+            i += operator.length;
+            continue;
+        }
+
+        throw expressionError(`Unexpected character "${char}"`, i);
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} source - Expression text
+ * @returns {Object} Syntax tree
+ * @throws {Error} EXPRESSION_ERROR for invalid syntax or unknown functions
+ */
+export function parseExpression(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+        throw expressionError('Expression is empty');
+    }
+
+    const tokens = tokenizeExpression(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+    const expect = (value) => {
+        if (!isOperator(value)) {
+            const token = peek();
+            throw expressionError(`Expected "${value}"`, token ? token.position : source.length);
+        }
+        index++;
+    };
+
+    const parseConditional = () => {
+        const test = parseBinary(0);
+        if (!isOperator('?')) return test;
+
+        index++;
+        const consequent = parseConditional();
+        expect(':');
+        const alternate = parseConditional();
+        return { type: 'conditional', test, consequent, alternate };
+    };
+
+    const parseBinary = (level) => {
+        if (level >= BINARY_LEVELS.length) return parseUnary();
+
+        let left = parseBinary(level + 1);
+        while (peek() && peek().type === 'operator' && BINARY_LEVELS[level].includes(peek().value)) {
+            const operator = tokens[index++].value;
+            const right = parseBinary(level + 1);
+            left = { type: 'binary', operator, left, right };
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        if (isOperator('-') || isOperator('!') || isOperator('+')) {
+            const operator = tokens[index++].value;
+            return { type: 'unary', operator, argument: parseUnary() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) {
+            throw expressionError('Unexpected end of expression', source.length);
+        }
+        index++;
+
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'identifier') {
+            if (token.value === 'true' || token.value === 'false') {
+                return { type: 'literal', value: token.value === 'true' };
+            }
+
+            if (isOperator('(')) {
+                if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+                    throw expressionError(`Unknown function "${token.value}"`, token.position);
+                }
+                index++;
+                const args = [];
+                if (!isOperator(')')) {
+                    args.push(parseConditional());
+                    while (isOperator(',')) {
+                        index++;
+                        args.push(parseConditional());
+                    }
+                }
+                expect(')');
+                return { type: 'call', name: token.value, args };
+            }
+
+            return { type: 'variable', name: token.value };
+        }
+
+        if (token.value === '(') {
+            const expression = parseConditional();
+            expect(')');
+            return expression;
+        }
+
+        throw expressionError(`Unexpected "${token.value}"`, token.position);
+    };
+
+    const tree = parseConditional();
+    if (index < tokens.length) {
+        throw expressionError(`Unexpected "${tokens[index].value}"`, tokens[index].position);
+    }
+    return tree;
+}
+
+/**
+ * List the variable names used in a syntax tree
+ * @param {Object} tree - Syntax tree from parseExpression
+ * @returns {Array<string>} Unique variable names
+ */
+export function getExpressionVariables(tree) {
+    const names = new Set();
+    const visit = (node) => {
+        switch (node.type) {
+            case 'variable':
+                names.add(node.name);
+                break;
+            case 'unary':
+                visit(node.argument);
+                break;
+            case 'binary':
+                visit(node.left);
+                visit(node.right);
+                break;
+            case 'conditional':
+                visit(node.test);
+                visit(node.consequent);
+                visit(node.alternate);
+                break;
+            case 'call':
+                node.args.forEach(visit);
+                break;
+        }
+    };
+    visit(tree);
+    return Array.from(names);
+}
+
+/**
+ * Evaluate a syntax tree
+ * @param {Object} tree - Syntax tree from parseExpression
+ * @param {Object} variables - Variable values by name
+ * @returns {number|boolean|null} Result, null if a variable has no value or the result is not finite
+ */
+export function evaluateExpression(tree, variables = {}) {
+    const evaluate = (node) => {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'variable': {
+                if (!Object.prototype.hasOwnProperty.call(variables, node.name)) {
+                    throw expressionError(`Unknown variable "${node.name}"`);
+                }
+                return variables[node.name];
+            }
+            case 'unary': {
+                const value = evaluate(node.argument);
+                if (node.operator === '!') return !value;
+                return node.operator === '-' ? -toNumber(value) : toNumber(value);
+            }
+            case 'binary':
+                return evaluateBinary(node);
+            case 'conditional':
+                return evaluate(node.test) ? evaluate(node.consequent) : evaluate(node.alternate);
+            case 'call':
+                return FUNCTIONS[node.name](...node.args.map(evaluate));
+            default:
+                throw expressionError(`Invalid expression node "${node.type}"`);
+        }
+    };
+
+    const evaluateBinary = (node) => {
+        // Short-circuit logic returns booleans
+        if (node.operator === '&&') return Boolean(evaluate(node.left)) && Boolean(evaluate(node.right));
+        if (node.operator === '||') return Boolean(evaluate(node.left)) || Boolean(evaluate(node.right));
+
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+
+        switch (node.operator) {
+            // Loose equality so string states compare with numbers ("1" == 1)
+            case '==': return left == right;
+            case '!=': return left != right;
+            case '<': return toNumber(left) < toNumber(right);
+            case '<=': return toNumber(left) <= toNumber(right);
+            case '>': return toNumber(left) > toNumber(right);
+            case '>=': return toNumber(left) >= toNumber(right);
+            case '+': return toNumber(left) + toNumber(right);
+            case '-': return toNumber(left) - toNumber(right);
+            case '*': return toNumber(left) * toNumber(right);
+            case '/': return toNumber(left) / toNumber(right);
+            case '%': return toNumber(left) % toNumber(right);
+            default:
+                throw expressionError(`Unknown operator "${node.operator}"`);
+        }
+    };
+
+    const usedVariables = getExpressionVariables(tree);
+    if (usedVariables.some(name => variables[name] === null || variables[name] === undefined)) {
+        return null;
+    }
+
+    const result = evaluate(tree);
+    if (typeof result === 'number' && !Number.isFinite(result)) {
+        return null;
+    }
+    return result;
+}
+
+/**
+ * Parse once, evaluate many times
+ * @param {string} source - Expression text
+ * @returns {Object} { source, variables, evaluate(values) }
+ */
+export function compileExpression(source) {
+    const tree = parseExpression(source);
+    return {
+        source,
+        variables: getExpressionVariables(tree),
+        evaluate: (values) => evaluateExpression(tree, values)
+    };
+}
+
+export default compileExpression;
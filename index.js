@@ -13,15 +13,37 @@ import IoBrokerClient from './iobroker-client.js';
 import LayoutEngine from './layout-engine.js';
 import SmoothRenderer from './smooth-renderer.js';
 import ConfigManager from './config-manager.js';
+import { isDashboardFile } from './dashboard-format.js';
 import DashboardTools from './dashboard-tools.js';
-import { createElements } from './dashboard-elements.js';
+import { createElements, createElement, hasEnumStates } from './dashboard-elements.js';
 import CommandRegistry from './commands/command-registry.js';
 import AIService from './ai-service.js';
 import MCPClient from './mcp-client.js';
 import OnboardingSystem from './onboarding-system.js';
 import { UnifiedSettingsManager } from './unified-settings-manager.js';
+import { StateCache } from './state-cache.js';
 import { applyTheme } from './colors.js';
 
+// Terminal key sequences routed to the selected interactive element
+const ELEMENT_KEYS = {
+    '\x1b[A': 'ArrowUp',
+    '\x1b[B': 'ArrowDown',
+    '\x1b[C': 'ArrowRight',
+    '\x1b[D': 'ArrowLeft',
+    '\x1b[5~': 'PageUp',
+    '\x1b[6~': 'PageDown',
+    '\x1b[H': 'Home',
+    '\x1b[1~': 'Home',
+    '\x1bOH': 'Home',
+    '\x1b[F': 'End',
+    '\x1b[4~': 'End',
+    '\x1bOF': 'End',
+    '+': '+',
+    '-': '-',
+    // Digits reach elements only while nothing is typed (blind positions)
+    ...Object.fromEntries([...'0123456789'].map(digit => [digit, digit]))
+};
+
 class IobrkerDashboard {
     constructor(options = {}) {
         this.config = {
@@ -37,6 +59,7 @@ class IobrkerDashboard {
 
         // Core components
         this.client = null;
+        this.cache = null;
         this.layout = null;
         this.renderer = null;
         this.configManager = null;
@@ -53,6 +76,7 @@ class IobrkerDashboard {
         this.currentPrompt = '> ';
         this.messages = [];
         this.isOnboarding = false;
+        this.offlineMode = false; // Started without ioBroker connection
         this.onboardingStep = 'connection'; // connection, dashboard, complete
         this.messageScrollOffset = 0;
         
@@ -71,11 +95,6 @@ class IobrkerDashboard {
     async initialize() {
         console.log('[INIT] Initializing ioBroker Dashboard...');
 
-        // Create ioBroker client
-        this.client = new IoBrokerClient({
-            url: this.config.iobrokerUrl
-        });
-
         // Initialize settings manager first
         this.settings = new UnifiedSettingsManager({
             settingsFile: path.join(USER_DATA_DIR, 'settings.json'),
@@ -83,6 +102,28 @@ class IobrkerDashboard {
         });
         await this.settings.initialize();
 
+        // Load persistent object/state cache
+        this.cache = new StateCache({
+            cacheDir: path.join(USER_DATA_DIR, 'cache'),
+            objectTtl: this.settings.get('cache.object_ttl_hours') * 60 * 60 * 1000,
+            stateTtl: this.settings.get('cache.state_ttl_hours') * 60 * 60 * 1000
+        });
+        this.cache.on('warning', (message) => {
+            if (this.running) {
+                this.addWarningMessage(`[CACHE] ${message}`);
+            } else {
+                console.log(`[CACHE] ${message}`);
+            }
+        });
+        await this.cache.load();
+
+        // Create ioBroker client
+        this.client = new IoBrokerClient({
+            url: this.config.iobrokerUrl,
+            auth: this.getIoBrokerAuth(),
+            cache: this.cache
+        });
+
         // Create layout engine with settings integration
         this.layout = new LayoutEngine({
             settings: this.settings,
@@ -126,9 +167,25 @@ class IobrkerDashboard {
         // Set up event handlers
         this.setupEventHandlers();
 
+        // Pick up dashboards/settings edited outside the app (after the handlers, to report watch problems)
+        this.configManager.startWatching();
+
         console.log('[SUCCESS] Dashboard initialized');
     }
 
+    // Build client credentials from iobroker.user/password/token settings
+    getIoBrokerAuth() {
+        const user = this.settings.get('iobroker.user');
+        const password = this.settings.get('iobroker.password');
+        const token = this.settings.get('iobroker.token');
+        
+        if (!user && !token) {
+            return null;
+        }
+        
+        return { user, password, token };
+    }
+
     async initializeTheme() {
         try {
             // Use the shared settings manager
@@ -150,11 +207,109 @@ class IobrkerDashboard {
         }
     }
 
+    // Config manager events: saves, migrations and edits made outside the app
+    setupConfigManagerHandlers() {
+        this.configManager.on('saved', (data) => {
+            if (this.running) {
+                this.addSuccessMessage(`[SAVED] Configuration saved: ${data.filename}`);
+            }
+        });
+
+        this.configManager.on('migrated', (data) => {
+            const message = `[MIGRATED] ${data.filename} upgraded from v${data.from} to v${data.to} (backup: ${data.backup})`;
+            if (this.running) {
+                this.addInfoMessage(message);
+            } else {
+                console.log(message);
+            }
+        });
+
+        this.configManager.on('external-reload', (data) => {
+            if (!this.running) return;
+            
+            if (data.success) {
+                this.renderer.initialized = false;
+                this.renderer.elementPositions.clear();
+                this.renderDashboard();
+                this.addInfoMessage(`[RELOADED] ${data.filename} changed on disk and was reloaded`);
+            } else {
+                this.addWarningMessage(`[RELOAD] ${data.filename} changed on disk but could not be loaded: ${data.error}`);
+            }
+        });
+
+        this.configManager.on('conflict', (data) => {
+            if (this.running) {
+                this.commands.find('reload').showConflict(data.filename);
+            }
+        });
+
+        // Elements the dashboard file has but this version cannot show, the rest is loaded
+        this.configManager.on('elements-skipped', ({ warnings }) => {
+            for (const warning of warnings) {
+                const message = `[LOAD] ${warning}`;
+                if (this.running) {
+                    this.addWarningMessage(message);
+                } else {
+                    console.log(message);
+                }
+            }
+        });
+
+        this.configManager.on('watch-failed', ({ directory, error }) => {
+            const message = `[WATCH] Not watching ${directory} for outside edits: ${error.message}`;
+            if (this.running) {
+                this.addWarningMessage(message);
+            } else {
+                console.log(message);
+            }
+        });
+
+        // Outside edits that could not be applied - the old dashboard/settings stay active
+        this.configManager.on('reload-failed', ({ filename, error }) => {
+            if (this.running) {
+                this.addWarningMessage(`[RELOAD] ${filename} changed on disk but could not be loaded: ${error}`);
+            }
+        });
+
+        this.configManager.on('settings-changed', async () => {
+            try {
+                const changes = await this.settings.reloadPersistentConfig();
+                if (changes.length === 0 || !this.running) return;
+                
+                // Apply layout and credential changes like /set does
+                const setCommand = this.commands.find('set');
+                for (const { key, newValue } of changes) {
+                    await setCommand.applySideEffects(key, newValue);
+                }
+                this.addInfoMessage(`[RELOADED] settings.json changed on disk: ${changes.map(change => change.key).join(', ')}`);
+            } catch (error) {
+                this.addWarningMessage(`[RELOAD] settings.json changed on disk but could not be read: ${error.message}`);
+            }
+        });
+
+        this.configManager.on('loaded', async (data) => {
+            if (this.running) {
+                this.addInfoMessage(`[LOADED] Configuration loaded: ${data.filename}`);
+            }
+            await this.connectElementsToClient();
+            this.renderDashboard();
+        });
+
+        this.configManager.on('error', (error) => {
+            // Don't log config loading errors - they're handled in the load method
+            // This prevents unhandled error events
+        });
+    }
+
     setupEventHandlers() {
         // ioBroker client events
         this.client.on('connected', () => {
             this.connected = true;
-            this.addSuccessMessage('Connected to ioBroker');
+            if (this.offlineMode) {
+                this.switchToLiveMode();
+            } else {
+                this.addSuccessMessage('Connected to ioBroker');
+            }
             this.updatePrompt();
             this.renderDashboard();
         });
@@ -166,6 +321,34 @@ class IobrkerDashboard {
             this.renderDashboard();
         });
 
+        this.client.on('connectionStateChanged', () => {
+            this.updatePrompt();
+            this.renderDashboard();
+        });
+
+        this.client.on('reconnecting', (attempt) => {
+            // Retries continue forever with backoff - only report the first one
+            if (attempt === 1) {
+                this.addWarningMessage('[RECONNECT] Connection lost - retrying in the background...');
+            }
+        });
+
+        this.client.on('resynced', ({ count }) => {
+            this.addSuccessMessage(`[RESYNC] Refreshed ${count} states after reconnect`);
+            this.renderDashboard();
+            
+            // Fill the gap in sparklines while the connection was down
+            this.loadElementHistory();
+        });
+
+        this.client.on('auth_failed', (error) => {
+            this.connected = false;
+            this.addErrorMessage(`ioBroker ${error.message}`);
+            this.addInfoMessage('[TIP] Set credentials with /set iobroker.user <name> and /set iobroker.password <password>');
+            this.updatePrompt();
+            this.renderDashboard();
+        });
+
         this.client.on('error', (error) => {
             this.addErrorMessage(`ioBroker Error: ${error.message}`);
             this.renderDashboard();
@@ -178,25 +361,29 @@ class IobrkerDashboard {
             }
         });
 
-        // Config manager events
-        this.configManager.on('saved', (data) => {
-            if (this.running) {
-                this.addSuccessMessage(`[SAVED] Configuration saved: ${data.filename}`);
+        this.setupConfigManagerHandlers();
+
+        // Detach removed elements from the state dispatcher
+        this.tools.on('elementRemoved', ({ element }) => {
+            if (element && typeof element.disconnect === 'function') {
+                element.disconnect();
             }
         });
 
-        this.configManager.on('loaded', async (data) => {
-            if (this.running) {
-                this.addInfoMessage(`[LOADED] Configuration loaded: ${data.filename}`);
+        this.tools.on('groupRemoved', ({ group }) => {
+            for (const element of group?.elements || []) {
+                if (typeof element.disconnect === 'function') {
+                    element.disconnect();
+                }
             }
-            await this.connectElementsToClient();
-            this.renderDashboard();
         });
 
-        this.configManager.on('error', (error) => {
-            // Don't log config loading errors - they're handled in the load method
-            // This prevents unhandled error events
-        });
+        // Keep state subscriptions in sync with the elements on screen
+        for (const event of ['elementAdded', 'elementRemoved', 'groupRemoved']) {
+            this.tools.on(event, () => {
+                this.updateSubscriptions();
+            });
+        }
 
         // Keyboard input (only in TTY mode)
         if (process.stdin.isTTY) {
@@ -232,7 +419,8 @@ class IobrkerDashboard {
             if (this.interactiveElements.length > 0) {
                 if (this.selectedElementIndex >= 0) {
                     const selected = this.getSelectedElement();
-                    this.currentPrompt = `[${selected.element.caption}] > `;
+                    const hint = typeof selected.element.getKeyHint === 'function' ? ` ${selected.element.getKeyHint()}` : '';
+                    this.currentPrompt = `[${selected.element.caption}${hint}] > `;
                 } else {
                     this.currentPrompt = '[Tab:navigate Space:activate /help] > ';
                 }
@@ -241,6 +429,10 @@ class IobrkerDashboard {
                 const aiStatus = this.ai && this.ai.isAvailable() ? 'AI+' : '';
                 this.currentPrompt = `[${aiStatus}/cmd] > `;
             }
+        } else if (this.offlineMode) {
+            this.currentPrompt = '[offline] > ';
+        } else if (this.client && this.client.connectionState === 'reconnecting') {
+            this.currentPrompt = '[reconnecting] > ';
         } else {
             this.currentPrompt = '[disconnected] > ';
         }
@@ -255,7 +447,12 @@ class IobrkerDashboard {
             await this.client.connect();
         } catch (error) {
             console.error('Failed to connect to ioBroker:', error.message);
-            process.exit(1);
+            if (error.code === 'AUTH_FAILED') {
+                console.error('Check iobroker.user/iobroker.password in settings.json or IOBROKER_USER/IOBROKER_PASSWORD in .env');
+            } else {
+                console.log('[OFFLINE] Starting in offline mode - retrying connection in the background');
+            }
+            this.offlineMode = true;
         }
 
         // Try to connect to MCP server (optional)
@@ -294,15 +491,15 @@ class IobrkerDashboard {
 
         await this.connectElementsToClient();
 
-        // Subscribe to state changes
-        this.client.subscribeStates('*');
-
         this.running = true;
         
         if (this.isOnboarding) {
             await this.onboarding.startOnboarding();
         } else {
             this.addInfoMessage(`[READY] Dashboard loaded! Type "/help" for commands.`);
+            if (this.offlineMode) {
+                this.addWarningMessage('[OFFLINE] ioBroker not reachable - showing last-known values, editing is available');
+            }
             this.renderDashboard();
         }
     }
@@ -320,7 +517,7 @@ class IobrkerDashboard {
             try {
                 const { readdir } = await import('fs/promises');
                 const configFiles = await readdir(configDir);
-                const dashboardFiles = configFiles.filter(f => f.endsWith('.json'));
+                const dashboardFiles = configFiles.filter(isDashboardFile);
                 if (dashboardFiles.length > 0) return true;
             } catch (error) {
                 // Config directory doesn't exist yet
@@ -348,105 +545,181 @@ class IobrkerDashboard {
     }
 
     async createDefaultDashboard() {
-        // Create a basic dashboard if no config exists
-        const solarGroup = await this.tools.addGroup('Solar System');
-        if (solarGroup.success) {
-            await this.tools.addElement(solarGroup.group.id, {
-                id: 'pv-power',
-                type: 'gauge',
-                caption: 'PV Power',
-                stateId: 'javascript.0.solar.produktion',
-                unit: 'W'
-            });
-            
-            await this.tools.addElement(solarGroup.group.id, {
-                id: 'battery',
-                type: 'gauge',
-                caption: 'Battery',
-                stateId: 'javascript.0.solar.batterie',
-                unit: 'W'
-            });
-        }
-
-        const systemGroup = await this.tools.addGroup('System Status');
-        if (systemGroup.success) {
-            await this.tools.addElement(systemGroup.group.id, {
-                id: 'web-adapter',
-                type: 'indicator',
-                caption: 'Web Adapter',
-                stateId: 'system.adapter.web.0.alive'
-            });
+        // Create a basic dashboard from the built-in templates if no config exists
+        for (const template of ['solar', 'system']) {
+            const result = await this.configManager.applyTemplate(template);
+            if (!result.success) {
+                this.addWarningMessage(`[TEMPLATE] ${template}: ${result.error}`);
+            }
         }
 
         // Save the default layout
         await this.configManager.save();
     }
 
+    // Collect state IDs of all loaded elements
+    getDisplayedStateIds() {
+        const stateIds = new Set();
+        
+        for (const group of this.layout.groups) {
+            for (const element of group.elements) {
+                const ids = typeof element.getStateIds === 'function' ? element.getStateIds() : [element.stateId];
+                ids.filter(Boolean).forEach(id => stateIds.add(id));
+            }
+        }
+        
+        return Array.from(stateIds);
+    }
+
+    // Subscribe only to the states shown on the current dashboard
+    updateSubscriptions() {
+        if (!this.client) return;
+        
+        try {
+            this.client.setSubscriptions(this.getDisplayedStateIds());
+        } catch (error) {
+            this.addWarningMessage(`[SUBSCRIBE] Failed to update subscriptions: ${error.message}`);
+        }
+    }
+
     async connectElementsToClient() {
         // Connect all elements to the ioBroker client for live updates
-        const objectRefreshPromises = [];
+        const staleMetadataElements = [];
+        const historyElements = [];
+        
+        this.updateSubscriptions();
         
         for (const group of this.layout.groups) {
-            for (const element of group.elements) {
+            for (let element of group.elements) {
                 if (element.connect && typeof element.connect === 'function') {
+                    // Already wired up (e.g. reconnect after /add) - avoid duplicate listeners
+                    if (element.iobrokerClient === this.client) continue;
+                    
                     element.connect(this.client);
+                    this.attachElementListeners(element);
                     
-                    // Listen for value changes to trigger re-render
-                    element.on('valueChanged', () => {
-                        this.debouncedRender();
-                    });
+                    // Apply cached object metadata right away, refetch only when expired
+                    if (element.stateId) {
+                        const cachedObject = this.cache ? this.cache.getObject(element.stateId) : null;
+                        if (cachedObject) {
+                            element = this.convertToDropdown(element, cachedObject) || element;
+                            this.applyObjectMetadata(element, cachedObject);
+                        }
+                        if (!this.cache || this.cache.isObjectExpired(element.stateId)) {
+                            staleMetadataElements.push(element);
+                        }
+                    }
                     
-                    // Refresh object metadata from ioBroker for each element
-                    if (element.stateId && this.client && this.client.isConnected()) {
-                        objectRefreshPromises.push(this.refreshElementObject(element));
+                    if (typeof element.loadHistory === 'function') {
+                        historyElements.push(element);
                     }
                 }
             }
         }
         
-        // Wait for all object metadata refreshes to complete
-        if (objectRefreshPromises.length > 0) {
+        // Render last-known values from the cache instantly
+        if (this.client) {
+            this.client.applyCachedStates();
+        }
+        
+        // Fetch initial values for all elements in a single round trip
+        if (this.client && this.client.isConnected()) {
             try {
-                const results = await Promise.allSettled(objectRefreshPromises);
-                const successCount = results.filter(r => r.status === 'fulfilled' && r.value === true).length;
-                this.addInfoMessage(`[METADATA] Refreshed object metadata for ${successCount}/${objectRefreshPromises.length} elements`);
-                this.debouncedRender();
+                await this.client.refreshElementStates();
             } catch (error) {
-                this.addWarningMessage(`[METADATA] Some object metadata failed to refresh: ${error.message}`);
+                this.addWarningMessage(`[STATES] Failed to fetch initial state values: ${error.message}`);
             }
+        } else if (this.client) {
+            // Offline: cached values are all we have, mark them as stale
+            this.client.setElementsStale(true);
+        }
+        
+        // Refresh missing/expired object metadata in the background
+        if (staleMetadataElements.length > 0 && this.client && this.client.isConnected()) {
+            this.refreshObjectMetadata(staleMetadataElements);
+        }
+        
+        if (historyElements.length > 0) {
+            this.loadElementHistory(historyElements);
+        }
+    }
+
+    // Re-render on value changes and report setpoints the device did not accept
+    attachElementListeners(element) {
+        element.on('valueChanged', () => {
+            this.debouncedRender();
+        });
+        
+        element.on('commandFailed', ({ value, error }) => {
+            this.addWarningMessage(`[SET] ${element.caption}: ${value} not applied (${error})`);
+        });
+    }
+
+    // Seed sparklines from the history adapter without blocking rendering
+    async loadElementHistory(elements = null) {
+        if (!this.client || !this.client.isConnected()) return;
+        
+        const targets = elements || this.layout.groups
+            .flatMap(group => group.elements)
+            .filter(element => typeof element.loadHistory === 'function');
+        if (targets.length === 0) return;
+        
+        const results = await Promise.allSettled(targets.map(element => element.loadHistory()));
+        const failed = results.filter(r => r.status === 'rejected');
+        if (failed.length > 0) {
+            this.addInfoMessage(`[HISTORY] No history for ${failed.length}/${targets.length} sparklines (${failed[0].reason?.message || failed[0].reason}) - showing live values only`);
+        }
+        this.debouncedRender();
+    }
+
+    // Refetch object metadata for the given elements without blocking rendering
+    async refreshObjectMetadata(elements) {
+        try {
+            const results = await Promise.allSettled(elements.map(element => this.refreshElementObject(element)));
+            const successCount = results.filter(r => r.status === 'fulfilled' && r.value === true).length;
+            this.addInfoMessage(`[METADATA] Refreshed object metadata for ${successCount}/${elements.length} elements`);
+            this.debouncedRender();
+        } catch (error) {
+            this.addWarningMessage(`[METADATA] Some object metadata failed to refresh: ${error.message}`);
         }
     }
     
+    // First successful connect after an offline start.
+    // Values are refetched by the client itself; only metadata is left to refresh.
+    async switchToLiveMode() {
+        this.offlineMode = false;
+        this.addSuccessMessage('[ONLINE] Connected to ioBroker - switched to live mode');
+        
+        // connectElementsToClient refreshes the metadata of elements it wires up itself,
+        // only the ones connected while offline are left to refresh here
+        const elements = [];
+        for (const group of this.layout.groups) {
+            for (const element of group.elements) {
+                if (element.iobrokerClient === this.client && element.stateId && (!this.cache || this.cache.isObjectExpired(element.stateId))) {
+                    elements.push(element);
+                }
+            }
+        }
+        
+        // Wire up elements that never got connected and fetch current values for all
+        await this.connectElementsToClient();
+        
+        if (elements.length > 0) {
+            await this.refreshObjectMetadata(elements);
+        }
+    }
+
     async refreshElementObject(element) {
         try {
             const objData = await this.client.getObject(element.stateId);
             if (objData && objData.common) {
-                const common = objData.common;
-                let updated = false;
-                
-                // Update unit if it has changed
-                if (common.unit !== undefined && element.unit !== common.unit) {
-                    element.unit = common.unit;
-                    updated = true;
-                }
-                
-                // Update min/max for gauge elements
-                if (element.type === 'gauge') {
-                    if (common.min !== undefined && element.min !== common.min) {
-                        element.min = common.min;
-                        updated = true;
-                    }
-                    if (common.max !== undefined && element.max !== common.max) {
-                        element.max = common.max;
-                        updated = true;
-                    }
+                const dropdown = this.convertToDropdown(element, objData);
+                if (dropdown) {
+                    element = dropdown;
+                    this.addInfoMessage(`[METADATA] ${element.caption} has enumerated states - now shown as dropdown`);
                 }
                 
-                // Update interactive flag based on write permission
-                if (common.write !== undefined && element.interactive !== (common.write !== false)) {
-                    element.interactive = common.write !== false;
-                    updated = true;
-                }
+                const updated = this.applyObjectMetadata(element, objData);
                 
                 if (updated) {
                     console.log(`[METADATA] Updated object metadata for ${element.stateId}: unit=${element.unit}, min=${element.min}, max=${element.max}, interactive=${element.interactive}`);
@@ -461,6 +734,103 @@ class IobrkerDashboard {
         }
     }
 
+    // Copy unit, range and write permission from object metadata to an element
+    applyObjectMetadata(element, objData) {
+        if (!objData || !objData.common) return false;
+        
+        const common = objData.common;
+        let updated = false;
+        
+        // Update unit if it has changed
+        if (common.unit !== undefined && element.unit !== common.unit) {
+            element.unit = common.unit;
+            updated = true;
+        }
+        
+        // Update min/max for gauge, number input and blind elements
+        if (['gauge', 'number', 'blind'].includes(element.type)) {
+            if (common.min !== undefined && element.min !== common.min) {
+                element.min = common.min;
+                updated = true;
+            }
+            if (common.max !== undefined && element.max !== common.max) {
+                element.max = common.max;
+                updated = true;
+            }
+        }
+        
+        // Number inputs step by the object's step size
+        if (element.type === 'number' && common.step !== undefined && element.step !== common.step) {
+            element.step = common.step;
+            updated = true;
+        }
+        
+        // Dropdowns follow changes to the enumerated states
+        if (element.type === 'dropdown') {
+            if (common.states && JSON.stringify(element.states) !== JSON.stringify(common.states)) {
+                element.states = common.states;
+                updated = true;
+            }
+            if (common.type !== undefined && element.valueType !== common.type) {
+                element.valueType = common.type;
+                updated = true;
+            }
+        }
+        
+        // Update interactive flag based on write permission.
+        // Thermostats are bound to the read-only actual temperature but write the setpoint
+        if (element.type !== 'thermostat' && common.write !== undefined && element.interactive !== (common.write !== false)) {
+            element.interactive = common.write !== false;
+            updated = true;
+        }
+        
+        return updated;
+    }
+
+    // Replace a plain number/text element by a dropdown when its object defines common.states.
+    // Returns the new element, or null if nothing was converted
+    convertToDropdown(element, objData) {
+        if (!['number', 'text'].includes(element.type) || !hasEnumStates(objData?.common)) {
+            return null;
+        }
+        
+        for (const group of this.layout.groups) {
+            const index = group.elements.indexOf(element);
+            if (index === -1) continue;
+            
+            const config = element.toJSON();
+            delete config.step;
+            delete config.decimals;
+            const dropdown = createElement({
+                ...config,
+                type: 'dropdown',
+                states: objData.common.states,
+                valueType: objData.common.type,
+                interactive: objData.common.write !== false
+            });
+            
+            element.disconnect();
+            element.removeAllListeners();
+            
+            dropdown.updateValue(element.value, element.lastUpdate || Date.now());
+            dropdown.setStale(element.stale);
+            group.elements[index] = dropdown;
+            
+            if (this.client) {
+                dropdown.connect(this.client);
+            }
+            this.attachElementListeners(dropdown);
+            
+            this.configManager.markDirty();
+            this.renderer.initialized = false;
+            this.renderer.elementPositions.clear();
+            
+            return dropdown;
+        }
+        
+        return null;
+    }
+
     renderDashboard() {
         if (!this.running) return;
 
@@ -471,7 +841,20 @@ class IobrkerDashboard {
 
         const currentLayout = this.layout.getLayout();
         const selectedElement = this.getSelectedElement();
-        this.renderer.updateRender(currentLayout, this.currentPrompt, this.inputBuffer, this.messages, this.messageScrollOffset, selectedElement, this.commandMode);
+        
+        // Elements with their own selection markers (number inputs) need to know
+        for (const item of this.interactiveElements) {
+            if (typeof item.element.setSelected === 'function') {
+                item.element.setSelected(item === selectedElement);
+            }
+        }
+        
+        // Never echo passwords and API keys typed during onboarding
+        const input = this.isOnboarding && this.onboarding?.isSecretInput()
+            ? '*'.repeat(this.inputBuffer.length)
+            : this.inputBuffer;
+        
+        this.renderer.updateRender(currentLayout, this.currentPrompt, input, this.messages, this.messageScrollOffset, selectedElement, this.commandMode);
     }
 
     // Message system
@@ -512,7 +895,7 @@ class IobrkerDashboard {
         
         for (const group of this.layout.groups) {
             for (const element of group.elements) {
-                if (element.interactive && (element.type === 'button' || element.type === 'switch')) {
+                if (typeof element.isInteractive === 'function' && element.isInteractive()) {
                     this.interactiveElements.push({
                         element,
                         groupId: group.id,
@@ -569,15 +952,16 @@ class IobrkerDashboard {
         const element = selectedItem.element;
         
         try {
+            const success = await element.handleKey('Space');
+            this.updatePrompt();
+            
             if (element.type === 'button') {
-                const success = await element.trigger();
                 if (success) {
                     this.addInfoMessage(`[TRIGGERED] Triggered: ${element.caption}`);
                 } else {
                     this.addErrorMessage(`Failed to trigger: ${element.caption}`);
                 }
             } else if (element.type === 'switch') {
-                const success = await element.toggle();
                 if (success) {
                     this.addInfoMessage(`[TOGGLED] Toggled: ${element.caption}`);
                 } else {
@@ -587,6 +971,29 @@ class IobrkerDashboard {
         } catch (error) {
             this.addErrorMessage(`Error activating ${element.caption}: ${error.message}`);
         }
+        
+        this.renderDashboard();
+    }
+
+    // Route a key to the selected element. Returns true if the element consumed it,
+    // otherwise the key keeps its normal meaning (scrolling, history, typing)
+    async routeKeyToSelectedElement(keyName) {
+        const selected = this.getSelectedElement();
+        if (!selected || this.inputBuffer.length > 0 || typeof selected.element.handleKey !== 'function') {
+            return false;
+        }
+        
+        try {
+            const handled = await selected.element.handleKey(keyName);
+            if (handled) {
+                this.updatePrompt();
+                this.renderDashboard();
+            }
+            return handled;
+        } catch (error) {
+            this.addErrorMessage(`Error in ${selected.element.caption}: ${error.message}`);
+            return true;
+        }
     }
 
     getSelectedElement() {
@@ -642,6 +1049,13 @@ class IobrkerDashboard {
             return;
         }
 
+        // Navigation keys and +/- go to the selected element first
+        if (ELEMENT_KEYS[key] && this.selectedElementIndex >= 0) {
+            if (await this.routeKeyToSelectedElement(ELEMENT_KEYS[key])) {
+                return;
+            }
+        }
+
         // Handle left/right arrow keys for cursor movement in input
         if (key === '\x1b[C') { // Right arrow
             // TODO: Implement cursor movement in input buffer
@@ -681,8 +1095,9 @@ class IobrkerDashboard {
         if (key === '\r' || key === '\n') { // Enter
             const command = this.inputBuffer.trim();
             if (command) {
-                // Add to command history (avoid duplicates)
-                if (this.commandHistory.length === 0 || this.commandHistory[this.commandHistory.length - 1] !== command) {
+                // Add to command history (avoid duplicates) - onboarding answers may be credentials
+                const lastCommand = this.commandHistory[this.commandHistory.length - 1];
+                if (!this.isOnboarding && lastCommand !== command) {
                     this.commandHistory.push(command);
                     
                     // Keep only last 50 commands
@@ -713,6 +1128,11 @@ class IobrkerDashboard {
 
         // Handle Escape to toggle command mode or deselect element
         if (key === '\x1b') { // Escape
+            // Let the selected element close its own picker first
+            if (this.selectedElementIndex >= 0 && await this.routeKeyToSelectedElement('Escape')) {
+                return;
+            }
+            
             if (this.selectedElementIndex >= 0) {
                 // If element is selected, deselect it first
                 this.selectedElementIndex = -1;
@@ -780,7 +1200,7 @@ class IobrkerDashboard {
                 return;
             }
 
-            const loadResult = await this.configManager.load(filename);
+            const loadResult = await this.configManager.load(await this.configManager.resolveDashboardFile(filename));
             
             if (loadResult.success) {
                 await this.connectElementsToClient();
@@ -987,6 +1407,14 @@ class IobrkerDashboard {
             this.configManager.destroy();
         }
         
+        if (this.cache) {
+            try {
+                await this.cache.destroy();
+            } catch (error) {
+                console.warn('Failed to write cache:', error.message);
+            }
+        }
+        
         // Restore terminal
         if (process.stdin.isTTY) {
             process.stdin.setRawMode(false);
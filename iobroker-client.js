@@ -9,38 +9,66 @@ class IoBrokerClient extends EventEmitter {
             url: config.url || 'http://localhost:8084',
             auth: config.auth || null,
             reconnection: true,
-            reconnectionDelay: 1000,
-            reconnectionAttempts: 5,
+            reconnectionDelay: 1000, // first retry after 1s ...
+            reconnectionDelayMax: 30000, // ... backing off to at most 30s
+            reconnectionAttempts: Infinity, // never give up
             ...config
         };
         
         this.socket = null;
         this.connected = false;
+        this.connectionState = 'disconnected'; // disconnected, connecting, connected, reconnecting
+        this.reconnectAttempt = 0;
         this.states = new Map(); // Cache of current states
+        this.cache = config.cache || null; // Optional persistent StateCache
+        this.subscriptions = new Set(); // State IDs/patterns we are subscribed to
+        this.elementsByState = new Map(); // Dispatcher: stateId -> Set of elements
     }
 
     async connect() {
         try {
+            // Drop a previous socket (e.g. URL or credentials changed)
+            if (this.socket) {
+                this.disconnect();
+            }
+            
+            this.setConnectionState('connecting');
+            
             this.socket = io(this.config.url, {
-                auth: this.config.auth,
                 reconnection: this.config.reconnection,
                 reconnectionDelay: this.config.reconnectionDelay,
+                reconnectionDelayMax: this.config.reconnectionDelayMax,
                 reconnectionAttempts: this.config.reconnectionAttempts,
-                transports: ['websocket', 'polling']
+                transports: ['websocket', 'polling'],
+                ...this.buildAuthOptions()
             });
 
             this.setupEventListeners();
             
             return new Promise((resolve, reject) => {
+                const fail = (error) => {
+                    if (this.isAuthError(error)) {
+                        const authError = this.createAuthError(error);
+                        // Retrying with the same credentials is pointless
+                        this.disconnect();
+                        this.emit('auth_failed', authError);
+                        reject(authError);
+                    } else {
+                        reject(error);
+                    }
+                };
+
                 this.socket.on('connect', () => {
-                    this.connected = true;
-                    this.emit('connected');
                     resolve();
                 });
 
-                this.socket.on('connect_error', (error) => {
-                    reject(error);
+                this.socket.on('connect_error', fail);
+
+                // socketio/web adapters reject bad credentials via 'error' or ask to log in again
+                this.socket.on('error', (error) => {
+                    if (this.isAuthError(error)) fail(error);
                 });
+                this.socket.on('reauthenticate', () => fail(new Error('Authentication required')));
             });
             
         } catch (error) {
@@ -49,14 +77,88 @@ class IoBrokerClient extends EventEmitter {
         }
     }
 
+    // Build socket.io options carrying the configured credentials.
+    // ioBroker's socketio/web adapters read user/pass or token from the handshake query.
+    buildAuthOptions() {
+        const auth = this.config.auth;
+        if (!auth) return {};
+        
+        if (auth.token) {
+            return {
+                query: { token: auth.token },
+                extraHeaders: { Authorization: `Bearer ${auth.token}` }
+            };
+        }
+        
+        if (auth.user) {
+            return {
+                query: { user: String(auth.user), pass: String(auth.password ?? '') }
+            };
+        }
+        
+        return {};
+    }
+
+    // Check whether a connection error was caused by rejected credentials
+    isAuthError(error) {
+        if (!error) return false;
+        
+        // engine.io polling errors carry the HTTP status as description
+        if (error.description === 401 || error.description === 403) {
+            return true;
+        }
+        
+        const message = typeof error === 'string' ? error : (error.message || '');
+        return /authenticat|password|(un|not )authori[sz]ed|not logged|login|\b40[13]\b/i.test(message);
+    }
+
+    // Wrap an auth-related error with a clear message and code
+    createAuthError(error) {
+        const reason = typeof error === 'string' ? error : (error?.message || 'unknown reason');
+        const authError = new Error(`Authentication failed: ${reason}`);
+        authError.code = 'AUTH_FAILED';
+        return authError;
+    }
+
+    // Connection state machine: disconnected -> connecting -> connected <-> reconnecting
+    setConnectionState(state) {
+        if (this.connectionState === state) return;
+        
+        const previous = this.connectionState;
+        this.connectionState = state;
+        this.emit('connectionStateChanged', { state, previous, attempt: this.reconnectAttempt });
+    }
+
     setupEventListeners() {
+        this.socket.on('connect', () => {
+            this.handleConnect();
+        });
+
         this.socket.on('disconnect', (reason) => {
             this.connected = false;
+            this.setElementsStale(true);
+            
+            if (reason === 'io client disconnect') {
+                // We closed the connection ourselves - don't come back
+                this.setConnectionState('disconnected');
+            } else {
+                this.setConnectionState('reconnecting');
+                // socket.io does not retry after a server-side kick, so do it ourselves
+                if (reason === 'io server disconnect' && this.socket) {
+                    this.socket.connect();
+                }
+            }
+            
             this.emit('disconnected', reason);
         });
 
+        this.socket.on('reconnect_attempt', (attemptNumber) => {
+            this.reconnectAttempt = attemptNumber;
+            this.setConnectionState('reconnecting');
+            this.emit('reconnecting', attemptNumber);
+        });
+
         this.socket.on('reconnect', (attemptNumber) => {
-            this.connected = true;
             this.emit('reconnected', attemptNumber);
         });
 
@@ -64,15 +166,78 @@ class IoBrokerClient extends EventEmitter {
             this.emit('reconnect_error', error);
         });
 
+        // Only reached with a finite reconnectionAttempts setting
+        this.socket.on('reconnect_failed', () => {
+            this.setConnectionState('disconnected');
+            this.emit('reconnect_failed');
+        });
+
         // Listen for state changes from ioBroker
         this.socket.on('stateChange', (id, state) => {
             this.handleStateChange(id, state);
         });
     }
 
+    // Handle (re)established connection
+    handleConnect() {
+        this.connected = true;
+        this.reconnectAttempt = 0;
+        this.setConnectionState('connected');
+        
+        // Fires on reconnect too - server-side subscriptions are lost with the old session
+        this.resubscribeAll();
+        this.emit('connected');
+        
+        // Elements already on screen (reconnect or offline start) show outdated values
+        if (this.elementsByState.size > 0) {
+            this.resync();
+        }
+    }
+
+    // Refetch all displayed states after a (re)connect and clear stale markers
+    async resync() {
+        try {
+            const states = await this.refreshElementStates();
+            this.setElementsStale(false);
+            this.emit('resynced', { count: Object.keys(states).length });
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    // Show last-known cached values on registered elements (startup/offline mode)
+    applyCachedStates() {
+        let count = 0;
+        
+        for (const id of this.elementsByState.keys()) {
+            const state = this.states.get(id) || this.cache?.getState(id);
+            if (state) {
+                this.dispatchState(id, state, state.ts || Date.now());
+                count++;
+            }
+        }
+        
+        return count;
+    }
+
+    // Mark all registered elements as (not) showing outdated values
+    setElementsStale(stale) {
+        for (const elements of this.elementsByState.values()) {
+            for (const element of elements) {
+                if (typeof element.setStale === 'function') {
+                    element.setStale(stale);
+                }
+            }
+        }
+    }
+
     handleStateChange(id, state) {
         // Update local state cache
         this.states.set(id, state);
+        this.cache?.setState(id, state);
+        
+        // Route value to the elements bound to this state
+        this.dispatchState(id, state);
         
         // Emit state change event for dashboard to handle
         this.emit('stateChange', {
@@ -100,6 +265,132 @@ class IoBrokerClient extends EventEmitter {
         this.socket.emit('unsubscribe', pattern);
     }
 
+    // Replace the subscription set with the given state IDs/patterns.
+    // Only the difference to the current set is sent to ioBroker.
+    setSubscriptions(ids = []) {
+        const wanted = new Set(ids.filter(Boolean));
+        
+        for (const id of this.subscriptions) {
+            if (!wanted.has(id)) {
+                this.removeSubscription(id);
+            }
+        }
+        
+        for (const id of wanted) {
+            this.addSubscription(id);
+        }
+        
+        return this.getSubscriptions();
+    }
+
+    // Add a single state ID/pattern to the subscription set
+    addSubscription(id) {
+        if (!id || this.subscriptions.has(id)) return false;
+        
+        this.subscriptions.add(id);
+        if (this.connected) {
+            this.subscribeStates(id);
+        }
+        return true;
+    }
+
+    // Remove a single state ID/pattern from the subscription set
+    removeSubscription(id) {
+        if (!this.subscriptions.has(id)) return false;
+        
+        this.subscriptions.delete(id);
+        if (this.connected) {
+            this.unsubscribeStates(id);
+        }
+        return true;
+    }
+
+    // Re-send every subscription in the set (after connect/reconnect)
+    resubscribeAll() {
+        if (!this.connected) return;
+        
+        for (const id of this.subscriptions) {
+            this.subscribeStates(id);
+        }
+    }
+
+    // Register an element with the state dispatcher
+    registerElement(element) {
+        for (const id of this.getElementStateIds(element)) {
+            if (!this.elementsByState.has(id)) {
+                this.elementsByState.set(id, new Set());
+            }
+            this.elementsByState.get(id).add(element);
+        }
+    }
+
+    // Remove an element from the state dispatcher
+    unregisterElement(element) {
+        for (const id of this.getElementStateIds(element)) {
+            const elements = this.elementsByState.get(id);
+            if (elements) {
+                elements.delete(element);
+                if (elements.size === 0) {
+                    this.elementsByState.delete(id);
+                }
+            }
+        }
+    }
+
+    // Compound elements are bound to several states
+    getElementStateIds(element) {
+        if (!element) return [];
+        if (typeof element.getStateIds === 'function') return element.getStateIds();
+        return element.stateId ? [element.stateId] : [];
+    }
+
+    // Remove all elements from the state dispatcher
+    clearElements() {
+        this.elementsByState.clear();
+    }
+
+    // Get state IDs that have at least one registered element
+    getRegisteredStateIds() {
+        return Array.from(this.elementsByState.keys());
+    }
+
+    // Deliver a state value to all elements bound to the state ID.
+    // The full state is passed along for elements that need ack/quality
+    dispatchState(id, state, timestamp = Date.now()) {
+        const elements = this.elementsByState.get(id);
+        if (!elements) return 0;
+        
+        for (const element of elements) {
+            if (typeof element.updateState === 'function') {
+                element.updateState(id, state, timestamp);
+            } else {
+                element.updateValue(state?.val, timestamp, state);
+            }
+        }
+        return elements.size;
+    }
+
+    // Fetch current values for all registered elements in one round trip
+    async refreshElementStates(ids = this.getRegisteredStateIds()) {
+        if (ids.length === 0) return {};
+        
+        const states = await this.getStates(ids);
+        const timestamp = Date.now();
+        
+        for (const [id, state] of Object.entries(states)) {
+            if (state) {
+                this.dispatchState(id, state, timestamp);
+            }
+        }
+        
+        return states;
+    }
+
+    // Get current subscription set as array
+    getSubscriptions() {
+        return Array.from(this.subscriptions);
+    }
+
     // Get current state value
     async getState(id) {
         return new Promise((resolve, reject) => {
@@ -113,12 +404,36 @@ class IoBrokerClient extends EventEmitter {
                     reject(error);
                 } else {
                     this.states.set(id, state);
+                    this.cache?.setState(id, state);
                     resolve(state);
                 }
             });
         });
     }
 
+    // Get several state values in a single request
+    async getStates(ids) {
+        return new Promise((resolve, reject) => {
+            if (!this.connected) {
+                reject(new Error('Not connected to ioBroker'));
+                return;
+            }
+
+            this.socket.emit('getStates', ids, (error, states) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    const result = states || {};
+                    for (const [id, state] of Object.entries(result)) {
+                        this.states.set(id, state);
+                        this.cache?.setState(id, state);
+                    }
+                    resolve(result);
+                }
+            });
+        });
+    }
+
     // Get object metadata (type, role, common properties)
     async getObject(id) {
         return new Promise((resolve, reject) => {
@@ -131,12 +446,71 @@ class IoBrokerClient extends EventEmitter {
                 if (error) {
                     reject(error);
                 } else {
+                    this.cache?.setObject(id, obj);
                     resolve(obj);
                 }
             });
         });
     }
 
+    // Get the state objects below a channel or device (e.g. the siblings of a blind's level)
+    async getChildObjects(id) {
+        const objects = await this.queryObjectView('state', `${id}.`);
+        for (const [childId, obj] of Object.entries(objects)) {
+            this.cache?.setObject(childId, obj);
+        }
+        return objects;
+    }
+
+    // Get the enum objects of a category, e.g. 'rooms' for enum.rooms.* with their members
+    async getEnums(category) {
+        return this.queryObjectView('enum', `enum.${category}.`);
+    }
+
+    // Objects of one type whose ID starts with prefix, via the system object view
+    async queryObjectView(type, prefix) {
+        return new Promise((resolve, reject) => {
+            if (!this.connected) {
+                reject(new Error('Not connected to ioBroker'));
+                return;
+            }
+
+            const params = { startkey: prefix, endkey: `${prefix}\u9999` };
+            this.socket.emit('getObjectView', 'system', type, params, (error, result) => {
+                if (error) {
+                    reject(error instanceof Error ? error : new Error(error));
+                } else {
+                    const objects = {};
+                    for (const row of result?.rows || []) {
+                        if (row.value) {
+                            objects[row.id] = row.value;
+                        }
+                    }
+                    resolve(objects);
+                }
+            });
+        });
+    }
+
+    // Query logged values from a history adapter (history, sql, influxdb).
+    // Without options.instance the system default history instance is used
+    async getHistory(id, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.connected) {
+                reject(new Error('Not connected to ioBroker'));
+                return;
+            }
+
+            this.socket.emit('getHistory', id, options, (error, result) => {
+                if (error) {
+                    reject(error instanceof Error ? error : new Error(error));
+                } else {
+                    resolve(Array.isArray(result) ? result : []);
+                }
+            });
+        });
+    }
+
     // Set state value
     async setState(id, value, ack = false) {
         return new Promise((resolve, reject) => {
@@ -162,6 +536,16 @@ class IoBrokerClient extends EventEmitter {
             this.socket = null;
             this.connected = false;
         }
+        this.setConnectionState('disconnected');
+    }
+
+    // Server URL (read by the status header, updated during onboarding)
+    get url() {
+        return this.config.url;
+    }
+
+    set url(value) {
+        this.config.url = value;
     }
 
     // Get cached state without server request
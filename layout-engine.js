@@ -1,5 +1,11 @@
 import { EventEmitter } from 'events';
 
+// Lines an element occupies (plain element configs have an optional height) - shared with the renderer
+export function getElementHeight(element) {
+    const height = typeof element.getHeight === 'function' ? element.getHeight() : element.height;
+    return Number.isInteger(height) && height > 0 ? height : 1;
+}
+
 class LayoutEngine extends EventEmitter {
     constructor(options = {}) {
         super();
@@ -89,8 +95,8 @@ class LayoutEngine extends EventEmitter {
             height += 1;
         }
         
-        // Elements
-        height += group.elements.length;
+        // Elements (charts and log boxes span several lines)
+        height += group.elements.reduce((sum, element) => sum + getElementHeight(element), 0);
         
         // Borders (top and bottom) - title is integrated into top border
         if (showBorders) {
@@ -23,7 +23,7 @@ export class LocalToolRegistry extends EventEmitter {
                         },
                         type: {
                             type: 'string',
-                            enum: ['gauge', 'switch', 'button', 'indicator', 'text', 'number', 'slider'],
+                            enum: ['gauge', 'switch', 'button', 'indicator', 'text', 'number', 'slider', 'sparkline', 'dropdown', 'blind', 'thermostat', 'chart', 'bars', 'log', 'computed'],
                             description: 'Type of dashboard element'
                         },
                         caption: {
@@ -32,7 +32,7 @@ export class LocalToolRegistry extends EventEmitter {
                         },
                         stateId: {
                             type: 'string',
-                            description: 'ioBroker state ID to connect to element'
+                            description: 'ioBroker state ID to connect to element (required for all types except bars and computed)'
                         },
                         unit: {
                             type: 'string',
@@ -45,9 +45,85 @@ export class LocalToolRegistry extends EventEmitter {
                         max: {
                             type: 'number',
                             description: 'Maximum value for gauge/slider elements (optional)'
+                        },
+                        thresholds: {
+                            type: 'object',
+                            description: 'Warning/critical thresholds for gauge elements in the state unit (optional). Use a critical value below warning when low values are bad, e.g. battery level',
+                            properties: {
+                                warning: { type: 'number' },
+                                critical: { type: 'number' }
+                            }
+                        },
+                        height: {
+                            type: 'number',
+                            description: 'Height in lines for chart (3-8) and log elements (optional)'
+                        },
+                        bars: {
+                            type: 'array',
+                            description: 'States shown by a bars element, one bar each (stateId is not used for bars)',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    stateId: { type: 'string' },
+                                    caption: { type: 'string' }
+                                },
+                                required: ['stateId']
+                            }
+                        },
+                        inputs: {
+                            type: 'object',
+                            description: 'Named input states of a computed element, e.g. { "house": "meter.0.power", "pv": "pv.0.power" } (stateId is not used for computed)',
+                            additionalProperties: { type: 'string' }
+                        },
+                        expression: {
+                            type: 'string',
+                            description: 'Expression of a computed element over its input names: + - * / %, comparisons, && || ! ?:, min/max/sum/avg/abs/round/any/all/count, e.g. "house - pv"'
+                        },
+                        format: {
+                            type: 'object',
+                            description: 'Value formatting rules (optional): decimals, scale (W → kW → MW), labels (value -> text, e.g. { "true": "Open", "false": "Closed" }), style (datetime, date, time, duration), durationUnit (ms, s, min, h), locale (e.g. de-DE)',
+                            properties: {
+                                decimals: { type: 'number' },
+                                scale: { type: 'boolean' },
+                                labels: { type: 'object', additionalProperties: { type: 'string' } },
+                                style: { type: 'string', enum: ['number', 'datetime', 'date', 'time', 'duration'] },
+                                durationUnit: { type: 'string', enum: ['ms', 's', 'min', 'h'] },
+                                locale: { type: 'string' }
+                            }
+                        },
+                        colorRules: {
+                            type: 'array',
+                            description: 'Color rules checked in order, first match colors the value (optional). "when" is a condition on "value" (e.g. "value > 3000", "value == \'offline\'"), "color" a theme color: active, inactive, warning, error, positive, negative, neutral, charging, discharging, value',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    when: { type: 'string' },
+                                    color: { type: 'string' }
+                                },
+                                required: ['when', 'color']
+                            }
+                        },
+                        bindings: {
+                            type: 'object',
+                            description: 'State IDs of setpoint (level.temperature), mode and valve for thermostat elements, stateId is the actual temperature (optional)',
+                            properties: {
+                                setpoint: { type: 'string' },
+                                mode: { type: 'string' },
+                                valve: { type: 'string' }
+                            }
+                        },
+                        controls: {
+                            type: 'object',
+                            description: 'State IDs of the open/close/stop buttons for blind elements, stateId is the position (optional)',
+                            properties: {
+                                open: { type: 'string' },
+                                close: { type: 'string' },
+                                stop: { type: 'string' }
+                            }
                         }
                     },
-                    required: ['group', 'type', 'caption', 'stateId']
+                    // stateId depends on the type, see addDashboardElement
+                    required: ['group', 'type', 'caption']
                 }
             },
             handler: this.addDashboardElement.bind(this)
@@ -242,16 +318,24 @@ export class LocalToolRegistry extends EventEmitter {
                 }
             }
         }
-
-        // Type validation for element types
-        if (input.type && !['gauge', 'switch', 'button', 'indicator', 'text', 'number', 'slider'].includes(input.type)) {
-            throw new Error(`Invalid element type`);
-        }
     }
 
     // Tool handler implementations
     async addDashboardElement(input) {
-        const { group, type, caption, stateId, unit, min, max } = input;
+        const { group, type, caption, stateId, unit, min, max, thresholds, controls, bindings, height, bars, inputs, expression, format, colorRules } = input;
+        
+        // Bars and computed elements take their states from bars/inputs instead of stateId
+        if (type === 'bars') {
+            if (!Array.isArray(bars) || bars.length === 0) {
+                throw new Error('Missing required field: bars (bars elements need at least one state)');
+            }
+        } else if (type === 'computed') {
+            if (!inputs || !expression) {
+                throw new Error('Missing required field: inputs and expression (computed elements)');
+            }
+        } else if (!stateId) {
+            throw new Error('Missing required field: stateId');
+        }
         
         // Find or create group
         let groupId;
@@ -278,14 +362,41 @@ export class LocalToolRegistry extends EventEmitter {
             unit: unit || '',
             min: min,
             max: max,
-            interactive: ['switch', 'button', 'slider', 'number'].includes(type)
+            interactive: ['switch', 'button', 'slider', 'number', 'dropdown', 'blind', 'thermostat'].includes(type)
         };
+        if (type === 'gauge' && thresholds) {
+            elementConfig.thresholds = thresholds;
+        }
+        if (type === 'blind' && controls) {
+            elementConfig.controls = controls;
+        }
+        if (type === 'thermostat' && bindings) {
+            elementConfig.bindings = bindings;
+        }
+        if (['chart', 'log'].includes(type) && height) {
+            elementConfig.height = height;
+        }
+        if (type === 'bars' && bars) {
+            elementConfig.bars = bars;
+        }
+        if (format) {
+            elementConfig.format = format;
+        }
+        if (colorRules) {
+            elementConfig.colorRules = colorRules;
+        }
+        if (type === 'computed') {
+            elementConfig.inputs = inputs || {};
+            elementConfig.expression = expression;
+        }
 
         const result = await this.dashboard.tools.addElement(groupId, elementConfig);
         if (!result.success) {
             throw new Error(`Failed to add element: ${result.error}`);
         }
 
+        await this.connectElement(result.element);
+
         return {
             message: `Added ${type} element "${caption}" to group "${group}"`,
             groupId,
@@ -293,6 +404,27 @@ export class LocalToolRegistry extends EventEmitter {
         };
     }
 
+    // Register a new element with the state dispatcher and fetch its values, like /add does
+    async connectElement(element) {
+        const client = this.dashboard.client;
+        if (!client || !element || typeof element.connect !== 'function') return;
+
+        element.connect(client);
+        this.dashboard.attachElementListeners(element);
+
+        // Offline, the resync after connecting fills in the values
+        if (!client.isConnected()) return;
+
+        try {
+            await client.refreshElementStates(element.getStateIds());
+        } catch (error) {
+            this.dashboard.addWarningMessage(`Could not get current states for ${element.caption}: ${error.message}`);
+        }
+        if (typeof element.loadHistory === 'function') {
+            this.dashboard.loadElementHistory([element]);
+        }
+    }
+
     async createDashboardGroup(input) {
         const { title, position } = input;
         
@@ -28,7 +28,7 @@ export class OnboardingSystem {
         this.dashboard.addMessage('Welcome to ioBroker Dashboard CLI!', 'success');
         this.dashboard.addMessage('', 'info');
         this.dashboard.addMessage('Let\'s set up your dashboard in a few quick steps:', 'info');
-        this.dashboard.addMessage('  Step 1: Configure ioBroker connection', 'info');
+        this.dashboard.addMessage('  Step 1: Configure ioBroker connection (and login if required)', 'info');
         this.dashboard.addMessage('  Step 2: Choose your color theme', 'info');
         this.dashboard.addMessage('  Step 3: Set dashboard layout preferences', 'info');
         this.dashboard.addMessage('  Step 4: Configure AI features (optional)', 'info');
@@ -84,12 +84,70 @@ export class OnboardingSystem {
             await this.askForColorScheme();
             return true;
         } catch (error) {
+            if (error.code === 'AUTH_FAILED') {
+                // Server is reachable but requires a login
+                this.settings.iobrokerUrl = url;
+                this.dashboard.addMessage(`Error: ${error.message}`, 'error');
+                await this.askForCredentials();
+                return true;
+            }
             this.dashboard.addMessage(`Error: Connection failed: ${error.message}`, 'error');
             this.dashboard.addMessage('Please check the URL and try again:', 'warning');
             return false;
         }
     }
 
+    async askForCredentials() {
+        this.currentStep = 'iobroker-user';
+        
+        this.dashboard.addMessage('', 'info');
+        this.dashboard.addMessage('Your ioBroker requires a login.', 'info');
+        this.dashboard.addMessage('Enter your ioBroker username:', 'warning');
+    }
+
+    async handleUserInput(input) {
+        if (!input.trim()) {
+            this.dashboard.addMessage('Error: Username must not be empty. Please try again.', 'error');
+            return false;
+        }
+        
+        this.settings.iobrokerUser = input.trim();
+        this.currentStep = 'iobroker-password';
+        this.dashboard.addMessage('Enter your ioBroker password:', 'warning');
+        return true;
+    }
+
+    async handlePasswordInput(input) {
+        this.settings.iobrokerPassword = input;
+        
+        this.dashboard.addMessage(`Testing login as "${this.settings.iobrokerUser}"...`, 'info');
+        
+        try {
+            this.dashboard.client.disconnect();
+            this.dashboard.client.config.auth = {
+                user: this.settings.iobrokerUser,
+                password: this.settings.iobrokerPassword
+            };
+            
+            await this.dashboard.client.connect();
+            
+            this.dashboard.addMessage('Success: Login successful!', 'success');
+            this.dashboard.addMessage('', 'info');
+            
+            await this.askForColorScheme();
+            return true;
+        } catch (error) {
+            if (error.code === 'AUTH_FAILED') {
+                this.dashboard.addMessage(`Error: ${error.message}`, 'error');
+                await this.askForCredentials();
+                return true;
+            }
+            this.dashboard.addMessage(`Error: Connection failed: ${error.message}`, 'error');
+            this.dashboard.addMessage('Please enter the password again:', 'warning');
+            return false;
+        }
+    }
+
     async askForColorScheme() {
         this.currentStep = 'color-scheme';
         
@@ -326,6 +384,9 @@ export class OnboardingSystem {
         // Show summary
         this.dashboard.addMessage('Your Configuration:', 'info');
         this.dashboard.addMessage(`  ioBroker: ${this.settings.iobrokerUrl}`, 'info');
+        if (this.settings.iobrokerUser) {
+            this.dashboard.addMessage(`  Login: ${this.settings.iobrokerUser}`, 'info');
+        }
         this.dashboard.addMessage(`  Theme: ${this.settings.colorScheme}`, 'info');
         this.dashboard.addMessage(`  Group Width: ${this.settings.groupWidth}`, 'info');
         this.dashboard.addMessage(`  AI Assistant: ${this.settings.aiEnabled ? 'Enabled' : 'Disabled'}`, 'info');
@@ -357,6 +418,12 @@ export class OnboardingSystem {
         this.dashboard.config.groupWidth = this.settings.groupWidth;
         this.dashboard.layout.config.groupWidth = this.settings.groupWidth;
         
+        // Persist ioBroker login if one was required
+        if (this.settings.iobrokerUser && this.dashboard.settings) {
+            await this.dashboard.settings.set('iobroker.user', this.settings.iobrokerUser);
+            await this.dashboard.settings.set('iobroker.password', this.settings.iobrokerPassword || '');
+        }
+        
         // Apply color scheme (already applied during selection)
         
         // Apply AI settings
@@ -397,11 +464,20 @@ export class OnboardingSystem {
         return descriptions[scheme] || 'Custom theme';
     }
 
+    // Steps whose input must be masked on screen
+    isSecretInput() {
+        return this.currentStep === 'iobroker-password' || this.currentStep === 'ai-api-key';
+    }
+
     // Handle input during onboarding
     async handleInput(input) {
         switch (this.currentStep) {
             case 'socketio-url':
                 return await this.handleSocketIOUrlInput(input);
+            case 'iobroker-user':
+                return await this.handleUserInput(input);
+            case 'iobroker-password':
+                return await this.handlePasswordInput(input);
             case 'color-scheme':
                 return await this.handleColorSchemeInput(input);
             case 'group-width':
@@ -1,4 +1,5 @@
 import { colorize, THEMES, BORDER_STYLES, COLORS } from './colors.js';
+import { getElementHeight } from './layout-engine.js';
 
 class SmoothRenderer {
     constructor(options = {}) {
@@ -124,21 +125,32 @@ class SmoothRenderer {
                                  selectedElement.element.id === element.id &&
                                  selectedElement.groupId === group.id;
                 
-                // Check if element value has changed or selection state changed
+                // Elements can change their output without a new value (pending setpoints, sparklines)
+                const height = getElementHeight(element);
+                const displayText = typeof element.render === 'function'
+                    ? this.renderElementLines(element, group.width - 4).join('\n')
+                    : null;
+                
+                // Check if element value, output, selection or stale state changed
                 const lastSelected = lastElement ? lastElement.selected : false;
-                if (!lastElement || lastElement.value !== element.value || lastSelected !== isSelected) {
+                const lastStale = lastElement ? lastElement.stale : false;
+                if (!lastElement || lastElement.value !== element.value || lastElement.displayText !== displayText ||
+                    lastSelected !== isSelected || lastStale !== !!element.stale) {
                     this.updateElement(element, group, elementY, isSelected);
                     
                     // Store current element state
                     this.elementPositions.set(elementKey, {
                         value: element.value,
+                        displayText,
                         selected: isSelected,
+                        stale: !!element.stale,
                         x: group.x + (this.config.showBorders ? 2 : 0),
-                        y: elementY
+                        y: elementY,
+                        height
                     });
                 }
                 
-                elementY += 1;
+                elementY += height;
             }
         }
     }
@@ -148,19 +160,37 @@ class SmoothRenderer {
         const x = group.x + (this.config.showBorders ? 2 : 0);
         const maxWidth = group.width - 4;
         
-        // Move to element position
-        this.moveTo(x, y);
-        
-        // Render the element
-        let displayText;
-        if (typeof element.render === 'function') {
-            displayText = element.render(maxWidth);
+        this.renderElementLines(element, maxWidth).forEach((line, index) => {
+            this.moveTo(x, y + index);
+            this.writeElementLine(line, maxWidth, isSelected && !element.showsSelection);
+            
+            // Redraw right border if needed
+            if (this.config.showBorders) {
+                this.moveTo(group.x + group.width - 1, y + index);
+                this.writeText(colorize(THEMES.borderStyle.vertical, THEMES.border));
+            }
+        });
+    }
+
+    // Render an element into exactly getElementHeight() lines
+    renderElementLines(element, maxWidth) {
+        let lines;
+        if (typeof element.renderLines === 'function') {
+            lines = element.renderLines(maxWidth);
+        } else if (typeof element.render === 'function') {
+            lines = [element.render(maxWidth)];
         } else {
-            displayText = this.renderPlainElement(element, maxWidth);
+            lines = [this.renderPlainElement(element, maxWidth)];
         }
         
+        const height = getElementHeight(element);
+        return Array.from({ length: height }, (_, index) => lines[index] || '');
+    }
+
+    // Write one element line, padded to the element width
+    writeElementLine(displayText, maxWidth, highlight = false) {
         // Add selection indicator if selected - highlight the complete line with background color
-        if (isSelected && (element.type === 'button' || element.type === 'switch')) {
+        if (highlight) {
             // Strip existing colors from display text and apply selection colors to entire line
             const cleanText = displayText.replace(/\x1b\[[0-9;]*m/g, '');
             // Apply background color to exact content, then pad with normal spaces
@@ -172,16 +202,10 @@ class SmoothRenderer {
             }
         } else {
             // Write element text normally, ensuring we overwrite any previous selection background
-            const paddedText = displayText.padEnd(maxWidth, ' ');
+            const paddedText = displayText + ' '.repeat(Math.max(0, maxWidth - this.getVisibleLength(displayText)));
             // Force normal colors to overwrite any background remnants
             this.writeText(`${COLORS.reset}${paddedText}`);
         }
-        
-        // Redraw right border if needed
-        if (this.config.showBorders) {
-            this.moveTo(group.x + group.width - 1, y);
-            this.writeText(colorize(THEMES.borderStyle.vertical, THEMES.border));
-        }
     }
 
     // Render a complete group (for initial render)
@@ -218,43 +242,24 @@ class SmoothRenderer {
                              selectedElement.element.id === element.id &&
                              selectedElement.groupId === group.id;
             
-            this.moveTo(elementX, currentY);
-            
-            let displayText;
-            if (typeof element.render === 'function') {
-                displayText = element.render(group.width - 4);
-            } else {
-                displayText = this.renderPlainElement(element, group.width - 4);
-            }
-            
-            // Add selection indicator if selected - highlight the complete line with background color
-            if (isSelected && (element.type === 'button' || element.type === 'switch')) {
-                // Strip existing colors from display text and apply selection colors to entire line
-                const cleanText = displayText.replace(/\x1b\[[0-9;]*m/g, '');
-                const maxElementWidth = group.width - 4;
-                // Apply background color to exact content, then pad with normal spaces
-                this.writeText(`${THEMES.selectedBg}${THEMES.selectedText}${cleanText}${COLORS.reset}`);
-                // Pad the rest with normal spaces to fill width and clear any background remnants
-                const remainingSpaces = maxElementWidth - this.getVisibleLength(cleanText);
-                if (remainingSpaces > 0) {
-                    this.writeText(' '.repeat(remainingSpaces));
-                }
-            } else {
-                // Write element text normally, ensuring we overwrite any previous selection background
-                const paddedText = displayText.padEnd(group.width - 4, ' ');
-                // Force normal colors to overwrite any background remnants
-                this.writeText(`${COLORS.reset}${paddedText}`);
-            }
+            const lines = this.renderElementLines(element, group.width - 4);
+            lines.forEach((line, index) => {
+                this.moveTo(elementX, currentY + index);
+                this.writeElementLine(line, group.width - 4, isSelected && !element.showsSelection);
+            });
             
             // Store element position
             this.elementPositions.set(elementKey, {
                 value: element.value,
+                displayText: typeof element.render === 'function' ? lines.join('\n') : null,
                 selected: isSelected,
+                stale: !!element.stale,
                 x: elementX,
-                y: currentY
+                y: currentY,
+                height: lines.length
             });
             
-            currentY += 1;
+            currentY += lines.length;
         }
     }
 
@@ -0,0 +1,234 @@
+/**
+ * Persistent cache for ioBroker object metadata and last-known state values
+ *
+ * Stored in the user cache directory:
+ * - objects.json (object metadata from getObject, refreshed after TTL)
+ * - states.json  (last-known state values for offline/instant startup)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { EventEmitter } from 'events';
+import { writeFileAtomic } from './atomic-file.js';
+
+// User data directory in user space
+const USER_DATA_DIR = path.join(os.homedir(), '.iobroker-dashboard-cli');
+
+const HOUR = 60 * 60 * 1000;
+
+export class StateCache extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.config = {
+            cacheDir: options.cacheDir || path.join(USER_DATA_DIR, 'cache'),
+            objectTtl: options.objectTtl || 24 * HOUR, // refresh metadata once a day
+            stateTtl: options.stateTtl || 7 * 24 * HOUR, // don't show values older than a week
+            saveDelay: options.saveDelay || 2000,
+            ...options
+        };
+
+        this.objects = new Map(); // id -> { cachedAt, data }
+        this.states = new Map(); // id -> { cachedAt, data }
+        this.saveTimeout = null;
+        this.isDirty = false;
+    }
+
+    get objectsFile() {
+        return path.join(this.config.cacheDir, 'objects.json');
+    }
+
+    get statesFile() {
+        return path.join(this.config.cacheDir, 'states.json');
+    }
+
+    /**
+     * Load cache files from disk (missing or corrupt files start empty)
+     */
+    async load() {
+        await fs.mkdir(this.config.cacheDir, { recursive: true });
+
+        this.objects = await this.readFile(this.objectsFile);
+        this.states = await this.readFile(this.statesFile);
+
+        this.emit('loaded', { objects: this.objects.size, states: this.states.size });
+    }
+
+    async readFile(file) {
+        try {
+            const content = JSON.parse(await fs.readFile(file, 'utf8'));
+            return new Map(Object.entries(content.entries || {}));
+        } catch (error) {
+            // A broken cache must never block startup - the next save replaces the file
+            if (error.code !== 'ENOENT') {
+                this.emit('warning', `Ignoring unreadable cache file ${path.basename(file)}: ${error.message}`);
+            }
+            return new Map();
+        }
+    }
+
+    /**
+     * Write cache files to disk
+     */
+    async save() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+
+        await fs.mkdir(this.config.cacheDir, { recursive: true });
+        await this.writeFile(this.objectsFile, this.objects);
+        await this.writeFile(this.statesFile, this.states);
+
+        this.isDirty = false;
+        this.emit('saved');
+    }
+
+    async writeFile(file, map) {
+        const content = {
+            version: 1,
+            updated: new Date().toISOString(),
+            entries: Object.fromEntries(map)
+        };
+        await writeFileAtomic(file, JSON.stringify(content, null, 2));
+    }
+
+    /**
+     * Batch writes - state changes can arrive several times per second. The first change
+     * starts the timer and later ones ride along, so a busy state cannot postpone saving
+     */
+    scheduleSave() {
+        this.isDirty = true;
+
+        if (this.saveTimeout) {
+            return;
+        }
+
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            // Runs from a timer - report instead of throwing, the next change retries
+            this.save().catch(error => this.emit('warning', `Could not save cache: ${error.message}`));
+        }, this.config.saveDelay);
+    }
+
+    /**
+     * Get cached object metadata (also when expired - use isObjectExpired to decide on refresh)
+     * @param {string} id - Object ID
+     * @returns {Object|null} Object metadata
+     */
+    getObject(id) {
+        return this.objects.get(id)?.data || null;
+    }
+
+    setObject(id, obj) {
+        if (!id || !obj) return;
+
+        this.objects.set(id, { cachedAt: Date.now(), data: obj });
+        this.scheduleSave();
+    }
+
+    /**
+     * Check whether cached metadata is missing or older than the object TTL
+     * @param {string} id - Object ID
+     * @returns {boolean} True if the object should be refetched
+     */
+    isObjectExpired(id) {
+        const entry = this.objects.get(id);
+        return !entry || Date.now() - entry.cachedAt > this.config.objectTtl;
+    }
+
+    /**
+     * Get last-known state value, unless it is older than the state TTL
+     * @param {string} id - State ID
+     * @returns {Object|null} State object ({ val, ts, ack, ... })
+     */
+    getState(id) {
+        const entry = this.states.get(id);
+        if (!entry || Date.now() - entry.cachedAt > this.config.stateTtl) {
+            return null;
+        }
+        return entry.data;
+    }
+
+    setState(id, state) {
+        if (!id || !state) return;
+
+        this.states.set(id, { cachedAt: Date.now(), data: state });
+        this.scheduleSave();
+    }
+
+    /**
+     * List cache entries for inspection
+     * @param {string} type - 'objects' or 'states'
+     * @returns {Array<Object>} Entries with id, age and data
+     */
+    list(type = 'states') {
+        const map = type === 'objects' ? this.objects : this.states;
+        const ttl = type === 'objects' ? this.config.objectTtl : this.config.stateTtl;
+        const now = Date.now();
+
+        return Array.from(map.entries()).map(([id, entry]) => ({
+            id,
+            age: now - entry.cachedAt,
+            expired: now - entry.cachedAt > ttl,
+            data: entry.data
+        }));
+    }
+
+    /**
+     * Remove entries from memory and disk
+     * @param {string} type - 'objects', 'states' or 'all'
+     */
+    async clear(type = 'all') {
+        if (type === 'all' || type === 'objects') {
+            this.objects.clear();
+        }
+        if (type === 'all' || type === 'states') {
+            this.states.clear();
+        }
+
+        await this.save();
+        this.emit('cleared', { type });
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Counts, expired counts and file sizes
+     */
+    async getStats() {
+        const sizeOf = async (file) => {
+            try {
+                return (await fs.stat(file)).size;
+            } catch {
+                return 0;
+            }
+        };
+
+        return {
+            cacheDir: this.config.cacheDir,
+            objects: this.objects.size,
+            expiredObjects: this.list('objects').filter(entry => entry.expired).length,
+            states: this.states.size,
+            expiredStates: this.list('states').filter(entry => entry.expired).length,
+            objectTtl: this.config.objectTtl,
+            stateTtl: this.config.stateTtl,
+            sizeOnDisk: (await sizeOf(this.objectsFile)) + (await sizeOf(this.statesFile))
+        };
+    }
+
+    /**
+     * Flush pending writes and stop timers
+     */
+    async destroy() {
+        if (this.isDirty) {
+            await this.save();
+        }
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+        }
+        this.removeAllListeners();
+    }
+}
+
+export default StateCache;
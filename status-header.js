@@ -54,6 +54,13 @@ export class StatusHeader extends EventEmitter {
                     indicator: this.indicators.connected,
                     url: client.url
                 };
+            case 'connecting':
+                return {
+                    status: 'Connecting',
+                    color: THEMES.warning,
+                    indicator: this.indicators.reconnecting,
+                    url: client.url
+                };
             case 'reconnecting':
                 return {
                     status: 'Reconnecting',
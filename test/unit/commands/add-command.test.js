@@ -0,0 +1,61 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { AddCommand } from '../../../commands/add-command.js';
+import { createElement } from '../../../dashboard-elements.js';
+
+describe('AddCommand', function() {
+    let command;
+    let dashboard;
+    let client;
+    let element;
+
+    beforeEach(function() {
+        element = createElement({ id: 'power', type: 'gauge', caption: 'Power', stateId: 'a.0.power' });
+
+        client = {
+            isConnected: sinon.stub().returns(false),
+            registerElement: sinon.spy(),
+            unregisterElement: sinon.spy(),
+            getObject: sinon.stub().resolves(null),
+            getState: sinon.stub().resolves({ val: 1200 }),
+            refreshElementStates: sinon.stub().resolves()
+        };
+
+        dashboard = {
+            client,
+            tools: {
+                listGroups: sinon.stub().returns([{ id: 'energy', title: 'Energy' }]),
+                addElement: sinon.stub().resolves({ success: true, element })
+            },
+            attachElementListeners: sinon.spy(),
+            loadElementHistory: sinon.spy(),
+            renderer: { initialized: true, elementPositions: new Map() },
+            renderDashboard: sinon.spy(),
+            addErrorMessage: sinon.spy(),
+            addSuccessMessage: sinon.spy(),
+            addInfoMessage: sinon.spy(),
+            addWarningMessage: sinon.spy()
+        };
+        command = new AddCommand(dashboard);
+    });
+
+    it('should register an element added while offline with the state dispatcher', async function() {
+        await command.execute('-g energy -n Power -s a.0.power -t gauge');
+
+        expect(client.registerElement).to.have.been.calledWith(element);
+        expect(element.iobrokerClient).to.equal(client);
+        expect(dashboard.attachElementListeners).to.have.been.calledWith(element);
+        expect(client.getState).to.not.have.been.called;
+        expect(dashboard.addInfoMessage).to.have.been.calledWithMatch('[OFFLINE]');
+    });
+
+    it('should fetch the current value of an element added while connected', async function() {
+        client.isConnected.returns(true);
+
+        await command.execute('-g energy -n Power -s a.0.power -t gauge');
+
+        expect(client.registerElement).to.have.been.calledWith(element);
+        expect(client.getState).to.have.been.calledWith('a.0.power');
+        expect(element.value).to.equal(1200);
+    });
+});
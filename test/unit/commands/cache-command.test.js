@@ -0,0 +1,94 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import path from 'path';
+import { CacheCommand } from '../../../commands/cache-command.js';
+import { StateCache } from '../../../state-cache.js';
+import { createTestUserDataDir, cleanupTestDir } from '../../helpers/test-setup.js';
+
+describe('CacheCommand', function() {
+    let testDataDir;
+    let command;
+    let dashboard;
+
+    beforeEach(async function() {
+        testDataDir = await createTestUserDataDir();
+
+        const cache = new StateCache({ cacheDir: path.join(testDataDir, 'cache') });
+        await cache.load();
+        cache.setObject('a.0.power', { common: { type: 'number', role: 'value.power', unit: 'W', write: false } });
+        cache.setState('a.0.power', { val: 1200, ack: true });
+        cache.setState('b.0.temp', { val: 21.5, ack: true });
+
+        dashboard = {
+            cache,
+            addErrorMessage: sinon.spy(),
+            addSuccessMessage: sinon.spy(),
+            addInfoMessage: sinon.spy(),
+            addWarningMessage: sinon.spy()
+        };
+        command = new CacheCommand(dashboard);
+    });
+
+    afterEach(async function() {
+        await dashboard.cache.destroy();
+        await cleanupTestDir(testDataDir);
+    });
+
+    it('should show cache statistics', async function() {
+        await command.execute('');
+
+        expect(dashboard.addInfoMessage).to.have.been.calledWith('[CACHE] Cache Status:');
+        expect(dashboard.addInfoMessage).to.have.been.calledWithMatch('Objects: 1 (0 expired');
+        expect(dashboard.addInfoMessage).to.have.been.calledWithMatch('States: 2 (0 expired');
+    });
+
+    it('should list cached states and objects', async function() {
+        await command.execute('-l');
+        expect(dashboard.addInfoMessage).to.have.been.calledWithMatch('a.0.power: val=1200');
+        expect(dashboard.addInfoMessage).to.have.been.calledWith('Total: 2 states');
+
+        await command.execute('-l objects');
+        expect(dashboard.addInfoMessage).to.have.been.calledWithMatch('a.0.power: number/value.power');
+    });
+
+    it('should inspect a single ID', async function() {
+        await command.execute('-i a.0.power');
+
+        expect(dashboard.addInfoMessage).to.have.been.calledWithMatch('Object: type=number, role=value.power, unit=W');
+        expect(dashboard.addInfoMessage).to.have.been.calledWithMatch('State: val=1200, ack=true');
+
+        await command.execute('-i c.0.unknown');
+        expect(dashboard.addWarningMessage).to.have.been.calledWith('Nothing cached for c.0.unknown');
+    });
+
+    it('should clear only the requested type', async function() {
+        await command.execute('-c states');
+
+        expect(dashboard.cache.states.size).to.equal(0);
+        expect(dashboard.cache.objects.size).to.equal(1);
+        expect(dashboard.addSuccessMessage).to.have.been.calledWith('Cleared cached states');
+
+        await command.execute('-c');
+        expect(dashboard.cache.objects.size).to.equal(0);
+        expect(dashboard.addSuccessMessage).to.have.been.calledWith('Cache cleared');
+    });
+
+    it('should reject unknown cache types', async function() {
+        await command.execute('-l values');
+        expect(dashboard.addErrorMessage).to.have.been.calledWithMatch('Invalid cache type: values');
+
+        await command.execute('-c values');
+        expect(dashboard.addErrorMessage).to.have.been.calledWithMatch('Invalid cache type: values');
+        expect(dashboard.cache.states.size).to.equal(2);
+    });
+
+    it('should report a missing cache', async function() {
+        const cache = dashboard.cache;
+        dashboard.cache = null;
+
+        await command.execute('');
+        expect(dashboard.addErrorMessage).to.have.been.calledWith('Cache not available');
+
+        dashboard.cache = cache;
+    });
+});
@@ -0,0 +1,88 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { EditCommand } from '../../../commands/edit-command.js';
+import DashboardTools from '../../../dashboard-tools.js';
+import LayoutEngine from '../../../layout-engine.js';
+import { createElement } from '../../../dashboard-elements.js';
+
+describe('EditCommand', function() {
+    let command;
+    let dashboard;
+    let layout;
+    let power;
+
+    beforeEach(function() {
+        layout = new LayoutEngine({ terminalWidth: 120, terminalHeight: 40 });
+        const group = layout.addGroup({ id: 'energy', title: 'Energy' });
+        power = createElement({ id: 'pv', type: 'gauge', caption: 'PV Power', stateId: 'pv.0.power', unit: 'W' });
+        layout.addElementToGroup(group.id, power);
+        layout.addElementToGroup(group.id, createElement({ id: 'window', type: 'indicator', caption: 'Window' }));
+
+        dashboard = {
+            tools: new DashboardTools(layout, null),
+            addErrorMessage: sinon.spy(),
+            addSuccessMessage: sinon.spy(),
+            addInfoMessage: sinon.spy(),
+            addWarningMessage: sinon.spy(),
+            renderDashboard: sinon.spy(),
+            renderer: { initialized: true, elementPositions: new Map() }
+        };
+        command = new EditCommand(dashboard);
+    });
+
+    it('should set decimals and unit scaling', async function() {
+        await command.execute('-e "PV Power" -a -d 2');
+
+        expect(dashboard.addErrorMessage).to.not.have.been.called;
+        expect(power.format).to.deep.equal({ decimals: 2, scale: true });
+        expect(dashboard.renderDashboard).to.have.been.called;
+
+        power.updateValue(1500);
+        expect(power.formatValue()).to.equal('1.50kW');
+    });
+
+    it('should merge with the existing rules and reset them', async function() {
+        await command.execute('-e pv -d 0');
+        await command.execute('-e pv -l de-DE');
+        expect(power.format).to.deep.equal({ decimals: 0, locale: 'de-DE' });
+
+        await command.execute('-e pv -r');
+        expect(power.format).to.be.null;
+    });
+
+    it('should parse boolean and value labels', function() {
+        expect(command.parseLabels('Open,Closed')).to.deep.equal({ true: 'Open', false: 'Closed' });
+        expect(command.parseLabels('0=Off, 1=Heat')).to.deep.equal({ 0: 'Off', 1: 'Heat' });
+        expect(() => command.parseLabels('Open')).to.throw(/Labels must be/);
+    });
+
+    it('should report invalid rules without changing the element', async function() {
+        await command.execute('-e window -f currency');
+
+        expect(dashboard.addErrorMessage).to.have.been.calledWithMatch(/Style must be one of/);
+        expect(layout.getGroup('energy').elements[1].format).to.be.null;
+    });
+
+    it('should set and remove color rules', async function() {
+        await command.execute('-e pv -c "value > 3000 => warning; value < 0 => charging"');
+
+        expect(dashboard.addErrorMessage).to.not.have.been.called;
+        expect(power.colorRules).to.deep.equal([
+            { when: 'value > 3000', color: 'warning' },
+            { when: 'value < 0', color: 'charging' }
+        ]);
+
+        await command.execute('-e pv -c "value > 1 => pink"');
+        expect(dashboard.addErrorMessage).to.have.been.calledWithMatch(/unknown color "pink"/);
+        expect(power.colorRules).to.have.lengthOf(2);
+
+        await command.execute('-e pv -c none');
+        expect(power.colorRules).to.be.null;
+    });
+
+    it('should report unknown elements', async function() {
+        await command.execute('-e Battery -d 1');
+
+        expect(dashboard.addErrorMessage).to.have.been.calledWithMatch(/Element not found/);
+    });
+});
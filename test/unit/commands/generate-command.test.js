@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { GenerateCommand } from '../../../commands/generate-command.js';
+
+const OBJECTS = {
+    'hue.0.kitchen.on': { type: 'state', common: { name: 'Kitchen Light', role: 'switch.light', type: 'boolean', write: true } },
+    'hue.0.kitchen.mode': { type: 'state', common: { name: 'Mode', role: 'text', type: 'string' } }
+};
+
+describe('GenerateCommand', function() {
+    let command;
+    let dashboard;
+
+    beforeEach(function() {
+        dashboard = {
+            client: {
+                isConnected: () => true,
+                getEnums: sinon.stub().callsFake(async category => (category === 'rooms'
+                    ? { 'enum.rooms.kitchen': { common: { name: 'Kitchen', members: ['hue.0.kitchen.on', 'hue.0.kitchen.mode'] } } }
+                    : {})),
+                getObject: sinon.stub().callsFake(async id => OBJECTS[id]),
+                getChildObjects: sinon.stub().resolves({})
+            },
+            configManager: {
+                resolveDashboardFile: sinon.stub().callsFake(async filename => (filename.includes('.') ? filename : `${filename}.json`)),
+                createConfigFile: sinon.stub().resolves({ success: true, filename: 'kitchen.json' })
+            },
+            addErrorMessage: sinon.spy(),
+            addSuccessMessage: sinon.spy(),
+            addInfoMessage: sinon.spy(),
+            addWarningMessage: sinon.spy()
+        };
+        command = new GenerateCommand(dashboard);
+    });
+
+    function infoLines() {
+        return dashboard.addInfoMessage.args.map(args => args[0]);
+    }
+
+    it('should preview without writing a file', async function() {
+        await command.execute('-r kitchen -b room');
+
+        expect(infoLines()).to.include('[PREVIEW] Kitchen Dashboard: 1 groups, 1 elements (grouped by room)');
+        expect(infoLines()).to.include('    - Kitchen Light (switch) - hue.0.kitchen.on');
+        expect(infoLines()).to.include('  - hue.0.kitchen.mode: role text is not shown by default (include it with a role filter)');
+        expect(dashboard.configManager.createConfigFile).to.not.have.been.called;
+    });
+
+    it('should write the previewed dashboard with -s', async function() {
+        await command.execute('-b room -i "switch*,text" -s kitchen');
+
+        const [filename, config] = dashboard.configManager.createConfigFile.firstCall.args;
+        expect(filename).to.equal('kitchen.json');
+        expect(config.groups[0].elements).to.have.length(2);
+        expect(dashboard.addSuccessMessage).to.have.been.calledWith('Wrote kitchen.json with 1 groups and 2 elements');
+    });
+
+    it('should warn when nothing matches the filters', async function() {
+        await command.execute('-x "*" -s kitchen');
+
+        expect(dashboard.addWarningMessage).to.have.been.calledWith('No states matched - check the rooms, functions and role filters (-i/-x)');
+        expect(dashboard.configManager.createConfigFile).to.not.have.been.called;
+    });
+
+    it('should list rooms and functions', async function() {
+        await command.execute('-l');
+
+        expect(infoLines()).to.include('  kitchen - Kitchen (2 members)');
+        expect(infoLines()).to.include('  none defined in ioBroker');
+    });
+
+    it('should require a connection to ioBroker', async function() {
+        dashboard.client.isConnected = () => false;
+
+        await command.execute('');
+
+        expect(dashboard.addErrorMessage).to.have.been.calledWith('Not connected to ioBroker - /generate reads rooms and functions from ioBroker');
+    });
+});
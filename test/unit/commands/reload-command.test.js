@@ -0,0 +1,76 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { ReloadCommand } from '../../../commands/reload-command.js';
+
+describe('ReloadCommand', function() {
+    let command;
+    let dashboard;
+
+    beforeEach(function() {
+        dashboard = {
+            configManager: {
+                conflict: null,
+                isDirty: false,
+                currentLayout: 'rooms.json',
+                load: sinon.stub().resolves({ success: true, filename: 'rooms.json' }),
+                resolveConflict: sinon.stub().resolves({ success: true, filename: 'rooms.json' })
+            },
+            connectElementsToClient: sinon.stub().resolves(),
+            addErrorMessage: sinon.spy(),
+            addSuccessMessage: sinon.spy(),
+            addInfoMessage: sinon.spy(),
+            addWarningMessage: sinon.spy(),
+            renderDashboard: sinon.spy(),
+            renderer: { initialized: true, elementPositions: new Map() }
+        };
+        command = new ReloadCommand(dashboard);
+    });
+
+    it('should reload the current dashboard', async function() {
+        await command.execute('');
+
+        expect(dashboard.configManager.load).to.have.been.calledWith('rooms.json');
+        expect(dashboard.renderDashboard).to.have.been.called;
+        expect(dashboard.addSuccessMessage).to.have.been.calledWith('Reloaded rooms.json from disk');
+    });
+
+    it('should not discard unsaved changes without -k disk', async function() {
+        dashboard.configManager.isDirty = true;
+
+        await command.execute('');
+        expect(dashboard.configManager.load).to.not.have.been.called;
+        expect(dashboard.addWarningMessage).to.have.been.called;
+
+        await command.execute('-k disk');
+        expect(dashboard.configManager.load).to.have.been.calledOnce;
+    });
+
+    it('should show both choices while a conflict is pending', async function() {
+        dashboard.configManager.conflict = { filename: 'rooms.json' };
+
+        await command.execute('');
+
+        expect(dashboard.addWarningMessage.firstCall.args[0]).to.include('[CONFLICT] rooms.json');
+        expect(dashboard.addInfoMessage).to.have.been.calledWithMatch('/reload -k disk');
+        expect(dashboard.addInfoMessage).to.have.been.calledWithMatch('/reload -k mine');
+        expect(dashboard.configManager.resolveConflict).to.not.have.been.called;
+    });
+
+    it('should resolve a conflict with the chosen side', async function() {
+        dashboard.configManager.conflict = { filename: 'rooms.json' };
+
+        await command.execute('-k mine');
+        expect(dashboard.configManager.resolveConflict).to.have.been.calledWith('memory');
+
+        await command.execute('-k disk');
+        expect(dashboard.configManager.resolveConflict).to.have.been.calledWith('disk');
+        expect(dashboard.renderDashboard).to.have.been.calledOnce;
+    });
+
+    it('should reject unknown choices', async function() {
+        await command.execute('-k theirs');
+
+        expect(dashboard.addErrorMessage).to.have.been.calledWithMatch('Unknown choice "theirs"');
+        expect(dashboard.configManager.load).to.not.have.been.called;
+    });
+});
@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { RestoreCommand } from '../../../commands/restore-command.js';
+
+describe('RestoreCommand', function() {
+    let command;
+    let dashboard;
+
+    beforeEach(function() {
+        dashboard = {
+            configManager: {
+                listBackups: sinon.stub(),
+                restoreBackup: sinon.stub(),
+                resolveDashboardFile: sinon.stub().callsFake(async filename => (filename && !filename.includes('.') ? `${filename}.json` : filename))
+            },
+            connectElementsToClient: sinon.stub().resolves(),
+            addErrorMessage: sinon.spy(),
+            addSuccessMessage: sinon.spy(),
+            addInfoMessage: sinon.spy(),
+            addWarningMessage: sinon.spy(),
+            renderDashboard: sinon.spy(),
+            renderer: { initialized: true, elementPositions: new Map() }
+        };
+        command = new RestoreCommand(dashboard);
+    });
+
+    it('should list the backups of a dashboard', async function() {
+        dashboard.configManager.listBackups.resolves({
+            success: true,
+            filename: 'kitchen.json',
+            backups: [
+                { version: 1, date: new Date(), groupCount: 2, elementCount: 5 },
+                { version: 2, date: new Date(), groupCount: 1, elementCount: 3, migratedFrom: '1.0.0' }
+            ]
+        });
+
+        await command.execute('-f kitchen');
+
+        expect(dashboard.configManager.listBackups).to.have.been.calledWith('kitchen.json');
+        const lines = dashboard.addInfoMessage.args.map(args => args[0]);
+        expect(lines.some(line => /^ {2}1\. .*\(2 groups, 5 elements\)$/.test(line))).to.be.true;
+        expect(lines.some(line => /^ {2}2\. .*before upgrade from v1\.0\.0\)$/.test(line))).to.be.true;
+    });
+
+    it('should warn when there are no backups', async function() {
+        dashboard.configManager.listBackups.resolves({ success: true, filename: 'default.json', backups: [] });
+
+        await command.execute('');
+
+        expect(dashboard.configManager.listBackups).to.have.been.calledWith(null);
+        expect(dashboard.addWarningMessage).to.have.been.calledWith('No backups found for default.json');
+    });
+
+    it('should restore a version and redraw the reloaded dashboard', async function() {
+        dashboard.configManager.restoreBackup.resolves({ success: true, filename: 'kitchen.json', date: new Date(), reloaded: true });
+
+        await command.execute('-f kitchen.json -v 2');
+
+        expect(dashboard.configManager.restoreBackup).to.have.been.calledWith('kitchen.json', 2);
+        expect(dashboard.connectElementsToClient).to.have.been.called;
+        expect(dashboard.renderDashboard).to.have.been.called;
+        expect(dashboard.addSuccessMessage).to.have.been.called;
+    });
+
+    it('should report restore errors', async function() {
+        dashboard.configManager.restoreBackup.resolves({ success: false, error: 'No backups found for kitchen.json' });
+
+        await command.execute('-f kitchen -v 1');
+
+        expect(dashboard.addErrorMessage).to.have.been.calledWith('Restore failed: No backups found for kitchen.json');
+    });
+
+    it('should reject invalid versions', async function() {
+        await command.execute('-v 0');
+
+        expect(dashboard.configManager.restoreBackup).to.not.have.been.called;
+        expect(dashboard.addErrorMessage).to.have.been.called;
+    });
+});
@@ -172,6 +172,27 @@ describe('SetCommand', function() {
         });
     });
 
+    describe('ioBroker credentials', function() {
+        it('should hide the password when setting and showing it', async function() {
+            const setArgs = {
+                hasFlag: sinon.stub().returns(false),
+                getPositionalArgs: sinon.stub().returns(['iobroker.password', 'secret'])
+            };
+            await setCommand.run(setArgs);
+
+            const showArgs = {
+                hasFlag: sinon.stub().returns(false),
+                getPositionalArgs: sinon.stub().returns(['iobroker.password'])
+            };
+            await setCommand.run(showArgs);
+
+            expect(settingsManager.get('iobroker.password')).to.equal('secret');
+            expect(mockDashboard.addSuccessMessage).to.have.been.calledWith('Set iobroker.password = "********"');
+            expect(mockDashboard.addInfoMessage).to.have.been.calledWith('iobroker.password = "********"');
+            expect(mockDashboard.addInfoMessage).to.not.have.been.calledWith(sinon.match(/secret/));
+        });
+    });
+
     describe('help functionality', function() {
         it.skip('should show help with -h flag', async function() {
             const parsedArgs = {
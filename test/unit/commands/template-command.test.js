@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { TemplateCommand } from '../../../commands/template-command.js';
+import { BUILT_IN_TEMPLATES, normalizeTemplate } from '../../../dashboard-templates.js';
+
+describe('TemplateCommand', function() {
+    let command;
+    let dashboard;
+    const temperature = normalizeTemplate(BUILT_IN_TEMPLATES.temperature, 'temperature');
+
+    beforeEach(function() {
+        dashboard = {
+            configManager: {
+                listTemplates: sinon.stub().resolves({ success: true, templates: [{ ...temperature, builtIn: true }] }),
+                getTemplate: sinon.stub().resolves(temperature),
+                applyTemplate: sinon.stub(),
+                resolveDashboardFile: sinon.stub().callsFake(async filename => (filename.includes('.') ? filename : `${filename}.json`))
+            },
+            connectElementsToClient: sinon.stub().resolves(),
+            addErrorMessage: sinon.spy(),
+            addSuccessMessage: sinon.spy(),
+            addInfoMessage: sinon.spy(),
+            addWarningMessage: sinon.spy(),
+            renderDashboard: sinon.spy()
+        };
+        command = new TemplateCommand(dashboard);
+    });
+
+    it('should list templates with their variables', async function() {
+        await command.execute('-l');
+
+        const lines = dashboard.addInfoMessage.args.map(args => args[0]);
+        expect(lines).to.include('  1. temperature (built-in) - Temperature, humidity and setpoint of one room');
+        expect(lines).to.include('     Variables: room, device');
+    });
+
+    it('should show the variables of a template when none are given', async function() {
+        await command.execute('-n temperature');
+
+        expect(dashboard.configManager.applyTemplate).to.not.have.been.called;
+        expect(dashboard.addInfoMessage).to.have.been.calledWith('Apply with: /template -n temperature -v "room=...,device=..."');
+    });
+
+    it('should add a template to the current dashboard', async function() {
+        dashboard.configManager.applyTemplate.resolves({
+            success: true,
+            groups: [{ id: 'climate-Kitchen', title: 'Kitchen', elements: [{}, {}, {}] }]
+        });
+
+        await command.execute('-n temperature -v "room=Kitchen, device=zigbee.0.kitchen"');
+
+        expect(dashboard.configManager.applyTemplate).to.have.been.calledWith('temperature', { room: 'Kitchen', device: 'zigbee.0.kitchen' }, { filename: null });
+        expect(dashboard.connectElementsToClient).to.have.been.called;
+        expect(dashboard.renderDashboard).to.have.been.called;
+        expect(dashboard.addSuccessMessage).to.have.been.calledWith('Added template temperature: Kitchen (3 elements)');
+    });
+
+    it('should create a new dashboard file', async function() {
+        dashboard.configManager.applyTemplate.resolves({
+            success: true,
+            filename: 'kitchen.json',
+            groups: [{ id: 'climate-Kitchen', title: 'Kitchen', elements: [{}] }]
+        });
+
+        await command.execute('-n temperature -v "room=Kitchen,device=a.0" -f kitchen');
+
+        expect(dashboard.configManager.applyTemplate).to.have.been.calledWith('temperature', { room: 'Kitchen', device: 'a.0' }, { filename: 'kitchen.json' });
+        expect(dashboard.connectElementsToClient).to.not.have.been.called;
+    });
+
+    it('should report invalid variables and template errors', async function() {
+        await command.execute('-n temperature -v "Kitchen"');
+        expect(dashboard.addErrorMessage).to.have.been.calledWith('Invalid variable "Kitchen" - use name=value');
+
+        dashboard.configManager.applyTemplate.resolves({ success: false, error: 'Missing variable "device" (template temperature needs: room, device)' });
+        await command.execute('-n temperature -v "room=Kitchen"');
+        expect(dashboard.addErrorMessage).to.have.been.calledWith('Template failed: Missing variable "device" (template temperature needs: room, device)');
+    });
+});
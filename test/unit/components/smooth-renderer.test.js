@@ -0,0 +1,51 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import SmoothRenderer from '../../../smooth-renderer.js';
+import { LogElement } from '../../../dashboard-elements.js';
+
+describe('SmoothRenderer', function() {
+    let renderer;
+    let writes;
+    let log;
+    let group;
+
+    beforeEach(function() {
+        renderer = new SmoothRenderer({ showBorders: true });
+        writes = [];
+        let cursor = null;
+        sinon.stub(renderer, 'moveTo').callsFake((x, y) => { cursor = y; });
+        sinon.stub(renderer, 'writeText').callsFake(text => writes.push({ y: cursor, text }));
+
+        log = new LogElement({ id: 'log', caption: 'Messages', stateId: 'telegram.0.lastMessage', height: 3 });
+        group = { id: 'g1', title: 'Info', x: 0, y: 0, width: 40, height: 6, elements: [log, { id: 'plain', caption: 'Plain', value: 1 }] };
+    });
+
+    function linesAt(y) {
+        return writes.filter(write => write.y === y).map(write => write.text.replace(/\x1b\[[0-9;]*m/g, '')).join('');
+    }
+
+    it('should render every line of a multi-line element', function() {
+        log.updateValue('first', 1000);
+        log.updateValue('second', 2000);
+
+        renderer.renderGroup(group);
+
+        expect(linesAt(1)).to.include('Messages');
+        expect(linesAt(2)).to.include('first');
+        expect(linesAt(3)).to.include('second');
+        expect(linesAt(4)).to.include('Plain');
+        expect(renderer.elementPositions.get('g1_plain').y).to.equal(4);
+    });
+
+    it('should redraw all lines when a multi-line element changes', function() {
+        renderer.renderGroup(group);
+        writes = [];
+
+        log.updateValue('hello', 1000);
+        renderer.updateChangedElements({ groups: [group] });
+
+        expect(linesAt(2)).to.include('hello');
+        expect(linesAt(3).trim()).to.equal('│');
+        expect(linesAt(4)).to.equal('');
+    });
+});
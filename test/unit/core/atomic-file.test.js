@@ -0,0 +1,59 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from '../../../atomic-file.js';
+import { createTestUserDataDir, cleanupTestDir } from '../../helpers/test-setup.js';
+
+describe('writeFileAtomic', function() {
+    let testDataDir;
+    let filePath;
+
+    beforeEach(async function() {
+        testDataDir = await createTestUserDataDir();
+        filePath = path.join(testDataDir, 'dashboard-configs', 'atomic.json');
+        await fs.writeFile(filePath, 'old');
+    });
+
+    afterEach(async function() {
+        await cleanupTestDir(testDataDir);
+    });
+
+    it('should replace the file without leaving temporary files', async function() {
+        await writeFileAtomic(filePath, 'new');
+
+        expect(await fs.readFile(filePath, 'utf8')).to.equal('new');
+        expect(await fs.readdir(path.dirname(filePath))).to.deep.equal(['atomic.json']);
+    });
+
+    it('should keep the permissions of the replaced file', async function() {
+        await fs.chmod(filePath, 0o600);
+
+        await writeFileAtomic(filePath, 'new');
+
+        expect((await fs.stat(filePath)).mode & 0o777).to.equal(0o600);
+    });
+
+    it('should use the given mode for new files', async function() {
+        const newFile = path.join(path.dirname(filePath), 'private.json');
+
+        await writeFileAtomic(newFile, 'secret', { mode: 0o600 });
+
+        expect((await fs.stat(newFile)).mode & 0o777).to.equal(0o600);
+    });
+
+    it('should keep the old file and remove the temporary file when the rename fails', async function() {
+        sinon.stub(fs, 'rename').rejects(new Error('disk full'));
+
+        let error = null;
+        try {
+            await writeFileAtomic(filePath, 'new');
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error.message).to.equal('disk full');
+        expect(await fs.readFile(filePath, 'utf8')).to.equal('old');
+        expect(await fs.readdir(path.dirname(filePath))).to.deep.equal(['atomic.json']);
+    });
+});
@@ -0,0 +1,76 @@
+import { expect } from 'chai';
+import { normalizeColorRules, parseColorRules, compileColorRules } from '../../../color-rules.js';
+import { createElement } from '../../../dashboard-elements.js';
+import { THEMES } from '../../../colors.js';
+
+describe('Color rules', function() {
+    const rules = [
+        { when: 'value == true', color: 'inactive' },
+        { when: 'value > 3000', color: 'warning' },
+        { when: 'value < 10', color: 'error' },
+        { when: "value == 'offline'", color: 'error' }
+    ];
+
+    it('should return the color of the first matching rule', function() {
+        const match = compileColorRules(normalizeColorRules(rules));
+
+        expect(match(4000)).to.equal('warning');
+        expect(match(5)).to.equal('error');
+        expect(match(500)).to.be.null;
+        expect(match('offline')).to.equal('error');
+        expect(match(true)).to.equal('inactive');
+        expect(match(null)).to.be.null;
+    });
+
+    it('should reject invalid conditions, variables and colors', function() {
+        expect(() => normalizeColorRules({ when: 'value > 1' })).to.throw(/must be a list/);
+        expect(() => normalizeColorRules([{ when: 'value >', color: 'error' }])).to.throw(/Color rule 1: Unexpected end/);
+        expect(() => normalizeColorRules([{ when: 'power > 1', color: 'error' }])).to.throw(/unknown variable "power"/);
+        expect(() => normalizeColorRules([{ when: 'value > 1', color: 'pink' }])).to.throw(/unknown color "pink"/);
+        expect(normalizeColorRules([])).to.be.null;
+    });
+
+    it('should parse the /edit shorthand', function() {
+        expect(parseColorRules("value > 3000 => warning; value == 'offline' => error")).to.deep.equal([
+            { when: 'value > 3000', color: 'warning' },
+            { when: "value == 'offline'", color: 'error' }
+        ]);
+        expect(() => parseColorRules('value > 3000')).to.throw(/<condition> => <color>/);
+    });
+
+    describe('element rendering', function() {
+        it('should color text, power and gauge values by the rules', function() {
+            const text = createElement({ type: 'text', caption: 'Adapter', colorRules: rules });
+            text.updateValue('offline');
+            expect(text.render(40)).to.include(`${THEMES.error}offline`);
+
+            const power = createElement({ type: 'gauge', caption: 'Grid', stateId: 'meter.0.power', unit: 'W', colorRules: rules });
+            power.updateValue(3500);
+            expect(power.render(40)).to.include(`${THEMES.warning}3500.0W`);
+
+            const gauge = createElement({ type: 'gauge', caption: 'Tank', min: 0, max: 100, colorRules: rules, thresholds: { warning: 50 } });
+            gauge.updateValue(5);
+            expect(gauge.getLevelColor()).to.equal(THEMES.error);
+        });
+
+        it('should color each bar of a bar chart by its own value', function() {
+            const bars = createElement({
+                type: 'bars',
+                caption: 'Rooms',
+                bars: [{ stateId: 'a.0.kitchen' }, { stateId: 'a.0.office' }],
+                colorRules: [{ when: 'value > 3000', color: 'warning' }]
+            });
+            bars.updateState('a.0.kitchen', { val: 3200 });
+            bars.updateState('a.0.office', { val: 200 });
+
+            const [, kitchen, office] = bars.renderLines(40);
+            expect(kitchen).to.include(`${THEMES.warning}3200`);
+            expect(office).to.not.include(THEMES.warning);
+        });
+
+        it('should save the rules and drop invalid ones when loading', function() {
+            expect(createElement({ type: 'text', caption: 'A', colorRules: rules }).getConfig().colorRules).to.deep.equal(rules);
+            expect(createElement({ type: 'text', caption: 'B', colorRules: [{ when: 'x', color: 'error' }] }).colorRules).to.be.null;
+        });
+    });
+});
@@ -0,0 +1,727 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs/promises';
+import path from 'path';
+import ConfigManager from '../../../config-manager.js';
+import LayoutEngine from '../../../layout-engine.js';
+import { DASHBOARD_SCHEMA_VERSION } from '../../../dashboard-schema.js';
+import { createTestUserDataDir, cleanupTestDir } from '../../helpers/test-setup.js';
+
+const LEGACY_DASHBOARD = {
+    version: '1.0.0',
+    name: 'Dashboard Configuration',
+    groups: [{
+        id: 'heating',
+        elements: [
+            { id: 'setpoint', type: 'slider', caption: 'Setpoint', stateId: 'a.0.setpoint', unit: '°C', min: '5', max: '30', interactive: true }
+        ]
+    }]
+};
+
+describe('ConfigManager', function() {
+    let testDataDir;
+    let manager;
+
+    beforeEach(async function() {
+        testDataDir = await createTestUserDataDir();
+        manager = new ConfigManager({
+            configDir: path.join(testDataDir, 'dashboard-configs'),
+            settingsFile: path.join(testDataDir, 'settings.json'),
+            backupDir: path.join(testDataDir, 'dashboard-backups'),
+            templatesDir: path.join(testDataDir, 'templates'),
+            autoSave: false
+        });
+        await manager.initialize(new LayoutEngine({ terminalWidth: 120, terminalHeight: 40 }));
+        manager.on('error', () => {});
+    });
+
+    afterEach(async function() {
+        manager.destroy();
+        await cleanupTestDir(testDataDir);
+    });
+
+    async function writeDashboard(filename, config) {
+        const data = typeof config === 'string' ? config : JSON.stringify(config, null, 2);
+        await fs.writeFile(path.join(manager.config.configDir, filename), data);
+        return data;
+    }
+
+    describe('load', function() {
+        it('should migrate old dashboard files and keep a backup of the original', async function() {
+            const original = await writeDashboard('legacy.json', LEGACY_DASHBOARD);
+            let migratedEvent = null;
+            manager.on('migrated', data => { migratedEvent = data; });
+
+            const result = await manager.load('legacy.json');
+
+            expect(result.success).to.be.true;
+            expect(result.migration).to.include({ from: '1.0.0', to: DASHBOARD_SCHEMA_VERSION });
+            expect(migratedEvent.backup).to.equal(result.migration.backup);
+
+            const backup = await fs.readFile(result.migration.backup, 'utf8');
+            expect(backup).to.equal(original);
+            expect(path.basename(result.migration.backup)).to.match(/^legacy\.v1\.0\.0\..+\.json$/);
+
+            const rewritten = JSON.parse(await fs.readFile(path.join(manager.config.configDir, 'legacy.json'), 'utf8'));
+            expect(rewritten.version).to.equal(DASHBOARD_SCHEMA_VERSION);
+            expect(rewritten.groups[0].title).to.equal('heating');
+
+            const element = manager.layoutEngine.groups[0].elements[0];
+            expect(element.min).to.equal(5);
+            expect(element.max).to.equal(30);
+        });
+
+        it('should not back up or rewrite current dashboard files', async function() {
+            const current = { ...LEGACY_DASHBOARD, version: DASHBOARD_SCHEMA_VERSION, groups: [{ id: 'g', title: 'G', elements: [] }] };
+            const original = await writeDashboard('current.json', current);
+
+            const result = await manager.load('current.json');
+
+            expect(result.success).to.be.true;
+            expect(result).to.not.have.property('migration');
+            expect(await fs.readFile(path.join(manager.config.configDir, 'current.json'), 'utf8')).to.equal(original);
+            const backups = await fs.readdir(manager.config.backupDir).catch(() => []);
+            expect(backups).to.be.empty;
+        });
+
+        it('should name the path of invalid fields and leave the file untouched', async function() {
+            const broken = { ...LEGACY_DASHBOARD, groups: [{ id: 'heating', title: 'Heating', elements: [{ id: 'valve', type: 'gauge', caption: 'Valve', max: 'full' }] }] };
+            const original = await writeDashboard('broken.json', broken);
+
+            const result = await manager.load('broken.json');
+
+            expect(result.success).to.be.false;
+            expect(result.error).to.equal('Invalid configuration (1 problem): groups[0] "Heating" > elements[0] "Valve" > max: must be a number, got "full"');
+            expect(await fs.readFile(path.join(manager.config.configDir, 'broken.json'), 'utf8')).to.equal(original);
+        });
+
+        it('should skip elements of unknown types, load the rest and keep them on save', async function() {
+            const hologram = { id: 'hologram', type: 'hologram', caption: 'Hologram', stateId: 'a.0.hologram' };
+            await writeDashboard('newer.json', { ...LEGACY_DASHBOARD, version: DASHBOARD_SCHEMA_VERSION, groups: [{ id: 'heating', title: 'Heating', elements: [
+                { id: 'valve', type: 'gauge', caption: 'Valve', stateId: 'a.0.valve' },
+                hologram
+            ] }] });
+            let skipped = null;
+            manager.on('elements-skipped', data => { skipped = data; });
+
+            const result = await manager.load('newer.json');
+
+            expect(result.success).to.be.true;
+            expect(manager.layoutEngine.groups[0].elements.map(element => element.id)).to.deep.equal(['valve']);
+            expect(skipped.warnings).to.have.length(1);
+            expect(skipped.warnings[0]).to.match(/^groups\[0\] "Heating" > elements\[1\] "Hologram" > type: unknown element type "hologram"/);
+
+            await manager.save('newer.json');
+            const saved = JSON.parse(await fs.readFile(path.join(manager.config.configDir, 'newer.json'), 'utf8'));
+            expect(saved.groups[0].elements[1]).to.deep.equal(hologram);
+        });
+    });
+
+    describe('importConfig', function() {
+        it('should migrate imported dashboards before saving them', async function() {
+            const result = await manager.importConfig(JSON.stringify(LEGACY_DASHBOARD), 'imported');
+
+            expect(result.success).to.be.true;
+            const saved = JSON.parse(await fs.readFile(path.join(manager.config.configDir, 'imported.json'), 'utf8'));
+            expect(saved.version).to.equal(DASHBOARD_SCHEMA_VERSION);
+            expect(saved.groups[0].elements[0].min).to.equal(5);
+        });
+
+        it('should report validation errors with their path', async function() {
+            const result = await manager.importConfig(JSON.stringify({ version: '1.0.0', groups: [{ id: 'g', elements: [{ id: 'a', caption: 'A' }] }] }));
+
+            expect(result.success).to.be.false;
+            expect(result.error).to.include('groups[0] "g" > elements[0] "A" > type: is required');
+        });
+    });
+
+    describe('backups', function() {
+        let clock;
+
+        beforeEach(function() {
+            clock = sinon.useFakeTimers({ now: new Date('2026-03-01T12:00:00.000Z'), toFake: ['Date'] });
+            manager.config.backupInterval = 60 * 1000;
+            manager.config.maxBackups = 3;
+        });
+
+        async function saveWithTitle(title, wait = 2 * 60 * 1000) {
+            manager.layoutEngine.groups = [{ id: 'g', title, elements: [] }];
+            const result = await manager.save('rooms.json');
+            expect(result.success).to.be.true;
+            clock.tick(wait);
+        }
+
+        it('should back up the previous file on save, at most once per interval', async function() {
+            await saveWithTitle('First');
+            expect((await manager.listBackups('rooms.json')).backups).to.have.length(0);
+
+            await saveWithTitle('Second', 30 * 1000);
+            await saveWithTitle('Third');
+
+            const { backups } = await manager.listBackups('rooms.json');
+            expect(backups).to.have.length(1);
+            expect(backups[0]).to.include({ version: 1, groupCount: 1, elementCount: 0 });
+            expect(JSON.parse(await fs.readFile(backups[0].path, 'utf8')).groups[0].title).to.equal('First');
+        });
+
+        it('should keep only the newest backups per dashboard', async function() {
+            for (const title of ['A', 'B', 'C', 'D', 'E', 'F']) {
+                await saveWithTitle(title);
+            }
+            await fs.writeFile(path.join(manager.config.backupDir, 'rooms-old.2026-01-01T00-00-00-000Z.json'), '{}');
+
+            const { backups } = await manager.listBackups('rooms.json');
+            const titles = await Promise.all(backups.map(async backup => JSON.parse(await fs.readFile(backup.path, 'utf8')).groups[0].title));
+
+            expect(titles).to.deep.equal(['E', 'D', 'C']);
+        });
+
+        it('should restore a version and keep the replaced file as a backup', async function() {
+            for (const title of ['A', 'B', 'C']) {
+                await saveWithTitle(title);
+            }
+
+            const result = await manager.restoreBackup('rooms.json', 2);
+
+            expect(result.success).to.be.true;
+            expect(result.reloaded).to.be.true;
+            expect(manager.layoutEngine.groups[0].title).to.equal('A');
+
+            const saved = JSON.parse(await fs.readFile(path.join(manager.config.configDir, 'rooms.json'), 'utf8'));
+            expect(saved.groups[0].title).to.equal('A');
+
+            const { backups } = await manager.listBackups('rooms.json');
+            expect(JSON.parse(await fs.readFile(backups[0].path, 'utf8')).groups[0].title).to.equal('C');
+        });
+
+        it('should report missing versions', async function() {
+            await saveWithTitle('A');
+            await saveWithTitle('B');
+
+            const result = await manager.restoreBackup('rooms.json', 4);
+
+            expect(result.success).to.be.false;
+            expect(result.error).to.equal('Version 4 not found, rooms.json has 1 backup');
+        });
+
+        it('should make deleted dashboards restorable', async function() {
+            await saveWithTitle('A');
+            await manager.deleteConfig('rooms.json');
+            manager.currentLayout = null;
+
+            const result = await manager.restoreBackup('rooms.json', 1);
+
+            expect(result.success).to.be.true;
+            expect(result.reloaded).to.be.false;
+            const saved = JSON.parse(await fs.readFile(path.join(manager.config.configDir, 'rooms.json'), 'utf8'));
+            expect(saved.groups[0].title).to.equal('A');
+        });
+    });
+
+    describe('outside edits', function() {
+        async function loadRooms(title = 'Mine') {
+            await writeDashboard('rooms.json', { version: DASHBOARD_SCHEMA_VERSION, groups: [{ id: 'g', title, elements: [] }] });
+            const result = await manager.load('rooms.json');
+            expect(result.success).to.be.true;
+        }
+
+        function editOnDisk(title) {
+            return writeDashboard('rooms.json', { version: DASHBOARD_SCHEMA_VERSION, groups: [{ id: 'g', title, elements: [] }] });
+        }
+
+        function readRooms() {
+            return fs.readFile(path.join(manager.config.configDir, 'rooms.json'), 'utf8').then(JSON.parse);
+        }
+
+        it('should reload the active dashboard when it has no unsaved changes', async function() {
+            await loadRooms();
+            await editOnDisk('Edited');
+            let event = null;
+            manager.on('external-reload', data => { event = data; });
+
+            await manager.checkDashboardChange();
+
+            expect(event).to.deep.equal({ filename: 'rooms.json', success: true, error: undefined });
+            expect(manager.layoutEngine.groups[0].title).to.equal('Edited');
+        });
+
+        it('should ignore its own writes', async function() {
+            await loadRooms();
+            await manager.save();
+            const reloaded = sinon.spy();
+            manager.on('external-reload', reloaded);
+
+            await manager.checkDashboardChange();
+
+            expect(reloaded).to.not.have.been.called;
+        });
+
+        it('should report a conflict instead of overwriting outside edits', async function() {
+            await loadRooms();
+            manager.layoutEngine.groups[0].title = 'Changed in app';
+            manager.isDirty = true;
+            await editOnDisk('Edited');
+            const conflict = sinon.spy();
+            manager.on('conflict', conflict);
+
+            await manager.checkDashboardChange();
+            const result = await manager.save();
+
+            expect(conflict).to.have.been.calledOnceWith({ filename: 'rooms.json' });
+            expect(result).to.include({ success: false, conflict: true });
+            expect((await readRooms()).groups[0].title).to.equal('Edited');
+            expect(manager.conflict.filename).to.equal('rooms.json');
+        });
+
+        it('should detect outside edits on save before the watcher fires', async function() {
+            await loadRooms();
+            await editOnDisk('Edited');
+
+            const result = await manager.save();
+
+            expect(result.success).to.be.false;
+            expect(manager.conflict).to.include({ filename: 'rooms.json' });
+        });
+
+        it('should keep the edited file when resolving for disk', async function() {
+            await loadRooms();
+            manager.isDirty = true;
+            await editOnDisk('Edited');
+            await manager.checkDashboardChange();
+
+            const result = await manager.resolveConflict('disk');
+
+            expect(result.success).to.be.true;
+            expect(manager.conflict).to.be.null;
+            expect(manager.layoutEngine.groups[0].title).to.equal('Edited');
+        });
+
+        it('should overwrite the edited file and back it up when resolving for memory', async function() {
+            await loadRooms();
+            manager.layoutEngine.groups[0].title = 'Changed in app';
+            manager.isDirty = true;
+            await editOnDisk('Edited');
+            await manager.checkDashboardChange();
+
+            const result = await manager.resolveConflict('memory');
+
+            expect(result.success).to.be.true;
+            expect(manager.conflict).to.be.null;
+            expect((await readRooms()).groups[0].title).to.equal('Changed in app');
+
+            const { backups } = await manager.listBackups('rooms.json');
+            expect(JSON.parse(await fs.readFile(backups[0].path, 'utf8')).groups[0].title).to.equal('Edited');
+        });
+
+        it('should report settings.json edits but not its own settings writes', async function() {
+            const changed = sinon.spy();
+            manager.on('settings-changed', changed);
+
+            await manager.saveSettings({ hotkeys: {} });
+            await manager.checkSettingsChange();
+            expect(changed).to.not.have.been.called;
+
+            await fs.writeFile(manager.config.settingsFile, JSON.stringify({ layout: { columns: 2 } }));
+            await manager.checkSettingsChange();
+            expect(changed).to.have.been.calledOnceWith({ settings: { layout: { columns: 2 } } });
+        });
+
+        it('should keep settings.json private when the last used dashboard is saved', async function() {
+            await fs.writeFile(manager.config.settingsFile, JSON.stringify({ iobroker: { password: 'secret' } }), { mode: 0o600 });
+
+            await manager.updateLastUsedDashboard('rooms.json');
+
+            const settings = JSON.parse(await fs.readFile(manager.config.settingsFile, 'utf8'));
+            expect(settings).to.deep.include({ lastUsedDashboard: 'rooms.json', iobroker: { password: 'secret' } });
+            expect((await fs.stat(manager.config.settingsFile)).mode & 0o777).to.equal(0o600);
+        });
+
+        it('should report an invalid settings.json once and keep the settings in use', async function() {
+            const changed = sinon.spy();
+            const failed = sinon.spy();
+            manager.on('settings-changed', changed);
+            manager.on('reload-failed', failed);
+
+            await fs.writeFile(manager.config.settingsFile, '{ "layout": ');
+            await manager.checkSettingsChange();
+            await manager.checkSettingsChange();
+
+            expect(changed).to.not.have.been.called;
+            expect(failed).to.have.been.calledOnce;
+            expect(failed.firstCall.args[0].filename).to.equal('settings.json');
+            expect(failed.firstCall.args[0].error).to.include('not valid JSON');
+        });
+
+        it('should report failed reloads from the file watcher', async function() {
+            manager.config.watchDebounce = 20;
+            await loadRooms();
+            const failed = new Promise(resolve => manager.once('reload-failed', resolve));
+
+            manager.debounceWatch('dashboard', () => Promise.reject(new Error('disk unreadable')));
+
+            expect(await failed).to.deep.equal({ filename: 'rooms.json', error: 'disk unreadable' });
+        });
+
+        it('should notice edits through the file watcher', async function() {
+            manager.config.watchDebounce = 20;
+            await loadRooms();
+            manager.startWatching();
+
+            const reloaded = new Promise(resolve => manager.once('external-reload', resolve));
+            await editOnDisk('Edited');
+
+            expect(await reloaded).to.include({ filename: 'rooms.json', success: true });
+            expect(manager.layoutEngine.groups[0].title).to.equal('Edited');
+        });
+    });
+
+    describe('YAML dashboards', function() {
+        const YAML_DASHBOARD = `# Heating floor 1
+version: 1.1.0
+groups:
+  - id: heating
+    title: Heating # radiators only
+    elements:
+      - id: setpoint
+        type: slider
+        caption: Setpoint
+        stateId: a.0.setpoint
+        min: 5
+        max: 30
+`;
+
+        it('should load, list and save YAML dashboards keeping comments', async function() {
+            await writeDashboard('floor1.yaml', YAML_DASHBOARD);
+
+            const result = await manager.load('floor1.yaml');
+            expect(result.success).to.be.true;
+            expect(manager.layoutEngine.groups[0].elements[0].max).to.equal(30);
+
+            const { configs } = await manager.listConfigs();
+            expect(configs.find(config => config.filename === 'floor1.yaml')).to.include({ format: 'yaml', groupCount: 1, elementCount: 1 });
+
+            manager.layoutEngine.groups[0].elements[0].caption = 'Target';
+            expect((await manager.save()).success).to.be.true;
+
+            const saved = await fs.readFile(path.join(manager.config.configDir, 'floor1.yaml'), 'utf8');
+            expect(saved).to.include('# Heating floor 1');
+            expect(saved).to.include('title: Heating # radiators only');
+            expect(saved).to.include('caption: Target');
+        });
+
+        it('should migrate YAML dashboards and keep them as YAML', async function() {
+            await writeDashboard('old.yml', YAML_DASHBOARD.replace('version: 1.1.0', 'version: 1.0.0'));
+
+            const result = await manager.load('old.yml');
+
+            expect(result.success).to.be.true;
+            expect(path.basename(result.migration.backup)).to.match(/^old\.v1\.0\.0\..+\.yml$/);
+            const migrated = await fs.readFile(path.join(manager.config.configDir, 'old.yml'), 'utf8');
+            expect(migrated).to.include(`version: ${DASHBOARD_SCHEMA_VERSION}`);
+            expect(migrated).to.include('# Heating floor 1');
+        });
+
+        it('should resolve names without extension to existing files', async function() {
+            await writeDashboard('floor1.yaml', YAML_DASHBOARD);
+
+            expect(await manager.resolveDashboardFile('floor1')).to.equal('floor1.yaml');
+            expect(await manager.resolveDashboardFile('new')).to.equal('new.json');
+            expect(await manager.resolveDashboardFile('other.yml')).to.equal('other.yml');
+        });
+
+        it('should import YAML and keep backups per extension', async function() {
+            const result = await manager.importConfig(YAML_DASHBOARD, 'imported.yaml');
+            expect(result.success).to.be.true;
+            await manager.importConfig(YAML_DASHBOARD, 'imported.yaml');
+            await manager.importConfig(JSON.stringify(LEGACY_DASHBOARD), 'imported');
+
+            expect((await manager.listBackups('imported.yaml')).backups).to.have.length(1);
+            expect((await manager.listBackups('imported.json')).backups).to.have.length(0);
+        });
+    });
+
+    describe('group library', function() {
+        const SYSTEM_STATUS = {
+            id: 'system-status',
+            title: 'System Status',
+            description: 'Adapter alive indicators',
+            elements: [
+                { id: 'js', type: 'indicator', caption: 'JavaScript', stateId: 'system.adapter.javascript.0.alive' }
+            ]
+        };
+
+        function dashboardWithInclude(title) {
+            return {
+                version: DASHBOARD_SCHEMA_VERSION,
+                groups: [
+                    { id: 'rooms', title, elements: [] },
+                    { include: 'groups/system-status' }
+                ]
+            };
+        }
+
+        async function writeLibraryGroup(filename, group) {
+            await fs.mkdir(path.join(manager.config.configDir, 'groups'), { recursive: true });
+            await writeDashboard(path.join('groups', filename), typeof group === 'string' ? group : JSON.stringify(group, null, 2));
+        }
+
+        async function readLibraryGroup(filename) {
+            return fs.readFile(path.join(manager.config.configDir, 'groups', filename), 'utf8');
+        }
+
+        it('should resolve includes when a dashboard is applied', async function() {
+            await writeLibraryGroup('system-status.json', SYSTEM_STATUS);
+            await writeDashboard('kitchen.json', dashboardWithInclude('Kitchen'));
+
+            const result = await manager.load('kitchen.json');
+
+            expect(result.success).to.be.true;
+            const group = manager.layoutEngine.groups[1];
+            expect(group).to.include({ id: 'system-status', title: 'System Status', include: 'groups/system-status' });
+            expect(group.elements[0].caption).to.equal('JavaScript');
+        });
+
+        it('should write edits of an included group back to the library file', async function() {
+            await writeLibraryGroup('system-status.json', SYSTEM_STATUS);
+            await writeDashboard('kitchen.json', dashboardWithInclude('Kitchen'));
+            await manager.load('kitchen.json');
+
+            manager.layoutEngine.groups[1].elements[0].caption = 'Scripts';
+            expect((await manager.save()).success).to.be.true;
+
+            const dashboard = JSON.parse(await fs.readFile(path.join(manager.config.configDir, 'kitchen.json'), 'utf8'));
+            expect(dashboard.groups[1]).to.deep.equal({ include: 'groups/system-status' });
+
+            const library = JSON.parse(await readLibraryGroup('system-status.json'));
+            expect(library.elements[0].caption).to.equal('Scripts');
+            expect(library.description).to.equal('Adapter alive indicators');
+
+            const { backups } = await manager.listBackups('groups/system-status.json');
+            expect(backups).to.have.length(1);
+            expect(path.dirname(backups[0].path)).to.equal(path.join(manager.config.backupDir, 'groups'));
+        });
+
+        it('should keep comments of YAML library groups', async function() {
+            await writeLibraryGroup('system-status.yaml', `# Shared by all floors
+id: system-status
+title: System Status
+elements:
+  - id: js
+    type: indicator
+    caption: JavaScript # script engine
+`);
+            await writeDashboard('kitchen.json', dashboardWithInclude('Kitchen'));
+            await manager.load('kitchen.json');
+
+            manager.layoutEngine.groups[1].title = 'System';
+            await manager.save();
+
+            const library = await readLibraryGroup('system-status.yaml');
+            expect(library).to.include('# Shared by all floors');
+            expect(library).to.include('caption: JavaScript # script engine');
+            expect(library).to.include('title: System');
+        });
+
+        it('should not rewrite library files of groups that were not edited', async function() {
+            const handWritten = '{ "id": "system-status", "title": "System Status",\n  "elements": [ { "id": "js", "type": "indicator", "caption": "JavaScript", "stateId": "system.adapter.javascript.0.alive" } ] }\n';
+            await writeLibraryGroup('system-status.json', handWritten);
+            await writeDashboard('kitchen.json', dashboardWithInclude('Kitchen'));
+            await manager.load('kitchen.json');
+
+            manager.layoutEngine.groups[0].title = 'Kitchen Lights';
+            expect((await manager.save()).success).to.be.true;
+
+            expect(await readLibraryGroup('system-status.json')).to.equal(handWritten);
+            const { backups } = await manager.listBackups('groups/system-status.json');
+            expect(backups).to.have.length(0);
+            expect(await manager.hasExternalChange('kitchen.json')).to.be.false;
+        });
+
+        it('should only read and write library groups inside the dashboard directory', async function() {
+            await writeLibraryGroup('system-status.json', SYSTEM_STATUS);
+            await writeDashboard('kitchen.json', dashboardWithInclude('Kitchen'));
+            await manager.load('kitchen.json');
+
+            for (const include of ['../outside', '/tmp/outside', 'groups/../../outside']) {
+                try {
+                    await manager.loadIncludedGroup(include);
+                    expect.fail(`${include} was read`);
+                } catch (error) {
+                    expect(error.message).to.equal(`Included group "${include}" must be a path inside the dashboard directory`);
+                }
+            }
+
+            manager.layoutEngine.groups[1].include = '../outside';
+            const result = await manager.save();
+            expect(result.success).to.be.false;
+            expect(result.error).to.include('must be a path inside the dashboard directory');
+            const outside = await fs.readFile(path.join(manager.config.configDir, '..', 'outside.json'), 'utf8').catch(() => null);
+            expect(outside).to.be.null;
+        });
+
+        it('should refuse dashboards with missing or invalid library groups', async function() {
+            await writeDashboard('kitchen.json', dashboardWithInclude('Kitchen'));
+
+            let result = await manager.load('kitchen.json');
+            expect(result.success).to.be.false;
+            expect(result.error).to.equal('Included group "groups/system-status" not found (groups/system-status.json)');
+
+            await writeLibraryGroup('system-status.json', { ...SYSTEM_STATUS, elements: [{ id: 'js', type: 'indicator' }] });
+            result = await manager.load('kitchen.json');
+            expect(result.success).to.be.false;
+            expect(result.error).to.include('groups/system-status.json > elements[0] > caption: is required');
+        });
+
+        it('should treat outside edits of an included group as a change of the dashboard', async function() {
+            await writeLibraryGroup('system-status.json', SYSTEM_STATUS);
+            await writeDashboard('kitchen.json', dashboardWithInclude('Kitchen'));
+            await manager.load('kitchen.json');
+
+            await writeLibraryGroup('system-status.json', { ...SYSTEM_STATUS, title: 'Adapters' });
+            manager.isDirty = true;
+
+            const result = await manager.save();
+            expect(result).to.include({ success: false, conflict: true });
+
+            await manager.resolveConflict('disk');
+            expect(manager.layoutEngine.groups[1].title).to.equal('Adapters');
+        });
+
+        it('should reload the dashboard when an included group is edited on disk', async function() {
+            manager.config.watchDebounce = 20;
+            await writeLibraryGroup('system-status.json', SYSTEM_STATUS);
+            await writeDashboard('kitchen.json', dashboardWithInclude('Kitchen'));
+            await manager.load('kitchen.json');
+            manager.startWatching();
+
+            const reloaded = new Promise(resolve => manager.once('external-reload', resolve));
+            await writeLibraryGroup('system-status.json', { ...SYSTEM_STATUS, title: 'Adapters' });
+
+            expect(await reloaded).to.include({ filename: 'kitchen.json', success: true });
+            expect(manager.layoutEngine.groups[1].title).to.equal('Adapters');
+        });
+
+        it('should watch library directories one by one without recursive watch support', async function() {
+            manager.config.watchDebounce = 20;
+            const watchDirectory = manager.watchDirectory.bind(manager);
+            sinon.stub(manager, 'watchDirectory').callsFake((directory, onChange, options = {}) => (
+                options.recursive ? null : watchDirectory(directory, onChange, options)
+            ));
+            await writeLibraryGroup('system-status.json', SYSTEM_STATUS);
+            await writeDashboard('kitchen.json', dashboardWithInclude('Kitchen'));
+            manager.startWatching();
+            await manager.load('kitchen.json');
+
+            expect(manager.recursiveWatch).to.be.false;
+            expect(manager.libraryWatchers).to.have.length(1);
+
+            const reloaded = new Promise(resolve => manager.once('external-reload', resolve));
+            await writeLibraryGroup('system-status.json', { ...SYSTEM_STATUS, title: 'Adapters' });
+
+            expect(await reloaded).to.include({ filename: 'kitchen.json', success: true });
+            expect(manager.layoutEngine.groups[1].title).to.equal('Adapters');
+        });
+
+        it('should report directories that cannot be watched', function() {
+            const failed = sinon.spy();
+            manager.on('watch-failed', failed);
+
+            expect(manager.watchDirectory(path.join(manager.config.configDir, 'missing'), () => {})).to.be.null;
+            expect(manager.watchDirectory(path.join(manager.config.configDir, 'missing'), () => {}, { quiet: true })).to.be.null;
+
+            expect(failed).to.have.been.calledOnce;
+            expect(failed.firstCall.args[0].error.code).to.equal('ENOENT');
+        });
+
+        it('should list which dashboards use which library groups', async function() {
+            await writeLibraryGroup('system-status.json', SYSTEM_STATUS);
+            await writeLibraryGroup('unused.json', { id: 'unused', title: 'Unused', elements: [] });
+            await writeDashboard('kitchen.json', dashboardWithInclude('Kitchen'));
+            await writeDashboard('office.json', dashboardWithInclude('Office'));
+            await writeDashboard('garden.json', { version: DASHBOARD_SCHEMA_VERSION, groups: [{ include: 'groups/missing' }] });
+
+            const { configs } = await manager.listConfigs();
+            expect(configs.find(config => config.filename === 'office.json')).to.deep.include({ groupCount: 2, includes: ['groups/system-status'] });
+
+            const result = await manager.listLibraryGroups();
+            expect(result.success).to.be.true;
+            expect(result.groups.map(group => group.filename)).to.deep.equal(['groups/missing.json', 'groups/system-status.json', 'groups/unused.json']);
+
+            const [missing, systemStatus, unused] = result.groups;
+            expect(missing.usedBy).to.deep.equal(['garden.json']);
+            expect(missing.error).to.include('not found');
+            expect(systemStatus).to.deep.include({ title: 'System Status', elementCount: 1 });
+            expect(systemStatus.usedBy).to.have.members(['kitchen.json', 'office.json']);
+            expect(unused.usedBy).to.deep.equal([]);
+        });
+    });
+
+    describe('templates', function() {
+        it('should list built-in templates and template files', async function() {
+            await fs.mkdir(manager.config.templatesDir, { recursive: true });
+            await fs.writeFile(path.join(manager.config.templatesDir, 'blinds.yaml'), `description: Roller shutter of a room
+groups:
+  - id: blinds-\${room}
+    title: \${room} Blinds
+    elements:
+      - { id: blind, type: blind, caption: Blind, stateId: "\${channel}.LEVEL" }
+`);
+            await fs.writeFile(path.join(manager.config.templatesDir, 'broken.json'), '{');
+
+            const result = await manager.listTemplates();
+
+            expect(result.success).to.be.true;
+            expect(result.templates.map(template => template.name)).to.deep.equal(['blinds', 'broken', 'solar', 'system', 'temperature']);
+            expect(result.templates[0]).to.include({ builtIn: false, filename: 'blinds.yaml', description: 'Roller shutter of a room' });
+            expect(Object.keys(result.templates[0].variables)).to.deep.equal(['room', 'channel']);
+            expect(result.templates[1].error).to.be.a('string');
+        });
+
+        it('should add template groups to the current dashboard', async function() {
+            let result = await manager.applyTemplate('temperature', { room: 'Kitchen', device: 'zigbee.0.kitchen' });
+            expect(result.success).to.be.true;
+            await manager.applyTemplate('temperature', { room: 'Office', device: 'zigbee.0.office' });
+
+            const groups = manager.layoutEngine.groups;
+            expect(groups.map(group => group.title)).to.deep.equal(['Kitchen', 'Office']);
+            expect(groups[1].elements[0].stateId).to.equal('zigbee.0.office.temperature');
+            expect(manager.isDirty).to.be.true;
+
+            result = await manager.applyTemplate('temperature', { room: 'Kitchen' });
+            expect(result).to.include({ success: false, error: 'Missing variable "device" (template temperature needs: room, device)' });
+        });
+
+        it('should add elements to a group that is already on the dashboard', async function() {
+            await manager.applyTemplate('system');
+            await manager.applyTemplate('system', { adapter: 'admin.0', name: 'Admin' });
+            await manager.applyTemplate('system');
+
+            expect(manager.layoutEngine.groups).to.have.length(1);
+            expect(manager.layoutEngine.groups[0].elements.map(element => element.id)).to.deep.equal(['web.0-alive', 'admin.0-alive', 'web.0-alive-2']);
+        });
+
+        it('should write a template to a new dashboard file but not over an existing one', async function() {
+            const result = await manager.applyTemplate('solar', {}, { filename: 'energy.yaml' });
+
+            expect(result).to.include({ success: true, filename: 'energy.yaml' });
+            expect(manager.layoutEngine.groups).to.have.length(0);
+
+            const loaded = await manager.load('energy.yaml');
+            expect(loaded.success).to.be.true;
+            expect(manager.layoutEngine.groups[0].elements[0].stateId).to.equal('javascript.0.solar.produktion');
+
+            const again = await manager.applyTemplate('solar', {}, { filename: 'energy.yaml' });
+            expect(again.success).to.be.false;
+            expect(again.error).to.include('energy.yaml already exists');
+        });
+
+        it('should report unknown templates', async function() {
+            const result = await manager.applyTemplate('garage');
+            expect(result.error).to.equal('Template "garage" not found (available: solar, system, temperature)');
+        });
+    });
+
+    it('should save dashboards with the current schema version', function() {
+        expect(manager.createConfig().version).to.equal(DASHBOARD_SCHEMA_VERSION);
+    });
+});
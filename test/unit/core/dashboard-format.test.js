@@ -0,0 +1,85 @@
+import { expect } from 'chai';
+import {
+    isDashboardFile,
+    isYamlFile,
+    getDashboardName,
+    parseDashboard,
+    stringifyDashboard
+} from '../../../dashboard-format.js';
+
+const COMMENTED_YAML = `# Living room dashboard
+version: 1.1.0
+groups:
+  - id: energy
+    title: Energy # shown first
+    elements:
+      # Inverter output
+      - id: pv
+        type: gauge
+        caption: PV
+        unit: W
+  - id: heating
+    title: Heating
+    elements: []
+`;
+
+describe('Dashboard file formats', function() {
+    it('should recognize dashboard extensions', function() {
+        expect(isDashboardFile('kitchen.json')).to.be.true;
+        expect(isDashboardFile('kitchen.yaml')).to.be.true;
+        expect(isDashboardFile('kitchen.YML')).to.be.true;
+        expect(isDashboardFile('kitchen.json.3.tmp')).to.be.false;
+        expect(isYamlFile('kitchen.yml')).to.be.true;
+        expect(isYamlFile('kitchen.json')).to.be.false;
+        expect(getDashboardName('kitchen.yaml')).to.equal('kitchen');
+    });
+
+    it('should parse by file extension', function() {
+        expect(parseDashboard('{"version": "1.1.0"}', 'a.json')).to.deep.equal({ version: '1.1.0' });
+        expect(parseDashboard('version: 1.1.0\ngroups: []\n', 'a.yaml')).to.deep.equal({ version: '1.1.0', groups: [] });
+        expect(() => parseDashboard('version: 1.1.0\ngroups: [}\n', 'a.yml')).to.throw();
+    });
+
+    it('should write JSON for .json files and YAML for .yaml files', function() {
+        const config = { version: '1.1.0', groups: [{ id: 'g', title: 'G', elements: [] }] };
+
+        expect(stringifyDashboard(config, 'a.json')).to.equal(JSON.stringify(config, null, 2));
+        expect(parseDashboard(stringifyDashboard(config, 'a.yaml'), 'a.yaml')).to.deep.equal(config);
+    });
+
+    it('should drop undefined fields in YAML like JSON does', function() {
+        const text = stringifyDashboard({ version: '1.1.0', groups: [], name: undefined }, 'a.yaml');
+        expect(text).to.not.include('name');
+    });
+
+    it('should keep comments of unchanged parts when updating a YAML file', function() {
+        const config = parseDashboard(COMMENTED_YAML, 'a.yaml');
+        config.groups[0].elements[0].caption = 'PV Power';
+        config.groups[1].elements.push({ id: 'valve', type: 'gauge', caption: 'Valve' });
+
+        const text = stringifyDashboard(config, 'a.yaml', COMMENTED_YAML);
+
+        expect(text).to.include('# Living room dashboard');
+        expect(text).to.include('title: Energy # shown first');
+        expect(text).to.include('# Inverter output');
+        expect(parseDashboard(text, 'a.yaml')).to.deep.equal(config);
+    });
+
+    it('should move comments with groups matched by id', function() {
+        const config = parseDashboard(COMMENTED_YAML, 'a.yaml');
+        config.groups.reverse();
+
+        const text = stringifyDashboard(config, 'a.yaml', COMMENTED_YAML);
+
+        expect(text.indexOf('id: heating')).to.be.below(text.indexOf('title: Energy # shown first'));
+        expect(parseDashboard(text, 'a.yaml')).to.deep.equal(config);
+    });
+
+    it('should remove deleted fields and write a fresh file for unreadable YAML', function() {
+        const config = parseDashboard(COMMENTED_YAML, 'a.yaml');
+        delete config.groups[0].elements[0].unit;
+
+        expect(stringifyDashboard(config, 'a.yaml', COMMENTED_YAML)).to.not.include('unit: W');
+        expect(parseDashboard(stringifyDashboard(config, 'a.yaml', 'groups: [}'), 'a.yaml')).to.deep.equal(config);
+    });
+});
@@ -0,0 +1,179 @@
+import { expect } from 'chai';
+import {
+    DashboardGenerator,
+    getExclusionReason,
+    inferElementType,
+    createElementConfig,
+    matchesRole,
+    getObjectName
+} from '../../../dashboard-generator.js';
+
+const state = (common) => ({ type: 'state', common });
+
+// A small ioBroker installation: two rooms, lights and heating
+const OBJECTS = {
+    'hue.0.kitchen': { type: 'channel', common: { name: 'Kitchen Light' } },
+    'hue.0.kitchen.on': state({ name: 'on', role: 'switch.light', type: 'boolean', write: true }),
+    'hue.0.kitchen.level': state({ name: 'level', role: 'level.dimmer', type: 'number', min: 0, max: 100, write: true }),
+    'hue.0.kitchen.bri': state({ name: 'bri', role: 'level.dimmer', type: 'number', min: 0, max: 255, write: true }),
+    'hue.0.kitchen.mode': state({ name: 'Mode', role: 'switch', type: 'string', write: true }),
+    'zigbee.0.kitchen_climate.temperature': state({ name: { en: 'Kitchen Temperature', de: 'Küchentemperatur' }, role: 'value.temperature', type: 'number', unit: '°C', write: false }),
+    'hm-rpc.0.office.SET_POINT': state({ name: 'Office Setpoint', role: 'level.temperature', type: 'number', unit: '°C', min: 5, max: 30, write: true }),
+    'hm-rpc.0.office.WINDOW': state({ name: 'Office Window', role: 'sensor.window', type: 'boolean', write: false })
+};
+
+const ENUMS = {
+    rooms: {
+        'enum.rooms.kitchen': { common: { name: { en: 'Kitchen' }, members: ['hue.0.kitchen', 'zigbee.0.kitchen_climate.temperature'] } },
+        'enum.rooms.office': { common: { name: 'Office', members: ['hm-rpc.0.office.SET_POINT', 'hm-rpc.0.office.WINDOW', 'missing.0.state'] } }
+    },
+    functions: {
+        'enum.functions.lighting': { common: { name: 'Lighting', members: ['hue.0.kitchen'] } },
+        'enum.functions.heating': { common: { name: 'Heating', members: ['zigbee.0.kitchen_climate.temperature', 'hm-rpc.0.office.SET_POINT'] } }
+    }
+};
+
+function createClient() {
+    return {
+        getEnums: async (category) => ENUMS[category],
+        getObject: async (id) => {
+            if (!OBJECTS[id]) throw new Error(`${id} not found`);
+            return OBJECTS[id];
+        },
+        getChildObjects: async (id) => Object.fromEntries(
+            Object.entries(OBJECTS).filter(([childId, object]) => childId.startsWith(`${id}.`) && object.type === 'state')
+        )
+    };
+}
+
+describe('Dashboard generator', function() {
+    describe('role filtering', function() {
+        it('should match roles with wildcards', function() {
+            expect(matchesRole('switch.light', 'switch*')).to.be.true;
+            expect(matchesRole('value.temperature', '*.temperature')).to.be.true;
+            expect(matchesRole('value', 'value.*')).to.be.false;
+        });
+
+        it('should only use the default roles with the right type', function() {
+            expect(getExclusionReason(OBJECTS['hue.0.kitchen.on'])).to.be.null;
+            expect(getExclusionReason(OBJECTS['hue.0.kitchen.mode'])).to.equal('role switch with type string, expected boolean');
+            expect(getExclusionReason(state({ role: 'text', type: 'string' }))).to.equal('role text is not shown by default (include it with a role filter)');
+            expect(getExclusionReason(state({ type: 'number' }))).to.equal('no role');
+        });
+
+        it('should apply include and exclude filters', function() {
+            const text = state({ role: 'text', type: 'string' });
+            expect(getExclusionReason(text, { include: ['text'] })).to.be.null;
+            expect(getExclusionReason(OBJECTS['hue.0.kitchen.on'], { include: ['value.*'] })).to.equal('role switch.light not in include filter');
+            expect(getExclusionReason(OBJECTS['hue.0.kitchen.on'], { exclude: ['switch*'] })).to.equal('role switch.light excluded by filter');
+        });
+    });
+
+    describe('element inference', function() {
+        it('should pick element types from role, type and write', function() {
+            expect(inferElementType(OBJECTS['hue.0.kitchen.on'].common)).to.equal('switch');
+            expect(inferElementType(OBJECTS['hue.0.kitchen.level'].common)).to.equal('slider');
+            expect(inferElementType(OBJECTS['zigbee.0.kitchen_climate.temperature'].common)).to.equal('gauge');
+            expect(inferElementType(OBJECTS['hm-rpc.0.office.SET_POINT'].common)).to.equal('number');
+            expect(inferElementType(OBJECTS['hm-rpc.0.office.WINDOW'].common)).to.equal('indicator');
+            expect(inferElementType({ role: 'switch', type: 'boolean', write: false })).to.equal('indicator');
+            expect(inferElementType({ role: 'switch', type: 'boolean', states: { false: 'off', true: 'on' } })).to.equal('switch');
+            expect(inferElementType({ type: 'boolean', states: { false: 'closed', true: 'open' }, write: false })).to.equal('indicator');
+            expect(inferElementType({ role: 'button', type: 'boolean' })).to.equal('button');
+            expect(inferElementType({ role: 'value', type: 'number', states: { 0: 'Off', 1: 'On' } })).to.equal('dropdown');
+        });
+
+        it('should name elements after their device when the state name is the ID part', function() {
+            expect(createElementConfig('hue.0.kitchen.on', OBJECTS['hue.0.kitchen.on'], 'Kitchen Light').caption).to.equal('Kitchen Light');
+            expect(createElementConfig('hue.0.kitchen.level', OBJECTS['hue.0.kitchen.level'], 'Kitchen Light').caption).to.equal('Kitchen Light Level');
+            expect(createElementConfig('hue.0.kitchen.level', OBJECTS['hue.0.kitchen.level']).caption).to.equal('Kitchen Level');
+            expect(getObjectName({ de: 'Küche', en: 'Kitchen' })).to.equal('Kitchen');
+        });
+
+        it('should take ranges and units from the object', function() {
+            expect(createElementConfig('hm-rpc.0.office.SET_POINT', OBJECTS['hm-rpc.0.office.SET_POINT'])).to.deep.equal({
+                id: 'hm-rpc.0.office.SET_POINT',
+                type: 'number',
+                caption: 'Office Setpoint',
+                stateId: 'hm-rpc.0.office.SET_POINT',
+                unit: '°C',
+                min: 5,
+                max: 30,
+                interactive: true
+            });
+        });
+    });
+
+    describe('DashboardGenerator', function() {
+        let generator;
+
+        beforeEach(function() {
+            generator = new DashboardGenerator(createClient());
+        });
+
+        it('should create one group per room', async function() {
+            const result = await generator.generate();
+
+            expect(result.groupBy).to.equal('room');
+            expect(result.config.name).to.equal('Home Dashboard');
+            expect(result.config.groups.map(group => group.title)).to.deep.equal(['Kitchen', 'Office']);
+
+            const kitchen = result.config.groups[0];
+            expect(kitchen.elements.map(element => element.stateId)).to.deep.equal([
+                'hue.0.kitchen.on',
+                'zigbee.0.kitchen_climate.temperature',
+                'hue.0.kitchen.level'
+            ]);
+            expect(kitchen.elements[1].caption).to.equal('Kitchen Temperature');
+        });
+
+        it('should report excluded states and keep only the percentage dimmer', async function() {
+            const result = await generator.generate();
+
+            expect(result.analyzed).to.equal(7);
+            expect(result.excluded).to.deep.include({ stateId: 'hue.0.kitchen.mode', reason: 'role switch with type string, expected boolean' });
+            expect(result.excluded).to.deep.include({ stateId: 'hue.0.kitchen.bri', reason: 'dimmer of the same device, hue.0.kitchen.level is used' });
+        });
+
+        it('should group a room by function', async function() {
+            const result = await generator.generate({ rooms: ['kitchen'] });
+
+            expect(result.groupBy).to.equal('function');
+            expect(result.config.name).to.equal('Functions Dashboard');
+            expect(result.config.groups.map(group => group.title)).to.deep.equal(['Heating', 'Lighting']);
+            expect(result.config.groups[0].elements.map(element => element.stateId)).to.deep.equal(['zigbee.0.kitchen_climate.temperature']);
+        });
+
+        it('should limit rooms to a function and find functions by prefix', async function() {
+            const result = await generator.generate({ functions: ['heat'], name: 'Climate' });
+
+            expect(result.config.name).to.equal('Climate');
+            expect(result.config.groups.map(group => [group.title, group.elements.length])).to.deep.equal([['Kitchen', 1], ['Office', 1]]);
+        });
+
+        it('should apply role filters', async function() {
+            const result = await generator.generate({ include: ['sensor.*', 'level.temperature'] });
+
+            expect(result.config.groups.map(group => group.title)).to.deep.equal(['Office']);
+            expect(result.config.groups[0].elements.map(element => element.type)).to.deep.equal(['number', 'indicator']);
+        });
+
+        it('should reject unknown rooms and groupings', async function() {
+            let error = null;
+            try {
+                await generator.generate({ rooms: ['garage'] });
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error.message).to.equal('No room found for "garage" (available: kitchen, office)');
+
+            error = null;
+            try {
+                await generator.generate({ groupBy: 'floor' });
+            } catch (caught) {
+                error = caught;
+            }
+            expect(error.message).to.equal('Unknown grouping "floor" - group by room or function');
+        });
+    });
+});
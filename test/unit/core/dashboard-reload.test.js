@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs/promises';
+import path from 'path';
+import IobrkerDashboard from '../../../index.js';
+import ConfigManager from '../../../config-manager.js';
+import LayoutEngine from '../../../layout-engine.js';
+import { DASHBOARD_SCHEMA_VERSION } from '../../../dashboard-schema.js';
+import { createTestUserDataDir, cleanupTestDir } from '../../helpers/test-setup.js';
+
+describe('Dashboard outside edits', function() {
+    let testDataDir;
+    let dashboard;
+    let manager;
+
+    function writeRooms(content) {
+        const data = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+        return fs.writeFile(path.join(manager.config.configDir, 'rooms.json'), data);
+    }
+
+    beforeEach(async function() {
+        testDataDir = await createTestUserDataDir();
+        manager = new ConfigManager({
+            configDir: path.join(testDataDir, 'dashboard-configs'),
+            settingsFile: path.join(testDataDir, 'settings.json'),
+            backupDir: path.join(testDataDir, 'dashboard-backups'),
+            autoSave: false
+        });
+        await manager.initialize(new LayoutEngine({ terminalWidth: 120, terminalHeight: 40 }));
+
+        dashboard = new IobrkerDashboard({ configDir: manager.config.configDir });
+        dashboard.configManager = manager;
+        dashboard.running = true;
+        dashboard.renderDashboard = sinon.spy();
+        dashboard.debouncedRender = sinon.spy();
+        dashboard.connectElementsToClient = sinon.stub().resolves();
+        dashboard.setupConfigManagerHandlers();
+
+        await writeRooms({ version: DASHBOARD_SCHEMA_VERSION, groups: [{ id: 'g', title: 'Kitchen', elements: [] }] });
+        expect((await manager.load('rooms.json')).success).to.be.true;
+        dashboard.messages = [];
+    });
+
+    afterEach(async function() {
+        manager.destroy();
+        await cleanupTestDir(testDataDir);
+    });
+
+    it('should keep the old dashboard and show why an invalid edit was not loaded', async function() {
+        await writeRooms({ version: DASHBOARD_SCHEMA_VERSION, groups: [{ id: 'g', title: 'Kitchen', elements: [{ id: 'x' }] }] });
+
+        await manager.checkDashboardChange();
+
+        expect(manager.layoutEngine.groups[0].title).to.equal('Kitchen');
+        const warning = dashboard.messages.find(message => message.type === 'warning');
+        expect(warning.text).to.include('[RELOAD] rooms.json changed on disk but could not be loaded');
+    });
+
+    it('should load an edit with an unknown element type and show the skipped element', async function() {
+        await writeRooms({ version: DASHBOARD_SCHEMA_VERSION, groups: [{ id: 'g', title: 'Kitchen', elements: [
+            { id: 'light', type: 'switch', caption: 'Light', stateId: 'a.0.light' },
+            { id: 'x', type: 'hologram', caption: 'X' }
+        ] }] });
+        dashboard.renderer = { initialized: true, elementPositions: new Map() };
+
+        await manager.checkDashboardChange();
+
+        expect(manager.layoutEngine.groups[0].elements.map(element => element.id)).to.deep.equal(['light']);
+        const warning = dashboard.messages.find(message => message.type === 'warning');
+        expect(warning.text).to.include('[LOAD] groups[0] "Kitchen" > elements[1] "X" > type: unknown element type "hologram"');
+    });
+
+    it('should show an invalid settings.json in the message area', async function() {
+        await fs.writeFile(manager.config.settingsFile, '{ "layout": ');
+
+        await manager.checkSettingsChange();
+
+        const warning = dashboard.messages.find(message => message.type === 'warning');
+        expect(warning.text).to.include('[RELOAD] settings.json changed on disk but could not be loaded: not valid JSON');
+    });
+});
@@ -0,0 +1,175 @@
+import { expect } from 'chai';
+import {
+    DASHBOARD_SCHEMA_VERSION,
+    compareVersions,
+    migrateDashboard,
+    validateDashboard,
+    validateGroup,
+    formatValidationErrors
+} from '../../../dashboard-schema.js';
+
+function dashboard(elements, extra = {}) {
+    return {
+        version: DASHBOARD_SCHEMA_VERSION,
+        groups: [{ id: 'heating', title: 'Heating', elements }],
+        ...extra
+    };
+}
+
+describe('Dashboard schema', function() {
+    describe('compareVersions', function() {
+        it('should compare versions part by part', function() {
+            expect(compareVersions('1.0.0', '1.1.0')).to.be.below(0);
+            expect(compareVersions('1.10.0', '1.9.0')).to.be.above(0);
+            expect(compareVersions('2.0', '2.0.0')).to.equal(0);
+        });
+    });
+
+    describe('migrateDashboard', function() {
+        it('should leave current files unchanged', function() {
+            const config = dashboard([{ id: 'a', type: 'gauge', caption: 'A', min: 0 }]);
+            const result = migrateDashboard(config);
+
+            expect(result.migrated).to.be.false;
+            expect(result.config).to.deep.equal(config);
+        });
+
+        it('should upgrade 1.0.0 files to the current version', function() {
+            const result = migrateDashboard({
+                version: '1.0.0',
+                groups: [{ id: 'heating', elements: [{ id: 'a', type: 'slider', caption: 'A', min: '5', max: '30', step: 'x' }] }]
+            });
+
+            expect(result).to.include({ migrated: true, from: '1.0.0', to: DASHBOARD_SCHEMA_VERSION });
+            expect(result.applied).to.have.length(1);
+            expect(result.config.version).to.equal(DASHBOARD_SCHEMA_VERSION);
+            expect(result.config.groups[0].title).to.equal('heating');
+            expect(result.config.groups[0].elements[0]).to.include({ min: 5, max: 30, step: 'x' });
+        });
+
+        it('should treat files without a version as 1.0.0', function() {
+            const result = migrateDashboard({ groups: [] });
+            expect(result.from).to.equal('1.0.0');
+            expect(result.config.version).to.equal(DASHBOARD_SCHEMA_VERSION);
+        });
+
+        it('should not modify the original file object', function() {
+            const config = { version: '1.0.0', groups: [{ id: 'g', elements: [{ id: 'a', type: 'gauge', caption: 'A', min: '1' }] }] };
+            migrateDashboard(config);
+            expect(config.groups[0].elements[0].min).to.equal('1');
+            expect(config.groups[0]).to.not.have.property('title');
+        });
+
+        it('should reject files from a newer version', function() {
+            expect(() => migrateDashboard({ version: '99.0.0', groups: [] })).to.throw(/newer than supported/);
+        });
+
+        it('should reject files that are not objects', function() {
+            expect(() => migrateDashboard([])).to.throw(/must contain an object/);
+        });
+    });
+
+    describe('validateDashboard', function() {
+        it('should accept a valid dashboard', function() {
+            expect(validateDashboard(dashboard([
+                { id: 'a', type: 'gauge', caption: 'Power', stateId: 'a.0.power', unit: 'W', min: 0, max: 5000,
+                    format: { scale: true }, colorRules: [{ when: 'value > 3000', color: 'warning' }] },
+                { id: 'b', type: 'computed', caption: 'Grid', inputs: { house: 'a.0.house' }, expression: 'house * 2' }
+            ]))).to.deep.equal([]);
+        });
+
+        it('should name the group, element and field of a wrong type', function() {
+            const errors = validateDashboard(dashboard([
+                { id: 'a', type: 'gauge', caption: 'Power' },
+                { id: 'b', type: 'slider', caption: 'Valve', min: 'abc' }
+            ]));
+
+            expect(errors).to.deep.equal(['groups[0] "Heating" > elements[1] "Valve" > min: must be a number, got "abc"']);
+        });
+
+        it('should report missing required fields with their path', function() {
+            const errors = validateDashboard({ version: DASHBOARD_SCHEMA_VERSION, groups: [{ title: 'Heating', elements: [{ id: 'a', type: 'gauge' }] }] });
+
+            expect(errors).to.include('groups[0] "Heating" > id: is required');
+            expect(errors).to.include('groups[0] "Heating" > elements[0] > caption: is required');
+        });
+
+        it('should report missing root fields', function() {
+            expect(validateDashboard({ version: DASHBOARD_SCHEMA_VERSION })).to.deep.equal(['groups: is required']);
+        });
+
+        it('should warn about unknown element types instead of rejecting the file', function() {
+            const warnings = [];
+            const errors = validateDashboard(dashboard([
+                { id: 'a', type: 'hologram', caption: 'A' },
+                { id: 'b', type: 'gauge', caption: 'B' }
+            ]), warnings);
+
+            expect(errors).to.deep.equal([]);
+            expect(warnings).to.have.length(1);
+            expect(warnings[0]).to.match(/^groups\[0\] "Heating" > elements\[0\] "A" > type: unknown element type "hologram" .*element skipped$/);
+        });
+
+        it('should report invalid format and color rules', function() {
+            const errors = validateDashboard(dashboard([
+                { id: 'a', type: 'gauge', caption: 'A', format: { decimals: 20 }, colorRules: [{ when: 'value >', color: 'warning' }] }
+            ]));
+
+            expect(errors[0]).to.match(/elements\[0\] "A" > format: Decimals must be/);
+            expect(errors[1]).to.match(/elements\[0\] "A" > colorRules: Color rule 1:/);
+        });
+
+        it('should report computed expressions using unknown inputs', function() {
+            const errors = validateDashboard(dashboard([
+                { id: 'a', type: 'computed', caption: 'Grid', inputs: { house: 'a.0.house' }, expression: 'house - pv' }
+            ]));
+
+            expect(errors).to.deep.equal(['groups[0] "Heating" > elements[0] "Grid" > expression: unknown variable "pv" (inputs: house)']);
+        });
+
+        it('should validate layout settings', function() {
+            const errors = validateDashboard(dashboard([], { layout: { groupWidth: 'wide' } }));
+            expect(errors).to.deep.equal(['layout > groupWidth: must be a number, got "wide"']);
+        });
+
+        it('should accept library includes next to groups', function() {
+            const config = dashboard([]);
+            config.groups.push({ include: 'groups/system-status' });
+            expect(validateDashboard(config)).to.deep.equal([]);
+        });
+
+        it('should reject includes outside the dashboard directory and fields next to include', function() {
+            const config = dashboard([]);
+            config.groups = [
+                { include: '../secrets' },
+                { include: '/etc/groups' },
+                { include: 'groups/system-status', title: 'System' },
+                { include: 42 }
+            ];
+
+            expect(validateDashboard(config)).to.deep.equal([
+                'groups[0] > include: must be a path inside the dashboard directory, got "../secrets"',
+                'groups[1] > include: must be a path inside the dashboard directory, got "/etc/groups"',
+                'groups[2] > title: not allowed next to include, edit the library group instead',
+                'groups[3] > include: must be a string, got 42'
+            ]);
+        });
+    });
+
+    describe('validateGroup', function() {
+        it('should validate a library group with its file as path', function() {
+            const group = { id: 'system', title: 'System', elements: [{ id: 'a', type: 'indicator', caption: 'Alive', min: 'x' }] };
+            expect(validateGroup(group, 'groups/system.json')).to.deep.equal([
+                'groups/system.json > elements[0] "Alive" > min: must be a number, got "x"'
+            ]);
+            expect(validateGroup([], 'groups/system.json')).to.deep.equal(['groups/system.json: must be an object, got []']);
+        });
+    });
+
+    describe('formatValidationErrors', function() {
+        it('should list a limited number of problems', function() {
+            const message = formatValidationErrors(['a: x', 'b: y', 'c: z'], 2);
+            expect(message).to.equal('Invalid configuration (3 problems): a: x; b: y; and 1 more');
+        });
+    });
+});
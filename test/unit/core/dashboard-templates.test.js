@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import {
+    BUILT_IN_TEMPLATES,
+    normalizeTemplate,
+    getTemplateVariables,
+    instantiateTemplate
+} from '../../../dashboard-templates.js';
+
+const ROOM_TEMPLATE = {
+    description: 'Room',
+    variables: {
+        room: { description: 'Room name' },
+        max: { description: 'Highest setpoint', default: 28 }
+    },
+    groups: [{
+        id: 'room-${room}',
+        title: '${room}',
+        elements: [
+            { id: 'setpoint', type: 'number', caption: '${room} Setpoint', stateId: '${device}.SET_POINT', max: '${max}' }
+        ]
+    }]
+};
+
+describe('Dashboard templates', function() {
+    describe('normalizeTemplate', function() {
+        it('should collect declared and undeclared variables', function() {
+            const template = normalizeTemplate(ROOM_TEMPLATE, 'room');
+
+            expect(getTemplateVariables(template)).to.deep.equal([
+                { name: 'room', description: 'Room name', default: null, required: true },
+                { name: 'max', description: 'Highest setpoint', default: 28, required: false },
+                { name: 'device', description: '', default: null, required: true }
+            ]);
+        });
+
+        it('should reject templates without groups', function() {
+            expect(() => normalizeTemplate({ description: 'Empty' }, 'empty')).to.throw('Template "empty" needs a list of groups');
+            expect(() => normalizeTemplate([], 'list')).to.throw('Template "list" must contain an object');
+        });
+
+        it('should accept all built-in templates', function() {
+            for (const [name, template] of Object.entries(BUILT_IN_TEMPLATES)) {
+                expect(() => normalizeTemplate(template, name)).to.not.throw();
+            }
+        });
+    });
+
+    describe('instantiateTemplate', function() {
+        const template = normalizeTemplate(ROOM_TEMPLATE, 'room');
+
+        it('should substitute variables in every text field', function() {
+            const [group] = instantiateTemplate(template, { room: 'Kitchen', device: 'hm-rpc.0.ABC123' });
+
+            expect(group.id).to.equal('room-Kitchen');
+            expect(group.title).to.equal('Kitchen');
+            expect(group.elements[0]).to.include({ caption: 'Kitchen Setpoint', stateId: 'hm-rpc.0.ABC123.SET_POINT' });
+        });
+
+        it('should use defaults and turn numeric fields into numbers', function() {
+            const [defaults] = instantiateTemplate(template, { room: 'Bath', device: 'a.0' });
+            const [given] = instantiateTemplate(template, { room: 'Bath', device: 'a.0', max: '24.5' });
+
+            expect(defaults.elements[0].max).to.equal(28);
+            expect(given.elements[0].max).to.equal(24.5);
+        });
+
+        it('should not modify the template', function() {
+            instantiateTemplate(template, { room: 'Kitchen', device: 'a.0' });
+            expect(template.groups[0].title).to.equal('${room}');
+        });
+
+        it('should name missing and unknown variables', function() {
+            expect(() => instantiateTemplate(template, { room: 'Kitchen' }))
+                .to.throw('Missing variable "device" (template room needs: room, device)');
+            expect(() => instantiateTemplate(template, { room: 'Kitchen', device: 'a.0', rooom: 'x' }))
+                .to.throw('Unknown variable "rooom" (template room uses: room, max, device)');
+        });
+
+        it('should validate the created groups', function() {
+            expect(() => instantiateTemplate(template, { room: 'Kitchen', device: 'a.0', max: 'high' }))
+                .to.throw('template room > groups[0] > elements[0] "Kitchen Setpoint" > max: must be a number, got "high"');
+        });
+
+        it('should create the rooms of the built-in temperature template', function() {
+            const temperature = normalizeTemplate(BUILT_IN_TEMPLATES.temperature, 'temperature');
+            const [group] = instantiateTemplate(temperature, { room: 'Office', device: 'zigbee.0.office_climate' });
+
+            expect(group).to.include({ id: 'climate-Office', title: 'Office' });
+            expect(group.elements.map(element => element.stateId)).to.deep.equal([
+                'zigbee.0.office_climate.temperature',
+                'zigbee.0.office_climate.humidity',
+                'zigbee.0.office_climate.setpoint'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+import { expect } from 'chai';
+import { createElement, ELEMENT_CLASSES } from '../../../dashboard-elements.js';
+import ConfigManager from '../../../config-manager.js';
+import LayoutEngine from '../../../layout-engine.js';
+
+// One config per element type with every property set to a non-default value.
+// New element types and properties need an entry here to be covered
+const FIXTURES = {
+    text: { type: 'text', caption: 'Status', stateId: 'a.0.status', unit: '', interactive: false,
+        format: { labels: { ok: 'Fine' } }, colorRules: [{ when: "value == 'error'", color: 'error' }] },
+    switch: { type: 'switch', caption: 'Pump', stateId: 'a.0.pump', unit: '', interactive: true },
+    slider: { type: 'slider', caption: 'Dimmer', stateId: 'a.0.dimmer', unit: '%', min: 10, max: 90, step: 5, interactive: true },
+    gauge: { type: 'gauge', caption: 'CPU', stateId: 'a.0.cpu', unit: '%', min: 0, max: 100, interactive: false,
+        thresholds: { warning: 70, critical: 90 }, barLength: 14, format: { decimals: 0 } },
+    number: { type: 'number', caption: 'Timer', stateId: 'a.0.timer', unit: 's', min: 0, max: 600, interactive: true,
+        step: 30, decimals: 0, confirmTimeout: 8000 },
+    dropdown: { type: 'dropdown', caption: 'Mode', stateId: 'a.0.mode', unit: '', interactive: true,
+        states: { 0: 'Off', 1: 'Heat' }, valueType: 'number' },
+    blind: { type: 'blind', caption: 'Shutter', stateId: 'a.0.level', unit: '%', min: 0, max: 100, interactive: true,
+        controls: { open: 'a.0.open', close: 'a.0.close', stop: 'a.0.stop' }, step: 20, barLength: 8, travelTimeout: 30000 },
+    thermostat: { type: 'thermostat', caption: 'Bath', stateId: 'a.0.actual', unit: '°C', min: 5, max: 30, interactive: true,
+        bindings: { setpoint: 'a.0.setpoint', mode: 'a.0.mode', valve: 'a.0.valve' }, modeStates: { 0: 'Auto', 1: 'Manual' },
+        step: 0.5, decimals: 1 },
+    sparkline: { type: 'sparkline', caption: 'Trend', stateId: 'a.0.power', unit: 'W', interactive: false,
+        history: { window: '2h', aggregate: 'max', width: 20, instance: 'sql.0' } },
+    chart: { type: 'chart', caption: 'Power', stateId: 'a.0.power', unit: 'W', interactive: false,
+        history: { window: '30m', aggregate: 'last', width: 30 }, height: 6 },
+    log: { type: 'log', caption: 'Messages', stateId: 'a.0.message', unit: '', interactive: false, height: 8 },
+    bars: { type: 'bars', caption: 'Rooms', unit: 'W', min: 0, max: 2000, interactive: false,
+        bars: [{ stateId: 'a.0.kitchen', caption: 'Kitchen' }, { stateId: 'a.0.office', caption: 'Office' }] },
+    computed: { type: 'computed', caption: 'Grid', unit: 'W', interactive: false,
+        inputs: { house: 'a.0.house', pv: 'a.0.pv' }, expression: 'house - pv', decimals: 0 }
+};
+
+describe('Element serialization', function() {
+    it('should have a fixture for every element class', function() {
+        expect(Object.keys(FIXTURES)).to.include.members(Object.keys(ELEMENT_CLASSES));
+    });
+
+    Object.entries(FIXTURES).forEach(([type, config]) => {
+        it(`should keep every property of ${type} elements through toJSON/fromJSON`, function() {
+            const fixture = { id: `${type}_1`, ...config };
+            const element = createElement(fixture);
+
+            const json = JSON.parse(JSON.stringify(element));
+            expect(json).to.deep.include(fixture);
+
+            const restored = createElement(json);
+            expect(restored).to.be.instanceOf(element.constructor);
+            expect(JSON.parse(JSON.stringify(restored))).to.deep.equal(json);
+        });
+    });
+
+    it('should save and load all properties through the config manager', async function() {
+        const layoutEngine = new LayoutEngine({ terminalWidth: 120, terminalHeight: 40 });
+        const manager = new ConfigManager({ autoSave: false });
+        manager.layoutEngine = layoutEngine;
+
+        const elements = Object.entries(FIXTURES).map(([type, config]) => createElement({ id: `${type}_1`, ...config }));
+        layoutEngine.addGroup({ id: 'all', title: 'All', elements });
+
+        const saved = JSON.parse(JSON.stringify(manager.createConfig()));
+        await manager.applyConfig(saved);
+
+        const reloaded = JSON.parse(JSON.stringify(manager.createConfig()));
+        expect(reloaded.groups).to.deep.equal(saved.groups);
+        expect(saved.groups[0].elements.find(element => element.type === 'slider').step).to.equal(5);
+    });
+});
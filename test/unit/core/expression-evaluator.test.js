@@ -0,0 +1,64 @@
+import { expect } from 'chai';
+import { parseExpression, evaluateExpression, getExpressionVariables, compileExpression } from '../../../expression-evaluator.js';
+
+describe('Expression evaluator', function() {
+    function evaluate(source, variables = {}) {
+        return evaluateExpression(parseExpression(source), variables);
+    }
+
+    it('should respect operator precedence and parentheses', function() {
+        expect(evaluate('1 + 2 * 3')).to.equal(7);
+        expect(evaluate('(1 + 2) * 3')).to.equal(9);
+        expect(evaluate('-2 * -3 + 10 % 4')).to.equal(8);
+        expect(evaluate('house - pv - battery', { house: 1500, pv: 1200, battery: 100 })).to.equal(200);
+    });
+
+    it('should evaluate comparisons, logic and conditionals', function() {
+        expect(evaluate('a > 20 && b <= 5', { a: 21, b: 5 })).to.be.true;
+        expect(evaluate('!open || locked', { open: true, locked: false })).to.be.false;
+        expect(evaluate('mode == 1', { mode: '1' })).to.be.true;
+        expect(evaluate('t > 25 ? 1 : t < 18 ? -1 : 0', { t: 10 })).to.equal(-1);
+    });
+
+    it('should provide aggregate functions', function() {
+        const values = { a: 4, b: 8, c: 3 };
+
+        expect(evaluate('min(a, b, c)', values)).to.equal(3);
+        expect(evaluate('max(a, b, c)', values)).to.equal(8);
+        expect(evaluate('sum(a, b, c)', values)).to.equal(15);
+        expect(evaluate('avg(a, b, c)', values)).to.equal(5);
+        expect(evaluate('round(10 / 3, 2)')).to.equal(3.33);
+        expect(evaluate('count(x, y, z)', { x: true, y: false, z: true })).to.equal(2);
+    });
+
+    it('should return null while an input has no value or for non-finite results', function() {
+        expect(evaluate('a + b', { a: 1, b: null })).to.be.null;
+        expect(evaluate('a / b', { a: 1, b: 0 })).to.be.null;
+    });
+
+    it('should list the variables of an expression', function() {
+        expect(getExpressionVariables(parseExpression('sum(a, b) > limit ? a : b'))).to.deep.equal(['a', 'b', 'limit']);
+        expect(compileExpression('pv * 2').variables).to.deep.equal(['pv']);
+    });
+
+    it('should reject anything that is not part of the expression language', function() {
+        const invalid = [
+            ['', /empty/],
+            ['1 +', /end of expression/],
+            ['(1 + 2', /Expected "\)"/],
+            ['process.exit(1)', /Unexpected character "\."/],
+            ['constructor(1)', /Unknown function "constructor"/],
+            ['eval(1)', /Unknown function "eval"/],
+            ['a = 1', /Unexpected character "=" at position 3/],
+            ['1 2', /Unexpected "2"/]
+        ];
+
+        invalid.forEach(([source, message]) => {
+            expect(() => parseExpression(source), source).to.throw(message);
+        });
+    });
+
+    it('should reject variables without a value', function() {
+        expect(() => evaluate('toString + 1')).to.throw(/Unknown variable "toString"/);
+    });
+});
@@ -0,0 +1,310 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { EventEmitter } from 'events';
+import IoBrokerClient from '../../../iobroker-client.js';
+import DashboardElement from '../../../dashboard-elements.js';
+
+describe('IoBrokerClient', function() {
+    let client;
+    let mockSocket;
+
+    beforeEach(function() {
+        mockSocket = new EventEmitter();
+        sinon.spy(mockSocket, 'emit');
+
+        client = new IoBrokerClient({ url: 'http://localhost:8082' });
+        client.socket = mockSocket;
+        client.connected = true;
+        client.setupEventListeners();
+    });
+
+    function socketCalls(event) {
+        return mockSocket.emit.getCalls()
+            .filter(call => call.args[0] === event)
+            .map(call => call.args[1]);
+    }
+
+    describe('subscription set', function() {
+        it('should subscribe to each state ID individually', function() {
+            client.setSubscriptions(['a.0.power', 'b.0.temp']);
+
+            expect(socketCalls('subscribe')).to.deep.equal(['a.0.power', 'b.0.temp']);
+            expect(client.getSubscriptions()).to.have.members(['a.0.power', 'b.0.temp']);
+        });
+
+        it('should only send the difference when the set changes', function() {
+            client.setSubscriptions(['a.0.power', 'b.0.temp']);
+            mockSocket.emit.resetHistory();
+
+            client.setSubscriptions(['b.0.temp', 'c.0.switch']);
+
+            expect(socketCalls('unsubscribe')).to.deep.equal(['a.0.power']);
+            expect(socketCalls('subscribe')).to.deep.equal(['c.0.switch']);
+        });
+
+        it('should ignore duplicate and empty IDs', function() {
+            client.setSubscriptions(['a.0.power', 'a.0.power', undefined, '']);
+
+            expect(socketCalls('subscribe')).to.deep.equal(['a.0.power']);
+        });
+
+        it('should keep the set while disconnected without emitting', function() {
+            client.connected = false;
+
+            client.addSubscription('a.0.power');
+
+            expect(mockSocket.emit).to.not.have.been.called;
+            expect(client.getSubscriptions()).to.deep.equal(['a.0.power']);
+        });
+
+        it('should remove a single subscription', function() {
+            client.addSubscription('a.0.power');
+
+            expect(client.removeSubscription('a.0.power')).to.be.true;
+            expect(client.removeSubscription('a.0.power')).to.be.false;
+            expect(socketCalls('unsubscribe')).to.deep.equal(['a.0.power']);
+        });
+
+        it('should resubscribe the whole set', function() {
+            client.connected = false;
+            client.setSubscriptions(['a.0.power', 'b.0.temp']);
+            client.connected = true;
+
+            client.resubscribeAll();
+
+            expect(socketCalls('subscribe')).to.deep.equal(['a.0.power', 'b.0.temp']);
+        });
+    });
+
+    describe('state dispatcher', function() {
+        let power;
+        let powerCopy;
+        let temp;
+
+        beforeEach(function() {
+            power = new DashboardElement({ id: 'p1', type: 'gauge', caption: 'Power', stateId: 'a.0.power' });
+            powerCopy = new DashboardElement({ id: 'p2', type: 'number', caption: 'Power 2', stateId: 'a.0.power' });
+            temp = new DashboardElement({ id: 't1', type: 'gauge', caption: 'Temp', stateId: 'b.0.temp' });
+            [power, powerCopy, temp].forEach(element => element.connect(client));
+        });
+
+        it('should not add a stateChange listener per element', function() {
+            expect(client.listenerCount('stateChange')).to.equal(0);
+        });
+
+        it('should route state changes only to elements bound to the state', function() {
+            mockSocket.emit('stateChange', 'a.0.power', { val: 1200 });
+
+            expect(power.value).to.equal(1200);
+            expect(powerCopy.value).to.equal(1200);
+            expect(temp.value).to.be.undefined;
+        });
+
+        it('should stop routing to disconnected elements', function() {
+            power.disconnect();
+            mockSocket.emit('stateChange', 'a.0.power', { val: 1200 });
+
+            expect(power.value).to.be.undefined;
+            expect(powerCopy.value).to.equal(1200);
+        });
+
+        it('should forget a state ID once its last element is gone', function() {
+            power.disconnect();
+            powerCopy.disconnect();
+
+            expect(client.getRegisteredStateIds()).to.deep.equal(['b.0.temp']);
+        });
+
+        it('should fetch initial values in one getStates request', async function() {
+            mockSocket.on('getStates', (ids, callback) => {
+                callback(null, {
+                    'a.0.power': { val: 500 },
+                    'b.0.temp': { val: 21.5 }
+                });
+            });
+
+            await client.refreshElementStates();
+
+            expect(socketCalls('getStates')).to.have.lengthOf(1);
+            expect(socketCalls('getStates')[0]).to.have.members(['a.0.power', 'b.0.temp']);
+            expect(power.value).to.equal(500);
+            expect(powerCopy.value).to.equal(500);
+            expect(temp.value).to.equal(21.5);
+        });
+    });
+
+    describe('channel discovery', function() {
+        it('should list the state objects below a channel', async function() {
+            mockSocket.on('getObjectView', (design, search, params, callback) => {
+                callback(null, {
+                    rows: [
+                        { id: 'hm-rpc.0.LEQ01.1.LEVEL', value: { common: { role: 'level.blind' } } },
+                        { id: 'hm-rpc.0.LEQ01.1.STOP', value: { common: { role: 'button.stop' } } }
+                    ]
+                });
+            });
+
+            const objects = await client.getChildObjects('hm-rpc.0.LEQ01.1');
+
+            expect(Object.keys(objects)).to.deep.equal(['hm-rpc.0.LEQ01.1.LEVEL', 'hm-rpc.0.LEQ01.1.STOP']);
+            const params = mockSocket.emit.getCalls().find(call => call.args[0] === 'getObjectView').args[3];
+            expect(params).to.deep.equal({ startkey: 'hm-rpc.0.LEQ01.1.', endkey: 'hm-rpc.0.LEQ01.1.\u9999' });
+        });
+
+        it('should list the enums of a category with their members', async function() {
+            mockSocket.on('getObjectView', (design, search, params, callback) => {
+                callback(null, {
+                    rows: [
+                        { id: 'enum.rooms.kitchen', value: { common: { name: 'Kitchen', members: ['hm-rpc.0.LEQ01'] } } }
+                    ]
+                });
+            });
+
+            const enums = await client.getEnums('rooms');
+
+            expect(enums['enum.rooms.kitchen'].common.members).to.deep.equal(['hm-rpc.0.LEQ01']);
+            const call = mockSocket.emit.getCalls().find(candidate => candidate.args[0] === 'getObjectView');
+            expect(call.args.slice(1, 4)).to.deep.equal(['system', 'enum', { startkey: 'enum.rooms.', endkey: 'enum.rooms.\u9999' }]);
+        });
+    });
+
+    describe('authentication', function() {
+        it('should not add auth options without credentials', function() {
+            expect(client.buildAuthOptions()).to.deep.equal({});
+        });
+
+        it('should pass user and password in the handshake query', function() {
+            client.config.auth = { user: 'admin', password: 'secret' };
+
+            expect(client.buildAuthOptions()).to.deep.equal({
+                query: { user: 'admin', pass: 'secret' }
+            });
+        });
+
+        it('should prefer a token over user/password', function() {
+            client.config.auth = { user: 'admin', password: 'secret', token: 'abc123' };
+
+            const options = client.buildAuthOptions();
+
+            expect(options.query).to.deep.equal({ token: 'abc123' });
+            expect(options.extraHeaders.Authorization).to.equal('Bearer abc123');
+        });
+
+        it('should recognize rejected credentials', function() {
+            expect(client.isAuthError(new Error('Invalid password'))).to.be.true;
+            expect(client.isAuthError('User not authorized')).to.be.true;
+            expect(client.isAuthError({ message: 'xhr poll error', description: 401 })).to.be.true;
+            expect(client.isAuthError(new Error('websocket error'))).to.be.false;
+        });
+
+        it('should create a clear authentication error', function() {
+            const error = client.createAuthError(new Error('Invalid password'));
+
+            expect(error.message).to.equal('Authentication failed: Invalid password');
+            expect(error.code).to.equal('AUTH_FAILED');
+        });
+    });
+
+    describe('connection state machine', function() {
+        let element;
+
+        beforeEach(function() {
+            element = new DashboardElement({ id: 'p1', type: 'gauge', caption: 'Power', stateId: 'a.0.power' });
+            element.connect(client);
+            client.addSubscription('a.0.power');
+
+            mockSocket.on('getStates', (ids, callback) => {
+                callback(null, { 'a.0.power': { val: 750 } });
+            });
+
+            // Initial connect
+            mockSocket.emit('connect');
+            mockSocket.emit.resetHistory();
+        });
+
+        it('should be connected after the first connect', function() {
+            expect(client.connectionState).to.equal('connected');
+            expect(client.isConnected()).to.be.true;
+        });
+
+        it('should switch to reconnecting and mark elements stale on connection loss', function() {
+            const states = [];
+            client.on('connectionStateChanged', ({ state }) => states.push(state));
+
+            mockSocket.emit('disconnect', 'transport close');
+            mockSocket.emit('reconnect_attempt', 1);
+
+            expect(states).to.deep.equal(['reconnecting']);
+            expect(client.connectionState).to.equal('reconnecting');
+            expect(client.reconnectAttempt).to.equal(1);
+            expect(element.stale).to.be.true;
+        });
+
+        it('should resubscribe and refetch displayed states after reconnect', async function() {
+            mockSocket.emit('disconnect', 'transport close');
+
+            const resynced = new Promise(resolve => client.once('resynced', resolve));
+            mockSocket.emit('connect');
+            const result = await resynced;
+
+            expect(client.connectionState).to.equal('connected');
+            expect(socketCalls('subscribe')).to.deep.equal(['a.0.power']);
+            expect(socketCalls('getStates')).to.have.lengthOf(1);
+            expect(result.count).to.equal(1);
+            expect(element.value).to.equal(750);
+            expect(element.stale).to.be.false;
+        });
+
+        it('should end in disconnected state on a client-side disconnect', function() {
+            mockSocket.emit('disconnect', 'io client disconnect');
+
+            expect(client.connectionState).to.equal('disconnected');
+        });
+
+        it('should retry after the server closed the connection', function() {
+            mockSocket.connect = sinon.spy();
+
+            mockSocket.emit('disconnect', 'io server disconnect');
+
+            expect(client.connectionState).to.equal('reconnecting');
+            expect(mockSocket.connect).to.have.been.calledOnce;
+        });
+
+        it('should retry forever by default', function() {
+            expect(client.config.reconnectionAttempts).to.equal(Infinity);
+        });
+    });
+
+    describe('offline start', function() {
+        let element;
+
+        beforeEach(function() {
+            client.connected = false;
+            client.connectionState = 'connecting';
+            element = new DashboardElement({ id: 'p1', type: 'gauge', caption: 'Power', stateId: 'a.0.power' });
+            element.connect(client);
+        });
+
+        it('should show cached last-known values on registered elements', function() {
+            client.states.set('a.0.power', { val: 420, ts: 1000 });
+
+            expect(client.applyCachedStates()).to.equal(1);
+            expect(element.value).to.equal(420);
+            expect(element.lastUpdate).to.equal(1000);
+        });
+
+        it('should fetch values on the first connect when elements are already displayed', async function() {
+            mockSocket.on('getStates', (ids, callback) => {
+                callback(null, { 'a.0.power': { val: 900 } });
+            });
+            client.setElementsStale(true);
+
+            const resynced = new Promise(resolve => client.once('resynced', resolve));
+            mockSocket.emit('connect');
+            await resynced;
+
+            expect(element.value).to.equal(900);
+            expect(element.stale).to.be.false;
+        });
+    });
+});
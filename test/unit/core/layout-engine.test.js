@@ -191,6 +191,37 @@ describe('LayoutEngine', function() {
             expect(short1.column).to.equal(1);
             expect(short2.column).to.equal(1);
         });
+
+        it('should count the height of multi-line elements', function() {
+            settingsManager.set('layout.columns', 2);
+            
+            layoutEngine.addGroup({ 
+                id: 'charts', 
+                title: 'Charts', 
+                elements: [{ id: 'chart', getHeight: () => 6 }, { id: 'e1' }] 
+            });
+            layoutEngine.addGroup({ 
+                id: 'values', 
+                title: 'Values', 
+                elements: [{ id: 'e2' }, { id: 'e3', height: 3 }] 
+            });
+            layoutEngine.addGroup({ 
+                id: 'more', 
+                title: 'More', 
+                elements: [{ id: 'e4' }] 
+            });
+            
+            const layout = layoutEngine.calculateLayout();
+            const charts = layout.groups.find(g => g.id === 'charts');
+            const values = layout.groups.find(g => g.id === 'values');
+            
+            // 7 element lines + 2 border lines
+            expect(charts.height).to.equal(9);
+            expect(values.height).to.equal(6);
+            
+            // Third group goes below the shorter values group
+            expect(layout.groups.find(g => g.id === 'more').column).to.equal(values.column);
+        });
     });
 
     describe('settings integration', function() {
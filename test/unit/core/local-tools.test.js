@@ -2,6 +2,7 @@ import { expect } from 'chai';
 import sinon from 'sinon';
 import { createTestUserDataDir, cleanupTestDir } from '../../helpers/test-setup.js';
 import { LocalToolRegistry } from '../../../local-tools.js';
+import { createElement } from '../../../dashboard-elements.js';
 
 describe('LocalToolRegistry', function() {
     let localTools;
@@ -156,6 +157,74 @@ describe('LocalToolRegistry', function() {
                 })
             );
         });
+
+        it('should pass gauge thresholds', async function() {
+            const input = {
+                group: 'Group 1',
+                type: 'gauge',
+                caption: 'CPU',
+                stateId: 'system.host.cpu',
+                thresholds: { warning: 70, critical: 90 }
+            };
+
+            await localTools.callTool('add_dashboard_element', input);
+
+            expect(mockDashboard.tools.addElement).to.have.been.calledWith(
+                sinon.match.string,
+                sinon.match({ thresholds: { warning: 70, critical: 90 } })
+            );
+        });
+        it('should accept bars and computed elements without stateId', async function() {
+            let result = await localTools.callTool('add_dashboard_element', {
+                group: 'Group 1', type: 'bars', caption: 'Rooms', bars: [{ stateId: 'a.0.kitchen' }]
+            });
+            expect(result.success).to.be.true;
+
+            result = await localTools.callTool('add_dashboard_element', {
+                group: 'Group 1', type: 'computed', caption: 'Grid', inputs: { house: 'a.0.house', pv: 'a.0.pv' }, expression: 'house - pv'
+            });
+            expect(result.success).to.be.true;
+
+            result = await localTools.callTool('add_dashboard_element', { group: 'Group 1', type: 'gauge', caption: 'Power' });
+            expect(result.success).to.be.false;
+            expect(result.error).to.include('Missing required field: stateId');
+        });
+
+        it('should make dropdowns interactive', async function() {
+            await localTools.callTool('add_dashboard_element', { group: 'Group 1', type: 'dropdown', caption: 'Mode', stateId: 'a.0.mode' });
+
+            expect(mockDashboard.tools.addElement).to.have.been.calledWith('g1', sinon.match({ interactive: true }));
+        });
+
+        it('should connect added elements to the ioBroker client', async function() {
+            const element = createElement({ id: 'power', type: 'gauge', caption: 'Power', stateId: 'a.0.power' });
+            mockDashboard.tools.addElement.resolves({ success: true, element });
+            mockDashboard.attachElementListeners = sinon.spy();
+            mockDashboard.loadElementHistory = sinon.spy();
+            mockDashboard.client = {
+                isConnected: sinon.stub().returns(true),
+                registerElement: sinon.spy(),
+                unregisterElement: sinon.spy(),
+                refreshElementStates: sinon.stub().resolves({})
+            };
+
+            await localTools.callTool('add_dashboard_element', { group: 'Group 1', type: 'gauge', caption: 'Power', stateId: 'a.0.power' });
+
+            expect(mockDashboard.client.registerElement).to.have.been.calledWith(element);
+            expect(mockDashboard.attachElementListeners).to.have.been.calledWith(element);
+            expect(mockDashboard.client.refreshElementStates).to.have.been.calledWith(['a.0.power']);
+
+            // Offline the element is registered, the resync after connecting fetches its value
+            mockDashboard.client.isConnected.returns(false);
+            mockDashboard.client.refreshElementStates.resetHistory();
+            const offline = createElement({ id: 'temp', type: 'gauge', caption: 'Temp', stateId: 'a.0.temp' });
+            mockDashboard.tools.addElement.resolves({ success: true, element: offline });
+
+            await localTools.callTool('add_dashboard_element', { group: 'Group 1', type: 'gauge', caption: 'Temp', stateId: 'a.0.temp' });
+
+            expect(mockDashboard.client.registerElement).to.have.been.calledWith(offline);
+            expect(mockDashboard.client.refreshElementStates).to.not.have.been.called;
+        });
     });
 
     describe('create_dashboard_group tool', function() {
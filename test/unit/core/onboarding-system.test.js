@@ -0,0 +1,16 @@
+import { expect } from 'chai';
+import { OnboardingSystem } from '../../../onboarding-system.js';
+
+describe('OnboardingSystem', function() {
+    it('should mark only the password and API key steps as secret input', function() {
+        const onboarding = new OnboardingSystem({});
+
+        const secretSteps = ['socketio-url', 'iobroker-user', 'iobroker-password', 'color-scheme', 'ai-api-key', 'mcp-url']
+            .filter(step => {
+                onboarding.currentStep = step;
+                return onboarding.isSecretInput();
+            });
+
+        expect(secretSteps).to.deep.equal(['iobroker-password', 'ai-api-key']);
+    });
+});
@@ -0,0 +1,140 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'fs/promises';
+import path from 'path';
+import { StateCache } from '../../../state-cache.js';
+import { createTestUserDataDir, cleanupTestDir } from '../../helpers/test-setup.js';
+
+describe('StateCache', function() {
+    let testDataDir;
+    let cache;
+
+    beforeEach(async function() {
+        testDataDir = await createTestUserDataDir();
+        cache = new StateCache({ cacheDir: path.join(testDataDir, 'cache') });
+        await cache.load();
+    });
+
+    afterEach(async function() {
+        await cache.destroy();
+        await cleanupTestDir(testDataDir);
+    });
+
+    it('should start empty when no cache files exist', function() {
+        expect(cache.objects.size).to.equal(0);
+        expect(cache.states.size).to.equal(0);
+    });
+
+    it('should persist objects and states across instances', async function() {
+        cache.setObject('a.0.power', { common: { type: 'number', unit: 'W' } });
+        cache.setState('a.0.power', { val: 1200, ts: 1000 });
+        await cache.save();
+
+        const reloaded = new StateCache({ cacheDir: cache.config.cacheDir });
+        await reloaded.load();
+
+        expect(reloaded.getObject('a.0.power').common.unit).to.equal('W');
+        expect(reloaded.getState('a.0.power').val).to.equal(1200);
+        await reloaded.destroy();
+    });
+
+    it('should start empty from a corrupt cache file without an unhandled error', async function() {
+        await fs.writeFile(cache.statesFile, '{"version":1,"entries":{"a.0');
+        const warningSpy = sinon.spy();
+        cache.on('warning', warningSpy);
+
+        await cache.load();
+
+        expect(cache.states.size).to.equal(0);
+        expect(warningSpy).to.have.been.calledOnce;
+        expect(warningSpy.firstCall.args[0]).to.include('states.json');
+    });
+
+    it('should write cache files through a temporary file', async function() {
+        cache.setState('a.0.power', { val: 1200 });
+        await cache.save();
+
+        const files = await fs.readdir(cache.config.cacheDir);
+        expect(files.sort()).to.deep.equal(['objects.json', 'states.json']);
+        expect(JSON.parse(await fs.readFile(cache.statesFile, 'utf8')).entries['a.0.power'].data.val).to.equal(1200);
+    });
+
+    it('should save within the save delay while a state keeps changing', async function() {
+        const clock = sinon.useFakeTimers();
+        const save = sinon.stub(cache, 'save').resolves();
+
+        try {
+            // A power meter updating every 500 ms must not postpone saving forever
+            for (let tick = 0; tick < 10; tick++) {
+                cache.setState('a.0.power', { val: tick });
+                await clock.tickAsync(500);
+            }
+        } finally {
+            clock.restore();
+        }
+
+        expect(save.callCount).to.be.at.least(2);
+    });
+
+    it('should report failed background saves as a warning', async function() {
+        const clock = sinon.useFakeTimers();
+        const warningSpy = sinon.spy();
+        cache.on('warning', warningSpy);
+        sinon.stub(cache, 'save').rejects(new Error('disk full'));
+
+        try {
+            cache.setState('a.0.power', { val: 1 });
+            await clock.tickAsync(cache.config.saveDelay);
+        } finally {
+            clock.restore();
+            cache.save.restore();
+        }
+
+        expect(warningSpy).to.have.been.calledWith('Could not save cache: disk full');
+    });
+
+    it('should report expired object metadata', function() {
+        const clock = sinon.useFakeTimers(Date.now());
+        cache.setObject('a.0.power', { common: {} });
+
+        expect(cache.isObjectExpired('a.0.power')).to.be.false;
+        expect(cache.isObjectExpired('b.0.unknown')).to.be.true;
+
+        clock.tick(cache.config.objectTtl + 1);
+        expect(cache.isObjectExpired('a.0.power')).to.be.true;
+        expect(cache.getObject('a.0.power')).to.deep.equal({ common: {} });
+    });
+
+    it('should not return state values older than the state TTL', function() {
+        const clock = sinon.useFakeTimers(Date.now());
+        cache.setState('a.0.power', { val: 1 });
+
+        clock.tick(cache.config.stateTtl + 1);
+
+        expect(cache.getState('a.0.power')).to.be.null;
+        expect(cache.list('states')[0].expired).to.be.true;
+    });
+
+    it('should clear only the requested type', async function() {
+        cache.setObject('a.0.power', { common: {} });
+        cache.setState('a.0.power', { val: 1 });
+
+        await cache.clear('states');
+
+        expect(cache.states.size).to.equal(0);
+        expect(cache.objects.size).to.equal(1);
+    });
+
+    it('should report statistics', async function() {
+        cache.setObject('a.0.power', { common: {} });
+        cache.setState('a.0.power', { val: 1 });
+        cache.setState('b.0.temp', { val: 2 });
+        await cache.save();
+
+        const stats = await cache.getStats();
+
+        expect(stats.objects).to.equal(1);
+        expect(stats.states).to.equal(2);
+        expect(stats.sizeOnDisk).to.be.above(0);
+    });
+});
@@ -71,6 +71,42 @@ describe('UnifiedSettingsManager', function() {
         });
     });
 
+    describe('reloading settings.json', function() {
+        it('should report keys changed outside the app', async function() {
+            const fs = await import('fs/promises');
+            await settingsManager.set('layout.columns', 3);
+            await settingsManager.set('theme.name', 'matrix');
+            const changed = sinon.spy();
+            settingsManager.on('changed', changed);
+
+            await fs.writeFile(settingsManager.settingsFile, JSON.stringify({ layout: { columns: 2 } }));
+            const changes = await settingsManager.reloadPersistentConfig();
+
+            expect(changes).to.deep.equal([
+                { key: 'layout.columns', oldValue: 3, newValue: 2 },
+                { key: 'theme.name', oldValue: 'matrix', newValue: 'default' }
+            ]);
+            expect(changed).to.have.been.calledTwice;
+            expect(settingsManager.get('layout.columns')).to.equal(2);
+        });
+
+        it('should keep the current settings when the file is not valid JSON', async function() {
+            const fs = await import('fs/promises');
+            await settingsManager.set('layout.columns', 3);
+            await fs.writeFile(settingsManager.settingsFile, '{ "layout": ');
+
+            let error = null;
+            try {
+                await settingsManager.reloadPersistentConfig();
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).to.be.instanceOf(SyntaxError);
+            expect(settingsManager.get('layout.columns')).to.equal(3);
+        });
+    });
+
     describe('column layout settings', function() {
         it('should have correct default column layout values', function() {
             expect(settingsManager.get('layout.columns')).to.equal(4);
@@ -0,0 +1,88 @@
+import { expect } from 'chai';
+import { normalizeFormat, formatWithRules, scaleUnit, formatDuration } from '../../../value-formatter.js';
+import { createElement } from '../../../dashboard-elements.js';
+
+describe('Value formatter', function() {
+    function stripAnsi(text) {
+        return text.replace(/\x1b\[[0-9;]*m/g, '');
+    }
+
+    it('should validate rules and drop empty ones', function() {
+        expect(normalizeFormat({ decimals: 2, scale: false, style: 'number', labels: {} })).to.deep.equal({ decimals: 2 });
+        expect(normalizeFormat({})).to.be.null;
+        expect(() => normalizeFormat({ decimals: -1 })).to.throw(/Decimals/);
+        expect(() => normalizeFormat({ style: 'currency' })).to.throw(/Style must be one of/);
+        expect(() => normalizeFormat({ durationUnit: 'weeks' })).to.throw(/Duration unit/);
+        expect(() => normalizeFormat({ locale: 'not a locale!' })).to.throw(/Invalid locale/);
+    });
+
+    it('should scale units to the best prefix', function() {
+        expect(scaleUnit(1500, 'W')).to.deep.equal({ value: 1.5, unit: 'kW' });
+        expect(scaleUnit(2300000, 'Wh')).to.deep.equal({ value: 2.3, unit: 'MWh' });
+        expect(scaleUnit(0.25, 'kWh')).to.deep.equal({ value: 250, unit: 'Wh' });
+        expect(scaleUnit(1500, '°C')).to.deep.equal({ value: 1500, unit: '°C' });
+    });
+
+    it('should format numbers with decimals, scaling and locale', function() {
+        expect(formatWithRules(21.456, { decimals: 2 }, { unit: '°C' })).to.equal('21.46°C');
+        expect(formatWithRules(1534, { scale: true }, { unit: 'W', decimals: 1 })).to.equal('1.5kW');
+        expect(formatWithRules(21.5, { locale: 'de-DE' }, { unit: '°C', decimals: 1 })).to.equal('21,5°C');
+        expect(formatWithRules('7.25', { decimals: 1 })).to.equal('7.3');
+    });
+
+    it('should map values to labels', function() {
+        const format = { labels: { true: 'Open', false: 'Closed', 2: 'Tilted' } };
+
+        expect(formatWithRules(true, format)).to.equal('Open');
+        expect(formatWithRules(false, format)).to.equal('Closed');
+        expect(formatWithRules(2, format)).to.equal('Tilted');
+        expect(formatWithRules(true, { decimals: 1 })).to.be.null;
+    });
+
+    it('should format durations and timestamps', function() {
+        expect(formatDuration(45000)).to.equal('45s');
+        expect(formatWithRules(3725, { style: 'duration' })).to.equal('1h 02m');
+        expect(formatWithRules(90, { style: 'duration', durationUnit: 'min' })).to.equal('1h 30m');
+        expect(formatWithRules(200000, { style: 'duration', durationUnit: 'min' })).to.equal('138d 21h');
+
+        const timestamp = new Date(2026, 2, 1, 12, 5, 30).getTime();
+        expect(formatWithRules(timestamp, { style: 'datetime' })).to.equal('2026-03-01 12:05');
+        expect(formatWithRules(timestamp / 1000, { style: 'time' })).to.equal('12:05:30');
+        expect(formatWithRules(timestamp, { style: 'date', locale: 'de-DE' })).to.equal('1.3.2026');
+    });
+
+    describe('element formatting', function() {
+        it('should apply rules from the element config and save them', function() {
+            const gauge = createElement({ type: 'gauge', caption: 'PV', stateId: 'pv.0.power', unit: 'W', format: { scale: true, decimals: 2 } });
+            gauge.updateValue(4321);
+
+            expect(gauge.formatValue()).to.equal('4.32kW');
+            expect(stripAnsi(gauge.render(30))).to.match(/PV\s+4\.32kW$/);
+            expect(gauge.getConfig().format).to.deep.equal({ scale: true, decimals: 2 });
+        });
+
+        it('should keep the default display where no rule applies', function() {
+            const indicator = createElement({ type: 'indicator', caption: 'Door', format: { labels: { true: 'Open', false: 'Closed' } } });
+            indicator.updateValue(false);
+            expect(indicator.formatValue()).to.equal('Closed');
+
+            const plain = createElement({ type: 'indicator', caption: 'Lamp', format: { decimals: 1 } });
+            plain.updateValue(true);
+            expect(plain.formatValue()).to.equal('ON');
+        });
+
+        it('should ignore invalid rules when loading', function() {
+            const element = createElement({ type: 'text', caption: 'Broken', format: { decimals: 'many' } });
+
+            expect(element.format).to.be.null;
+            expect(() => element.setFormat({ decimals: 'many' })).to.throw(/Decimals/);
+        });
+
+        it('should format number inputs', function() {
+            const setpoint = createElement({ type: 'number', caption: 'Heating', unit: '°C', step: 0.5, format: { locale: 'de-DE' } });
+            setpoint.updateValue(21.5);
+
+            expect(setpoint.formatValue()).to.equal('21,5°C');
+        });
+    });
+});
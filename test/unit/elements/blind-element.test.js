@@ -0,0 +1,130 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { BlindElement, createElement } from '../../../dashboard-elements.js';
+import { AddCommand } from '../../../commands/add-command.js';
+
+describe('BlindElement', function() {
+    let clock;
+    let client;
+    let blind;
+
+    const channel = {
+        'hm-rpc.0.LEQ01.1.LEVEL': { type: 'state', common: { role: 'level.blind', type: 'number', unit: '%', min: 0, max: 100, write: true } },
+        'hm-rpc.0.LEQ01.1.OPEN': { type: 'state', common: { role: 'button.open.blind', type: 'boolean' } },
+        'hm-rpc.0.LEQ01.1.CLOSE': { type: 'state', common: { role: 'button.close.blind', type: 'boolean' } },
+        'hm-rpc.0.LEQ01.1.STOP': { type: 'state', common: { role: 'button.stop', type: 'boolean' } },
+        'hm-rpc.0.LEQ01.1.WORKING': { type: 'state', common: { role: 'indicator.working', type: 'boolean' } }
+    };
+
+    function stripAnsi(text) {
+        return text.replace(/\x1b\[[0-9;]*m/g, '');
+    }
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers();
+        client = {
+            registerElement: sinon.spy(),
+            unregisterElement: sinon.spy(),
+            setState: sinon.stub().resolves()
+        };
+
+        blind = new BlindElement({
+            caption: 'Living Room',
+            ...BlindElement.discoverStates(channel)
+        });
+        blind.connect(client);
+        blind.updateValue(60);
+    });
+
+    afterEach(function() {
+        clock.restore();
+    });
+
+    it('should be created by the factory for blind configs', function() {
+        expect(createElement({ type: 'blind', caption: 'Kitchen' })).to.be.instanceOf(BlindElement);
+    });
+
+    it('should discover position and button states from a channel', function() {
+        expect(BlindElement.discoverStates(channel)).to.deep.equal({
+            stateId: 'hm-rpc.0.LEQ01.1.LEVEL',
+            controls: {
+                open: 'hm-rpc.0.LEQ01.1.OPEN',
+                close: 'hm-rpc.0.LEQ01.1.CLOSE',
+                stop: 'hm-rpc.0.LEQ01.1.STOP'
+            },
+            unit: '%',
+            min: 0,
+            max: 100,
+            interactive: true
+        });
+        expect(BlindElement.discoverStates({ 'a.0.temp': { common: { role: 'value.temperature' } } })).to.be.null;
+    });
+
+    it('should render the position as a bar', function() {
+        expect(stripAnsi(blind.render(40))).to.match(/Living Room\s+ ██████░░░░  60%/);
+    });
+
+    it('should press the open/close/stop buttons', async function() {
+        await blind.handleKey('ArrowUp');
+        expect(client.setState).to.have.been.calledWith('hm-rpc.0.LEQ01.1.OPEN', true);
+        expect(stripAnsi(blind.render(40))).to.include('▲');
+
+        await blind.handleKey('Space');
+        expect(client.setState).to.have.been.calledWith('hm-rpc.0.LEQ01.1.STOP', true);
+        expect(blind.motion).to.be.null;
+
+        await blind.handleKey('ArrowDown');
+        expect(client.setState).to.have.been.calledWith('hm-rpc.0.LEQ01.1.CLOSE', true);
+        expect(blind.motion).to.equal('closing');
+    });
+
+    it('should set the position with arrows and digits', async function() {
+        await blind.handleKey('ArrowRight');
+        expect(client.setState).to.have.been.calledWith('hm-rpc.0.LEQ01.1.LEVEL', 70);
+
+        await blind.handleKey('3');
+        expect(client.setState).to.have.been.calledWith('hm-rpc.0.LEQ01.1.LEVEL', 30);
+
+        expect(await blind.handleKey('x')).to.be.false;
+    });
+
+    it('should end the movement when the target is reached or after the travel timeout', async function() {
+        await blind.handleKey('ArrowUp');
+        blind.updateValue(80);
+        expect(blind.motion).to.equal('opening');
+        blind.updateValue(100);
+        expect(blind.motion).to.be.null;
+
+        await blind.handleKey('ArrowDown');
+        clock.tick(60000);
+        expect(blind.motion).to.be.null;
+    });
+
+    it('should fall back to the position state without buttons', async function() {
+        const simple = new BlindElement({ caption: 'Garage', stateId: 'shelly.0.roller.position' });
+        simple.connect(client);
+
+        await simple.handleKey('Home');
+        expect(client.setState).to.have.been.calledWith('shelly.0.roller.position', 100);
+        expect(await simple.handleKey('Space')).to.be.false;
+    });
+
+    it('should report failed commands', async function() {
+        client.setState.rejects(new Error('Device unreachable'));
+        const failed = sinon.spy();
+        blind.on('commandFailed', failed);
+
+        expect(await blind.handleKey('ArrowDown')).to.be.false;
+        expect(failed.firstCall.args[0]).to.include({ value: 'close', error: 'Device unreachable' });
+    });
+
+    it('should be built by AddCommand from a channel', async function() {
+        const command = new AddCommand({ client: { getChildObjects: sinon.stub().resolves({ ...channel }) } });
+
+        const compound = await command.discoverCompoundStates('hm-rpc.0.LEQ01.1', { type: 'channel', common: { role: 'blind' } });
+
+        expect(compound.type).to.equal('blind');
+        expect(compound.config.stateId).to.equal('hm-rpc.0.LEQ01.1.LEVEL');
+        expect(command.inferElementType({ type: 'number', role: 'level.blind' }, 'number')).to.equal('blind');
+    });
+});
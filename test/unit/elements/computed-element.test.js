@@ -0,0 +1,95 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { ComputedElement, createElement } from '../../../dashboard-elements.js';
+import { AddCommand } from '../../../commands/add-command.js';
+
+describe('ComputedElement', function() {
+    let element;
+
+    function stripAnsi(text) {
+        return text.replace(/\x1b\[[0-9;]*m/g, '');
+    }
+
+    beforeEach(function() {
+        element = new ComputedElement({
+            caption: 'Grid',
+            unit: 'W',
+            inputs: { house: 'meter.0.power', pv: 'pv.0.power' },
+            expression: 'house - pv',
+            decimals: 0
+        });
+    });
+
+    it('should be created by the factory', function() {
+        expect(createElement({ type: 'computed', caption: 'X', inputs: { a: 'a.0.x' }, expression: 'a' })).to.be.instanceOf(ComputedElement);
+    });
+
+    it('should be bound to all input states', function() {
+        expect(element.getStateIds()).to.deep.equal(['meter.0.power', 'pv.0.power']);
+        expect(element.isInteractive()).to.be.false;
+    });
+
+    it('should re-evaluate whenever an input changes', function() {
+        const changed = sinon.spy();
+        element.on('valueChanged', changed);
+
+        element.updateState('meter.0.power', { val: 1500 });
+        expect(element.value).to.be.null;
+        expect(stripAnsi(element.render(30))).to.match(/Grid\s+N\/A$/);
+
+        element.updateState('pv.0.power', { val: 1200 });
+        expect(element.value).to.equal(300);
+
+        element.updateState('pv.0.power', { val: 1800 });
+        expect(stripAnsi(element.render(30))).to.match(/Grid\s+-300W$/);
+        expect(changed).to.have.been.calledTwice;
+    });
+
+    it('should show booleans as YES/NO', function() {
+        const windows = new ComputedElement({
+            caption: 'Windows',
+            inputs: { kitchen: 'w.0.kitchen', bath: 'w.0.bath' },
+            expression: 'kitchen || bath'
+        });
+        windows.updateState('w.0.kitchen', { val: false });
+        windows.updateState('w.0.bath', { val: true });
+
+        expect(windows.formatValue()).to.equal('YES');
+    });
+
+    it('should show ERR for invalid expressions', function() {
+        const broken = new ComputedElement({ caption: 'Broken', inputs: { a: 'a.0.x' }, expression: 'a + b' });
+
+        expect(broken.error).to.match(/Unknown variable "b"/);
+        expect(stripAnsi(broken.render(30))).to.match(/Broken\s+ERR$/);
+    });
+
+    it('should save inputs and expression instead of a state ID', function() {
+        const config = element.getConfig();
+
+        expect(config).to.include({ type: 'computed', expression: 'house - pv', decimals: 0 });
+        expect(config.inputs).to.deep.equal({ house: 'meter.0.power', pv: 'pv.0.power' });
+        expect(config).to.not.have.property('stateId');
+    });
+
+    describe('AddCommand inputs', function() {
+        let command;
+
+        beforeEach(function() {
+            command = new AddCommand({});
+        });
+
+        it('should parse named and unnamed inputs', function() {
+            const result = command.parseComputedInputs('house=meter.0.power, pv.0.PV_Power', 'house - PV_Power');
+
+            expect(result.config.inputs).to.deep.equal({ house: 'meter.0.power', PV_Power: 'pv.0.PV_Power' });
+            expect(result.config.expression).to.equal('house - PV_Power');
+        });
+
+        it('should reject invalid expressions and unknown variables', function() {
+            expect(command.parseComputedInputs('a=a.0.x', 'a +').error).to.match(/^Invalid expression/);
+            expect(command.parseComputedInputs('a=a.0.x', 'a + b').error).to.match(/Unknown variable "b".*inputs: a/);
+            expect(command.parseComputedInputs('a.0.x,b.0.x', 'x').error).to.match(/Duplicate input name "x"/);
+        });
+    });
+});
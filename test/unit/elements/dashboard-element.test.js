@@ -0,0 +1,82 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import DashboardElement from '../../../dashboard-elements.js';
+
+describe('DashboardElement', function() {
+    // Helper to remove ANSI color codes for text matching
+    function stripAnsi(text) {
+        return text.replace(/\x1b\[[0-9;]*m/g, '');
+    }
+
+    describe('stale values', function() {
+        let element;
+
+        beforeEach(function() {
+            element = new DashboardElement({
+                id: 'power',
+                type: 'number',
+                caption: 'PV Power',
+                stateId: 'javascript.0.solar.produktion',
+                unit: 'W'
+            });
+            element.updateValue(1250);
+        });
+
+        it('should not be stale initially', function() {
+            expect(element.stale).to.be.false;
+            expect(stripAnsi(element.render(40))).to.not.include('~');
+        });
+
+        it('should prefix the value with a stale marker', function() {
+            element.setStale(true);
+
+            expect(stripAnsi(element.render(40))).to.match(/~1250$/);
+        });
+
+        it('should emit staleChanged only on changes', function() {
+            const listener = sinon.spy();
+            element.on('staleChanged', listener);
+
+            element.setStale(true);
+            element.setStale(true);
+            element.setStale(false);
+
+            expect(listener).to.have.been.calledTwice;
+        });
+    });
+
+    describe('interactive element protocol', function() {
+        let client;
+
+        beforeEach(function() {
+            client = {
+                registerElement: sinon.spy(),
+                unregisterElement: sinon.spy(),
+                setState: sinon.stub().resolves()
+            };
+        });
+
+        it('should make writable buttons and switches interactive', function() {
+            expect(new DashboardElement({ type: 'button' }).isInteractive()).to.be.true;
+            expect(new DashboardElement({ type: 'switch', interactive: false }).isInteractive()).to.be.false;
+            expect(new DashboardElement({ type: 'text' }).isInteractive()).to.be.false;
+        });
+
+        it('should toggle a switch on Space', async function() {
+            const element = new DashboardElement({ type: 'switch', caption: 'Pump', stateId: 'a.0.pump' });
+            element.connect(client);
+            element.updateValue(false);
+
+            expect(await element.handleKey('Space')).to.be.true;
+            expect(client.setState).to.have.been.calledWith('a.0.pump', true);
+        });
+
+        it('should leave other keys to the dashboard', async function() {
+            const element = new DashboardElement({ type: 'button', stateId: 'a.0.scene' });
+            element.connect(client);
+
+            expect(await element.handleKey('ArrowUp')).to.be.false;
+            expect(client.setState).to.not.have.been.called;
+        });
+    });
+});
@@ -0,0 +1,128 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { DropdownElement, createElement, hasEnumStates } from '../../../dashboard-elements.js';
+import { AddCommand } from '../../../commands/add-command.js';
+
+describe('DropdownElement', function() {
+    let client;
+    let mode;
+
+    function stripAnsi(text) {
+        return text.replace(/\x1b\[[0-9;]*m/g, '');
+    }
+
+    beforeEach(function() {
+        client = {
+            registerElement: sinon.spy(),
+            unregisterElement: sinon.spy(),
+            setState: sinon.stub().resolves()
+        };
+
+        mode = new DropdownElement({
+            id: 'mode',
+            caption: 'Mode',
+            stateId: 'hm-rpc.0.thermostat.mode',
+            states: { 0: 'Off', 1: 'Heat', 2: 'Cool' },
+            valueType: 'number'
+        });
+        mode.connect(client);
+        mode.updateValue(1);
+    });
+
+    it('should be created by the factory for dropdown configs', function() {
+        expect(createElement({ type: 'dropdown', caption: 'Mode' })).to.be.instanceOf(DropdownElement);
+    });
+
+    it('should parse all common.states formats', function() {
+        expect(DropdownElement.parseStates('0:Off; 1:Heat')).to.deep.equal([
+            { key: '0', label: 'Off' },
+            { key: '1', label: 'Heat' }
+        ]);
+        expect(DropdownElement.parseStates(['Off', 'On'])).to.deep.equal([
+            { key: '0', label: 'Off' },
+            { key: '1', label: 'On' }
+        ]);
+        expect(DropdownElement.parseStates(null)).to.deep.equal([]);
+        expect(hasEnumStates({ states: {} })).to.be.false;
+        expect(hasEnumStates({ states: 'AUTO:Auto' })).to.be.true;
+    });
+
+    it('should show the label for the current value', function() {
+        expect(stripAnsi(mode.render(30))).to.match(/Mode\s+Heat/);
+
+        mode.updateValue(7);
+        expect(mode.formatValue()).to.equal('7');
+    });
+
+    it('should open the picker on Space and cycle with arrow keys', async function() {
+        expect(await mode.handleKey('ArrowRight')).to.be.false;
+        expect(await mode.handleKey('Space')).to.be.true;
+        expect(stripAnsi(mode.render(40))).to.include('◀ Heat ▶ 2/3');
+
+        await mode.handleKey('ArrowRight');
+        await mode.handleKey('ArrowRight');
+        expect(stripAnsi(mode.render(40))).to.include('◀ Off ▶ 1/3');
+        expect(mode.getKeyHint()).to.include('Esc');
+    });
+
+    it('should set the chosen value converted to the state type', async function() {
+        await mode.handleKey('Space');
+        await mode.handleKey('ArrowRight');
+        await mode.handleKey('Space');
+
+        expect(client.setState).to.have.been.calledWith('hm-rpc.0.thermostat.mode', 2);
+        expect(mode.open).to.be.false;
+    });
+
+    it('should not send anything when cancelled or unchanged', async function() {
+        await mode.handleKey('Space');
+        await mode.handleKey('ArrowRight');
+        expect(await mode.handleKey('Escape')).to.be.true;
+
+        await mode.handleKey('Space');
+        await mode.handleKey('Space');
+
+        expect(client.setState).to.not.have.been.called;
+    });
+
+    it('should report failed writes', async function() {
+        client.setState.rejects(new Error('Permission denied'));
+        const failed = sinon.spy();
+        mode.on('commandFailed', failed);
+
+        await mode.selectOption({ key: '0', label: 'Off' });
+
+        expect(failed).to.have.been.calledOnce;
+        expect(failed.firstCall.args[0].error).to.equal('Permission denied');
+    });
+
+    it('should close the picker when deselected', async function() {
+        await mode.handleKey('Space');
+        mode.setSelected(false);
+
+        expect(mode.open).to.be.false;
+    });
+
+    it('should keep string keys for string states', function() {
+        const preset = new DropdownElement({ caption: 'Preset', states: 'AUTO:Auto;MANU:Manual', valueType: 'string' });
+        expect(preset.toStateValue('AUTO')).to.equal('AUTO');
+        expect(new DropdownElement({ caption: 'Level', states: ['a', 'b'] }).toStateValue('1')).to.equal(1);
+    });
+
+    it('should be inferred by AddCommand when common.states is present', function() {
+        const command = new AddCommand({});
+        expect(command.inferElementType({ type: 'number', role: 'level.mode', states: { 0: 'Off' } }, 'number')).to.equal('dropdown');
+        expect(command.inferElementType({ type: 'number', role: 'level.temperature' }, 'number')).to.equal('gauge');
+
+        // Booleans labelled off/on stay switches and indicators
+        const labels = { false: 'off', true: 'on' };
+        expect(command.inferElementType({ type: 'boolean', role: 'switch', states: labels }, 'number')).to.equal('switch');
+        expect(command.inferElementType({ type: 'boolean', role: 'indicator.working', states: labels, write: false }, 'number')).to.equal('indicator');
+        expect(command.inferElementType({ type: 'boolean', states: labels }, 'number')).to.equal('switch');
+        expect(command.inferElementType({ type: 'string', role: 'text', states: { auto: 'Auto', manual: 'Manual' } }, 'number')).to.equal('dropdown');
+
+        const config = { type: 'dropdown' };
+        command.addTypeSpecificConfig(config, { type: 'number', states: { 0: 'Off' }, write: false });
+        expect(config).to.include({ valueType: 'number', interactive: false });
+    });
+});
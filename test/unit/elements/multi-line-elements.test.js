@@ -0,0 +1,109 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { ChartElement, LogElement, BarChartElement, createElement } from '../../../dashboard-elements.js';
+
+describe('Multi-line elements', function() {
+    let clock;
+
+    function stripAnsi(text) {
+        return text.replace(/\x1b\[[0-9;]*m/g, '');
+    }
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers(new Date('2026-03-01T12:00:00').getTime());
+    });
+
+    afterEach(function() {
+        clock.restore();
+    });
+
+    it('should be created by the factory', function() {
+        expect(createElement({ type: 'chart', caption: 'A' })).to.be.instanceOf(ChartElement);
+        expect(createElement({ type: 'log', caption: 'B' })).to.be.instanceOf(LogElement);
+        expect(createElement({ type: 'bars', caption: 'C' })).to.be.instanceOf(BarChartElement);
+    });
+
+    describe('ChartElement', function() {
+        let chart;
+
+        beforeEach(function() {
+            chart = new ChartElement({ caption: 'Power', stateId: 'a.0.power', unit: 'W', height: 4, history: { window: '4m' } });
+            const now = Date.now();
+            [0, 100, 200, 400].forEach((val, index) => chart.addPoint(val, now - (3 - index) * 60000 - 1));
+            chart.updateValue(400, now);
+        });
+
+        it('should keep its height within 3-8 lines', function() {
+            expect(chart.getHeight()).to.equal(4);
+            expect(new ChartElement({ caption: 'X', height: 20 }).getHeight()).to.equal(8);
+            expect(new ChartElement({ caption: 'X' }).getHeight()).to.equal(4);
+        });
+
+        it('should render the value line and a block chart with min/max labels', function() {
+            const lines = chart.renderLines(20).map(stripAnsi);
+
+            expect(lines).to.deep.equal([
+                'Power       400.0W',
+                '             █ 400',
+                '          ▅▅▅█    ',
+                '   ▁▁▁▇▇▇▇████   0'
+            ]);
+        });
+
+        it('should save its height', function() {
+            expect(chart.getConfig()).to.include({ type: 'chart', height: 4 });
+        });
+    });
+
+    describe('LogElement', function() {
+        it('should show the latest values with time, newest at the bottom', function() {
+            const log = new LogElement({ caption: 'Messages', height: 3 });
+            log.updateValue('door opened', Date.now() - 60000);
+            log.updateValue('door closed\nlocked', Date.now());
+
+            const lines = log.renderLines(40).map(stripAnsi);
+
+            expect(lines).to.have.lengthOf(3);
+            expect(lines[1]).to.match(/^12:00:00 door closed/);
+            expect(lines[2]).to.match(/^ {9}locked/);
+        });
+
+        it('should not log the same state twice', function() {
+            const log = new LogElement({ caption: 'Messages' });
+            log.updateValue('hello', Date.now(), { val: 'hello', ts: 1000 });
+            log.updateValue('hello', Date.now(), { val: 'hello', ts: 1000 });
+
+            expect(log.entries).to.have.lengthOf(1);
+        });
+    });
+
+    describe('BarChartElement', function() {
+        let bars;
+
+        beforeEach(function() {
+            bars = new BarChartElement({
+                caption: 'Rooms',
+                unit: 'W',
+                bars: [
+                    { stateId: 'shelly.0.kitchen.power', caption: 'Kitchen' },
+                    { stateId: 'shelly.0.office.power' }
+                ]
+            });
+        });
+
+        it('should be bound to all bar states and one line per bar', function() {
+            expect(bars.getStateIds()).to.deep.equal(['shelly.0.kitchen.power', 'shelly.0.office.power']);
+            expect(bars.getHeight()).to.equal(3);
+        });
+
+        it('should scale the bars to the largest value', function() {
+            bars.updateState('shelly.0.kitchen.power', { val: 1000 });
+            bars.updateState('shelly.0.office.power', { val: 250 });
+
+            const lines = bars.renderLines(32).map(stripAnsi);
+
+            expect(lines[1]).to.equal('Kitchen ████████████████ 1000W');
+            expect(lines[2]).to.equal('power   ████░░░░░░░░░░░░  250W');
+        });
+    });
+});
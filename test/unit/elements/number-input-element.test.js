@@ -0,0 +1,141 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { NumberInputElement, createElement } from '../../../dashboard-elements.js';
+
+describe('NumberInputElement', function() {
+    let clock;
+    let client;
+    let setpoint;
+
+    function stripAnsi(text) {
+        return text.replace(/\x1b\[[0-9;]*m/g, '');
+    }
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers();
+        client = {
+            registerElement: sinon.spy(),
+            unregisterElement: sinon.spy(),
+            setState: sinon.stub().resolves()
+        };
+
+        setpoint = new NumberInputElement({
+            id: 'setpoint',
+            caption: 'Setpoint',
+            stateId: 'zigbee.0.living_room.setpoint',
+            unit: '°C',
+            min: 5,
+            max: 30,
+            step: 0.5
+        });
+        setpoint.connect(client);
+        setpoint.updateValue(21, Date.now(), { val: 21, ack: true });
+    });
+
+    it('should be created by the factory for number configs', function() {
+        expect(createElement({ type: 'number', caption: 'Timer' })).to.be.instanceOf(NumberInputElement);
+    });
+
+    it('should step the value with arrow keys and send it unacknowledged', function() {
+        setpoint.handleKeyPress('ArrowUp');
+
+        expect(client.setState).to.have.been.calledWith('zigbee.0.living_room.setpoint', 21.5);
+        expect(setpoint.pending).to.be.true;
+        expect(setpoint.value).to.equal(21);
+        expect(stripAnsi(setpoint.render(40))).to.include('21.5°C⋯');
+    });
+
+    it('should base repeated changes on the pending value', function() {
+        setpoint.handleKeyPress('ArrowUp');
+        setpoint.handleKeyPress('ArrowUp');
+
+        expect(client.setState.secondCall.args[1]).to.equal(22);
+    });
+
+    it('should respect min/max and the step grid', function() {
+        expect(setpoint.normalizeValue(40)).to.equal(30);
+        expect(setpoint.normalizeValue(1)).to.equal(5);
+        expect(setpoint.normalizeValue(21.3)).to.equal(21.5);
+        expect(setpoint.normalizeValue(0.1 + 0.2)).to.equal(5);
+    });
+
+    it('should stay pending on its own ack=false echo and confirm on ack=true', function() {
+        setpoint.handleKeyPress('ArrowUp');
+
+        setpoint.updateValue(21.5, Date.now(), { val: 21.5, ack: false });
+        expect(setpoint.pending).to.be.true;
+
+        setpoint.updateValue(21.5, Date.now(), { val: 21.5, ack: true });
+        expect(setpoint.pending).to.be.false;
+        expect(setpoint.value).to.equal(21.5);
+        expect(stripAnsi(setpoint.render(40))).to.include('21.5°C✓');
+
+        clock.tick(2000);
+        expect(setpoint.confirmed).to.be.false;
+    });
+
+    it('should show the device value instead of confirming a different acknowledged value', function() {
+        const failed = sinon.spy();
+        setpoint.on('commandFailed', failed);
+        setpoint.setValue(28);
+
+        // The thermostat limits its setpoint to 25°C
+        setpoint.updateValue(25, Date.now(), { val: 25, ack: true });
+
+        expect(setpoint.pending).to.be.false;
+        expect(setpoint.confirmed).to.be.false;
+        expect(setpoint.value).to.equal(25);
+        expect(failed).to.have.been.calledOnceWith(sinon.match({ value: 28, error: 'device reports 25.0°C' }));
+        expect(stripAnsi(setpoint.render(40))).to.include('!!');
+
+        clock.tick(3000);
+        const output = stripAnsi(setpoint.render(40));
+        expect(output).to.include('25.0°C');
+        expect(output).to.not.include('✓');
+    });
+
+    it('should roll back when the device does not confirm in time', function() {
+        const failed = sinon.spy();
+        setpoint.on('commandFailed', failed);
+        setpoint.handleKeyPress('ArrowUp');
+
+        clock.tick(5000);
+
+        expect(setpoint.pending).to.be.false;
+        expect(setpoint.value).to.equal(21);
+        expect(failed).to.have.been.calledOnce;
+        expect(stripAnsi(setpoint.render(40))).to.include('!!');
+
+        clock.tick(3000);
+        expect(stripAnsi(setpoint.render(40))).to.include('21.0°C');
+    });
+
+    it('should roll back when sending fails', async function() {
+        client.setState.rejects(new Error('Not connected to ioBroker'));
+
+        const result = await setpoint.increment();
+
+        expect(result).to.be.false;
+        expect(setpoint.pending).to.be.false;
+        expect(setpoint.error).to.equal('Not connected to ioBroker');
+    });
+
+    it('should move between [-], value and [+] and activate buttons', async function() {
+        setpoint.setSelected(true);
+        setpoint.handleKeyPress('ArrowLeft');
+
+        expect(setpoint.selectedPart).to.equal('dec');
+        expect(stripAnsi(setpoint.render(40))).to.include('▶[-]◀');
+
+        await setpoint.activate();
+        expect(client.setState).to.have.been.calledWith('zigbee.0.living_room.setpoint', 20.5);
+    });
+
+    it('should render read-only numbers as plain values', async function() {
+        setpoint.interactive = false;
+
+        expect(stripAnsi(setpoint.render(40))).to.not.include('[+]');
+        expect(await setpoint.increment()).to.be.false;
+        expect(client.setState).to.not.have.been.called;
+    });
+});
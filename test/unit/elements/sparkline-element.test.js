@@ -0,0 +1,109 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { SparklineElement, createElement, parseDuration } from '../../../dashboard-elements.js';
+
+describe('SparklineElement', function() {
+    const HOUR = 60 * 60 * 1000;
+    let clock;
+    let element;
+
+    function stripAnsi(text) {
+        return text.replace(/\x1b\[[0-9;]*m/g, '');
+    }
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers(10 * HOUR);
+        element = new SparklineElement({
+            id: 'pv',
+            caption: 'PV Power',
+            stateId: 'javascript.0.solar.produktion',
+            unit: 'W',
+            history: { window: '1h', aggregate: 'avg', width: 4 }
+        });
+    });
+
+    it('should be created by the factory for sparkline configs', function() {
+        expect(createElement({ type: 'sparkline', caption: 'Wind' })).to.be.instanceOf(SparklineElement);
+    });
+
+    it('should parse durations', function() {
+        expect(parseDuration('30m')).to.equal(30 * 60 * 1000);
+        expect(parseDuration('24h')).to.equal(24 * HOUR);
+        expect(parseDuration(5000)).to.equal(5000);
+        expect(parseDuration('soon')).to.be.null;
+    });
+
+    it('should fall back to defaults for invalid history settings', function() {
+        const fallback = new SparklineElement({ history: { window: 'soon', aggregate: 'median', width: -1 } });
+
+        expect(fallback.history).to.deep.equal({ window: '1h', aggregate: 'avg', width: 12 });
+    });
+
+    it('should draw live values instead of random characters', function() {
+        element.updateValue(0, Date.now() - 50 * 60 * 1000);
+        element.updateValue(100, Date.now() - 5 * 60 * 1000);
+
+        expect(element.generateSparkline()).to.equal('▁▁▁█');
+        expect(element.generateSparkline()).to.equal(element.generateSparkline());
+    });
+
+    it('should aggregate values per column', function() {
+        const start = Date.now() - HOUR;
+        [10, 30].forEach((val, i) => element.updateValue(val, start + i * 60 * 1000));
+        element.updateValue(0, start + 20 * 60 * 1000);
+
+        element.history.aggregate = 'avg';
+        expect(element.getSeries()[0]).to.equal(20);
+
+        element.history.aggregate = 'max';
+        expect(element.getSeries()[0]).to.equal(30);
+
+        element.history.aggregate = 'last';
+        expect(element.getSeries()[0]).to.equal(30);
+    });
+
+    it('should leave columns empty before the first known value', function() {
+        element.updateValue(5, Date.now() - 10 * 60 * 1000);
+
+        expect(element.getSeries()).to.deep.equal([null, null, null, 5]);
+    });
+
+    it('should drop values outside the window but keep the value current at its start', function() {
+        element.updateValue(1, Date.now() - 3 * HOUR);
+        element.updateValue(2, Date.now() - 2 * HOUR);
+        element.updateValue(3, Date.now() - 10 * 60 * 1000);
+
+        expect(element.points.map(point => point.val)).to.deep.equal([2, 3]);
+        expect(element.getSeries()).to.deep.equal([2, 2, 2, 3]);
+    });
+
+    it('should seed the buffer from the history adapter', async function() {
+        const client = {
+            registerElement: sinon.spy(),
+            getHistory: sinon.stub().resolves([
+                { val: 10, ts: Date.now() - 40 * 60 * 1000 },
+                { val: 20, ts: Date.now() - 20 * 60 * 1000 }
+            ])
+        };
+        element.connect(client);
+        element.updateValue(30, Date.now());
+
+        await element.loadHistory();
+
+        const [id, options] = client.getHistory.firstCall.args;
+        expect(id).to.equal('javascript.0.solar.produktion');
+        expect(options.end - options.start).to.equal(HOUR);
+        expect(element.points.map(point => point.val)).to.deep.equal([10, 20, 30]);
+        expect(element.historyLoaded).to.be.true;
+    });
+
+    it('should show the sparkline next to the current value', function() {
+        element.updateValue(1250, Date.now());
+
+        expect(stripAnsi(element.render(40))).to.match(/PV Power\s+ {3}▄ 1250\.0W$/);
+    });
+
+    it('should persist history settings in its config', function() {
+        expect(element.getConfig().history).to.deep.equal({ window: '1h', aggregate: 'avg', width: 4 });
+    });
+});
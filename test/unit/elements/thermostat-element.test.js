@@ -0,0 +1,119 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { EventEmitter } from 'events';
+import { ThermostatElement, createElement } from '../../../dashboard-elements.js';
+import IoBrokerClient from '../../../iobroker-client.js';
+import { AddCommand } from '../../../commands/add-command.js';
+
+describe('ThermostatElement', function() {
+    let clock;
+    let client;
+    let mockSocket;
+    let thermostat;
+
+    const device = {
+        'hm-rpc.0.LEQ02.1.ACTUAL_TEMPERATURE': { type: 'state', common: { role: 'value.temperature', type: 'number', unit: '°C', write: false } },
+        'hm-rpc.0.LEQ02.1.SET_POINT_TEMPERATURE': { type: 'state', common: { role: 'level.temperature', type: 'number', unit: '°C', min: 4.5, max: 30.5, write: true } },
+        'hm-rpc.0.LEQ02.1.SET_POINT_MODE': { type: 'state', common: { role: 'level.mode.thermostat', type: 'number', states: { 0: 'Auto', 1: 'Manual' } } },
+        'hm-rpc.0.LEQ02.1.LEVEL': { type: 'state', common: { role: 'value.valve', type: 'number', unit: '%' } }
+    };
+
+    function stripAnsi(text) {
+        return text.replace(/\x1b\[[0-9;]*m/g, '');
+    }
+
+    function pushState(id, val, ack = true) {
+        mockSocket.emit('stateChange', id, { val, ack });
+    }
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers();
+        mockSocket = new EventEmitter();
+        client = new IoBrokerClient({ url: 'http://localhost:8082' });
+        client.socket = mockSocket;
+        client.connected = true;
+        client.setupEventListeners();
+        sinon.stub(client, 'setState').resolves();
+
+        thermostat = new ThermostatElement({
+            caption: 'Bathroom',
+            ...ThermostatElement.discoverStates(device)
+        });
+        thermostat.connect(client);
+
+        pushState('hm-rpc.0.LEQ02.1.ACTUAL_TEMPERATURE', 20.3);
+        pushState('hm-rpc.0.LEQ02.1.SET_POINT_TEMPERATURE', 21);
+        pushState('hm-rpc.0.LEQ02.1.SET_POINT_MODE', 1);
+        pushState('hm-rpc.0.LEQ02.1.LEVEL', 45);
+    });
+
+    afterEach(function() {
+        clock.restore();
+    });
+
+    it('should be created by the factory for thermostat configs', function() {
+        expect(createElement({ type: 'thermostat', caption: 'Office' })).to.be.instanceOf(ThermostatElement);
+    });
+
+    it('should discover the states of a heating device', function() {
+        const config = ThermostatElement.discoverStates(device);
+
+        expect(config.stateId).to.equal('hm-rpc.0.LEQ02.1.ACTUAL_TEMPERATURE');
+        expect(config.bindings).to.deep.equal({
+            setpoint: 'hm-rpc.0.LEQ02.1.SET_POINT_TEMPERATURE',
+            mode: 'hm-rpc.0.LEQ02.1.SET_POINT_MODE',
+            valve: 'hm-rpc.0.LEQ02.1.LEVEL'
+        });
+        expect(config).to.include({ min: 4.5, max: 30.5, interactive: true });
+        expect(ThermostatElement.discoverStates({ 'a.0.temp': { common: { role: 'value.temperature' } } })).to.be.null;
+    });
+
+    it('should register all bound states with the dispatcher', function() {
+        expect(client.getRegisteredStateIds()).to.have.members(Object.keys(device));
+
+        thermostat.disconnect();
+        expect(client.getRegisteredStateIds()).to.be.empty;
+    });
+
+    it('should show actual, setpoint, mode and valve on one line', function() {
+        expect(stripAnsi(thermostat.render(60))).to.match(/Bathroom\s+20\.3°C → 21\.0°C Manual 45%/);
+    });
+
+    it('should adjust the setpoint with arrow keys until the device confirms', async function() {
+        await thermostat.handleKey('ArrowUp');
+
+        expect(client.setState).to.have.been.calledWith('hm-rpc.0.LEQ02.1.SET_POINT_TEMPERATURE', 21.5);
+        expect(stripAnsi(thermostat.render(60))).to.include('21.5°C⋯');
+
+        pushState('hm-rpc.0.LEQ02.1.SET_POINT_TEMPERATURE', 21.5);
+        expect(stripAnsi(thermostat.render(60))).to.include('21.5°C✓');
+        expect(thermostat.value).to.equal(20.3);
+    });
+
+    it('should report setpoints the device did not accept', async function() {
+        const failed = sinon.spy();
+        thermostat.on('commandFailed', failed);
+
+        await thermostat.handleKey('ArrowDown');
+        clock.tick(5000);
+
+        expect(failed).to.have.been.calledOnce;
+        expect(failed.firstCall.args[0]).to.include({ element: thermostat, value: '20.5°C' });
+    });
+
+    it('should save its bindings', function() {
+        expect(thermostat.getConfig()).to.include({ type: 'thermostat', min: 4.5, max: 30.5, step: 0.5 });
+        expect(thermostat.getConfig().bindings.valve).to.equal('hm-rpc.0.LEQ02.1.LEVEL');
+    });
+
+    it('should be bound automatically by AddCommand from a temperature state', async function() {
+        const command = new AddCommand({ client: { getChildObjects: sinon.stub().resolves({ ...device }) } });
+        const actual = device['hm-rpc.0.LEQ02.1.ACTUAL_TEMPERATURE'];
+
+        expect(command.shouldDiscoverStates(actual, 'gauge', null)).to.be.true;
+        const compound = await command.discoverCompoundStates('hm-rpc.0.LEQ02.1.ACTUAL_TEMPERATURE', actual);
+
+        expect(compound.type).to.equal('thermostat');
+        expect(compound.config.bindings.setpoint).to.equal('hm-rpc.0.LEQ02.1.SET_POINT_TEMPERATURE');
+    });
+});
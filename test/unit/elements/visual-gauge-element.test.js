@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import { VisualGaugeElement, createElement } from '../../../dashboard-elements.js';
+import { THEMES } from '../../../colors.js';
+
+describe('VisualGaugeElement', function() {
+    let gauge;
+
+    function stripAnsi(text) {
+        return text.replace(/\x1b\[[0-9;]*m/g, '');
+    }
+
+    beforeEach(function() {
+        gauge = new VisualGaugeElement({
+            id: 'cpu',
+            caption: 'CPU',
+            stateId: 'system.host.cpu',
+            unit: '%',
+            min: 0,
+            max: 100,
+            thresholds: { warning: 70, critical: 90 }
+        });
+    });
+
+    it('should be created by the factory for gauge configs', function() {
+        expect(createElement({ type: 'gauge', caption: 'Temp' })).to.be.instanceOf(VisualGaugeElement);
+    });
+
+    it('should draw a bar relative to min/max', function() {
+        gauge.updateValue(50);
+
+        expect(gauge.generateGaugeBar()).to.equal('█████░░░░░');
+        expect(stripAnsi(gauge.render(30))).to.match(/^CPU\s+█████░░░░░ 50\.0%$/);
+    });
+
+    it('should classify values by threshold', function() {
+        gauge.updateValue(50);
+        expect(gauge.getLevel()).to.equal('normal');
+
+        gauge.updateValue(70);
+        expect(gauge.getLevel()).to.equal('warning');
+
+        gauge.updateValue(95);
+        expect(gauge.getLevel()).to.equal('critical');
+        expect(gauge.render(30)).to.include(THEMES.error);
+    });
+
+    it('should flag low values when critical is below warning', function() {
+        gauge.thresholds = { warning: 20, critical: 10 };
+
+        gauge.updateValue(15);
+        expect(gauge.getLevel()).to.equal('warning');
+
+        gauge.updateValue(5);
+        expect(gauge.getLevel()).to.equal('critical');
+
+        gauge.updateValue(80);
+        expect(gauge.getLevel()).to.equal('normal');
+    });
+
+    it('should mark values outside the range', function() {
+        gauge.updateValue(120);
+        expect(gauge.getRangeViolation()).to.equal('above');
+        expect(gauge.generateGaugeBar()).to.equal('█████████▸');
+
+        gauge.updateValue(-5);
+        expect(gauge.getRangeViolation()).to.equal('below');
+        expect(gauge.generateGaugeBar()).to.equal('◂░░░░░░░░░');
+    });
+
+    it('should fall back to the plain value without a usable range', function() {
+        const plain = new VisualGaugeElement({ caption: 'Power', unit: 'W' });
+        plain.updateValue(1250);
+
+        expect(stripAnsi(plain.render(30))).to.match(/1250\.0W$/);
+    });
+
+    it('should ignore invalid thresholds', function() {
+        expect(VisualGaugeElement.normalizeThresholds({ warning: 'high', critical: 90 })).to.deep.equal({ critical: 90 });
+        expect(VisualGaugeElement.normalizeThresholds({})).to.be.null;
+    });
+
+    it('should include thresholds in its config', function() {
+        expect(gauge.getConfig()).to.include({ type: 'gauge', min: 0, max: 100, barLength: 10 });
+        expect(gauge.getConfig().thresholds).to.deep.equal({ warning: 70, critical: 90 });
+    });
+});
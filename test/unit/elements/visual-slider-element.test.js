@@ -14,6 +14,8 @@ describe('VisualSliderElement', function() {
         // Create mock ioBroker client
         mockIoBrokerClient = {
             on: sinon.spy(),
+            registerElement: sinon.spy(),
+            unregisterElement: sinon.spy(),
             getState: sinon.stub().resolves({ val: 50 }),
             setState: sinon.stub().resolves()
         };
@@ -187,6 +189,23 @@ describe('VisualSliderElement', function() {
             );
         });
 
+        it('should roll back and report commandFailed when setState fails', async function() {
+            element.connect(mockIoBrokerClient);
+            element.updateValue(50);
+            mockIoBrokerClient.setState.rejects(new Error('Not connected'));
+            const failedSpy = sinon.spy();
+            const errorSpy = sinon.spy();
+            element.on('commandFailed', failedSpy);
+            element.on('error', errorSpy);
+
+            await element.setValue(60);
+
+            expect(element.value).to.equal(50);
+            expect(failedSpy).to.have.been.calledOnce;
+            expect(failedSpy.firstCall.args[0]).to.include({ value: '60%', error: 'Not connected' });
+            expect(errorSpy).to.not.have.been.called;
+        });
+
         it('should not send state updates when not interactive', function() {
             element.interactive = false;
             element.connect(mockIoBrokerClient);
@@ -232,6 +251,24 @@ describe('VisualSliderElement', function() {
             element.handleKeyPress('End');
             expect(element.value).to.equal(100);
         });
+
+        it('should take part in the interactive element protocol', async function() {
+            element.updateValue(50);
+
+            expect(element.isInteractive()).to.be.true;
+            expect(element.showsSelection).to.be.true;
+            expect(await element.handleKey('+')).to.be.true;
+            expect(element.value).to.equal(51);
+            expect(await element.handleKey('End')).to.be.true;
+            expect(element.value).to.equal(100);
+            expect(await element.handleKey('Space')).to.be.false;
+        });
+
+        it('should not be navigable when read-only', function() {
+            element.interactive = false;
+
+            expect(element.isInteractive()).to.be.false;
+        });
     });
 
     describe('visual themes', function() {
@@ -276,5 +313,14 @@ describe('VisualSliderElement', function() {
             
             expect(rendered).to.include('OFFLINE'); // Or similar error indicator
         });
+
+        it('should show offline state while stale', function() {
+            element.updateValue(50);
+            element.setStale(true);
+            expect(element.render(40)).to.include('OFFLINE');
+
+            element.setStale(false);
+            expect(element.render(40)).to.include('50%');
+        });
     });
 });
\ No newline at end of file
@@ -43,6 +43,9 @@ export class UnifiedSettingsManager extends EventEmitter {
         this.defaults = new Map([
             ['iobroker.url', 'http://192.168.178.38:8082'],
             ['iobroker.namespace', 'admin'],
+            ['iobroker.user', ''],
+            ['iobroker.password', ''],
+            ['iobroker.token', ''],
             ['mcp.server_url', 'http://192.168.178.38:8082/mcp'],
             ['dashboard.auto_save', true],
             ['dashboard.config_dir', path.join(USER_DATA_DIR, 'dashboard-configs')],
@@ -62,6 +65,8 @@ export class UnifiedSettingsManager extends EventEmitter {
             ['theme.colors.error', '#ff0044'],
             ['theme.colors.warning', '#ffaa00'],
             ['theme.colors.info', '#00aaff'],
+            ['cache.object_ttl_hours', 24],
+            ['cache.state_ttl_hours', 168],
             ['ui.command_mode', false],
             ['ui.message_scroll_lines', 8],
             ['ai.anthropic_api_key', ''],
@@ -169,6 +174,39 @@ export class UnifiedSettingsManager extends EventEmitter {
         }
     }
 
+    /**
+     * Reload settings.json after it was edited outside the app
+     * @returns {Array<Object>} Changed keys as { key, oldValue, newValue }
+     */
+    async reloadPersistentConfig() {
+        const reloaded = new Map();
+        try {
+            const settingsContent = await fs.readFile(this.settingsFile, 'utf8');
+            this.flattenObject(JSON.parse(settingsContent), '', reloaded);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        const keys = new Set([...this.persistentConfig.keys(), ...reloaded.keys()]);
+        const oldValues = new Map([...keys].map(key => [key, this.get(key)]));
+        this.persistentConfig = reloaded;
+
+        const changes = [];
+        for (const key of keys) {
+            const oldValue = oldValues.get(key);
+            const newValue = this.get(key);
+            if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                changes.push({ key, oldValue, newValue });
+                this.emit('changed', { key, oldValue, newValue, persistent: true });
+            }
+        }
+
+        this.emit('reloaded', { changes });
+        return changes;
+    }
+
     /**
      * Save persistent configuration to settings.json
      */
@@ -178,7 +216,8 @@ export class UnifiedSettingsManager extends EventEmitter {
             const nestedConfig = this.unflattenMap(this.persistentConfig);
             const settingsContent = JSON.stringify(nestedConfig, null, 2);
             
-            await fs.writeFile(this.settingsFile, settingsContent, 'utf8');
+            // Holds ioBroker credentials - a new file is only readable by the user
+            await fs.writeFile(this.settingsFile, settingsContent, { encoding: 'utf8', mode: 0o600 });
             this.emit('saved', { file: this.settingsFile, type: 'persistent' });
         } catch (error) {
             this.emit('error', error);
@@ -0,0 +1,211 @@
+/**
+ * Declarative value formatting for dashboard elements
+ *
+ * Format rules are plain JSON saved with the element ("format" in the dashboard file):
+ *   { "decimals": 2 }                                   21.456 -> 21.46
+ *   { "scale": true }                                   1500 W -> 1.5kW, 0.25 kWh -> 250Wh
+ *   { "labels": { "true": "Open", "false": "Closed" } } raw value -> label
+ *   { "style": "datetime" }                             timestamp -> 2026-03-01 12:00 (also "date", "time")
+ *   { "style": "duration", "durationUnit": "s" }        3725 -> 1h 02m
+ *   { "locale": "de-DE" }                               decimal comma: 21,5°C, localized dates
+ *
+ * Rules only replace the default formatting where they apply - a boolean without
+ * labels keeps the element's own ON/OFF display.
+ */
+
+export const FORMAT_STYLES = ['number', 'datetime', 'date', 'time', 'duration'];
+
+// Milliseconds per duration unit of the raw value
+export const DURATION_UNITS = { ms: 1, s: 1000, min: 60 * 1000, h: 60 * 60 * 1000 };
+
+const SCALE_PREFIXES = ['', 'k', 'M', 'G', 'T'];
+const SCALABLE_UNITS = ['Wh', 'W', 'VA', 'var', 'Hz'];
+
+/**
+ * Validate format rules and drop empty fields
+ * @param {Object} format - Format rules from the dashboard file or /edit
+ * @returns {Object|null} Normalized rules, null if no rule is set
+ * @throws {Error} If a rule has an invalid value
+ */
+export function normalizeFormat(format) {
+    if (format === null || format === undefined) return null;
+    if (typeof format !== 'object' || Array.isArray(format)) {
+        throw new Error('Format must be an object');
+    }
+
+    const normalized = {};
+
+    if (format.decimals !== undefined && format.decimals !== null) {
+        if (!Number.isInteger(format.decimals) || format.decimals < 0 || format.decimals > 10) {
+            throw new Error('Decimals must be a whole number between 0 and 10');
+        }
+        normalized.decimals = format.decimals;
+    }
+
+    if (format.scale) {
+        normalized.scale = true;
+    }
+
+    if (format.labels !== undefined && format.labels !== null) {
+        if (typeof format.labels !== 'object' || Array.isArray(format.labels)) {
+            throw new Error('Labels must map values to text, e.g. { "true": "Open", "false": "Closed" }');
+        }
+        const labels = Object.fromEntries(Object.entries(format.labels).map(([value, label]) => [value, String(label)]));
+        if (Object.keys(labels).length > 0) {
+            normalized.labels = labels;
+        }
+    }
+
+    if (format.style !== undefined && format.style !== null && format.style !== 'number') {
+        if (!FORMAT_STYLES.includes(format.style)) {
+            throw new Error(`Style must be one of: ${FORMAT_STYLES.join(', ')}`);
+        }
+        normalized.style = format.style;
+    }
+
+    if (format.durationUnit !== undefined && format.durationUnit !== null) {
+        if (!DURATION_UNITS[format.durationUnit]) {
+            throw new Error(`Duration unit must be one of: ${Object.keys(DURATION_UNITS).join(', ')}`);
+        }
+        normalized.durationUnit = format.durationUnit;
+    }
+
+    if (format.locale) {
+        try {
+            new Intl.NumberFormat(format.locale);
+        } catch (error) {
+            throw new Error(`Invalid locale: ${format.locale}`);
+        }
+        normalized.locale = format.locale;
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Scale a value to the best SI prefix of its unit (W -> kW -> MW, Wh -> kWh)
+ * @param {number} value - Value in the given unit
+ * @param {string} unit - Unit, possibly prefixed (kWh)
+ * @returns {Object} { value, unit } - unchanged for units without prefixes
+ */
+export function scaleUnit(value, unit) {
+    const base = SCALABLE_UNITS.find(candidate => unit.endsWith(candidate));
+    const prefix = base ? unit.slice(0, -base.length) : null;
+    let index = SCALE_PREFIXES.indexOf(prefix);
+
+    if (index < 0 || !Number.isFinite(value)) {
+        return { value, unit };
+    }
+
+    while (Math.abs(value) >= 1000 && index < SCALE_PREFIXES.length - 1) {
+        value /= 1000;
+        index++;
+    }
+    while (value !== 0 && Math.abs(value) < 1 && index > 0) {
+        value *= 1000;
+        index--;
+    }
+
+    return { value, unit: SCALE_PREFIXES[index] + base };
+}
+
+/**
+ * Format a number with fixed decimals and an optional locale (decimal separator)
+ * @param {number} value - Number to format
+ * @param {number} [decimals] - Fixed decimals, all significant decimals if omitted
+ * @param {string} [locale] - BCP 47 locale, e.g. "de-DE"
+ * @returns {string} Formatted number without grouping separators
+ */
+export function formatNumber(value, decimals, locale) {
+    if (locale) {
+        return new Intl.NumberFormat(locale, {
+            minimumFractionDigits: decimals ?? 0,
+            maximumFractionDigits: decimals ?? 10,
+            useGrouping: false
+        }).format(value);
+    }
+    return decimals === undefined ? String(value) : value.toFixed(decimals);
+}
+
+/**
+ * Format a duration as the two largest units, e.g. "45s", "5m 30s", "1h 02m", "2d 03h"
+ * @param {number} milliseconds - Duration
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(milliseconds) {
+    const sign = milliseconds < 0 ? '-' : '';
+    const totalSeconds = Math.round(Math.abs(milliseconds) / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor(totalSeconds / 3600) % 24;
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = totalSeconds % 60;
+    const pad = (number) => String(number).padStart(2, '0');
+
+    if (days > 0) return `${sign}${days}d ${pad(hours)}h`;
+    if (hours > 0) return `${sign}${hours}h ${pad(minutes)}m`;
+    if (minutes > 0) return `${sign}${minutes}m ${pad(seconds)}s`;
+    return `${sign}${seconds}s`;
+}
+
+/**
+ * Format a timestamp (ms, seconds for small numbers, or a date string)
+ * @param {number|string} value - Timestamp
+ * @param {string} style - 'datetime', 'date' or 'time'
+ * @param {string} [locale] - Locale for localized output, ISO-like without
+ * @returns {string|null} Formatted date, null if the value is not a date
+ */
+export function formatTimestamp(value, style, locale) {
+    let time = typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(time)) return null;
+    if (typeof value === 'number' && Math.abs(time) < 1e11) {
+        time *= 1000; // Unix seconds
+    }
+
+    const date = new Date(time);
+
+    if (locale) {
+        if (style === 'date') return date.toLocaleDateString(locale);
+        if (style === 'time') return date.toLocaleTimeString(locale);
+        return date.toLocaleString(locale, { dateStyle: 'short', timeStyle: 'short' });
+    }
+
+    const pad = (number) => String(number).padStart(2, '0');
+    const dateText = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    const timeText = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+    if (style === 'date') return dateText;
+    if (style === 'time') return `${timeText}:${pad(date.getSeconds())}`;
+    return `${dateText} ${timeText}`;
+}
+
+/**
+ * Format a value with declarative rules
+ * @param {*} value - Raw state value
+ * @param {Object} format - Normalized rules (see normalizeFormat)
+ * @param {Object} [options] - { unit, decimals } defaults of the element
+ * @returns {string|null} Formatted text, null if no rule applies to the value
+ */
+export function formatWithRules(value, format, { unit = '', decimals } = {}) {
+    if (!format || value === null || value === undefined) return null;
+
+    if (format.labels && Object.prototype.hasOwnProperty.call(format.labels, String(value))) {
+        return format.labels[String(value)];
+    }
+
+    if (['datetime', 'date', 'time'].includes(format.style)) {
+        return formatTimestamp(value, format.style, format.locale);
+    }
+
+    const number = typeof value === 'number' ? value
+        : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+    if (!Number.isFinite(number)) return null;
+
+    if (format.style === 'duration') {
+        return formatDuration(number * DURATION_UNITS[format.durationUnit || 's']);
+    }
+
+    const scaled = format.scale ? scaleUnit(number, unit) : { value: number, unit };
+    return formatNumber(scaled.value, format.decimals ?? decimals, format.locale) + scaled.unit;
+}
+
+export default formatWithRules;